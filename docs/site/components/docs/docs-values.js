@@ -249,6 +249,29 @@ angular.module('gcloud.docs')
       ]
     },
 
+    storageWithTransfers: {
+      title: 'Storage',
+      _url: '{baseUrl}/storage',
+      pages: [
+        {
+          title: 'Bucket',
+          url: '/bucket'
+        },
+        {
+          title: 'Channel',
+          url: '/channel'
+        },
+        {
+          title: 'File',
+          url: '/file'
+        },
+        {
+          title: 'Transfer',
+          url: '/transfer'
+        }
+      ]
+    },
+
     translate: {
       title: 'Translate',
       _url: '{baseUrl}/translate'
@@ -297,12 +320,12 @@ angular.module('gcloud.docs')
       '>=0.22.0': ['resource'],
 
       // introduce Storage#Channel.
-      '>=0.26.0': ['storageWithChannels'],
+      '>=0.26.0 <0.28.0': ['storageWithChannels'],
 
       // introduce prediction & logging api.
       '>=0.27.0': ['prediction', 'logging'],
 
-      // introduce translate api.
-      '>=0.28.0': ['translate']
+      // introduce translate api & Storage#Transfer.
+      '>=0.28.0': ['storageWithTransfers', 'translate']
     }
   });
@@ -42,10 +42,18 @@ var streamRouter = require('../common/stream-router.js');
  */
 var Table = require('./table.js');
 
+/**
+ * @type {module:common/util}
+ * @private
+ */
+var util = require('../common/util.js');
+
 /*! Developer Documentation
  *
  * @param {module:bigquery} bigQuery - BigQuery instance.
  * @param {string} id - The ID of the Dataset.
+ * @param {object=} options - Configuration object.
+ * @param {string=} options.projectId - The project the Dataset is in.
  */
 /**
  * Interact with your BigQuery dataset. Create a Dataset instance with
@@ -63,7 +71,15 @@ var Table = require('./table.js');
  * });
  * var dataset = bigquery.dataset('institutions');
  */
-function Dataset(bigQuery, id) {
+function Dataset(bigQuery, id, options) {
+  options = options || {};
+
+  var projectId = options.projectId || bigQuery.projectId;
+
+  // Requests for the dataset and its tables are made to its own project.
+  var parent = projectId === bigQuery.projectId ?
+    bigQuery : bigQuery.project(projectId);
+
   var methods = {
     /**
      * Create a dataset.
@@ -149,14 +165,15 @@ function Dataset(bigQuery, id) {
   };
 
   ServiceObject.call(this, {
-    parent: bigQuery,
+    parent: parent,
     baseUrl: '/datasets',
     id: id,
-    createMethod: bigQuery.createDataset.bind(bigQuery),
+    createMethod: parent.createDataset.bind(parent),
     methods: methods
   });
 
   this.bigQuery = bigQuery;
+  this.projectId = projectId;
 }
 
 nodeutil.inherits(Dataset, ServiceObject);
@@ -201,7 +218,7 @@ Dataset.prototype.createTable = function(id, options, callback) {
   var body = extend(true, {}, options, {
     tableReference: {
       datasetId: this.id,
-      projectId: this.bigQuery.projectId,
+      projectId: this.projectId,
       tableId: id
     }
   });
@@ -210,7 +227,7 @@ Dataset.prototype.createTable = function(id, options, callback) {
     body.schema = Table.createSchemaFromString_(options.schema);
   }
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/tables',
     json: body
@@ -260,7 +277,7 @@ Dataset.prototype.delete = function(options, callback) {
     deleteContents: !!options.force
   };
 
-  this.request({
+  return this.request({
     method: 'DELETE',
     uri: '',
     qs: query
@@ -319,7 +336,7 @@ Dataset.prototype.getTables = function(query, callback) {
 
   query = query || {};
 
-  this.request({
+  return this.request({
     uri: '/tables',
     qs: query
   }, function(err, resp) {
@@ -359,7 +376,8 @@ Dataset.prototype.query = function(options, callback) {
 
   options = extend(true, {}, options, {
     defaultDataset: {
-      datasetId: this.id
+      datasetId: this.id,
+      projectId: this.projectId
     }
   });
 
@@ -384,6 +402,10 @@ Dataset.prototype.table = function(id) {
  * These methods can be used with either a callback or as a readable object
  * stream. `streamRouter` is used to add this dual behavior.
  */
+util.promisifyAll(Dataset, {
+  exclude: ['query', 'table']
+});
+
 streamRouter.extend(Dataset, ['getTables']);
 
 module.exports = Dataset;
@@ -127,7 +127,7 @@ BigQuery.prototype.createDataset = function(id, options, callback) {
     options = {};
   }
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/datasets',
     json: extend(true, {}, options, {
@@ -152,13 +152,23 @@ BigQuery.prototype.createDataset = function(id, options, callback) {
  * Create a reference to a dataset.
  *
  * @param {string} id - ID of the dataset.
+ * @param {object=} options - Configuration object.
+ * @param {string=} options.projectId - The project the dataset is in. Jobs
+ *     that use it are still run in this project. (default: this project)
  * @return {module:bigquery/dataset}
  *
  * @example
  * var dataset = bigquery.dataset('higher_education');
+ *
+ * //-
+ * // Refer to a dataset in another project.
+ * //-
+ * var samples = bigquery.dataset('samples', {
+ *   projectId: 'publicdata'
+ * });
  */
-BigQuery.prototype.dataset = function(id) {
-  return new Dataset(this, id);
+BigQuery.prototype.dataset = function(id, options) {
+  return new Dataset(this, id, options);
 };
 
 /**
@@ -170,6 +180,8 @@ BigQuery.prototype.dataset = function(id) {
  * @param {boolean} query.all - List all datasets, including hidden ones.
  * @param {boolean} query.autoPaginate - Have pagination handled automatically.
  *     Default: true.
+ * @param {number} query.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {number} query.maxResults - Maximum number of results to return.
  * @param {string} query.pageToken - Token returned from a previous call, to
  *     request the next page of results.
@@ -234,7 +246,7 @@ BigQuery.prototype.getDatasets = function(query, callback) {
 
   query = query || {};
 
-  this.request({
+  return this.request({
     uri: '/datasets',
     qs: query
   }, function(err, resp) {
@@ -271,6 +283,8 @@ BigQuery.prototype.getDatasets = function(query, callback) {
  *     project.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {number=} options.maxResults - Maximum number of results to return.
  * @param {string=} options.pageToken - Token returned from a previous call, to
  *     request the next page of results.
@@ -340,7 +354,7 @@ BigQuery.prototype.getJobs = function(options, callback) {
 
   options = options || {};
 
-  this.request({
+  return this.request({
     uri: '/jobs',
     qs: options
   }, function(err, resp) {
@@ -399,6 +413,8 @@ BigQuery.prototype.job = function(id) {
  * @param {string|object} options - A string SQL query or configuration object.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {number} options.maxResults - Maximum number of results to read.
  * @param {string} options.query - A query string, following the BigQuery query
  *     syntax, of the query to execute.
@@ -588,7 +604,7 @@ BigQuery.prototype.startQuery = function(options, callback) {
     }
     defaults.destinationTable = {
       datasetId: options.destination.dataset.id,
-      projectId: options.destination.dataset.bigQuery.projectId,
+      projectId: options.destination.dataset.projectId,
       tableId: options.destination.id
     };
     delete options.destination;
@@ -600,7 +616,7 @@ BigQuery.prototype.startQuery = function(options, callback) {
     }
   };
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/jobs',
     json: body
@@ -622,6 +638,10 @@ BigQuery.prototype.startQuery = function(options, callback) {
  * These methods can be used with either a callback or as a readable object
  * stream. `streamRouter` is used to add this dual behavior.
  */
+util.promisifyAll(BigQuery, {
+  exclude: ['dataset', 'job']
+});
+
 streamRouter.extend(BigQuery, ['getDatasets', 'getJobs', 'query']);
 
 module.exports = BigQuery;
@@ -24,10 +24,10 @@ var is = require('is');
 var nodeutil = require('util');
 
 /**
- * @type {module:common/serviceObject}
+ * @type {module:common/longrunningoperation}
  * @private
  */
-var ServiceObject = require('../common/service-object.js');
+var LongRunningOperation = require('../common/long-running-operation.js');
 
 /**
  * @type {module:common/util}
@@ -62,6 +62,49 @@ var util = require('../common/util.js');
  *
  * @alias module:bigquery/job
  * @constructor
+ *
+ * @example
+ * var job = bigquery.job('job-id');
+ *
+ * //-
+ * // All jobs are event emitters. The status of each job is polled
+ * // continuously, starting only after you register a "complete" listener.
+ * //-
+ * job.on('complete', function(metadata) {
+ *   // The job is done.
+ * });
+ *
+ * //-
+ * // Be sure to register an error handler as well, to catch a failed job.
+ * //-
+ * job.on('error', function(err) {
+ *   // `err.errors`: All of the errors the job ran into.
+ * });
+ *
+ * //-
+ * // While the job is running, a "progress" event is emitted each time its
+ * // status is polled.
+ * //-
+ * job.on('progress', function(metadata) {
+ *   // `metadata.status.state`: Either `PENDING` or `RUNNING`.
+ * });
+ *
+ * //-
+ * // To stop polling, remove the "complete" listeners.
+ * //-
+ * job.removeAllListeners();
+ *
+ * //-
+ * // Or, wait for the job to be done with a callback. Change how often its
+ * // status is polled with `job.pollingOptions`.
+ * //-
+ * job.pollingOptions.initialDelay = 1000;
+ *
+ * job.waitUntilDone({ timeout: 60000 }, function(err, metadata) {
+ *   if (!err) {
+ *     // The job is done.
+ *   }
+ * });
  */
 function Job(bigQuery, id) {
   var methods = {
@@ -109,7 +152,7 @@ function Job(bigQuery, id) {
     getMetadata: true
   };
 
-  ServiceObject.call(this, {
+  LongRunningOperation.call(this, {
     parent: bigQuery,
     baseUrl: '/jobs',
     id: id,
@@ -131,11 +174,12 @@ function Job(bigQuery, id) {
   });
 }
 
-nodeutil.inherits(Job, ServiceObject);
+nodeutil.inherits(Job, LongRunningOperation);
 
 /**
- * Cancel a job. Use {module:bigquery/job#getMetadata} to see if the cancel
- * completes successfully. See an example implementation below.
+ * Cancel a job. The job is done once the cancel completes. Listen for the
+ * "complete" event, or use `waitUntilDone`, to see if it completes
+ * successfully.
  *
  * @resource [Jobs: get API Documentation]{@link https://cloud.google.com/bigquery/docs/reference/v2/jobs/cancel}
  *
@@ -146,40 +190,17 @@ nodeutil.inherits(Job, ServiceObject);
  * @example
  * job.cancel(function(err, apiResponse) {
  *   // Check to see if the job completes successfully.
- *   onJobComplete(function(err) {
+ *   job.waitUntilDone(function(err) {
  *     if (!err) {
  *       // Job cancelled successfully.
  *     }
  *   });
  * });
- *
- * function onJobComplete(callback) {
- *   // Start a loop to check the status of the operation.
- *   checkJobStatus();
- *
- *   function checkJobStatus() {
- *     job.getMetadata(function(err, apiResponse) {
- *       if (err) {
- *         callback(err);
- *         return;
- *       }
- *
- *       if (apiResponse.status.state !== 'DONE') {
- *         // Job has not completed yet. Check again in 3 seconds.
- *         setTimeout(checkJobStatus, 3000);
- *         return;
- *       }
- *
- *       // Job completed sucessfully.
- *       callback();
- *     });
- *   }
- * }
  */
 Job.prototype.cancel = function(callback) {
   callback = callback || util.noop;
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/cancel'
   }, function(err, resp) {
@@ -195,6 +216,8 @@ Job.prototype.cancel = function(callback) {
  * @param {object=} options - Configuration object.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {number} options.maxResults - Maximum number of results to read.
  * @param {string} options.pageToken - Page token, returned by a previous call,
  *     to request the next page of results. Note: This is automatically added to
@@ -269,4 +292,37 @@ Job.prototype.getQueryResults = function(options, callback) {
   return this.bigQuery.query(options, callback);
 };
 
+/**
+ * Poll `getMetadata` to check if the job is done.
+ *
+ * @private
+ *
+ * @param {function} callback - The callback function.
+ */
+Job.prototype.poll_ = function(callback) {
+  this.getMetadata(function(err, metadata, apiResponse) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    var status = metadata.status || {};
+
+    if (status.errorResult) {
+      callback(new util.ApiError({
+        errors: status.errors,
+        message: status.errorResult.message,
+        response: apiResponse
+      }));
+      return;
+    }
+
+    callback(null, metadata, status.state === 'DONE');
+  });
+};
+
+util.promisifyAll(Job, {
+  exclude: ['getQueryResults']
+});
+
 module.exports = Job;
@@ -297,12 +297,12 @@ Table.prototype.copy = function(destination, metadata, callback) {
       copy: extend(true, metadata || {}, {
         destinationTable: {
           datasetId: destination.dataset.id,
-          projectId: destination.bigQuery.projectId,
+          projectId: destination.dataset.projectId,
           tableId: destination.id
         },
         sourceTable: {
           datasetId: this.dataset.id,
-          projectId: this.bigQuery.projectId,
+          projectId: this.dataset.projectId,
           tableId: this.id
         }
       })
@@ -419,7 +419,7 @@ Table.prototype.createWriteStream = function(metadata) {
 
   extend(true, metadata, {
     destinationTable: {
-      projectId: that.bigQuery.projectId,
+      projectId: that.dataset.projectId,
       datasetId: that.dataset.id,
       tableId: that.id
     }
@@ -442,7 +442,10 @@ Table.prototype.createWriteStream = function(metadata) {
       },
       request: {
         uri: format('{base}/{projectId}/jobs', {
-          base: 'https://www.googleapis.com/upload/bigquery/v2/projects',
+          base: util.applyApiEndpoint(
+            'https://www.googleapis.com/upload/bigquery/v2/projects',
+            that.bigQuery.apiEndpoint
+          ),
           projectId: that.bigQuery.projectId
         })
       }
@@ -562,7 +565,7 @@ Table.prototype.export = function(destination, options, callback) {
       extract: extend(true, options, {
         sourceTable: {
           datasetId: this.dataset.id,
-          projectId: this.bigQuery.projectId,
+          projectId: this.dataset.projectId,
           tableId: this.id
         }
       })
@@ -595,7 +598,12 @@ Table.prototype.export = function(destination, options, callback) {
  * @param {object=} options - The configuration object.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {number} options.maxResults - Maximum number of results to return.
+ * @param {number} options.timeout - Milliseconds each request for a page of
+ *     rows, including its retries, may take. Overrides the `timeout` of the
+ *     BigQuery instance.
  * @param {function} callback - The callback function.
  * @param {?error} callback.err - An error returned while making this request
  * @param {array} callback.rows - The table data from specified set of rows.
@@ -654,10 +662,19 @@ Table.prototype.getRows = function(options, callback) {
 
   callback = callback || util.noop;
 
-  this.request({
+  var reqOpts = {
     uri: '/data',
     qs: options
-  }, function(err, resp) {
+  };
+
+  if (is.number(options.timeout)) {
+    // The timeout is meant for the request, not the API.
+    reqOpts.timeout = options.timeout;
+    reqOpts.qs = extend({}, options);
+    delete reqOpts.qs.timeout;
+  }
+
+  return this.request(reqOpts, function(err, resp) {
     if (err) {
       onComplete(err, null, null, resp);
       return;
@@ -795,7 +812,7 @@ Table.prototype.import = function(source, metadata, callback) {
     configuration: {
       load: {
         destinationTable: {
-          projectId: this.bigQuery.projectId,
+          projectId: this.dataset.projectId,
           datasetId: this.dataset.id,
           tableId: this.id
         }
@@ -950,9 +967,10 @@ Table.prototype.insert = function(rows, options, callback) {
 
   delete options.raw;
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/insertAll',
+    idempotent: false,
     json: json
   }, function(err, resp) {
     if (err) {
@@ -1025,7 +1043,7 @@ Table.prototype.setMetadata = function(metadata, callback) {
     metadata.schema = Table.createSchemaFromString_(metadata.schema);
   }
 
-  this.request({
+  return this.request({
     method: 'PUT',
     uri: '',
     json: metadata
@@ -1046,6 +1064,10 @@ Table.prototype.setMetadata = function(metadata, callback) {
  * These methods can be used with either a callback or as a readable object
  * stream. `streamRouter` is used to add this dual behavior.
  */
+util.promisifyAll(Table, {
+  exclude: ['import', 'query']
+});
+
 streamRouter.extend(Table, ['getRows']);
 
 module.exports = Table;
@@ -0,0 +1,507 @@
+/*!
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module common/batch
+ */
+
+'use strict';
+
+var arrify = require('arrify');
+var async = require('async');
+var crypto = require('crypto');
+var is = require('is');
+var once = require('once');
+var querystring = require('querystring');
+var url = require('url');
+
+/**
+ * @type {module:common/util}
+ * @private
+ */
+var util = require('./util.js');
+
+/** @const {number} The most requests the API accepts in one batch request. */
+var MAX_REQUESTS = 100;
+
+/** @const {number} The most batch requests sent at once. */
+var MAX_PARALLEL_LIMIT = 5;
+
+/** @const {string} Line separator of multipart messages. */
+var CRLF = '\r\n';
+
+/**
+ * The batch collecting requests, while its `collect` function is running.
+ *
+ * @type {?module:common/batch}
+ * @private
+ */
+var activeBatch = null;
+
+/**
+ * A Batch collects the requests made while a function runs, and sends them in
+ * as few HTTP requests as possible, using the
+ * [batch endpoint](https://cloud.google.com/storage/docs/json_api/v1/how-tos/batch)
+ * of each API.
+ *
+ * Only requests made synchronously while the function runs, with a callback,
+ * to an API that supports batching are collected. Other requests, such as
+ * uploads, are made as usual.
+ *
+ * Methods that make their request before they return are batched, such as
+ * `delete`, `exists`, `getMetadata`, `setMetadata`, and the methods of
+ * {module:storage/acl}. A method that waits for a response before making its
+ * next request only has its first request batched. For example, `file.move`
+ * copies the file in the batch, then deletes the original on its own.
+ *
+ * @constructor
+ * @alias module:common/batch
+ *
+ * @param {module:common/service[]=} services - Only collect the requests made
+ *     to these services. Default: every service that supports batching.
+ */
+function Batch(services) {
+  this.services = services ? arrify(services) : null;
+  this.requests = [];
+}
+
+/** @const {number} The most requests sent in one batch request. */
+Batch.MAX_REQUESTS = MAX_REQUESTS;
+
+/**
+ * Get the batch collecting requests right now.
+ *
+ * @return {?module:common/batch}
+ */
+Batch.getActive = function() {
+  return activeBatch;
+};
+
+/**
+ * Collect the requests made while `collect` runs, then send them.
+ *
+ * If `collect` throws, the requests are not sent. Each request collected before
+ * then receives the error, and it is thrown again.
+ *
+ * @throws {Error} If another batch is collecting requests.
+ *
+ * @param {function} collect - Make the requests to batch.
+ * @param {function=} callback - Executed after the callback of every request.
+ * @param {?error} callback.err - The first error sending a batch request. The
+ *     error is also given to each request in it.
+ */
+Batch.prototype.run = function(collect, callback) {
+  if (activeBatch) {
+    throw new Error('A batch is already collecting requests.');
+  }
+
+  activeBatch = this;
+
+  try {
+    collect();
+  } catch (e) {
+    this.fail_(e);
+    throw e;
+  } finally {
+    activeBatch = null;
+  }
+
+  this.send_(callback || util.noop);
+};
+
+/**
+ * Check if a request can be added to the batch.
+ *
+ * @param {module:common/service} service - The service making the request.
+ * @param {object} reqOpts - Request options in the format `request` expects.
+ * @param {function=} callback - The request's callback function.
+ * @return {boolean}
+ */
+Batch.prototype.accepts = function(service, reqOpts, callback) {
+  if (!service.batchUrl || !is.fn(callback)) {
+    return false;
+  }
+
+  if (this.services && this.services.indexOf(service) === -1) {
+    return false;
+  }
+
+  // Uploads cannot be part of a batch.
+  var isUpload = !!reqOpts.multipart ||
+    !!(reqOpts.body && is.fn(reqOpts.body.pipe));
+
+  return !isUpload;
+};
+
+/**
+ * Add a request to the batch.
+ *
+ * @param {module:common/service} service - The service making the request.
+ * @param {object} reqOpts - Request options in the format `request` expects,
+ *     with an absolute `uri`.
+ * @param {function} callback - The callback function, which receives the same
+ *     arguments as it would from {module:common/util#makeRequest}.
+ * @return {object} - An object with an `abort` method. When called, the
+ *     callback receives a `CancellationError`, and any response is ignored.
+ */
+Batch.prototype.add = function(service, reqOpts, callback) {
+  var batchRequest = {
+    service: service,
+    reqOpts: reqOpts,
+    callback: once(callback),
+    isCancelled: false
+  };
+
+  this.requests.push(batchRequest);
+
+  return {
+    abort: function() {
+      batchRequest.isCancelled = true;
+      batchRequest.callback(util.CancellationError());
+    }
+  };
+};
+
+/**
+ * Give the collected requests an error instead of sending them.
+ *
+ * @private
+ *
+ * @param {error} err - The error to give each request.
+ */
+Batch.prototype.fail_ = function(err) {
+  var batchRequests = this.requests;
+
+  this.requests = [];
+
+  setImmediate(function() {
+    batchRequests.forEach(function(batchRequest) {
+      batchRequest.callback(err);
+    });
+  });
+};
+
+/**
+ * Send the collected requests, in groups of up to 100 per service.
+ *
+ * @private
+ *
+ * @param {function} callback - The callback function.
+ */
+Batch.prototype.send_ = function(callback) {
+  var groups = [];
+  var firstError = null;
+
+  this.requests
+    .filter(function(batchRequest) {
+      return !batchRequest.isCancelled;
+    })
+    .forEach(function(batchRequest) {
+      var group = groups.filter(function(group) {
+        return group.service === batchRequest.service &&
+          group.requests.length < MAX_REQUESTS;
+      })[0];
+
+      if (!group) {
+        group = {
+          service: batchRequest.service,
+          requests: []
+        };
+
+        groups.push(group);
+      }
+
+      group.requests.push(batchRequest);
+    });
+
+  this.requests = [];
+
+  async.eachLimit(groups, MAX_PARALLEL_LIMIT, function(group, done) {
+    sendGroup(group.service, group.requests, function(err) {
+      firstError = firstError || err || null;
+      done();
+    });
+  }, function() {
+    callback(firstError);
+  });
+};
+
+/*! Developer Documentation
+ *
+ * Send a group of requests to a service. A lone request is made as usual.
+ */
+function sendGroup(service, batchRequests, callback) {
+  if (batchRequests.length === 1) {
+    var batchRequest = batchRequests[0];
+
+    service.makeAuthenticatedRequest(batchRequest.reqOpts, function() {
+      batchRequest.callback.apply(null, arguments);
+      callback();
+    });
+
+    return;
+  }
+
+  async.each(batchRequests, prepareRequest, function(err) {
+    if (err) {
+      failGroup(batchRequests, err, callback);
+      return;
+    }
+
+    var boundary = 'batch_' + crypto.randomBytes(16).toString('hex');
+
+    service.makeAuthenticatedRequest({
+      method: 'POST',
+      uri: service.batchUrl,
+      headers: {
+        'Content-Type': 'multipart/mixed; boundary=' + boundary
+      },
+      body: encodeBatch(batchRequests, boundary),
+      idempotent: batchRequests.every(function(batchRequest) {
+        return batchRequest.idempotent;
+      })
+    }, function(err, body, resp) {
+      if (err) {
+        failGroup(batchRequests, err, callback);
+        return;
+      }
+
+      var responses = parseBatch(resp, body);
+
+      async.each(batchRequests, function(batchRequest, done) {
+        var response = responses[batchRequest.id];
+
+        if (!response) {
+          var error = new Error('The batch response did not include a ' +
+            'response to this request.');
+          completeRequest(batchRequest, error, null, done);
+          return;
+        }
+
+        response.request = {
+          method: batchRequest.reqOpts.method,
+          uri: url.parse(batchRequest.reqOpts.uri)
+        };
+
+        completeRequest(batchRequest, null, response, done);
+      }, function() {
+        callback();
+      });
+    });
+  });
+
+  function prepareRequest(batchRequest, done) {
+    var reqOpts = batchRequest.reqOpts;
+    var interceptors = arrify(reqOpts.interceptors_);
+
+    batchRequest.id = String(batchRequests.indexOf(batchRequest) + 1);
+    batchRequest.idempotent = reqOpts.idempotent !== false;
+    batchRequest.interceptors = interceptors;
+
+    delete reqOpts.interceptors_;
+    delete reqOpts.idempotent;
+
+    util.execInterceptors('request', interceptors, reqOpts, function(err, r) {
+      if (err) {
+        done(err);
+        return;
+      }
+
+      batchRequest.reqOpts = util.decorateRequest(r);
+      done();
+    });
+  }
+}
+
+/*! Developer Documentation
+ *
+ * Give every request in a group the error that kept it from being sent.
+ */
+function failGroup(batchRequests, err, callback) {
+  async.each(batchRequests, function(batchRequest, done) {
+    completeRequest(batchRequest, err, null, done);
+  }, function() {
+    callback(err);
+  });
+}
+
+/*! Developer Documentation
+ *
+ * Pass the response to a request through its interceptors, as
+ * {module:common/util#makeRequest} would, then execute its callback.
+ */
+function completeRequest(batchRequest, err, response, callback) {
+  var interceptors = batchRequest.interceptors;
+
+  if (err) {
+    onIntercepted(err);
+    return;
+  }
+
+  util.execInterceptors('response', interceptors, response, onIntercepted);
+
+  function onIntercepted(err, response) {
+    var body = response && response.body;
+
+    util.handleResp(err, response, body, function(err, body, resp) {
+      if (!err) {
+        batchRequest.callback(null, body, resp);
+        callback();
+        return;
+      }
+
+      util.execInterceptors('error', interceptors, err, function(ie, err) {
+        batchRequest.callback(ie || err, body, resp);
+        callback();
+      });
+    });
+  }
+}
+
+/*! Developer Documentation
+ *
+ * Encode requests as the body of a multipart/mixed batch request.
+ */
+function encodeBatch(batchRequests, boundary) {
+  return batchRequests
+    .map(function(batchRequest) {
+      return [
+        '--' + boundary,
+        'Content-Type: application/http',
+        'Content-Transfer-Encoding: binary',
+        'Content-ID: <' + batchRequest.id + '>',
+        '',
+        encodeRequest(batchRequest.reqOpts)
+      ].join(CRLF);
+    })
+    .concat('--' + boundary + '--')
+    .join(CRLF);
+}
+
+/*! Developer Documentation
+ *
+ * Encode a request as an HTTP message.
+ */
+function encodeRequest(reqOpts) {
+  var uri = url.parse(reqOpts.uri);
+  var path = uri.path;
+  var qs = querystring.stringify(reqOpts.qs);
+  var headers = reqOpts.headers || {};
+  var body = reqOpts.body;
+
+  if (qs) {
+    path += (uri.search ? '&' : '?') + qs;
+  }
+
+  if (is.object(reqOpts.json)) {
+    body = JSON.stringify(reqOpts.json);
+    headers['Content-Type'] = 'application/json';
+  }
+
+  var method = (reqOpts.method || 'GET').toUpperCase();
+  var lines = [method + ' ' + path + ' HTTP/1.1'];
+
+  Object.keys(headers).forEach(function(name) {
+    lines.push(name + ': ' + headers[name]);
+  });
+
+  lines.push('', is.undefined(body) ? '' : String(body));
+
+  return lines.join(CRLF);
+}
+
+/*! Developer Documentation
+ *
+ * Parse a multipart/mixed batch response into the responses it contains, by
+ * the ID of the request they answer.
+ */
+function parseBatch(resp, body) {
+  var contentType = resp && resp.headers && resp.headers['content-type'];
+  var boundary = /boundary=(?:"([^"]+)"|([^;\s]+))/.exec(contentType || '');
+  var responses = {};
+
+  if (!boundary || !is.string(body)) {
+    return responses;
+  }
+
+  body.split('--' + (boundary[1] || boundary[2]))
+    .slice(1)
+    .forEach(function(part) {
+      // The last part is the "--" ending the message.
+      if (part.indexOf('--') === 0) {
+        return;
+      }
+
+      var partMessage = parseMessage(part.replace(/^\r?\n/, ''));
+      var contentId = /<response-(.+)>/.exec(partMessage.headers['content-id']);
+
+      if (contentId) {
+        responses[contentId[1]] = parseResponse(partMessage.body);
+      }
+    });
+
+  return responses;
+}
+
+/*! Developer Documentation
+ *
+ * Parse an HTTP response message, in the shape `request` would give it.
+ */
+function parseResponse(text) {
+  var message = parseMessage(text);
+  var statusLine = /^HTTP\/[\d.]+ (\d+) ?(.*)$/.exec(message.startLine) || [];
+  var body = message.body.replace(/\r?\n$/, '');
+
+  return {
+    statusCode: parseInt(statusLine[1], 10),
+    statusMessage: statusLine[2],
+    headers: message.headers,
+    body: body === '' ? undefined : body
+  };
+}
+
+/*! Developer Documentation
+ *
+ * Split a message into its headers and body. Messages of the parts of a batch
+ * response have no start line, while HTTP messages do.
+ */
+function parseMessage(text) {
+  var separator = /\r?\n\r?\n/.exec(text);
+  var head = separator ? text.slice(0, separator.index) : text;
+  var lines = head.split(/\r?\n/);
+  var message = {
+    startLine: '',
+    headers: {},
+    body: separator ? text.slice(separator.index + separator[0].length) : ''
+  };
+
+  if (lines[0] && lines[0].indexOf(':') === -1) {
+    message.startLine = lines.shift();
+  }
+
+  lines.forEach(function(line) {
+    var index = line.indexOf(':');
+
+    if (index > -1) {
+      var name = line.slice(0, index).trim().toLowerCase();
+      message.headers[name] = line.slice(index + 1).trim();
+    }
+  });
+
+  return message;
+}
+
+module.exports = Batch;
@@ -0,0 +1,434 @@
+/*!
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module common/config
+ */
+
+'use strict';
+
+var arrify = require('arrify');
+var extend = require('extend');
+var fs = require('fs');
+var is = require('is');
+var path = require('path');
+var yaml = require('js-yaml');
+
+/**
+ * @type {module:common/debuglogger}
+ * @private
+ */
+var DebugLogger = require('./debug-logger.js');
+
+/**
+ * @const {object[]} Environment variables, and the configuration option each
+ *     sets. Variables of the gcloud SDK only apply to their `service`, and the
+ *     `GCLOUD_*` variables take precedence over them.
+ * @private
+ */
+var ENV_VARS = [
+  {
+    name: 'DATASTORE_DATASET',
+    option: 'projectId',
+    service: 'datastore'
+  },
+  {
+    name: 'DATASTORE_HOST',
+    option: 'apiEndpoint',
+    service: 'datastore'
+  },
+  {
+    name: 'PUBSUB_HOST',
+    option: 'apiEndpoint',
+    service: 'pubsub'
+  },
+  {
+    name: 'GCLOUD_PROJECT',
+    option: 'projectId'
+  },
+  {
+    name: 'GCLOUD_KEY_FILENAME',
+    option: 'keyFilename'
+  },
+  {
+    name: 'GCLOUD_EMAIL',
+    option: 'email'
+  },
+  {
+    name: 'GCLOUD_AUTO_RETRY',
+    option: 'autoRetry',
+    type: 'boolean'
+  },
+  {
+    name: 'GCLOUD_MAX_RETRIES',
+    option: 'maxRetries',
+    type: 'number'
+  },
+  {
+    name: 'GCLOUD_TIMEOUT',
+    option: 'timeout',
+    type: 'number'
+  },
+  {
+    name: 'GCLOUD_DEBUG',
+    option: 'debug',
+    type: 'debug'
+  }
+];
+
+/**
+ * @const {string[]} Options that pick the configuration, rather than being
+ *     part of it.
+ * @private
+ */
+var SELECTOR_OPTIONS = ['configFile', 'profile', 'profiles'];
+
+/**
+ * @const {string[]} Options that give the credentials to connect with. Only
+ *     one of them is used.
+ * @private
+ */
+var CONNECTION_OPTIONS = ['credentials', 'keyFilename'];
+
+/**
+ * @const {string[]} Options whose values are secret, or lead to a secret. They
+ *     are described without their values.
+ * @private
+ */
+var SECRET_OPTIONS = ['credentials', 'key', 'keyFilename'];
+
+/**
+ * @const {string[]} Options set by gcloud itself, which are not described.
+ * @private
+ */
+var HIDDEN_OPTIONS = ['interceptors_', 'telemetry_'];
+
+/*! Developer Documentation
+ *
+ * The configuration of a service is resolved from several layers. Each layer
+ * takes precedence over the ones before it:
+ *
+ *   1. The settings of a config file.
+ *   2. The profile selected from the config file.
+ *   3. Environment variables of the gcloud SDK for the service, e.g.
+ *      `DATASTORE_HOST`, then `GCLOUD_*` environment variables.
+ *   4. The options given to `gcloud()`, then those given to the service.
+ *
+ * The config file is given with the `configFile` option, or the
+ * `GCLOUD_CONFIG` environment variable. The profile is given with the `profile`
+ * option, the `GCLOUD_PROFILE` environment variable, or the `profile` setting
+ * of the config file.
+ */
+var config = module.exports;
+
+/**
+ * Resolve the effective configuration from the config file, profile,
+ * environment variables, and configuration objects.
+ *
+ * @throws {Error} If the config file cannot be read, or the profile is not
+ *     defined in it.
+ *
+ * @param {object[]} configs - Configuration objects, from the lowest
+ *     precedence to the highest.
+ * @param {string=} service - The service the configuration is for, e.g.
+ *     `datastore`. Its environment variables are read as well.
+ * @return {object} - The resolved configuration.
+ */
+config.resolve = function(configs, service) {
+  var layers = config.resolveLayers_(configs, service);
+
+  return layers.reduce(function(resolved, layer) {
+    return mergeLayer(resolved, layer.config);
+  }, {});
+};
+
+/**
+ * Describe the effective configuration, with where each option was set.
+ * Credentials, API keys, and key file paths are described without their values,
+ * and secrets are removed from the other values.
+ *
+ * @param {object[]} configs - See {module:common/config#resolve}.
+ * @param {string=} service - See {module:common/config#resolve}.
+ * @return {string}
+ *
+ * @example
+ * config.describe([{ keyFilename: 'key.json' }]);
+ * // projectId: "grape-spaceship-123" (profile "dev" in /app/gcloud.yaml)
+ * // keyFilename: [REDACTED] (options)
+ */
+config.describe = function(configs, service) {
+  var sources = {};
+  var layers = config.resolveLayers_(configs, service);
+
+  var resolved = layers.reduce(function(res, layer) {
+    Object.keys(layer.config).forEach(function(key) {
+      if (CONNECTION_OPTIONS.indexOf(key) > -1) {
+        CONNECTION_OPTIONS.forEach(function(connectionKey) {
+          delete sources[connectionKey];
+        });
+      }
+
+      sources[key] = layer.source;
+    });
+
+    return mergeLayer(res, layer.config);
+  }, {});
+
+  return Object.keys(sources)
+    .filter(function(key) {
+      return HIDDEN_OPTIONS.indexOf(key) === -1 && !is.undefined(resolved[key]);
+    })
+    .map(function(key) {
+      var value = DebugLogger.REDACTED;
+
+      if (SECRET_OPTIONS.indexOf(key) === -1) {
+        value = JSON.stringify(resolved[key], function(key, value) {
+          return is.fn(value) ? '[Function]' : value;
+        });
+      }
+
+      return DebugLogger.redact(key + ': ' + value + ' (' + sources[key] + ')');
+    })
+    .join('\n');
+};
+
+/**
+ * Read the configuration from environment variables.
+ *
+ * @param {string=} service - See {module:common/config#resolve}.
+ * @return {object}
+ */
+config.fromEnv = function(service) {
+  return readEnvVars(service).reduce(function(envConfig, envVar) {
+    envConfig[envVar.option] = envVar.value;
+    return envConfig;
+  }, {});
+};
+
+/**
+ * Read a JSON or YAML config file. Files ending in `.yaml` or `.yml` are read
+ * as YAML. Relative `keyFilename` and `caFile` paths are resolved from the
+ * directory of the file.
+ *
+ * @throws {Error} If the file cannot be read or parsed.
+ *
+ * @param {string} filename - Path to the file.
+ * @return {object}
+ */
+config.readFile = function(filename) {
+  var fileConfig;
+
+  try {
+    var contents = fs.readFileSync(filename, 'utf8');
+
+    if (/\.ya?ml$/i.test(filename)) {
+      fileConfig = yaml.safeLoad(contents, { filename: filename });
+    } else {
+      fileConfig = JSON.parse(contents);
+    }
+  } catch (e) {
+    throw new Error(
+      'The config file ' + filename + ' could not be read: ' + e.message);
+  }
+
+  // An empty YAML file has no value.
+  if (is.undefined(fileConfig) || is.null(fileConfig)) {
+    fileConfig = {};
+  }
+
+  if (!is.object(fileConfig)) {
+    throw new Error('The config file ' + filename + ' must contain an object.');
+  }
+
+  var dirname = path.dirname(filename);
+
+  [fileConfig].concat(values(fileConfig.profiles)).forEach(function(options) {
+    if (is.string(options.keyFilename)) {
+      options.keyFilename = path.resolve(dirname, options.keyFilename);
+    }
+
+    if (options.caFile) {
+      options.caFile = arrify(options.caFile).map(function(caFile) {
+        return path.resolve(dirname, caFile);
+      });
+    }
+  });
+
+  return fileConfig;
+};
+
+/**
+ * Get the layers of configuration, from the lowest precedence to the highest.
+ *
+ * @private
+ *
+ * @param {object[]} configs - See {module:common/config#resolve}.
+ * @param {string=} service - See {module:common/config#resolve}.
+ * @return {object[]} - Each layer has the `config` it sets, and a description
+ *     of its `source`.
+ */
+config.resolveLayers_ = function(configs, service) {
+  configs = (configs || []).filter(is.object);
+
+  var configFile = pickLast(configs, 'configFile') || process.env.GCLOUD_CONFIG;
+  var fileConfig = configFile ? config.readFile(configFile) : {};
+
+  var profiles = extend({}, fileConfig.profiles, pickLast(configs, 'profiles'));
+  var profile = pickLast(configs, 'profile') || process.env.GCLOUD_PROFILE ||
+    fileConfig.profile;
+
+  var layers = [];
+
+  if (configFile) {
+    layers.push({
+      config: omit(fileConfig, SELECTOR_OPTIONS),
+      source: path.resolve(configFile)
+    });
+  }
+
+  if (profile) {
+    if (!is.object(profiles[profile])) {
+      throw new Error('The profile "' + profile + '" is not defined.');
+    }
+
+    var profileSource = 'profile "' + profile + '"';
+
+    if (configFile && fileConfig.profiles && fileConfig.profiles[profile]) {
+      profileSource += ' in ' + path.resolve(configFile);
+    }
+
+    layers.push({
+      config: omit(profiles[profile], SELECTOR_OPTIONS),
+      source: profileSource
+    });
+  }
+
+  readEnvVars(service).forEach(function(envVar) {
+    var envConfig = {};
+    envConfig[envVar.option] = envVar.value;
+
+    layers.push({
+      config: envConfig,
+      source: envVar.name
+    });
+  });
+
+  configs.forEach(function(options) {
+    layers.push({
+      config: omit(options, SELECTOR_OPTIONS),
+      source: 'options'
+    });
+  });
+
+  return layers;
+};
+
+/*! Developer Documentation
+ *
+ * Read the environment variables that are set, and that apply to the service,
+ * with the `value` of each parsed.
+ */
+function readEnvVars(service) {
+  return ENV_VARS
+    .filter(function(envVar) {
+      return !envVar.service || envVar.service === service;
+    })
+    .map(function(envVar) {
+      var value = process.env[envVar.name];
+
+      if (!is.string(value) || value === '') {
+        return null;
+      }
+
+      if (envVar.type === 'boolean') {
+        value = ['false', '0', 'no'].indexOf(value.toLowerCase()) === -1;
+      } else if (envVar.type === 'number') {
+        value = Number(value);
+
+        if (is.nan(value)) {
+          return null;
+        }
+      } else if (envVar.type === 'debug') {
+        value = DebugLogger.parseEnv_(value);
+      }
+
+      return {
+        name: envVar.name,
+        option: envVar.option,
+        value: value
+      };
+    })
+    .filter(is.object);
+}
+
+/*! Developer Documentation
+ *
+ * Deep extend the resolved configuration with a layer. Credentials given by a
+ * layer replace any given before, instead of being combined with them.
+ */
+function mergeLayer(resolved, layer) {
+  var isConnecting = CONNECTION_OPTIONS.some(function(key) {
+    return !!layer[key];
+  });
+
+  if (isConnecting) {
+    resolved = omit(resolved, CONNECTION_OPTIONS);
+  }
+
+  return extend(true, resolved, layer);
+}
+
+/*! Developer Documentation
+ *
+ * Get the value of an option from the last configuration object that sets it.
+ */
+function pickLast(configs, key) {
+  var value;
+
+  configs.forEach(function(options) {
+    if (!is.undefined(options[key])) {
+      value = options[key];
+    }
+  });
+
+  return value;
+}
+
+/*! Developer Documentation
+ *
+ * Shallow copy an object, without the given keys.
+ */
+function omit(object, keys) {
+  return Object.keys(object).reduce(function(copy, key) {
+    if (keys.indexOf(key) === -1) {
+      copy[key] = object[key];
+    }
+
+    return copy;
+  }, {});
+}
+
+/*! Developer Documentation
+ *
+ * Get the object values of an object.
+ */
+function values(object) {
+  return Object.keys(object || {})
+    .map(function(key) {
+      return object[key];
+    })
+    .filter(is.object);
+}
@@ -0,0 +1,349 @@
+/*!
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module common/credentials
+ */
+
+'use strict';
+
+var arrify = require('arrify');
+var crypto = require('crypto');
+var format = require('string-format-obj');
+var is = require('is');
+
+/**
+ * @type {module:common/util}
+ * @private
+ */
+var util = require('./util.js');
+
+/** @const {string} The IAM Credentials API, for service account operations. */
+var IAM_CREDENTIALS_URL =
+  'https://iamcredentials.googleapis.com/v1/projects/-/serviceAccounts/' +
+  '{email}:{method}';
+
+/** @const {string} The default service account of a Compute Engine VM. */
+var METADATA_URL = 'http://metadata.google.internal/computeMetadata/v1/' +
+  'instance/service-accounts/default/';
+
+/** @const {string} Describes the access token of a user. */
+var TOKEN_INFO_URL = 'https://www.googleapis.com/oauth2/v3/tokeninfo';
+
+/**
+ * Credentials reports the identity requests are authenticated as, and does the
+ * work that needs its private key: signing data and minting access tokens.
+ *
+ * Service accounts with a key file use the key directly. Other service
+ * accounts, such as the one of a Compute Engine VM, use the IAM Credentials
+ * API, which requires the "Service Account Token Creator" role on the service
+ * account.
+ *
+ * @constructor
+ * @alias module:common/credentials
+ *
+ * @param {object} auth - A `google-auto-auth` client.
+ * @param {function} makeAuthenticatedRequest - Makes the requests to the IAM
+ *     Credentials API. See
+ *     {module:common/util#makeAuthenticatedRequestFactory}.
+ */
+function Credentials(auth, makeAuthenticatedRequest) {
+  this.auth = auth;
+  this.makeAuthenticatedRequest = makeAuthenticatedRequest;
+
+  this.identity_ = null;
+}
+
+/**
+ * Get the identity requests are authenticated as.
+ *
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error getting the identity.
+ * @param {object} callback.identity - The identity.
+ * @param {string} callback.identity.type - `service_account`,
+ *     `compute_engine`, or `authorized_user`.
+ * @param {?string} callback.identity.email - The email address of the account.
+ *     It is `null` for a user whose access token does not include the `email`
+ *     scope.
+ * @param {string[]} callback.identity.scopes - The scopes access tokens are
+ *     granted.
+ */
+Credentials.prototype.getIdentity = function(callback) {
+  var self = this;
+
+  if (this.identity_) {
+    setImmediate(callback, null, this.identity_);
+    return;
+  }
+
+  this.auth.getAuthClient(function(err, client) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    var type = getClientType(client);
+
+    if (type === 'service_account') {
+      // The email of a key file is only known once the key has been read.
+      self.auth.getCredentials(function(err, credentials) {
+        onIdentity(err, credentials && {
+          email: credentials.client_email,
+          scopes: client.scopes
+        });
+      });
+      return;
+    }
+
+    if (type === 'compute_engine') {
+      self.getJson_({
+        uri: METADATA_URL,
+        qs: {
+          recursive: true
+        },
+        headers: {
+          'Metadata-Flavor': 'Google'
+        }
+      }, onIdentity);
+      return;
+    }
+
+    self.auth.getToken(function(err, token) {
+      if (err) {
+        onIdentity(err);
+        return;
+      }
+
+      self.getJson_({
+        uri: TOKEN_INFO_URL,
+        qs: {
+          access_token: token
+        }
+      }, function(err, tokenInfo) {
+        onIdentity(err, tokenInfo && {
+          email: tokenInfo.email,
+          scopes: (tokenInfo.scope || '').split(' ')
+        });
+      });
+    });
+
+    function onIdentity(err, account) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      self.identity_ = {
+        type: type,
+        email: account.email || null,
+        scopes: arrify(account.scopes).filter(Boolean)
+      };
+
+      callback(null, self.identity_);
+    }
+  });
+};
+
+/**
+ * Get an access token for a service account, granted only the scopes given.
+ * It can be handed to another process without sharing the credentials.
+ *
+ * @throws {Error} If no scopes are given.
+ *
+ * @param {object} options - Configuration object.
+ * @param {string|string[]} options.scopes - The scopes to grant the token.
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error getting the token.
+ * @param {object} callback.accessToken - The token.
+ * @param {string} callback.accessToken.token - The access token.
+ * @param {date} callback.accessToken.expires - When the token expires.
+ */
+Credentials.prototype.getAccessToken = function(options, callback) {
+  var self = this;
+  var scopes = arrify(options.scopes);
+
+  if (scopes.length === 0) {
+    throw new Error('Scopes are required to get an access token.');
+  }
+
+  this.getIdentity(function(err, identity) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    if (identity.type === 'authorized_user') {
+      callback(new Error('Only a service account can get an access token.'));
+      return;
+    }
+
+    if (identity.type === 'service_account') {
+      self.auth.getAuthClient(function(err, client) {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        client.createScoped(scopes).authorize(function(err, tokens) {
+          if (err) {
+            callback(err);
+            return;
+          }
+
+          callback(null, {
+            token: tokens.access_token,
+            expires: new Date(tokens.expiry_date)
+          });
+        });
+      });
+      return;
+    }
+
+    self.requestIamCredentials_(identity.email, 'generateAccessToken', {
+      scope: scopes
+    }, function(err, resp) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      callback(null, {
+        token: resp.accessToken,
+        expires: new Date(resp.expireTime)
+      });
+    });
+  });
+};
+
+/**
+ * Sign data with the key of the service account, using RSA SHA-256.
+ *
+ * @param {string|buffer} data - The data to sign.
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error signing the data.
+ * @param {string} callback.signature - The signature, in base64.
+ */
+Credentials.prototype.signBlob = function(data, callback) {
+  var self = this;
+
+  this.getIdentity(function(err, identity) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    if (identity.type === 'authorized_user') {
+      callback(new Error('Only a service account can sign data.'));
+      return;
+    }
+
+    if (identity.type === 'service_account') {
+      self.auth.getCredentials(function(err, credentials) {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        var sign = crypto.createSign('RSA-SHA256');
+        sign.update(data);
+
+        callback(null, sign.sign(credentials.private_key, 'base64'));
+      });
+      return;
+    }
+
+    self.requestIamCredentials_(identity.email, 'signBlob', {
+      payload: new Buffer(data).toString('base64')
+    }, function(err, resp) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      callback(null, resp.signedBlob);
+    });
+  });
+};
+
+/**
+ * Call a method of the IAM Credentials API for a service account.
+ *
+ * @private
+ *
+ * @param {string} email - The email address of the service account.
+ * @param {string} method - The method, e.g. `signBlob`.
+ * @param {object} json - The request body.
+ * @param {function} callback - The callback function.
+ */
+Credentials.prototype.requestIamCredentials_ = function(email, method, json,
+    callback) {
+  this.makeAuthenticatedRequest({
+    method: 'POST',
+    uri: format(IAM_CREDENTIALS_URL, {
+      email: encodeURIComponent(email),
+      method: method
+    }),
+    json: json
+  }, callback);
+};
+
+/**
+ * Get a JSON document from an unauthenticated endpoint. The request is sent
+ * with the transport and fixtures of the service.
+ *
+ * @private
+ *
+ * @param {object} reqOpts - Request options in the format `request` expects.
+ * @param {function} callback - The callback function.
+ */
+Credentials.prototype.getJson_ = function(reqOpts, callback) {
+  var sendRequest = util.getRequestFunction({
+    recorder: this.makeAuthenticatedRequest.recorder,
+    transport: this.makeAuthenticatedRequest.transport
+  });
+
+  reqOpts.json = true;
+
+  sendRequest(reqOpts, function(err, resp, body) {
+    if (!err && resp.statusCode !== 200) {
+      err = new Error((body && body.error_description) ||
+        'The request to ' + reqOpts.uri + ' failed with status ' +
+        resp.statusCode + '.');
+    }
+
+    callback(err, body);
+  });
+};
+
+/*! Developer Documentation
+ *
+ * Tell what kind of account an auth client from `google-auth-library` is for.
+ * Only service account clients can be scoped, and only user clients have a
+ * refresh token of their own.
+ */
+function getClientType(client) {
+  if (is.fn(client.createScoped)) {
+    return 'service_account';
+  }
+
+  if (client._refreshToken) {
+    return 'authorized_user';
+  }
+
+  return 'compute_engine';
+}
+
+module.exports = Credentials;
@@ -0,0 +1,295 @@
+/*!
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module common/debuglogger
+ */
+
+'use strict';
+
+var extend = require('extend');
+var format = require('string-format-obj');
+var is = require('is');
+var querystring = require('querystring');
+
+/** @const {string} Replaces any secret removed from a log message. */
+var REDACTED = '[REDACTED]';
+
+/** @const {string} Names of the OAuth fields that hold secrets. */
+var OAUTH_FIELDS = 'access_token|client_secret|id_token|refresh_token';
+
+/** @const {object[]} Patterns matching secrets, and what replaces them. */
+var SECRET_PATTERNS = [
+  {
+    // Private keys, e.g. from a service account key file.
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*-----/g,
+    replacement: REDACTED
+  },
+  {
+    // Signatures of signed URLs and policies.
+    pattern: /([?&](?:Signature|X-Goog-Signature)=)[^&\s"']+/gi,
+    replacement: '$1' + REDACTED
+  },
+  {
+    // API keys and OAuth tokens in a query string or form body, e.g. the
+    // `key` Translate sends.
+    pattern: new RegExp(
+      '((?:^|[?&\\s])(?:key|' + OAUTH_FIELDS + ')=)[^&\\s"\']+', 'gi'),
+    replacement: '$1' + REDACTED
+  },
+  {
+    // OAuth tokens in a JSON body.
+    pattern: new RegExp(
+      '("(?:' + OAUTH_FIELDS + ')"\\s*:\\s*")(?:[^"\\\\]|\\\\.)*"', 'g'),
+    replacement: '$1' + REDACTED + '"'
+  },
+  {
+    // Credentials in an Authorization header, e.g. "Bearer ya29.xyz".
+    pattern: /((?:Bearer|Basic) )[A-Za-z0-9\-._~+\/]+=*/g,
+    replacement: '$1' + REDACTED
+  }
+];
+
+/**
+ * A DebugLogger describes each HTTP request made to an API, its response, and
+ * any retries. Credentials are removed from everything it logs.
+ *
+ * @constructor
+ * @alias module:common/debuglogger
+ *
+ * @param {object=} options - Configuration object.
+ * @param {boolean} options.bodies - Also log the headers and bodies of
+ *     requests and responses. (default: false)
+ * @param {function} options.log - Called with each message. (default:
+ *     `console.error`)
+ */
+function DebugLogger(options) {
+  options = options || {};
+
+  this.bodies = options.bodies === true;
+  this.log = options.log || console.error.bind(console);
+}
+
+/** @const {string} Replaces any secret removed from a log message. */
+DebugLogger.REDACTED = REDACTED;
+
+/**
+ * Create a DebugLogger from the configuration given to a service. The
+ * `GCLOUD_DEBUG` environment variable is resolved into `config.debug` by
+ * {module:common/config}.
+ *
+ * @param {object=} config - Configuration object.
+ * @param {boolean|object|module:common/debuglogger=} config.debug - A
+ *     DebugLogger, the options to create one with, or `true` to create one with
+ *     the default options.
+ * @return {?module:common/debuglogger} - `null` if debugging is off.
+ */
+DebugLogger.fromConfig = function(config) {
+  config = config || {};
+
+  var debug = config.debug;
+
+  if (debug instanceof DebugLogger) {
+    return debug;
+  }
+
+  if (!debug) {
+    return null;
+  }
+
+  return new DebugLogger(is.object(debug) ? debug : {});
+};
+
+/**
+ * Parse the value of the `GCLOUD_DEBUG` environment variable. Set it to `true`
+ * to log requests, or `body` to log their bodies as well.
+ *
+ * @private
+ *
+ * @param {string=} value - The value of the environment variable.
+ * @return {boolean|object}
+ */
+DebugLogger.parseEnv_ = function(value) {
+  value = (value || '').toLowerCase();
+
+  if (value === 'body') {
+    return {
+      bodies: true
+    };
+  }
+
+  return value === 'true' || value === '1';
+};
+
+/**
+ * Remove credentials from a value about to be logged.
+ *
+ * @param {string} value - The value to redact.
+ * @return {string}
+ */
+DebugLogger.redact = function(value) {
+  return SECRET_PATTERNS.reduce(function(value, secret) {
+    return value.replace(secret.pattern, secret.replacement);
+  }, String(value));
+};
+
+/**
+ * Log a request that is about to be made.
+ *
+ * @param {object} reqOpts - Request options in the format `request` expects.
+ * @param {number} attempt - The attempt, starting at 1.
+ */
+DebugLogger.prototype.logRequest = function(reqOpts, attempt) {
+  var message = format('{request} (attempt {attempt})', {
+    request: describeRequest(reqOpts),
+    attempt: attempt
+  });
+
+  if (this.bodies) {
+    // `json` may also be `true`, only asking for the response to be parsed.
+    var body = is.object(reqOpts.json) ? reqOpts.json : reqOpts.body;
+
+    message += describeHeaders(reqOpts.headers);
+    message += describeBody(body);
+  }
+
+  this.write_(message);
+};
+
+/**
+ * Log the response to a request.
+ *
+ * @param {object} reqOpts - Request options in the format `request` expects.
+ * @param {object} response - The HTTP response.
+ * @param {*=} body - The response body. Not available in stream mode.
+ * @param {number} elapsed - Milliseconds since the request was made.
+ */
+DebugLogger.prototype.logResponse = function(reqOpts, response, body, elapsed) {
+  var message = format('{statusCode} {request} ({elapsed}ms)', {
+    statusCode: response.statusCode,
+    request: describeRequest(reqOpts),
+    elapsed: elapsed
+  });
+
+  if (this.bodies) {
+    message += describeHeaders(response.headers);
+    message += describeBody(body);
+  }
+
+  this.write_(message);
+};
+
+/**
+ * Log a retry that is about to be made.
+ *
+ * @param {object} retry - Details about the retry. See
+ *     {module:common/retrypolicy#shouldRetry}.
+ */
+DebugLogger.prototype.logRetry = function(retry) {
+  this.write_(format('Retrying {request} in {delay}ms after {reason}', {
+    request: describeRequest(retry.reqOpts),
+    delay: retry.delay,
+    reason: retry.err ? retry.err.code : 'an error'
+  }));
+};
+
+/**
+ * Log a request that failed without a response.
+ *
+ * @param {object} reqOpts - Request options in the format `request` expects.
+ * @param {error} err - The error.
+ * @param {number} elapsed - Milliseconds since the request was made.
+ */
+DebugLogger.prototype.logError = function(reqOpts, err, elapsed) {
+  this.write_(format('{request} failed after {elapsed}ms: {message}', {
+    request: describeRequest(reqOpts),
+    elapsed: elapsed,
+    message: err.message
+  }));
+};
+
+/**
+ * Redact and write a message.
+ *
+ * @private
+ *
+ * @param {string} message - The message to write.
+ */
+DebugLogger.prototype.write_ = function(message) {
+  this.log('gcloud: ' + DebugLogger.redact(message));
+};
+
+/*! Developer Documentation
+ *
+ * Describe a request by its method and URI, including the query string.
+ */
+function describeRequest(reqOpts) {
+  var uri = reqOpts.uri || reqOpts.url || '';
+
+  if (!is.string(uri)) {
+    uri = uri.href;
+  }
+
+  if (!is.empty(reqOpts.qs)) {
+    uri += (uri.indexOf('?') === -1 ? '?' : '&') +
+      querystring.stringify(reqOpts.qs);
+  }
+
+  return (reqOpts.method || 'GET').toUpperCase() + ' ' + uri;
+}
+
+/*! Developer Documentation
+ *
+ * Describe the headers of a request or response, without any credentials.
+ */
+function describeHeaders(headers) {
+  if (is.empty(headers)) {
+    return '';
+  }
+
+  headers = extend({}, headers);
+
+  Object.keys(headers).forEach(function(name) {
+    if (name.toLowerCase() === 'authorization') {
+      headers[name] = REDACTED;
+    }
+  });
+
+  return '\n  headers: ' + JSON.stringify(headers);
+}
+
+/*! Developer Documentation
+ *
+ * Describe a request or response body. Binary data is only described by its
+ * size.
+ */
+function describeBody(body) {
+  if (is.undefined(body) || body === null || body === '') {
+    return '';
+  }
+
+  if (Buffer.isBuffer(body)) {
+    return '\n  body: <Buffer ' + body.length + ' bytes>';
+  }
+
+  if (!is.string(body)) {
+    body = JSON.stringify(body);
+  }
+
+  return '\n  body: ' + body;
+}
+
+module.exports = DebugLogger;
@@ -0,0 +1,274 @@
+/*!
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module common/longrunningoperation
+ */
+
+'use strict';
+
+var events = require('events');
+var extend = require('extend');
+var is = require('is');
+var modelo = require('modelo');
+var once = require('once');
+
+/**
+ * @type {module:common/serviceObject}
+ * @private
+ */
+var ServiceObject = require('./service-object.js');
+
+/**
+ * @type {module:common/util}
+ * @private
+ */
+var util = require('./util.js');
+
+/**
+ * LongRunningOperation is a base class for service objects that track work
+ * the API does in the background, like a Compute Engine operation or a
+ * BigQuery job.
+ *
+ * The status of the work is polled while there are "complete" listeners, or
+ * callbacks waiting for it with `waitUntilDone`. Every poll that finds the
+ * work still running emits a "progress" event. Polling stops after a
+ * "complete" or "error" event.
+ *
+ * Inheriting classes implement `poll_`.
+ *
+ * @private
+ *
+ * @param {object} config - Configuration object, passed to
+ *     {module:common/serviceObject}.
+ * @param {object=} config.pollingOptions - Default polling options. See
+ *     {module:common/longrunningoperation#pollingOptions}.
+ */
+function LongRunningOperation(config) {
+  ServiceObject.call(this, config);
+  events.EventEmitter.call(this);
+
+  /**
+   * How often the status is polled. The first poll is made right away. Each
+   * delay after that is `multiplier` times the previous one.
+   *
+   * @type {object}
+   * @property {number} initialDelay - Milliseconds to wait after the first
+   *     poll. (default: 500)
+   * @property {number} maxDelay - The longest wait between two polls, in
+   *     milliseconds. (default: 30000)
+   * @property {number} multiplier - (default: 1.5)
+   */
+  this.pollingOptions = extend({
+    initialDelay: 500,
+    maxDelay: 30000,
+    multiplier: 1.5
+  }, config.pollingOptions);
+
+  this.completeListeners = 0;
+  this.hasActiveListeners = false;
+  this.isPolling_ = false;
+  this.numPolls_ = 0;
+  this.pollTimeout_ = null;
+
+  this.listenForEvents_();
+}
+
+modelo.inherits(LongRunningOperation, ServiceObject, events.EventEmitter);
+
+/**
+ * Wait for the operation to complete.
+ *
+ * @param {object=} options - Configuration object.
+ * @param {number} options.timeout - Milliseconds to wait before the callback
+ *     receives a `TimeoutError`. The operation itself is not affected.
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error from the operation, or from polling
+ *     its status.
+ * @param {object} callback.metadata - The metadata of the completed operation.
+ * @return {object} - An object with an `abort` method, to stop waiting. The
+ *     callback receives a `CancellationError`.
+ */
+LongRunningOperation.prototype.waitUntilDone = function(options, callback) {
+  var self = this;
+  var timeout;
+
+  if (is.fn(options)) {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
+  callback = once(callback);
+
+  function onComplete(metadata) {
+    stopWaiting();
+    callback(null, metadata);
+  }
+
+  function onError(err) {
+    stopWaiting();
+    callback(err);
+  }
+
+  function stopWaiting() {
+    clearTimeout(timeout);
+    self.removeListener('error', onError);
+    self.removeListener('complete', onComplete);
+  }
+
+  this.on('error', onError);
+  this.on('complete', onComplete);
+
+  if (options.timeout > 0) {
+    timeout = setTimeout(function() {
+      stopWaiting();
+      callback(util.TimeoutError(options.timeout));
+    }, options.timeout);
+  }
+
+  return {
+    abort: function() {
+      stopWaiting();
+      callback(util.CancellationError());
+    }
+  };
+};
+
+/**
+ * Get the number of milliseconds to wait before the next poll.
+ *
+ * @private
+ *
+ * @return {number}
+ */
+LongRunningOperation.prototype.getPollDelay_ = function() {
+  var pollingOptions = this.pollingOptions;
+  var multiplier = Math.pow(pollingOptions.multiplier, this.numPolls_ - 1);
+  var delay = pollingOptions.initialDelay * multiplier;
+
+  return Math.min(delay, pollingOptions.maxDelay);
+};
+
+/**
+ * Begin listening for events on the operation. This method keeps track of how
+ * many "complete" listeners are registered and removed, making sure polling is
+ * handled automatically.
+ *
+ * As long as there is one active "complete" listener, the connection is open.
+ * When there are no more listeners, the polling stops.
+ *
+ * @private
+ */
+LongRunningOperation.prototype.listenForEvents_ = function() {
+  var self = this;
+
+  this.on('newListener', function(event) {
+    if (event === 'complete') {
+      self.completeListeners++;
+      self.hasActiveListeners = true;
+
+      if (!self.isPolling_) {
+        self.numPolls_ = 0;
+        self.startPolling_();
+      }
+    }
+  });
+
+  this.on('removeListener', function(event) {
+    if (event === 'complete' && --self.completeListeners === 0) {
+      self.hasActiveListeners = false;
+
+      // A poll that is under way stops polling once it returns.
+      if (self.pollTimeout_) {
+        clearTimeout(self.pollTimeout_);
+        self.pollTimeout_ = null;
+        self.isPolling_ = false;
+      }
+    }
+  });
+};
+
+/**
+ * Check the status of the operation.
+ *
+ * Inheriting classes must implement this method.
+ *
+ * @private
+ *
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error from the operation, or from checking
+ *     its status.
+ * @param {object} callback.metadata - The metadata of the operation.
+ * @param {boolean} callback.isDone - Whether the operation is complete.
+ */
+LongRunningOperation.prototype.poll_ = function() {
+  throw new Error('LongRunningOperation subclasses must implement `poll_`.');
+};
+
+/**
+ * Poll the operation's status until it is complete, or there are no more
+ * listeners.
+ *
+ * Note: This method is automatically called once a "complete" event handler is
+ * registered on the operation.
+ *
+ * @private
+ */
+LongRunningOperation.prototype.startPolling_ = function() {
+  var self = this;
+
+  if (!this.hasActiveListeners) {
+    this.isPolling_ = false;
+    return;
+  }
+
+  this.isPolling_ = true;
+  this.numPolls_++;
+
+  this.poll_(function(err, metadata, isDone) {
+    if (!self.hasActiveListeners) {
+      self.isPolling_ = false;
+      return;
+    }
+
+    if (err) {
+      self.isPolling_ = false;
+      self.emit('error', err);
+      return;
+    }
+
+    if (isDone) {
+      self.isPolling_ = false;
+      self.emit('complete', metadata);
+      return;
+    }
+
+    self.emit('progress', metadata);
+
+    self.pollTimeout_ = setTimeout(function() {
+      self.pollTimeout_ = null;
+      self.startPolling_();
+    }, self.getPollDelay_());
+  });
+};
+
+// The EventEmitter methods mixed into the prototype are synchronous.
+util.promisifyAll(LongRunningOperation, {
+  exclude: Object.keys(events.EventEmitter.prototype)
+});
+
+module.exports = LongRunningOperation;
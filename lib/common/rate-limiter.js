@@ -0,0 +1,313 @@
+/*!
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module common/ratelimiter
+ */
+
+'use strict';
+
+var extend = require('extend');
+var is = require('is');
+
+/** @const {string[]} HTTP methods of requests in the `read` family. */
+var READ_METHODS = ['GET', 'HEAD'];
+
+/** @const {string[]} The families requests are divided into. */
+var FAMILIES = ['read', 'write'];
+
+/**
+ * Rate limiters in use, by the service and limits they were created for, so
+ * that every instance of a service in the process shares one.
+ *
+ * @type {object}
+ * @private
+ */
+var rateLimiters = {};
+
+/**
+ * A RateLimiter keeps the requests made to an API under a rate, so that quotas
+ * are not exceeded in the first place. Requests over the rate wait in a queue.
+ *
+ * Limits are enforced with a token bucket: it holds up to `burst` tokens, and
+ * gains `requestsPerSecond` tokens each second. Every request takes one.
+ *
+ * Requests are divided into two families: `read` requests (GET and HEAD), and
+ * `write` requests (every other method). A family given its own limits has a
+ * bucket to itself. Otherwise, it shares the default bucket.
+ *
+ * @constructor
+ * @alias module:common/ratelimiter
+ *
+ * @throws {Error} If a rate is not a positive number.
+ *
+ * @param {object} options - Configuration object.
+ * @param {number} options.burst - The most requests made at once, before the
+ *     rate applies. (default: `requestsPerSecond`, and at least 1)
+ * @param {object=} options.families - Limits for the `read` and `write`
+ *     families, in the same format as `options`. Limits that are not given
+ *     default to those in `options`.
+ * @param {number} options.maxQueue - The most requests waiting at once. Any
+ *     more fail with a `QueueFullError`. (default: `Infinity`)
+ * @param {number} options.requestsPerSecond - The sustained rate.
+ */
+function RateLimiter(options) {
+  options = options || {};
+
+  var families = options.families || {};
+
+  this.buckets_ = {
+    default: new TokenBucket(options)
+  };
+
+  FAMILIES.forEach(function(family) {
+    if (families[family]) {
+      var familyOptions = extend({}, options, families[family]);
+      this.buckets_[family] = new TokenBucket(familyOptions);
+    }
+  }, this);
+}
+
+/**
+ * Get the RateLimiter for the configuration given to a service. Instances of a
+ * service configured with the same limits share a RateLimiter.
+ *
+ * @param {object=} config - Configuration object.
+ * @param {object|module:common/ratelimiter=} config.rateLimit - A RateLimiter,
+ *     or the options to create one with.
+ * @param {string=} id - Identifies the service. If omitted, a new RateLimiter
+ *     is created.
+ * @return {?module:common/ratelimiter} - `null` if requests are not limited.
+ */
+RateLimiter.fromConfig = function(config, id) {
+  config = config || {};
+
+  var rateLimit = config.rateLimit;
+
+  if (!rateLimit) {
+    return null;
+  }
+
+  if (rateLimit instanceof RateLimiter) {
+    return rateLimit;
+  }
+
+  if (!id) {
+    return new RateLimiter(rateLimit);
+  }
+
+  var key = id + ':' + JSON.stringify(rateLimit);
+
+  if (!rateLimiters[key]) {
+    rateLimiters[key] = new RateLimiter(rateLimit);
+  }
+
+  return rateLimiters[key];
+};
+
+/**
+ * Get the family of a request.
+ *
+ * @param {object} reqOpts - Request options in the format `request` expects.
+ * @return {string} - Either `read` or `write`.
+ */
+RateLimiter.getFamily = function(reqOpts) {
+  var method = (reqOpts.method || 'GET').toUpperCase();
+  return READ_METHODS.indexOf(method) > -1 ? 'read' : 'write';
+};
+
+/**
+ * Wait until a request may be made under the rate limit.
+ *
+ * @param {object} reqOpts - Request options in the format `request` expects.
+ * @param {function} callback - Executed when the request may be made. If it
+ *     may be made right away, this happens before `acquire` returns.
+ * @return {?object} - An object with a `cancel` method, which removes the
+ *     request from the queue. `null` if the queue is full.
+ */
+RateLimiter.prototype.acquire = function(reqOpts, callback) {
+  var family = RateLimiter.getFamily(reqOpts);
+  var bucket = this.buckets_[family] || this.buckets_.default;
+
+  return bucket.acquire(callback);
+};
+
+/**
+ * Get the number of requests that waited for the rate limit, and for how long.
+ *
+ * @return {object} - The stats of each bucket, by family, or `default`. Each
+ *     has the number of `requests` made, the number of those `throttled` by
+ *     the rate limit, the number `rejected` because the queue was full, the
+ *     number `queued` now, and the `totalDelay` of throttled requests, in
+ *     milliseconds.
+ *
+ * @example
+ * var stats = bigquery.rateLimiter.getStats();
+ * // stats.default = {
+ * //   requests: 1200,
+ * //   throttled: 200,
+ * //   rejected: 0,
+ * //   queued: 12,
+ * //   totalDelay: 31400
+ * // }
+ */
+RateLimiter.prototype.getStats = function() {
+  var stats = {};
+
+  for (var family in this.buckets_) {
+    if (this.buckets_.hasOwnProperty(family)) {
+      stats[family] = this.buckets_[family].getStats();
+    }
+  }
+
+  return stats;
+};
+
+/*! Developer Documentation
+ *
+ * A token bucket, with a queue of requests waiting for a token.
+ *
+ * @param {object} options - See {module:common/ratelimiter}.
+ */
+function TokenBucket(options) {
+  var rate = options.requestsPerSecond;
+  var isValidRate = is.number(rate) && rate > 0;
+
+  if (!isValidRate) {
+    throw new Error('A rate limit needs a positive `requestsPerSecond`.');
+  }
+
+  this.rate = rate;
+  this.burst = Math.max(1, is.number(options.burst) ? options.burst : rate);
+  this.maxQueue = is.number(options.maxQueue) ? options.maxQueue : Infinity;
+
+  this.tokens = this.burst;
+  this.lastRefill = Date.now();
+  this.queue = [];
+  this.timeout = null;
+
+  this.stats = {
+    requests: 0,
+    throttled: 0,
+    rejected: 0,
+    totalDelay: 0
+  };
+}
+
+/*! Developer Documentation
+ *
+ * Take a token, or wait in the queue for one.
+ */
+TokenBucket.prototype.acquire = function(callback) {
+  var self = this;
+
+  this.refill();
+
+  if (this.queue.length === 0 && this.tokens >= 1) {
+    this.tokens--;
+    this.stats.requests++;
+    callback();
+
+    return {
+      cancel: function() {}
+    };
+  }
+
+  if (this.queue.length >= this.maxQueue) {
+    this.stats.rejected++;
+    return null;
+  }
+
+  var queuedRequest = {
+    callback: callback,
+    queuedAt: Date.now()
+  };
+
+  this.queue.push(queuedRequest);
+  this.stats.throttled++;
+  this.schedule();
+
+  return {
+    cancel: function() {
+      var index = self.queue.indexOf(queuedRequest);
+
+      if (index > -1) {
+        self.queue.splice(index, 1);
+      }
+    }
+  };
+};
+
+/*! Developer Documentation
+ *
+ * Add the tokens gained since the last refill.
+ */
+TokenBucket.prototype.refill = function() {
+  var now = Date.now();
+  var gained = (now - this.lastRefill) / 1000 * this.rate;
+
+  this.tokens = Math.min(this.burst, this.tokens + gained);
+  this.lastRefill = now;
+};
+
+/*! Developer Documentation
+ *
+ * Wait until the next token is gained, then let waiting requests through.
+ */
+TokenBucket.prototype.schedule = function() {
+  var self = this;
+
+  if (this.timeout || this.queue.length === 0) {
+    return;
+  }
+
+  var delay = Math.ceil(Math.max(0, 1 - this.tokens) / this.rate * 1000);
+
+  this.timeout = setTimeout(function() {
+    self.timeout = null;
+    self.drain();
+  }, delay);
+};
+
+/*! Developer Documentation
+ *
+ * Let as many waiting requests through as there are tokens.
+ */
+TokenBucket.prototype.drain = function() {
+  this.refill();
+
+  while (this.queue.length > 0 && this.tokens >= 1) {
+    var queuedRequest = this.queue.shift();
+
+    this.tokens--;
+    this.stats.requests++;
+    this.stats.totalDelay += Date.now() - queuedRequest.queuedAt;
+
+    queuedRequest.callback();
+  }
+
+  this.schedule();
+};
+
+/*! Developer Documentation
+ *
+ * Get the stats of the bucket, with the number of requests waiting now.
+ */
+TokenBucket.prototype.getStats = function() {
+  return extend({ queued: this.queue.length }, this.stats);
+};
+
+module.exports = RateLimiter;
@@ -0,0 +1,514 @@
+/*!
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module common/recorder
+ */
+
+'use strict';
+
+var arrify = require('arrify');
+var extend = require('extend');
+var format = require('string-format-obj');
+var fs = require('fs');
+var http = require('http');
+var is = require('is');
+var path = require('path');
+var querystring = require('querystring');
+var through = require('through2');
+var url = require('url');
+
+/** @const {string[]} The modes a Recorder can be used in. */
+var MODES = ['record', 'replay'];
+
+/** @const {string[]} Fields that are always ignored when matching requests. */
+var DEFAULT_IGNORE = ['pageToken'];
+
+/** @const {RegExp} Matches RFC 3339 timestamps, which are ignored as well. */
+var TIMESTAMP_REGEX =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+/** @const {string} Replaces timestamps when matching requests. */
+var TIMESTAMP = '<timestamp>';
+
+/** @const {string[]} Query string parameters that hold credentials. */
+var SECRET_PARAMS = ['access_token', 'key'];
+
+/** @const {string} Replaces credentials in the fixture file. */
+var SECRET = '<secret>';
+
+/**
+ * Recorders in use, by their fixture file, so that every service writing to or
+ * reading from the same file shares one.
+ *
+ * @type {object}
+ * @private
+ */
+var recorders = {};
+
+/**
+ * A Recorder captures the requests made to an API, and their responses, in a
+ * fixture file. It can then replay the responses from that file, without
+ * credentials or a network connection.
+ *
+ * A request is answered by the first response recorded for a matching request
+ * that was not replayed yet. Requests match when their method, URI, query
+ * string, and JSON body are the same, apart from any ignored fields. Page
+ * tokens and timestamps are always ignored.
+ *
+ * Headers are not recorded. API keys and access tokens in the query string are
+ * masked before they are saved, and requests are matched by the masked form.
+ *
+ * Recording starts a new fixture file, which is written after each response.
+ * When replaying, the fixture file is read before the first request.
+ *
+ * @constructor
+ * @alias module:common/recorder
+ *
+ * @throws {Error} If the mode or path is invalid.
+ *
+ * @param {object} options - Configuration object.
+ * @param {string[]=} options.ignore - Names of query string parameters and JSON
+ *     body fields to ignore when matching requests.
+ * @param {string} options.mode - Either `record` or `replay`.
+ * @param {string} options.path - Path to the fixture file.
+ */
+function Recorder(options) {
+  options = options || {};
+
+  if (MODES.indexOf(options.mode) === -1) {
+    throw new Error('A fixtures mode of "record" or "replay" is required.');
+  }
+
+  if (!is.string(options.path)) {
+    throw new Error('A path to a fixture file is required.');
+  }
+
+  this.ignore = DEFAULT_IGNORE.concat(arrify(options.ignore));
+  this.mode = options.mode;
+  this.path = path.resolve(options.path);
+  this.fixtures = [];
+  this.unplayedFixtures_ = null;
+}
+
+/**
+ * Get the Recorder for the configuration given to a service. Services using
+ * the same fixture file share a Recorder.
+ *
+ * @param {object=} config - Configuration object.
+ * @param {object|module:common/recorder=} config.fixtures - A Recorder, or the
+ *     options to create one with.
+ * @return {?module:common/recorder} - `null` if fixtures are not in use.
+ */
+Recorder.fromConfig = function(config) {
+  config = config || {};
+
+  var fixtures = config.fixtures;
+
+  if (!fixtures) {
+    return null;
+  }
+
+  if (fixtures instanceof Recorder) {
+    return fixtures;
+  }
+
+  var id = fixtures.mode + ':' + path.resolve(String(fixtures.path));
+
+  if (!recorders[id]) {
+    recorders[id] = new Recorder(fixtures);
+  }
+
+  return recorders[id];
+};
+
+/**
+ * Wrap a `request` function, so that the requests it makes are recorded, or
+ * replayed from the fixture file instead of being sent.
+ *
+ * @param {function} request - The `request` function to wrap.
+ * @return {function} - A function with the same signature as `request`.
+ */
+Recorder.prototype.wrap = function(request) {
+  var self = this;
+
+  return function(reqOpts, callback) {
+    if (self.mode === 'replay') {
+      return self.replay_(reqOpts, callback);
+    }
+
+    return self.record_(request, reqOpts, callback);
+  };
+};
+
+/**
+ * Make a request, then save it and its response to the fixture file.
+ *
+ * @private
+ *
+ * @param {function} request - The `request` function to make the request with.
+ * @param {object} reqOpts - Request options in the format `request` expects.
+ * @param {function=} callback - The callback function. If omitted, the request
+ *     stream is returned.
+ * @return {object|stream} - The request.
+ */
+Recorder.prototype.record_ = function(request, reqOpts, callback) {
+  var self = this;
+
+  if (is.fn(callback)) {
+    return request(reqOpts, function(err, response, body) {
+      if (!err) {
+        self.save_(reqOpts, response, body);
+      }
+
+      callback.apply(null, arguments);
+    });
+  }
+
+  var requestStream = request(reqOpts);
+  var response;
+  var chunks = [];
+
+  requestStream
+    .on('response', function(response_) {
+      response = response_;
+    })
+    .on('data', function(chunk) {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : new Buffer(chunk));
+    })
+    .on('end', function() {
+      if (response) {
+        self.save_(reqOpts, response, Buffer.concat(chunks));
+      }
+    });
+
+  return requestStream;
+};
+
+/**
+ * Answer a request with the response recorded for it.
+ *
+ * @private
+ *
+ * @param {object} reqOpts - Request options in the format `request` expects.
+ * @param {function=} callback - The callback function. If omitted, a stream is
+ *     returned. Anything written to it is discarded.
+ * @return {object|stream} - An object with an `abort` method, or the stream.
+ */
+Recorder.prototype.replay_ = function(reqOpts, callback) {
+  var isAborted = false;
+  var numStreamsEnded = 0;
+  var error;
+  var fixture;
+  var response;
+
+  try {
+    fixture = this.takeFixture_(reqOpts);
+  } catch (e) {
+    error = e;
+  }
+
+  if (fixture) {
+    response = createResponse(reqOpts, fixture.response);
+  } else if (!error) {
+    error = new Error(format('No recorded response matches {request}.', {
+      request: (reqOpts.method || 'GET').toUpperCase() + ' ' + getUri(reqOpts)
+    }));
+  }
+
+  if (is.fn(callback)) {
+    // Multipart bodies may be streamed. They are drained as `request` would.
+    var streams = arrify(reqOpts.multipart)
+      .map(function(part) {
+        return part.body;
+      })
+      .filter(function(body) {
+        return body && is.fn(body.pipe);
+      });
+
+    var numPending = streams.length + 1;
+
+    streams.forEach(function(stream) {
+      stream.on('end', onDrained).resume();
+    });
+
+    setImmediate(onDrained);
+
+    return {
+      abort: function() {
+        isAborted = true;
+      }
+    };
+  }
+
+  var replayStream = through(function(chunk, enc, next) {
+    next();
+  }, function(done) {
+    if (isAborted || error) {
+      done(isAborted ? null : error);
+      return;
+    }
+
+    // Like the response from `request`, this can be read from for the raw
+    // body. It is drained if nobody does.
+    response = createResponseStream(response);
+
+    this.emit('response', response);
+
+    // Listeners added to the response come first, so a stream it is piped to
+    // has ended by the time the response is complete.
+    response.on('end', onStreamEnded);
+
+    if (response.listeners('data').length === 0) {
+      response.resume();
+    }
+
+    if (!is.undefined(response.body)) {
+      this.push(toBuffer(response.body));
+    }
+
+    done();
+  });
+
+  replayStream.abort = function() {
+    isAborted = true;
+  };
+
+  replayStream.on('end', onStreamEnded);
+
+  if ((reqOpts.method || 'GET').toUpperCase() === 'GET') {
+    setImmediate(replayStream.end.bind(replayStream));
+  }
+
+  return replayStream;
+
+  function onStreamEnded() {
+    // The response is complete once it has been read, as well as the body.
+    if (++numStreamsEnded === 2 && !isAborted && !error) {
+      replayStream.emit('complete', response);
+    }
+  }
+
+  function onDrained() {
+    if (--numPending > 0 || isAborted) {
+      return;
+    }
+
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    callback(null, response, response.body);
+  }
+};
+
+/**
+ * Save a request and its response to the fixture file.
+ *
+ * @private
+ *
+ * @param {object} reqOpts - Request options in the format `request` expects.
+ * @param {object} response - The HTTP response.
+ * @param {*=} body - The response body.
+ */
+Recorder.prototype.save_ = function(reqOpts, response, body) {
+  var recordedResponse = {
+    statusCode: response.statusCode,
+    headers: response.headers
+  };
+
+  if (Buffer.isBuffer(body)) {
+    recordedResponse.body = body.toString('base64');
+    recordedResponse.encoding = 'base64';
+  } else {
+    recordedResponse.body = body;
+  }
+
+  this.fixtures.push({
+    request: describeRequest(reqOpts),
+    response: recordedResponse
+  });
+
+  fs.writeFileSync(this.path, JSON.stringify(this.fixtures, null, 2) + '\n');
+};
+
+/**
+ * Find the first fixture for a request that was not replayed yet, and mark it
+ * as replayed.
+ *
+ * @private
+ *
+ * @throws {Error} If the fixture file cannot be read.
+ *
+ * @param {object} reqOpts - Request options in the format `request` expects.
+ * @return {?object} - The fixture, or `null` if none match.
+ */
+Recorder.prototype.takeFixture_ = function(reqOpts) {
+  if (!this.unplayedFixtures_) {
+    this.fixtures = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    this.unplayedFixtures_ = this.fixtures.slice();
+  }
+
+  var requestId = this.identify_(reqOpts);
+
+  for (var i = 0; i < this.unplayedFixtures_.length; i++) {
+    var fixture = this.unplayedFixtures_[i];
+
+    if (this.identify_(fixture.request) === requestId) {
+      this.unplayedFixtures_.splice(i, 1);
+      return fixture;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Identify a request by the values used to match it, without the ignored
+ * fields.
+ *
+ * @private
+ *
+ * @param {object} reqOpts - Request options, or a request as saved to the
+ *     fixture file.
+ * @return {string} - The same for every matching request.
+ */
+Recorder.prototype.identify_ = function(reqOpts) {
+  var ignore = this.ignore;
+  var description = JSON.stringify(describeRequest(reqOpts));
+
+  var normalized = JSON.parse(description, function(key, val) {
+    if (ignore.indexOf(key) > -1) {
+      return undefined;
+    }
+
+    if (is.string(val) && TIMESTAMP_REGEX.test(val)) {
+      return TIMESTAMP;
+    }
+
+    return val;
+  });
+
+  return serialize(normalized);
+};
+
+/*! Developer Documentation
+ *
+ * Describe a request by the values it is matched with. Query string values are
+ * compared as strings, whether they were given in `reqOpts.qs` or the URI.
+ * Credentials are masked, and headers, such as `Authorization`, are left out.
+ */
+function describeRequest(reqOpts) {
+  var uri = url.parse(getUri(reqOpts), true);
+  var qs = querystring.stringify(extend({}, uri.query, reqOpts.qs));
+
+  qs = querystring.parse(qs);
+
+  SECRET_PARAMS.forEach(function(name) {
+    if (!is.undefined(qs[name])) {
+      qs[name] = SECRET;
+    }
+  });
+
+  return {
+    method: (reqOpts.method || 'GET').toUpperCase(),
+    uri: format('{protocol}//{host}{pathname}', uri),
+    qs: qs,
+    json: is.object(reqOpts.json) ? reqOpts.json : undefined
+  };
+}
+
+/*! Developer Documentation
+ *
+ * Get the URI of a request, which may be a string or a parsed URL.
+ */
+function getUri(reqOpts) {
+  var uri = reqOpts.uri || reqOpts.url || '';
+  return is.string(uri) ? uri : uri.href;
+}
+
+/*! Developer Documentation
+ *
+ * Create the response `request` would have given, from a recorded response.
+ */
+function createResponse(reqOpts, recordedResponse) {
+  var body = recordedResponse.body;
+
+  if (recordedResponse.encoding === 'base64') {
+    body = new Buffer(body, 'base64');
+  }
+
+  return {
+    statusCode: recordedResponse.statusCode,
+    statusMessage: http.STATUS_CODES[recordedResponse.statusCode],
+    headers: extend({}, recordedResponse.headers),
+    body: body,
+    request: {
+      method: (reqOpts.method || 'GET').toUpperCase(),
+      uri: url.parse(getUri(reqOpts))
+    }
+  };
+}
+
+/*! Developer Documentation
+ *
+ * Create a readable stream of a response's body, with the response's
+ * properties.
+ */
+function createResponseStream(response) {
+  var responseStream = extend(through(), response);
+
+  if (!is.undefined(response.body)) {
+    responseStream.write(toBuffer(response.body));
+  }
+
+  responseStream.end();
+
+  return responseStream;
+}
+
+/*! Developer Documentation
+ *
+ * Convert a response body to the data a stream would have received.
+ */
+function toBuffer(body) {
+  if (Buffer.isBuffer(body)) {
+    return body;
+  }
+
+  return new Buffer(is.string(body) ? body : JSON.stringify(body));
+}
+
+/*! Developer Documentation
+ *
+ * Serialize a value as JSON, with the keys of objects in a stable order.
+ */
+function serialize(value) {
+  if (is.array(value)) {
+    return '[' + value.map(serialize).join(',') + ']';
+  }
+
+  if (is.object(value)) {
+    return '{' + Object.keys(value).sort().map(function(key) {
+      return JSON.stringify(key) + ':' + serialize(value[key]);
+    }).join(',') + '}';
+  }
+
+  return String(JSON.stringify(value));
+}
+
+module.exports = Recorder;
@@ -0,0 +1,182 @@
+/*!
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module common/retrypolicy
+ */
+
+'use strict';
+
+var arrify = require('arrify');
+var extend = require('extend');
+var is = require('is');
+
+/**
+ * A RetryPolicy decides if, and when, a failed API request is attempted again.
+ *
+ * @constructor
+ * @alias module:common/retrypolicy
+ *
+ * @param {object=} options - Configuration object.
+ * @param {number[]} options.codes - HTTP status codes that are retried.
+ *     (default: `[429, 500, 502, 503]`)
+ * @param {number} options.initialDelay - Milliseconds to wait before the first
+ *     retry. (default: 2000)
+ * @param {number} options.jitter - Up to this many milliseconds are randomly
+ *     added to every delay. (default: 1000)
+ * @param {number} options.maxDelay - The longest delay between two attempts, in
+ *     milliseconds, not counting jitter. (default: 64000)
+ * @param {number} options.maxElapsedTime - Do not retry if the next attempt
+ *     would start later than this many milliseconds after the first one.
+ *     (default: `Infinity`)
+ * @param {number} options.maxRetries - Maximum number of automatic retries
+ *     attempted before returning the error. (default: 3)
+ * @param {number} options.multiplier - Each delay is this many times the
+ *     previous one. (default: 2)
+ * @param {function=} options.onRetry - Called before every retry with the
+ *     retry details. See {module:common/retrypolicy#shouldRetry}.
+ * @param {string[]} options.reasons - Reasons from an API error's `errors`
+ *     array that are retried, regardless of the status code. (default:
+ *     `['rateLimitExceeded', 'userRateLimitExceeded']`)
+ * @param {boolean} options.retryNonIdempotent - Retry requests that could
+ *     have a different effect when repeated, such as publishing a message.
+ *     (default: false)
+ */
+function RetryPolicy(options) {
+  options = options || {};
+
+  this.codes = arrify(options.codes || RetryPolicy.DEFAULT_CODES);
+  this.reasons = arrify(options.reasons || RetryPolicy.DEFAULT_REASONS);
+
+  this.initialDelay = numberOr(options.initialDelay, 2000);
+  this.jitter = numberOr(options.jitter, 1000);
+  this.maxDelay = numberOr(options.maxDelay, 64000);
+  this.maxElapsedTime = numberOr(options.maxElapsedTime, Infinity);
+  this.maxRetries = numberOr(options.maxRetries, 3);
+  this.multiplier = numberOr(options.multiplier, 2);
+
+  this.onRetry = options.onRetry;
+  this.retryNonIdempotent = options.retryNonIdempotent === true;
+}
+
+/**
+ * @const {number[]} HTTP status codes related to rate limits and intermittent
+ *     server errors.
+ */
+RetryPolicy.DEFAULT_CODES = [429, 500, 502, 503];
+
+/** @const {string[]} Error reasons related to rate limits. */
+RetryPolicy.DEFAULT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+/**
+ * Create a RetryPolicy from the configuration given to a service.
+ *
+ * @param {object=} config - Configuration object.
+ * @param {boolean=} config.autoRetry - If false, requests are never retried.
+ * @param {number=} config.maxRetries - Used if `config.retryPolicy` does not
+ *     define `maxRetries`.
+ * @param {object|module:common/retrypolicy=} config.retryPolicy - A
+ *     RetryPolicy, or the options to create one with.
+ * @return {module:common/retrypolicy}
+ */
+RetryPolicy.fromConfig = function(config) {
+  config = config || {};
+
+  if (config.autoRetry === false) {
+    return new RetryPolicy({ maxRetries: 0 });
+  }
+
+  if (config.retryPolicy instanceof RetryPolicy) {
+    return config.retryPolicy;
+  }
+
+  return new RetryPolicy(extend({
+    maxRetries: config.maxRetries
+  }, config.retryPolicy));
+};
+
+/**
+ * Get the number of milliseconds to wait before making a retry attempt.
+ *
+ * @param {number} attempt - The retry attempt, starting at 1.
+ * @return {number}
+ */
+RetryPolicy.prototype.getDelay = function(attempt) {
+  var delay = this.initialDelay * Math.pow(this.multiplier, attempt - 1);
+  var jitter = Math.floor(Math.random() * this.jitter);
+
+  return Math.min(delay, this.maxDelay) + jitter;
+};
+
+/**
+ * Returns true if the error is one that this policy retries.
+ *
+ * @param {error} err - The API error to check.
+ * @return {boolean}
+ */
+RetryPolicy.prototype.isRetryableError = function(err) {
+  if (!err) {
+    return false;
+  }
+
+  if (this.codes.indexOf(err.code) !== -1) {
+    return true;
+  }
+
+  var reasons = this.reasons;
+
+  return arrify(err.errors).some(function(error) {
+    return reasons.indexOf(error.reason) !== -1;
+  });
+};
+
+/**
+ * Returns true if a failed request should be attempted again.
+ *
+ * @param {object} retry - Details about the retry being considered.
+ * @param {number} retry.attempt - The retry attempt, starting at 1.
+ * @param {number} retry.delay - Milliseconds until the retry would be made.
+ * @param {number} retry.elapsed - Milliseconds since the first attempt.
+ * @param {error} retry.err - The error from the last attempt.
+ * @param {boolean} retry.idempotent - If the request may safely be repeated.
+ * @param {object} retry.reqOpts - The options the request was made with.
+ * @return {boolean}
+ */
+RetryPolicy.prototype.shouldRetry = function(retry) {
+  if (retry.attempt > this.maxRetries) {
+    return false;
+  }
+
+  if (!retry.idempotent && !this.retryNonIdempotent) {
+    return false;
+  }
+
+  if (retry.elapsed + retry.delay > this.maxElapsedTime) {
+    return false;
+  }
+
+  return this.isRetryableError(retry.err);
+};
+
+/*! Developer Documentation
+ *
+ * Use the numeric `value` if given, otherwise `defaultValue`.
+ */
+function numberOr(value, defaultValue) {
+  return is.number(value) ? value : defaultValue;
+}
+
+module.exports = RetryPolicy;
@@ -23,6 +23,7 @@
 var exec = require('methmeth');
 var extend = require('extend');
 var is = require('is');
+var once = require('once');
 
 /**
  * @type {module:common/util}
@@ -60,6 +61,7 @@ function ServiceObject(config) {
   var self = this;
 
   this.metadata = {};
+  this.metadataUpdated_ = null;
 
   this.baseUrl = config.baseUrl;
   this.parent = config.parent; // Parent class.
@@ -73,8 +75,9 @@ function ServiceObject(config) {
     allMethodNames
       .filter(function(methodName) {
         return (
-          // All ServiceObjects need `request`.
+          // All ServiceObjects need `request` and the private methods.
           methodName !== 'request' &&
+          !/_$/.test(methodName) &&
 
           // The ServiceObject didn't redefine the method.
           self[methodName] === ServiceObject.prototype[methodName] &&
@@ -116,7 +119,7 @@ ServiceObject.prototype.create = function(options, callback) {
     var args = [].slice.call(arguments);
 
     if (!err) {
-      self.metadata = instance.metadata;
+      self.updateMetadata_(instance.metadata);
       args[1] = self; // replace the created `instance` with this one.
     }
 
@@ -125,29 +128,45 @@ ServiceObject.prototype.create = function(options, callback) {
 
   args.push(onCreate);
 
-  this.createMethod.apply(null, args);
+  return this.createMethod.apply(null, args);
 };
 
 /**
  * Delete the object.
  *
+ * @throws {Error} If a precondition uses the ETag or metageneration from the
+ *     metadata, but the metadata does not have one.
+ *
+ * @param {object=} options - Preconditions of the request. See
+ *     {module:common/serviceObject#setMetadata}.
  * @param {function=} callback - The callback function.
  * @param {?error} callback.err - An error returned while making this request.
+ *     A `PreconditionFailedError` if the object changed.
  * @param {object} callback.apiResponse - The full API response.
  */
-ServiceObject.prototype.delete = function(callback) {
+ServiceObject.prototype.delete = function(options, callback) {
+  if (is.fn(options)) {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
+  callback = callback || util.noop;
+
   var methodConfig = this.methods.delete || {};
 
-  var reqOpts = extend({
+  var reqOpts = extend(true, {
     method: 'DELETE',
     uri: ''
   }, methodConfig.reqOpts);
 
-  callback = callback || util.noop;
+  this.addPreconditions_(reqOpts, options);
 
   // The `request` method may have been overridden to hold any special behavior.
   // Ensure we call the original `request` method.
-  ServiceObject.prototype.request.call(this, reqOpts, function(err, resp) {
+  var request = ServiceObject.prototype.request;
+
+  return request.call(this, reqOpts, function(err, resp) {
     callback(err, resp);
   });
 };
@@ -160,7 +179,7 @@ ServiceObject.prototype.delete = function(callback) {
  * @param {boolean} callback.exists - Whether the object exists or not.
  */
 ServiceObject.prototype.exists = function(callback) {
-  this.get(function(err) {
+  return this.get(function(err) {
     if (err) {
       if (err.code === 404) {
         callback(null, false);
@@ -201,7 +220,7 @@ ServiceObject.prototype.get = function(config, callback) {
   var autoCreate = config.autoCreate && is.fn(this.create);
   delete config.autoCreate;
 
-  this.getMetadata(function(err, metadata) {
+  return this.getMetadata(function(err, metadata) {
     if (err) {
       if (err.code === 404 && autoCreate) {
         var args = [callback];
@@ -225,29 +244,67 @@ ServiceObject.prototype.get = function(config, callback) {
 /**
  * Get the metadata of this object.
  *
+ * Set `options.maxAge` to use the metadata from an earlier request, if it is
+ * recent enough. Older metadata is revalidated: if the ETag did not change,
+ * the API responds without the metadata.
+ *
+ * @param {object=} options - Configuration object.
+ * @param {number} options.maxAge - Milliseconds the metadata from an earlier
+ *     request may be used for.
  * @param {function} callback - The callback function.
  * @param {?error} callback.err - An error returned while making this request.
  * @param {object} callback.metadata - The metadata for this object.
- * @param {object} callback.apiResponse - The full API response.
+ * @param {?object} callback.apiResponse - The full API response. `null` if
+ *     earlier metadata was used.
  */
-ServiceObject.prototype.getMetadata = function(callback) {
+ServiceObject.prototype.getMetadata = function(options, callback) {
   var self = this;
 
+  if (is.fn(options)) {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  var isCacheable = is.number(options.maxAge) && !!this.metadataUpdated_;
+
+  if (isCacheable && Date.now() - this.metadataUpdated_ <= options.maxAge) {
+    return this.getCachedMetadata_(callback);
+  }
+
   var methodConfig = this.methods.getMetadata || {};
 
-  var reqOpts = extend({
+  var reqOpts = extend(true, {
     uri: ''
   }, methodConfig.reqOpts);
 
+  var isRevalidating = isCacheable && !!this.metadata.etag;
+
+  if (isRevalidating) {
+    reqOpts.headers = extend(reqOpts.headers, {
+      'If-None-Match': this.metadata.etag
+    });
+  }
+
   // The `request` method may have been overridden to hold any special behavior.
   // Ensure we call the original `request` method.
-  ServiceObject.prototype.request.call(this, reqOpts, function(err, resp) {
+  var request = ServiceObject.prototype.request;
+
+  return request.call(this, reqOpts, function(err, resp) {
+    if (err && isRevalidating && err.code === 304) {
+      // The metadata did not change.
+      self.metadataUpdated_ = Date.now();
+      callback(null, self.metadata, null);
+      return;
+    }
+
     if (err) {
       callback(err, null, resp);
       return;
     }
 
-    self.metadata = resp;
+    self.updateMetadata_(resp);
 
     callback(null, self.metadata, resp);
   });
@@ -256,15 +313,35 @@ ServiceObject.prototype.getMetadata = function(callback) {
 /**
  * Set the metadata for this object.
  *
+ * The change can be made only if the object did not change since its metadata
+ * was last seen, by giving its ETag or metageneration as a precondition.
+ *
+ * @throws {Error} If a precondition uses the ETag or metageneration from the
+ *     metadata, but the metadata does not have one.
+ *
  * @param {object} metadata - The metadata to set on this object.
+ * @param {object=} options - Preconditions of the request.
+ * @param {boolean|string} options.ifMatch - Only make the request if the
+ *     object's ETag matches this one. Use `true` for the ETag in the metadata.
+ * @param {boolean|number|string} options.ifMetagenerationMatch - Only make the
+ *     request if the object's metageneration matches this one. Use `true` for
+ *     the metageneration in the metadata.
+ * @param {string} options.ifNoneMatch - Only make the request if the object's
+ *     ETag does not match this one.
  * @param {function=} callback - The callback function.
  * @param {?error} callback.err - An error returned while making this request.
- * @param {object} callback.instance - The instance.
+ *     A `PreconditionFailedError` if the object changed.
  * @param {object} callback.apiResponse - The full API response.
  */
-ServiceObject.prototype.setMetadata = function(metadata, callback) {
+ServiceObject.prototype.setMetadata = function(metadata, options, callback) {
   var self = this;
 
+  if (is.fn(options)) {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
   callback = callback || util.noop;
 
   var methodConfig = this.methods.setMetadata || {};
@@ -275,20 +352,112 @@ ServiceObject.prototype.setMetadata = function(metadata, callback) {
     json: metadata
   }, methodConfig.reqOpts);
 
+  this.addPreconditions_(reqOpts, options);
+
   // The `request` method may have been overridden to hold any special behavior.
   // Ensure we call the original `request` method.
-  ServiceObject.prototype.request.call(this, reqOpts, function(err, resp) {
+  var request = ServiceObject.prototype.request;
+
+  return request.call(this, reqOpts, function(err, resp) {
     if (err) {
       callback(err, resp);
       return;
     }
 
-    self.metadata = resp;
+    self.updateMetadata_(resp);
 
     callback(null, resp);
   });
 };
 
+/**
+ * Add the preconditions of a request to its options.
+ *
+ * @private
+ *
+ * @throws {Error} If a precondition uses the ETag or metageneration from the
+ *     metadata, but the metadata does not have one.
+ *
+ * @param {object} reqOpts - Request options that are passed to `request`.
+ * @param {object} options - The preconditions. See
+ *     {module:common/serviceObject#setMetadata}.
+ */
+ServiceObject.prototype.addPreconditions_ = function(reqOpts, options) {
+  var metadata = this.metadata;
+
+  function getPrecondition(value, field) {
+    if (value !== true) {
+      return value;
+    }
+
+    if (is.undefined(metadata[field])) {
+      var message = 'The ' + field + ' is not known. Get the metadata first.';
+      throw new Error(message);
+    }
+
+    return metadata[field];
+  }
+
+  if (options.ifMatch) {
+    reqOpts.headers = extend(reqOpts.headers, {
+      'If-Match': getPrecondition(options.ifMatch, 'etag')
+    });
+  }
+
+  if (options.ifNoneMatch) {
+    reqOpts.headers = extend(reqOpts.headers, {
+      'If-None-Match': options.ifNoneMatch
+    });
+  }
+
+  if (options.ifMetagenerationMatch) {
+    var metageneration =
+      getPrecondition(options.ifMetagenerationMatch, 'metageneration');
+
+    reqOpts.qs = extend(reqOpts.qs, {
+      ifMetagenerationMatch: metageneration
+    });
+  }
+};
+
+/**
+ * Execute a callback with the metadata from an earlier request.
+ *
+ * @private
+ *
+ * @param {function} callback - The callback function.
+ * @return {object} - An object with an `abort` method, to match the requests
+ *     made by other methods.
+ */
+ServiceObject.prototype.getCachedMetadata_ = function(callback) {
+  var self = this;
+
+  // Aborting after the metadata was delivered does nothing.
+  callback = once(callback);
+
+  setImmediate(function() {
+    callback(null, self.metadata, null);
+  });
+
+  return {
+    abort: function() {
+      callback(util.CancellationError());
+    }
+  };
+};
+
+/**
+ * Remember the metadata from a response, along with when it was received.
+ *
+ * @private
+ *
+ * @param {object} metadata - The metadata.
+ */
+ServiceObject.prototype.updateMetadata_ = function(metadata) {
+  this.metadata = metadata;
+  this.metadataUpdated_ = Date.now();
+};
+
 /**
  * Make an authenticated API request.
  *
@@ -318,4 +487,6 @@ ServiceObject.prototype.request = function(reqOpts, callback) {
   return this.parent.request(reqOpts, callback);
 };
 
+util.promisifyAll(ServiceObject);
+
 module.exports = ServiceObject;
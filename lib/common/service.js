@@ -21,6 +21,25 @@
 'use strict';
 
 var arrify = require('arrify');
+var is = require('is');
+
+/**
+ * @type {module:common/batch}
+ * @private
+ */
+var Batch = require('./batch.js');
+
+/**
+ * @type {module:common/ratelimiter}
+ * @private
+ */
+var RateLimiter = require('./rate-limiter.js');
+
+/**
+ * @type {module:common/transport}
+ * @private
+ */
+var Transport = require('./transport.js');
 
 /**
  * @type {module:common/util}
@@ -36,26 +55,101 @@ var util = require('./util.js');
  *
  * @param {object} config - Configuration object.
  * @param {string} config.baseUrl - The base URL to make API requests to.
+ * @param {string=} config.batchUrl - The URL to send batch requests to. Only
+ *     services with one support {module:common/service#batch}.
  * @param {string[]} config.scopes - The scopes required for the request.
  * @param {object} options - [Configuration object](#/docs/?method=gcloud).
+ * @param {string=} options.apiEndpoint - Send requests to this endpoint, such
+ *     as a local emulator, instead of the API. The paths of `config.baseUrl`
+ *     and `config.batchUrl` are kept.
+ * @param {boolean=} options.authenticate - Whether to authenticate requests.
+ *     (default: `false` with an `apiEndpoint`, `true` otherwise)
  */
 function Service(config, options) {
+  // Every instance of this service with the same limits shares them.
+  var rateLimiter = RateLimiter.fromConfig(options, config.baseUrl);
+
+  var apiEndpoint = options.apiEndpoint || null;
+  var authenticate = is.boolean(options.authenticate) ?
+    options.authenticate : !apiEndpoint;
+
   this.makeAuthenticatedRequest = util.makeAuthenticatedRequestFactory({
+    customEndpoint: !authenticate,
     scopes: config.scopes,
     credentials: options.credentials,
     keyFile: options.keyFilename,
-    email: options.email
+    email: options.email,
+    autoRetry: options.autoRetry,
+    maxRetries: options.maxRetries,
+    retryPolicy: options.retryPolicy,
+    timeout: options.timeout,
+    debug: options.debug,
+    fixtures: options.fixtures,
+    rateLimit: rateLimiter,
+    telemetry: options.telemetry_,
+    tracing: options.tracing,
+    transport: Transport.fromConfig(options)
   });
 
+  this.apiEndpoint = apiEndpoint && util.normalizeApiEndpoint(apiEndpoint);
   this.authClient = this.makeAuthenticatedRequest.authClient;
-  this.baseUrl = config.baseUrl;
+  this.baseUrl = util.applyApiEndpoint(config.baseUrl, apiEndpoint);
+  this.batchUrl = config.batchUrl &&
+    util.applyApiEndpoint(config.batchUrl, apiEndpoint);
+  this.getAccessToken = this.makeAuthenticatedRequest.getAccessToken;
   this.getCredentials = this.makeAuthenticatedRequest.getCredentials;
+  this.getIdentity = this.makeAuthenticatedRequest.getIdentity;
   this.globalInterceptors = arrify(options.interceptors_);
   this.interceptors = [];
   this.projectId = options.projectId;
   this.projectIdRequired = config.projectIdRequired !== false;
+  this.rateLimiter = rateLimiter;
+  this.signBlob = this.makeAuthenticatedRequest.signBlob;
+  this.transport = this.makeAuthenticatedRequest.transport;
 }
 
+/**
+ * Send the requests made while a function runs in batch requests, 100 at a
+ * time. Each request's callback still receives its own response. Requests to
+ * other services, uploads, and streaming requests are made as usual. See
+ * {module:common/batch}.
+ *
+ * @throws {Error} If this service does not support batching.
+ *
+ * @param {function} collect - Make the requests to batch. Only the requests
+ *     made before it returns are batched, so a method like `file.move`, which
+ *     deletes the original file once it is copied, is only partly batched.
+ * @param {function=} callback - Executed after the callback of every request.
+ * @param {?error} callback.err - An error sending a batch request.
+ */
+Service.prototype.batch = function(collect, callback) {
+  if (!this.batchUrl) {
+    throw new Error('This API does not support batch requests.');
+  }
+
+  new Batch(this).run(collect, callback);
+};
+
+/**
+ * Get a handle to this service for another project. The handle is used like
+ * the service, and shares its authentication, connections, rate limits, and
+ * interceptors, so a client is not needed for every project.
+ *
+ * @param {string} projectId - The project to make requests to.
+ * @return {module:common/service} - The handle, an instance of the same
+ *     service.
+ */
+Service.prototype.project = function(projectId) {
+  if (!projectId) {
+    throw util.missingProjectIdError;
+  }
+
+  var handle = Object.create(this);
+  handle.projectId = projectId;
+
+  return handle;
+};
+
 /**
  * Make an authenticated API request.
  *
@@ -89,18 +183,16 @@ Service.prototype.request = function(reqOpts, callback) {
     .replace(/\/:/g, ':');
 
   // Interceptors should be called in the order they were assigned.
-  var combinedInterceptors = [].slice.call(this.globalInterceptors)
+  reqOpts.interceptors_ = [].slice.call(this.globalInterceptors)
     .concat(this.interceptors)
     .concat(arrify(reqOpts.interceptors_));
 
-  var interceptor;
+  var batch = Batch.getActive();
 
-  while ((interceptor = combinedInterceptors.shift()) && interceptor.request) {
-    reqOpts = interceptor.request(reqOpts);
+  if (batch && batch.accepts(this, reqOpts, callback)) {
+    return batch.add(this, reqOpts, callback);
   }
 
-  delete reqOpts.interceptors_;
-
   return this.makeAuthenticatedRequest(reqOpts, callback);
 };
 
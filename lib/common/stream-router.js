@@ -22,11 +22,19 @@
 
 var arrify = require('arrify');
 var concat = require('concat-stream');
+var extend = require('extend');
 var split = require('split-array-stream');
 var is = require('is');
 var streamEvents = require('stream-events');
+var once = require('once');
 var through = require('through2');
 
+/**
+ * @type {module:common/util}
+ * @private
+ */
+var util = require('./util.js');
+
 /*! Developer Documentation
  *
  * streamRouter is used to extend `nextQuery`+callback methods with stream
@@ -75,6 +83,7 @@ streamRouter.parseArguments_ = function(args) {
   var callback;
   var maxResults = -1;
   var autoPaginate = true;
+  var prefetchPages = 0;
 
   var firstArgument = args[0];
   var lastArgument = args[args.length - 1];
@@ -108,13 +117,25 @@ streamRouter.parseArguments_ = function(args) {
         query.autoPaginateVal === false)) {
       autoPaginate = false;
     }
+
+    if (is.number(query.prefetchPages)) {
+      prefetchPages = query.prefetchPages;
+
+      // The option is only meant for the router, not the API.
+      query = extend({}, query);
+      delete query.prefetchPages;
+    } else if (is.number(query.prefetchPagesVal)) {
+      // `prefetchPagesVal` is part of a Datastore query.
+      prefetchPages = query.prefetchPagesVal;
+    }
   }
 
   return {
     query: query || {},
     callback: callback,
     maxResults: maxResults,
-    autoPaginate: autoPaginate
+    autoPaginate: autoPaginate,
+    prefetchPages: prefetchPages
   };
 };
 
@@ -131,9 +152,13 @@ streamRouter.parseArguments_ = function(args) {
  * @param {function=} parsedArguments.callback - Callback function.
  * @param {boolean} parsedArguments.autoPaginate - Auto-pagination enabled.
  * @param {number} parsedArguments.maxResults - Maximum results to return.
+ * @param {number} parsedArguments.prefetchPages - Number of pages to buffer
+ *     ahead of the consumer.
  * @param {function} originalMethod - The cached method that accepts a callback
  *     and returns `nextQuery` to receive more results.
- * @return {undefined|stream}
+ * @return {object|stream} - In callback mode, an object with an `abort` method
+ *     that cancels the remaining requests. The callback receives a
+ *     `CancellationError`.
  */
 streamRouter.router_ = function(parsedArguments, originalMethod) {
   var query = parsedArguments.query;
@@ -142,17 +167,28 @@ streamRouter.router_ = function(parsedArguments, originalMethod) {
 
   if (callback) {
     if (autoPaginate) {
-      this.runAsStream_(parsedArguments, originalMethod)
+      callback = once(callback);
+
+      var stream = this.runAsStream_(parsedArguments, originalMethod);
+
+      stream
         .on('error', callback)
         .pipe(concat(function(results) {
           callback(null, results);
         }));
-    } else {
-      originalMethod(query, callback);
+
+      return {
+        abort: function() {
+          callback(util.CancellationError());
+          stream.abort();
+        }
+      };
     }
-  } else {
-    return this.runAsStream_(parsedArguments, originalMethod);
+
+    return originalMethod(query, callback);
   }
+
+  return this.runAsStream_(parsedArguments, originalMethod);
 };
 
 /**
@@ -162,53 +198,326 @@ streamRouter.router_ = function(parsedArguments, originalMethod) {
  * `maxResults` and `limitVal` (from Datastore) will act as a cap for how many
  * results are fetched and emitted to the stream.
  *
+ * With `prefetchPages`, the next pages are buffered while the current one is
+ * being emitted. Pages are not requested while the stream's buffer is full.
+ *
  * @param {object=|string=} parsedArguments.query - Query object. This is most
  *     commonly an object, but to make the API more simple, it can also be a
  *     string in some places.
  * @param {function=} parsedArguments.callback - Callback function.
  * @param {boolean} parsedArguments.autoPaginate - Auto-pagination enabled.
  * @param {number} parsedArguments.maxResults - Maximum results to return.
+ * @param {number} parsedArguments.prefetchPages - Number of pages to buffer
+ *     ahead of the consumer.
  * @param {function} originalMethod - The cached method that accepts a callback
  *     and returns `nextQuery` to receive more results.
- * @return {stream} - Readable object stream.
+ * @return {stream} - Readable object stream. Call its `abort` method to cancel
+ *     the request in progress and end the stream. The stream is also an async
+ *     iterable, and its `pages` method returns an async iterator of pages.
  */
 streamRouter.runAsStream_ = function(parsedArguments, originalMethod) {
-  var query = parsedArguments.query;
-  var resultsToSend = parsedArguments.maxResults;
+  var pages = streamRouter.runAsPageIterator_(parsedArguments, originalMethod);
 
-  var stream = streamEvents(through.obj());
+  var isAborted = false;
+  var onRead = null;
 
-  stream.once('reading', function() {
-    originalMethod(query, onResultSet);
-  });
+  var stream = through.obj();
+
+  // While the stream's buffer is full, the next page is not requested until
+  // the stream is read from again.
+  var read = stream._read;
+  stream._read = function() {
+    if (onRead) {
+      setImmediate(onRead);
+      onRead = null;
+    }
+
+    return read.apply(this, arguments);
+  };
+
+  streamEvents(stream);
+
+  stream.once('reading', getNextPage);
+
+  stream.abort = function() {
+    isAborted = true;
+    pages.return();
+    stream.end();
+  };
+
+  function getNextPage() {
+    var state = stream._readableState;
+
+    if (state.length >= state.highWaterMark) {
+      onRead = getNextPage;
+      return;
+    }
+
+    // The page is handled outside of the Promise chain, so that errors thrown
+    // by the stream's consumer are not swallowed.
+    pages.next().then(function(page) {
+      setImmediate(onPage, null, page);
+    }, function(err) {
+      setImmediate(onPage, err);
+    });
+  }
+
+  function onPage(err, page) {
+    if (isAborted) {
+      return;
+    }
 
-  function onResultSet(err, results, nextQuery) {
     if (err) {
       stream.destroy(err);
       return;
     }
 
-    if (resultsToSend >= 0 && results.length > resultsToSend) {
-      results = results.splice(0, resultsToSend);
+    if (page.done) {
+      stream.push(null);
+      return;
     }
 
-    resultsToSend -= results.length;
-
-    split(results, stream, function(streamEnded) {
+    split(page.value.results, stream, function(streamEnded) {
       if (streamEnded) {
+        // Stop reading ahead.
+        pages.return();
         return;
       }
 
-      if (nextQuery && resultsToSend !== 0) {
-        originalMethod(nextQuery, onResultSet);
-        return;
+      getNextPage();
+    });
+  }
+
+  // The results can also be consumed with `for await...of`, one at a time or
+  // a page at a time. Each iterator makes its own API requests.
+  stream[Symbol.asyncIterator] = function() {
+    return streamRouter.runAsIterator_(parsedArguments, originalMethod);
+  };
+
+  stream.pages = function() {
+    return streamRouter.runAsPageIterator_(parsedArguments, originalMethod);
+  };
+
+  return stream;
+};
+
+/**
+ * Create an async iterator that yields each result. A page is only requested
+ * once every result from the page before it has been consumed.
+ *
+ * Ending the iteration early, e.g. with `break`, stops any further API
+ * requests.
+ *
+ * @param {object=|string=} parsedArguments.query - Query object. This is most
+ *     commonly an object, but to make the API more simple, it can also be a
+ *     string in some places.
+ * @param {number} parsedArguments.maxResults - Maximum results to return.
+ * @param {number} parsedArguments.prefetchPages - Number of pages to buffer
+ *     ahead of the consumer.
+ * @param {function} originalMethod - The cached method that accepts a callback
+ *     and returns `nextQuery` to receive more results.
+ * @return {object} - An async iterator.
+ */
+streamRouter.runAsIterator_ = function(parsedArguments, originalMethod) {
+  var pages = streamRouter.runAsPageIterator_(parsedArguments, originalMethod);
+  var results = [];
+
+  function getResult() {
+    if (results.length > 0) {
+      return {
+        done: false,
+        value: results.shift()
+      };
+    }
+
+    return pages.next().then(function(page) {
+      if (page.done) {
+        return page;
       }
 
-      stream.push(null);
+      results = page.value.results;
+      return getResult();
     });
   }
 
-  return stream;
+  var iterator = {
+    next: serialize(getResult),
+
+    return: function() {
+      results = [];
+      return pages.return();
+    }
+  };
+
+  iterator[Symbol.asyncIterator] = function() {
+    return this;
+  };
+
+  return iterator;
 };
 
+/**
+ * Create an async iterator that yields each page of results as an object with
+ * `results`, `nextQuery`, and `apiResponse` properties. A page is requested
+ * when `next` is called, unless it was already read ahead.
+ *
+ * Only one page is requested at a time, as each request needs the `nextQuery`
+ * from the page before it. With `prefetchPages`, the next page is requested as
+ * soon as the previous one arrives, until that many pages are buffered for the
+ * consumer.
+ *
+ * Ending the iteration early, e.g. with `break`, aborts the request in progress
+ * and stops any further API requests.
+ *
+ * @param {object=|string=} parsedArguments.query - Query object. This is most
+ *     commonly an object, but to make the API more simple, it can also be a
+ *     string in some places.
+ * @param {number} parsedArguments.maxResults - Maximum results to return.
+ * @param {number} parsedArguments.prefetchPages - Number of pages to buffer
+ *     ahead of the consumer.
+ * @param {function} originalMethod - The cached method that accepts a callback
+ *     and returns `nextQuery` to receive more results.
+ * @return {object} - An async iterator.
+ */
+streamRouter.runAsPageIterator_ = function(parsedArguments, originalMethod) {
+  var query = parsedArguments.query;
+  var resultsToSend = parsedArguments.maxResults;
+  var prefetchPages = parsedArguments.prefetchPages || 0;
+
+  var activeRequest;
+  var hasMorePages = true;
+  var isDone = false;
+
+  var pages = [];
+  var lastPage = Promise.resolve();
+
+  function getPage() {
+    if (isDone) {
+      return Promise.resolve(endOfPages());
+    }
+
+    if (pages.length === 0) {
+      requestPage();
+    }
+
+    var page = pages.shift();
+
+    while (hasMorePages && pages.length < prefetchPages) {
+      requestPage();
+    }
+
+    return page;
+  }
+
+  function requestPage() {
+    var page = lastPage.then(fetchPage);
+    lastPage = page.then(util.noop, util.noop);
+    pages.push(page);
+  }
+
+  function fetchPage() {
+    if (isDone || !hasMorePages) {
+      return endOfPages();
+    }
+
+    return new Promise(function(resolve, reject) {
+      var isComplete = false;
+
+      var request = originalMethod(query, onResultSet);
+
+      function onResultSet(err, results, nextQuery, apiResponse) {
+        isComplete = true;
+        activeRequest = null;
+
+        if (isDone) {
+          resolve(endOfPages());
+          return;
+        }
+
+        if (err) {
+          hasMorePages = false;
+          reject(err);
+          return;
+        }
+
+        results = arrify(results);
+
+        if (resultsToSend >= 0 && results.length > resultsToSend) {
+          results = results.slice(0, resultsToSend);
+        }
+
+        resultsToSend -= results.length;
+
+        if (nextQuery && resultsToSend !== 0) {
+          query = nextQuery;
+        } else {
+          hasMorePages = false;
+        }
+
+        resolve({
+          done: false,
+          value: {
+            results: results,
+            nextQuery: nextQuery,
+            apiResponse: apiResponse
+          }
+        });
+      }
+
+      if (!isComplete) {
+        activeRequest = request;
+      }
+    });
+  }
+
+  var iterator = {
+    next: getPage,
+
+    return: function() {
+      isDone = true;
+      pages = [];
+
+      if (activeRequest && is.fn(activeRequest.abort)) {
+        activeRequest.abort();
+      }
+
+      activeRequest = null;
+
+      return Promise.resolve(endOfPages());
+    }
+  };
+
+  iterator[Symbol.asyncIterator] = function() {
+    return this;
+  };
+
+  return iterator;
+};
+
+/*! Developer Documentation
+ *
+ * The value an async iterator resolves with once it has finished.
+ */
+function endOfPages() {
+  return {
+    done: true,
+    value: undefined
+  };
+}
+
+/*! Developer Documentation
+ *
+ * Wrap a function so that each call waits for the one before it to settle.
+ * This keeps values in order if `next` is called before the last value arrives.
+ */
+function serialize(fn) {
+  var queue = Promise.resolve();
+
+  return function() {
+    var result = queue.then(fn);
+    queue = result.then(util.noop, util.noop);
+    return result;
+  };
+}
+
 module.exports = streamRouter;
@@ -0,0 +1,247 @@
+/*!
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module common/telemetry
+ */
+
+'use strict';
+
+var events = require('events');
+var extend = require('extend');
+var is = require('is');
+var nodeutil = require('util');
+var through = require('through2');
+
+/** @const {string[]} The formats trace context headers can be sent in. */
+var TRACE_FORMATS = ['w3c', 'google'];
+
+/**
+ * Telemetry emits an event when each API request is sent, and another with its
+ * metrics when it is done, so they can be fed to dashboards or logs.
+ *
+ * A "request" event is emitted with:
+ *
+ *   - `id` - Identifies the request in its "response" event.
+ *   - `method` - The HTTP method.
+ *   - `uri` - The URI, without the query string.
+ *
+ * A "response" event is emitted with the same `id`, `method`, and `uri`, and:
+ *
+ *   - `statusCode` - The HTTP status code of the final response, or `null` if
+ *     there was no response.
+ *   - `latency` - Milliseconds from sending the request until it was done,
+ *     including any retries.
+ *   - `bytesSent` - The size of the request body, or `null` if it was a
+ *     stream that could not be measured.
+ *   - `bytesReceived` - The size of the response body.
+ *   - `retries` - The number of retries made.
+ *   - `err` - The error the request failed with, or `null`.
+ *
+ * @constructor
+ * @alias module:common/telemetry
+ * @mixes events.EventEmitter
+ */
+function Telemetry() {
+  events.EventEmitter.call(this);
+
+  this.numRequests_ = 0;
+}
+
+nodeutil.inherits(Telemetry, events.EventEmitter);
+
+/**
+ * Get the Telemetry from the configuration of a request.
+ *
+ * @param {object=} config - Configuration object.
+ * @param {module:common/telemetry=} config.telemetry - The Telemetry to emit
+ *     events from.
+ * @return {?module:common/telemetry} - `null` if the request is not tracked.
+ */
+Telemetry.fromConfig = function(config) {
+  config = config || {};
+
+  return config.telemetry instanceof Telemetry ? config.telemetry : null;
+};
+
+/**
+ * Add trace context headers to a request, so it is included in a distributed
+ * trace.
+ *
+ * @throws {Error} If the format is not supported.
+ *
+ * @param {object} reqOpts - Request options in the format `request` expects.
+ * @param {object=} tracing - Configuration object.
+ * @param {string=} tracing.format - Either `w3c`, to send a `traceparent`
+ *     header, or `google`, to send an `X-Cloud-Trace-Context` header. (default:
+ *     `w3c`)
+ * @param {function} tracing.getContext - Called with the request options. It
+ *     returns the current trace context, as an object with the `traceId`,
+ *     `spanId`, and whether the trace is `sampled`. The IDs are sent as they
+ *     are given. If it returns nothing, no headers are added.
+ * @return {object} - A copy of the request options, with the headers added,
+ *     or the request options if there is no trace context.
+ */
+Telemetry.addTraceHeaders = function(reqOpts, tracing) {
+  if (!tracing || !is.fn(tracing.getContext)) {
+    return reqOpts;
+  }
+
+  var format = tracing.format || 'w3c';
+
+  if (TRACE_FORMATS.indexOf(format) === -1) {
+    throw new Error('The trace format "' + format + '" is not supported.');
+  }
+
+  var context = tracing.getContext(reqOpts);
+
+  if (!context) {
+    return reqOpts;
+  }
+
+  var headers = {};
+
+  if (format === 'w3c') {
+    headers.traceparent = [
+      '00',
+      context.traceId,
+      context.spanId,
+      context.sampled ? '01' : '00'
+    ].join('-');
+  } else {
+    headers['X-Cloud-Trace-Context'] = context.traceId + '/' +
+      context.spanId + ';o=' + (context.sampled ? 1 : 0);
+  }
+
+  return extend({}, reqOpts, {
+    headers: extend({}, reqOpts.headers, headers)
+  });
+};
+
+/**
+ * Start tracking a request. A "request" event is emitted.
+ *
+ * @param {object} reqOpts - Request options in the format `request` expects.
+ * @return {object} - A tracker. Call `end(err, response, body, retries)` when
+ *     the request is done to emit its "response" event. Streamed bodies are
+ *     measured with the streams from `countSent()` and `countReceived()`.
+ */
+Telemetry.prototype.track = function(reqOpts) {
+  var self = this;
+  var startTime = Date.now();
+  var body = reqOpts.body || reqOpts.json || reqOpts.multipart;
+  var bytesSent = getBodySize(body);
+  var bytesReceived = null;
+  var isDone = false;
+
+  var event = {
+    id: ++this.numRequests_,
+    method: (reqOpts.method || 'GET').toUpperCase(),
+    uri: reqOpts.uri
+  };
+
+  this.emit('request', extend({}, event));
+
+  return {
+    countSent: function() {
+      bytesSent = 0;
+
+      return through(function(chunk, enc, next) {
+        bytesSent += chunk.length;
+        next(null, chunk);
+      });
+    },
+
+    countReceived: function() {
+      bytesReceived = 0;
+
+      return through(function(chunk, enc, next) {
+        bytesReceived += chunk.length;
+        next(null, chunk);
+      });
+    },
+
+    end: function(err, response, body, retries) {
+      if (isDone) {
+        return;
+      }
+
+      isDone = true;
+
+      if (is.null(bytesReceived)) {
+        bytesReceived = getResponseSize(response, body);
+      }
+
+      self.emit('response', extend(event, {
+        statusCode: (response && response.statusCode) || null,
+        latency: Date.now() - startTime,
+        bytesSent: bytesSent,
+        bytesReceived: bytesReceived,
+        retries: retries || 0,
+        err: err || null
+      }));
+    }
+  };
+};
+
+/*! Developer Documentation
+ *
+ * Get the size of a request or response body, in bytes. Streams cannot be
+ * measured, so their size is `null`.
+ */
+function getBodySize(body) {
+  if (is.undefined(body) || is.null(body) || is.boolean(body)) {
+    return 0;
+  }
+
+  if (is.string(body) || Buffer.isBuffer(body)) {
+    return Buffer.byteLength(body);
+  }
+
+  if (is.fn(body.pipe)) {
+    return null;
+  }
+
+  var isMultipart = is.array(body) && body.some(function(part) {
+    return is.object(part) && !is.undefined(part.body);
+  });
+
+  if (isMultipart) {
+    return body.reduce(function(size, part) {
+      var partSize = getBodySize(part.body);
+      return is.null(size) || is.null(partSize) ? null : size + partSize;
+    }, 0);
+  }
+
+  return Buffer.byteLength(JSON.stringify(body));
+}
+
+/*! Developer Documentation
+ *
+ * Get the size of a response body, preferring its `Content-Length` header.
+ */
+function getResponseSize(response, body) {
+  var contentLength = response && response.headers &&
+    parseInt(response.headers['content-length'], 10);
+
+  if (contentLength >= 0) {
+    return contentLength;
+  }
+
+  return getBodySize(body) || 0;
+}
+
+module.exports = Telemetry;
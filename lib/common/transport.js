@@ -0,0 +1,268 @@
+/*!
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module common/transport
+ */
+
+'use strict';
+
+var arrify = require('arrify');
+var extend = require('extend');
+var fs = require('fs');
+var is = require('is');
+var url = require('url');
+
+/** @const {string[]} Configuration options that set up a Transport. */
+var OPTIONS = ['caFile', 'keepAlive', 'maxSockets', 'noProxy', 'proxy'];
+
+/** @const {object} Default ports, by protocol. */
+var DEFAULT_PORTS = {
+  'http:': '80',
+  'https:': '443'
+};
+
+/**
+ * Transports in use, by the options they were created with, so that services
+ * configured the same way share their connections.
+ *
+ * @type {object}
+ * @private
+ */
+var transports = {};
+
+/**
+ * A Transport decides how requests reach the API: through which proxy, over
+ * how many sockets, whether the sockets are kept alive between requests, and
+ * which certificate authorities are trusted.
+ *
+ * Without a `proxy`, the `HTTPS_PROXY` and `HTTP_PROXY` environment variables
+ * are used. Hosts listed in `noProxy`, or the `NO_PROXY` environment variable,
+ * are always connected to directly.
+ *
+ * @constructor
+ * @alias module:common/transport
+ *
+ * @throws {Error} If a CA file cannot be read.
+ *
+ * @param {object=} options - Configuration object.
+ * @param {string|string[]=} options.caFile - Paths to PEM files of the
+ *     certificate authorities to trust, instead of the default ones.
+ * @param {boolean=} options.keepAlive - Keep sockets open between requests, to
+ *     be used again. (default: `false`)
+ * @param {number=} options.maxSockets - The most sockets open to a host at
+ *     once. (default: `Infinity`)
+ * @param {string|string[]=} options.noProxy - Hosts to connect to directly,
+ *     such as `localhost` or `.example.com`. `*` matches every host. (default:
+ *     `NO_PROXY`)
+ * @param {string|boolean=} options.proxy - The URL of a proxy to send requests
+ *     through, or `false` to ignore the proxy environment variables.
+ */
+function Transport(options) {
+  options = options || {};
+
+  this.ca = arrify(options.caFile).map(readCaFile);
+  this.keepAlive = options.keepAlive === true;
+  this.maxSockets = is.number(options.maxSockets) ?
+    options.maxSockets : Infinity;
+  this.noProxy = parseNoProxy(
+    is.undefined(options.noProxy) ? getEnv('NO_PROXY') : options.noProxy);
+  this.proxy = options.proxy;
+
+  // `request` keeps the agents it creates for this transport here.
+  this.pool_ = {
+    maxSockets: this.maxSockets
+  };
+}
+
+/**
+ * Get the Transport for the configuration given to a service. Services
+ * configured with the same options share a Transport.
+ *
+ * @param {object=} config - Configuration object.
+ * @param {module:common/transport=} config.transport - A Transport to use.
+ * @param {string|string[]=} config.caFile - See {module:common/transport}.
+ * @param {boolean=} config.keepAlive - See {module:common/transport}.
+ * @param {number=} config.maxSockets - See {module:common/transport}.
+ * @param {string|string[]=} config.noProxy - See {module:common/transport}.
+ * @param {string|boolean=} config.proxy - See {module:common/transport}.
+ * @return {?module:common/transport} - `null` if none of the options are set.
+ */
+Transport.fromConfig = function(config) {
+  config = config || {};
+
+  if (config.transport instanceof Transport) {
+    return config.transport;
+  }
+
+  var options = {};
+
+  OPTIONS.forEach(function(key) {
+    if (!is.undefined(config[key])) {
+      options[key] = config[key];
+    }
+  });
+
+  if (Object.keys(options).length === 0) {
+    return null;
+  }
+
+  var id = JSON.stringify(options);
+
+  if (!transports[id]) {
+    transports[id] = new Transport(options);
+  }
+
+  return transports[id];
+};
+
+/**
+ * Get the proxy a request to a URL is sent through.
+ *
+ * @param {string} uri - The URL of the request.
+ * @return {?string} - `null` if the host is connected to directly.
+ */
+Transport.prototype.getProxy = function(uri) {
+  var parsedUri = url.parse(uri);
+  var proxy = this.proxy;
+
+  if (proxy === false) {
+    return null;
+  }
+
+  if (!is.string(proxy)) {
+    if (parsedUri.protocol === 'https:') {
+      proxy = getEnv('HTTPS_PROXY') || getEnv('HTTP_PROXY');
+    } else {
+      proxy = getEnv('HTTP_PROXY');
+    }
+  }
+
+  if (!proxy || this.isNoProxyHost_(parsedUri)) {
+    return null;
+  }
+
+  return proxy;
+};
+
+/**
+ * Get the request options to send a request through this transport.
+ *
+ * @param {object} reqOpts - Request options in the format `request` expects.
+ * @return {object} - A copy of the request options. Options that were already
+ *     set are kept.
+ */
+Transport.prototype.getRequestOptions = function(reqOpts) {
+  var transportOpts = {
+    forever: this.keepAlive,
+    pool: this.pool_,
+    proxy: this.getProxy(reqOpts.uri || reqOpts.url)
+  };
+
+  if (this.ca.length > 0) {
+    transportOpts.ca = this.ca;
+  }
+
+  return extend({}, transportOpts, reqOpts);
+};
+
+/**
+ * Wrap a `request` function, so that the requests it makes are sent through
+ * this transport.
+ *
+ * @param {function} request - The `request` function to wrap.
+ * @return {function} - A function with the same signature as `request`.
+ */
+Transport.prototype.wrap = function(request) {
+  var self = this;
+
+  return function(reqOpts, callback) {
+    return request(self.getRequestOptions(reqOpts), callback);
+  };
+};
+
+/**
+ * Check if a host is connected to directly, instead of through the proxy.
+ *
+ * @private
+ *
+ * @param {object} parsedUri - The parsed URL of the request.
+ * @return {boolean}
+ */
+Transport.prototype.isNoProxyHost_ = function(parsedUri) {
+  var hostname = (parsedUri.hostname || '').toLowerCase();
+  var port = parsedUri.port || DEFAULT_PORTS[parsedUri.protocol];
+
+  return this.noProxy.some(function(entry) {
+    if (entry.hostname === '*') {
+      return true;
+    }
+
+    if (entry.port && entry.port !== port) {
+      return false;
+    }
+
+    return hostname === entry.hostname ||
+      hostname.slice(-(entry.hostname.length + 1)) === '.' + entry.hostname;
+  });
+};
+
+/*! Developer Documentation
+ *
+ * Get an environment variable, in either upper or lower case.
+ */
+function getEnv(name) {
+  return process.env[name] || process.env[name.toLowerCase()];
+}
+
+/*! Developer Documentation
+ *
+ * Parse the hosts to connect to directly, given as a list or a comma-separated
+ * string, e.g. "localhost,.example.com:8080".
+ */
+function parseNoProxy(noProxy) {
+  if (is.string(noProxy)) {
+    noProxy = noProxy.split(',');
+  }
+
+  return arrify(noProxy)
+    .map(function(host) {
+      var parts = host.trim().toLowerCase().replace(/^\*?\./, '').split(':');
+
+      return {
+        hostname: parts[0],
+        port: parts[1]
+      };
+    })
+    .filter(function(entry) {
+      return entry.hostname !== '';
+    });
+}
+
+/*! Developer Documentation
+ *
+ * Read a PEM file of certificate authorities.
+ */
+function readCaFile(filename) {
+  try {
+    return fs.readFileSync(filename);
+  } catch (e) {
+    throw new Error(
+      'The CA file ' + filename + ' could not be read: ' + e.message);
+  }
+}
+
+module.exports = Transport;
@@ -20,20 +20,73 @@
 
 'use strict';
 
+var arrify = require('arrify');
 var createErrorClass = require('create-error-class');
 var duplexify = require('duplexify');
 var extend = require('extend');
+var fs = require('fs');
 var googleAuth = require('google-auto-auth');
 var is = require('is');
+var nodeutil = require('util');
+var once = require('once');
+var path = require('path');
 var request = require('request').defaults({
   timeout: 60000,
   pool: {
     maxSockets: Infinity
   }
 });
-var retryRequest = require('retry-request');
 var through = require('through2');
 var uniq = require('array-uniq');
+var url = require('url');
+
+/**
+ * @type {module:common/config}
+ * @private
+ */
+var configResolver = require('./config.js');
+
+/**
+ * @type {module:common/credentials}
+ * @private
+ */
+var Credentials = require('./credentials.js');
+
+/**
+ * @type {module:common/debuglogger}
+ * @private
+ */
+var DebugLogger = require('./debug-logger.js');
+
+/**
+ * @type {module:common/ratelimiter}
+ * @private
+ */
+var RateLimiter = require('./rate-limiter.js');
+
+/**
+ * @type {module:common/recorder}
+ * @private
+ */
+var Recorder = require('./recorder.js');
+
+/**
+ * @type {module:common/retrypolicy}
+ * @private
+ */
+var RetryPolicy = require('./retry-policy.js');
+
+/**
+ * @type {module:common/telemetry}
+ * @private
+ */
+var Telemetry = require('./telemetry.js');
+
+/**
+ * @type {module:common/transport}
+ * @private
+ */
+var Transport = require('./transport.js');
 
 /** @const {object} gcloud-node's package.json file. */
 var PKG = require('../../package.json');
@@ -67,6 +120,10 @@ util.noop = noop;
 /**
  * Custom error type for API errors.
  *
+ * Besides the `code`, `errors`, and `response` from the error body, errors
+ * from API requests have the `method` and `uri` of the request, and the number
+ * of `retries` made before giving up.
+ *
  * @param {object} errorBody - Error object.
  */
 var ApiError = createErrorClass('ApiError', function(errorBody) {
@@ -92,12 +149,150 @@ var ApiError = createErrorClass('ApiError', function(errorBody) {
 });
 
 /**
- * Wrap the ApiError constructor so context isn't lost.
+ * Custom error types for specific kinds of API errors. They all inherit from
+ * ApiError.
+ */
+var BadRequestError = createApiErrorClass('BadRequestError');
+var UnauthorizedError = createApiErrorClass('UnauthorizedError');
+var PermissionDeniedError = createApiErrorClass('PermissionDeniedError');
+var NotFoundError = createApiErrorClass('NotFoundError');
+var ConflictError = createApiErrorClass('ConflictError');
+var PreconditionFailedError = createApiErrorClass('PreconditionFailedError');
+var RateLimitError = createApiErrorClass('RateLimitError');
+var ServerError = createApiErrorClass('ServerError');
+
+/** @const {object} The ApiError subclass used for each HTTP status code. */
+var API_ERROR_CLASSES = {
+  400: BadRequestError,
+  401: UnauthorizedError,
+  403: PermissionDeniedError,
+  404: NotFoundError,
+  409: ConflictError,
+  412: PreconditionFailedError,
+  429: RateLimitError
+};
+
+/**
+ * Wrap the ApiError constructor so context isn't lost. The most specific
+ * ApiError subclass for the error is returned, e.g. a `NotFoundError` for a 404
+ * response.
  *
  * @param {object} errorBody - Error object.
  */
 util.ApiError = function(errorBody) {
-  return new ApiError(errorBody);
+  var ErrorClass = getApiErrorClass(errorBody);
+  return new ErrorClass(errorBody);
+};
+
+/*! Developer Documentation
+ *
+ * Create an error class that inherits from ApiError.
+ */
+function createApiErrorClass(className) {
+  var ErrorClass = createErrorClass(className, function(errorBody) {
+    ApiError.call(this, errorBody);
+  });
+
+  nodeutil.inherits(ErrorClass, ApiError);
+  ErrorClass.prototype.name = className;
+
+  return ErrorClass;
+}
+
+/*! Developer Documentation
+ *
+ * Find the ApiError subclass for an error from its code, or for rate limits,
+ * the reasons given in its `errors` array.
+ */
+function getApiErrorClass(errorBody) {
+  var isRateLimited = arrify(errorBody.errors).some(function(error) {
+    return error && RetryPolicy.DEFAULT_REASONS.indexOf(error.reason) !== -1;
+  });
+
+  if (isRateLimited) {
+    return RateLimitError;
+  }
+
+  if (API_ERROR_CLASSES[errorBody.code]) {
+    return API_ERROR_CLASSES[errorBody.code];
+  }
+
+  if (errorBody.code >= 500 && errorBody.code <= 599) {
+    return ServerError;
+  }
+
+  return ApiError;
+}
+
+/**
+ * Custom error type for requests that were aborted before they completed.
+ */
+var CancellationError = createErrorClass('CancellationError', function() {
+  this.code = 'ECANCELED';
+  this.message = 'The request was cancelled.';
+});
+
+/**
+ * Wrap the CancellationError constructor so context isn't lost.
+ */
+util.CancellationError = function() {
+  return new CancellationError();
+};
+
+/**
+ * Custom error type for requests that did not complete in time.
+ *
+ * @param {number} timeout - The time limit, in milliseconds.
+ */
+var TimeoutError = createErrorClass('TimeoutError', function(timeout) {
+  this.code = 'ETIMEDOUT';
+  this.timeout = timeout;
+  this.message = 'The request did not complete within ' + timeout + 'ms.';
+});
+
+/**
+ * Wrap the TimeoutError constructor so context isn't lost.
+ *
+ * @param {number} timeout - The time limit, in milliseconds.
+ */
+util.TimeoutError = function(timeout) {
+  return new TimeoutError(timeout);
+};
+
+/**
+ * Custom error type for requests that were not made, because the queue of
+ * requests waiting for the rate limit was full.
+ */
+var QueueFullError = createErrorClass('QueueFullError', function() {
+  this.code = 'EQUEUEFULL';
+  this.message = 'The queue of requests waiting for the rate limit is full.';
+});
+
+/**
+ * Wrap the QueueFullError constructor so context isn't lost.
+ */
+util.QueueFullError = function() {
+  return new QueueFullError();
+};
+
+/**
+ * The error classes, so that errors can be checked with `instanceof`.
+ *
+ * @type {object}
+ */
+util.errors = {
+  ApiError: ApiError,
+  BadRequestError: BadRequestError,
+  UnauthorizedError: UnauthorizedError,
+  PermissionDeniedError: PermissionDeniedError,
+  NotFoundError: NotFoundError,
+  ConflictError: ConflictError,
+  PreconditionFailedError: PreconditionFailedError,
+  RateLimitError: RateLimitError,
+  ServerError: ServerError,
+  CancellationError: CancellationError,
+  TimeoutError: TimeoutError,
+  QueueFullError: QueueFullError
 };
 
 /**
@@ -118,6 +313,11 @@ function handleResp(err, resp, body, callback) {
     body && util.parseHttpRespBody(body)
   );
 
+  // Errors found in the body do not know about the request yet.
+  if (resp) {
+    addRequestDetails(parsedResp.err, resp);
+  }
+
   callback(parsedResp.err, parsedResp.body, parsedResp.resp);
 }
 
@@ -145,6 +345,8 @@ function parseHttpRespMessage(httpRespMessage) {
       message: httpRespMessage.statusMessage,
       response: httpRespMessage
     });
+
+    addRequestDetails(parsedHttpRespMessage.err, httpRespMessage);
   }
 
   return parsedHttpRespMessage;
@@ -152,6 +354,21 @@ function parseHttpRespMessage(httpRespMessage) {
 
 util.parseHttpRespMessage = parseHttpRespMessage;
 
+/*! Developer Documentation
+ *
+ * Record the method and URI of the request that caused an ApiError.
+ */
+function addRequestDetails(err, httpRespMessage) {
+  var req = httpRespMessage.request;
+
+  if (!(err instanceof ApiError) || !req) {
+    return;
+  }
+
+  err.method = req.method;
+  err.uri = req.uri && req.uri.href;
+}
+
 /**
  * Parse the response body from an HTTP request.
  *
@@ -238,7 +455,12 @@ function makeWritableStream(dup, options, onComplete) {
         return;
       }
 
-      request(authenticatedReqOpts, function(err, resp, body) {
+      var sendRequest = getRequestFunction({
+        recorder: options.makeAuthenticatedRequest.recorder,
+        transport: options.makeAuthenticatedRequest.transport
+      });
+
+      sendRequest(authenticatedReqOpts, function(err, resp, body) {
         util.handleResp(err, resp, body, function(err, data) {
           if (err) {
             dup.destroy(err);
@@ -264,25 +486,7 @@ util.makeWritableStream = makeWritableStream;
  * @return {boolean} True if the API request should be retried, false otherwise.
  */
 function shouldRetryRequest(err) {
-  if (err) {
-    if ([429, 500, 502, 503].indexOf(err.code) !== -1) {
-      return true;
-    }
-
-    if (err.errors) {
-      for (var i in err.errors) {
-        var reason = err.errors[i].reason;
-        if (reason === 'rateLimitExceeded') {
-          return true;
-        }
-        if (reason === 'userRateLimitExceeded') {
-          return true;
-        }
-      }
-    }
-  }
-
-  return false;
+  return new RetryPolicy().isRetryableError(err);
 }
 
 util.shouldRetryRequest = shouldRetryRequest;
@@ -298,38 +502,89 @@ util.shouldRetryRequest = shouldRetryRequest;
  * @param {object=} config.credentials - Credentials object.
  * @param {boolean=} config.customEndpoint - If true, just return the provided
  *     request options. Default: false.
+ * @param {boolean|object=} config.debug - Log each request. See
+ *     {module:common/debuglogger}.
  * @param {string=} config.email - Account email address, required for PEM/P12
  *     usage.
+ * @param {object|module:common/recorder=} config.fixtures - Record requests to,
+ *     or replay them from, a fixture file. Replayed requests are not
+ *     authenticated. See {module:common/recorder}.
  * @param {number=} config.maxRetries - Maximum number of automatic retries
  *     attempted before returning the error. (default: 3)
  * @param {string=} config.keyFile - Path to a .json, .pem, or .p12 keyfile.
+ * @param {object|module:common/ratelimiter=} config.rateLimit - Keep requests
+ *     under a rate. Requests over it wait until they may be made. See
+ *     {module:common/ratelimiter}.
+ * @param {object|module:common/retrypolicy=} config.retryPolicy - How failed
+ *     requests are retried. See {module:common/retrypolicy}.
  * @param {array} config.scopes - Array of scopes required for the API.
+ * @param {module:common/telemetry=} config.telemetry - Emits each request and
+ *     its metrics.
+ * @param {object=} config.tracing - Send trace context headers. See
+ *     {module:common/telemetry#addTraceHeaders}.
+ * @param {module:common/transport=} config.transport - How requests reach the
+ *     API. The proxy, socket, and CA options of {module:common/transport} may
+ *     be given instead.
  */
 function makeAuthenticatedRequestFactory(config) {
   config = config || {};
 
   var authClient = googleAuth(config);
+  var rateLimiter = RateLimiter.fromConfig(config);
+  var recorder = Recorder.fromConfig(config);
+  var transport = Transport.fromConfig(config);
+  var isReplaying = !!recorder && recorder.mode === 'replay';
 
   /**
    * The returned function that will make an authenticated request.
    *
    * @param {type} reqOpts - Request options in the format `request` expects.
+   * @param {boolean=} reqOpts.idempotent - Set to false if repeating the
+   *     request could have a different effect. Such requests are only retried
+   *     if the retry policy allows it. Default: true.
+   * @param {object[]=} reqOpts.interceptors_ - Interceptors to run during the
+   *     lifecycle of this request. See {module:common/util#execInterceptors}.
+   * @param {number=} reqOpts.timeout - Milliseconds this request, including any
+   *     retries, may take. Overrides `config.timeout`.
    * @param {object|function} options - Configuration object or callback
    *     function.
    * @param {function=} options.onAuthenticated - If provided, a request will
    *     not be made. Instead, this function is passed the error & authenticated
    *     request options.
+   * @return {object|stream=} - With a callback, an object with an `abort`
+   *     method to cancel the request. See {module:common/util#makeRequest}.
    */
   function makeAuthenticatedRequest(reqOpts, options) {
     var stream;
+    var activeRequest;
+    var throttledRequest;
+    var isCancelled = false;
     var reqConfig = extend({}, config);
 
+    if (is.fn(options)) {
+      options = once(options);
+    }
+
+    reqConfig.idempotent = reqOpts.idempotent !== false;
+    delete reqOpts.idempotent;
+
+    reqConfig.interceptors = arrify(reqOpts.interceptors_);
+    delete reqOpts.interceptors_;
+
+    if (is.number(reqOpts.timeout)) {
+      reqConfig.timeout = reqOpts.timeout;
+    }
+
     if (!options) {
       stream = duplexify();
       reqConfig.stream = stream;
     }
 
     function onAuthenticated(err, authenticatedReqOpts) {
+      if (isCancelled) {
+        return;
+      }
+
       if (err) {
         if (stream) {
           stream.destroy(err);
@@ -345,27 +600,81 @@ function makeAuthenticatedRequestFactory(config) {
       if (options && options.onAuthenticated) {
         options.onAuthenticated(null, authenticatedReqOpts);
       } else {
-        util.makeRequest(authenticatedReqOpts, reqConfig, options);
+        activeRequest =
+          util.makeRequest(authenticatedReqOpts, reqConfig, options);
+      }
+    }
+
+    function onIntercepted(err, interceptedReqOpts) {
+      if (err) {
+        onAuthenticated(err);
+        return;
+      }
+
+      if (reqConfig.customEndpoint || isReplaying) {
+        // Using a custom API override, or replaying recorded responses. Do not
+        // use `google-auto-auth` for authentication. (ex: connecting to a local
+        // Datastore server)
+        onAuthenticated(null, interceptedReqOpts);
+      } else {
+        authClient.authorizeRequest(interceptedReqOpts, onAuthenticated);
       }
     }
 
-    if (reqConfig.customEndpoint) {
-      // Using a custom API override. Do not use `google-auto-auth` for
-      // authentication. (ex: connecting to a local Datastore server)
-      onAuthenticated(null, reqOpts);
+    function onAcquired() {
+      var interceptors = reqConfig.interceptors;
+      util.execInterceptors('request', interceptors, reqOpts, onIntercepted);
+    }
+
+    if (rateLimiter) {
+      throttledRequest = rateLimiter.acquire(reqOpts, onAcquired);
+
+      if (!throttledRequest) {
+        setImmediate(onAuthenticated, util.QueueFullError());
+      }
     } else {
-      authClient.authorizeRequest(reqOpts, onAuthenticated);
+      onAcquired();
     }
 
     if (stream) {
       return stream;
     }
+
+    if (options.onAuthenticated) {
+      return;
+    }
+
+    return {
+      abort: function() {
+        if (activeRequest) {
+          activeRequest.abort();
+          return;
+        }
+
+        if (throttledRequest) {
+          throttledRequest.cancel();
+        }
+
+        isCancelled = true;
+        options(util.CancellationError());
+      }
+    };
   }
 
+  var credentials = new Credentials(authClient, makeAuthenticatedRequest);
+
+  makeAuthenticatedRequest.getAccessToken =
+    credentials.getAccessToken.bind(credentials);
   makeAuthenticatedRequest.getCredentials =
     authClient.getCredentials.bind(authClient);
+  makeAuthenticatedRequest.getIdentity =
+    credentials.getIdentity.bind(credentials);
+  makeAuthenticatedRequest.signBlob = credentials.signBlob.bind(credentials);
 
   makeAuthenticatedRequest.authClient = authClient;
+  makeAuthenticatedRequest.rateLimiter = rateLimiter;
+  makeAuthenticatedRequest.recorder = recorder;
+  makeAuthenticatedRequest.transport = transport;
 
   return makeAuthenticatedRequest;
 }
@@ -373,8 +682,198 @@ function makeAuthenticatedRequestFactory(config) {
 util.makeAuthenticatedRequestFactory = makeAuthenticatedRequestFactory;
 
 /**
- * Make a request through the `retryRequest` module with built-in error handling
- * and exponential back off.
+ * Make a request, attempting it again as long as the retry policy allows. The
+ * first response that is not retried is the one returned.
+ *
+ * Errors from the connection itself, such as a DNS failure, are not retried.
+ *
+ * @param {object} reqOpts - Request options in the format `request` expects.
+ * @param {object} options - Configuration object.
+ * @param {?module:common/debuglogger} options.debugLogger - Logs each attempt.
+ * @param {boolean} options.idempotent - If the request may safely be repeated.
+ * @param {?module:common/recorder} options.recorder - Records or replays each
+ *     attempt.
+ * @param {module:common/retrypolicy} options.retryPolicy - The retry policy.
+ * @param {number=} options.timeout - Milliseconds the request, including any
+ *     retries, may take before it is aborted with a `TimeoutError`. In stream
+ *     mode, the limit only applies until the response is received.
+ * @param {?module:common/transport} options.transport - Sends each attempt
+ *     through a proxy, or the sockets of an agent.
+ * @param {function=} callback - The callback function. If omitted, a readable
+ *     stream is returned, which only receives the data from the final attempt.
+ * @param {?error} callback.err - An error making the request.
+ * @param {object} callback.response - The HTTP response.
+ * @param {*} callback.body - The response body.
+ * @return {object|stream} - An object with an `abort` method and the number of
+ *     `retries` made so far, or the stream.
+ */
+function makeRetriableRequest(reqOpts, options, callback) {
+  var streamMode = !is.fn(callback);
+  var debugLogger = options.debugLogger;
+  var sendRequest = getRequestFunction(options);
+  var retryPolicy = options.retryPolicy;
+  var timeout = options.timeout;
+  var hasDeadline = timeout > 0;
+  var startTime = Date.now();
+
+  var numRetries = 0;
+  var attemptStartTime;
+  var activeRequest;
+  var delayStream;
+  var retryStream;
+  var retryTimeout;
+  var deadlineTimeout;
+
+  var retriableRequest = {
+    retries: 0,
+
+    abort: function() {
+      clearTimeout(retryTimeout);
+      clearTimeout(deadlineTimeout);
+
+      if (activeRequest && activeRequest.abort) {
+        activeRequest.abort();
+      }
+    }
+  };
+
+  if (streamMode) {
+    retryStream = through();
+    retryStream.abort = retriableRequest.abort;
+    retryStream.retries = 0;
+  }
+
+  if (hasDeadline) {
+    deadlineTimeout = setTimeout(function() {
+      var err = util.TimeoutError(timeout);
+
+      retriableRequest.abort();
+
+      if (debugLogger) {
+        debugLogger.logError(reqOpts, err, Date.now() - attemptStartTime);
+      }
+
+      onError(err);
+    }, timeout);
+  }
+
+  makeAttempt();
+
+  return streamMode ? retryStream : retriableRequest;
+
+  function makeAttempt() {
+    attemptStartTime = Date.now();
+
+    if (debugLogger) {
+      debugLogger.logRequest(reqOpts, numRetries + 1);
+    }
+
+    if (!streamMode) {
+      activeRequest = sendRequest(reqOpts, onResponse);
+      return;
+    }
+
+    // Hold onto the data until we know this attempt will not be retried.
+    delayStream = through();
+    activeRequest = sendRequest(reqOpts);
+
+    activeRequest
+      .on('error', onResponse)
+      .on('response', onResponse.bind(null, null))
+      .on('complete', retryStream.emit.bind(retryStream, 'complete'))
+      .pipe(delayStream);
+  }
+
+  function onError(err, response, body) {
+    if (streamMode) {
+      retryStream.emit('error', err);
+      retryStream.end();
+    } else {
+      callback(err, response, body);
+    }
+  }
+
+  function onResponse(err, response, body) {
+    var elapsed = Date.now() - attemptStartTime;
+
+    if (err) {
+      if (debugLogger) {
+        debugLogger.logError(reqOpts, err, elapsed);
+      }
+
+      clearTimeout(deadlineTimeout);
+      onError(err, response, body);
+      return;
+    }
+
+    if (debugLogger) {
+      debugLogger.logResponse(reqOpts, response, body, elapsed);
+    }
+
+    var retry = {
+      attempt: numRetries + 1,
+      delay: retryPolicy.getDelay(numRetries + 1),
+      elapsed: Date.now() - startTime,
+      err: getResponseError(response, body),
+      idempotent: options.idempotent !== false,
+      reqOpts: reqOpts
+    };
+
+    // Retries that could not start before the deadline are not attempted.
+    var isWithinDeadline = !hasDeadline ||
+      retry.elapsed + retry.delay < timeout;
+
+    if (isWithinDeadline && retryPolicy.shouldRetry(retry)) {
+      numRetries++;
+      retriableRequest.retries = numRetries;
+
+      if (streamMode) {
+        retryStream.retries = numRetries;
+        activeRequest.abort();
+      }
+
+      if (is.fn(retryPolicy.onRetry)) {
+        retryPolicy.onRetry(retry);
+      }
+
+      if (debugLogger) {
+        debugLogger.logRetry(retry);
+      }
+
+      retryTimeout = setTimeout(makeAttempt, retry.delay);
+      return;
+    }
+
+    clearTimeout(deadlineTimeout);
+
+    if (streamMode) {
+      retryStream.emit('response', response);
+      delayStream.pipe(retryStream);
+    } else {
+      callback(null, response, body);
+    }
+  }
+}
+
+util.makeRetriableRequest = makeRetriableRequest;
+
+/*! Developer Documentation
+ *
+ * Get the error a response is for, with the reasons its body gives, such as
+ * `userRateLimitExceeded`. In stream mode, only the status code is known.
+ */
+function getResponseError(response, body) {
+  var responseError = null;
+
+  util.handleResp(null, response, body, function(err) {
+    responseError = err;
+  });
+
+  return responseError;
+}
+
+/**
+ * Make a request with built-in error handling and exponential back off.
  *
  * @param {object} reqOpts - Request options in the format `request` expects.
  * @param {object=} config - Configuration object.
@@ -382,9 +881,32 @@ util.makeAuthenticatedRequestFactory = makeAuthenticatedRequestFactory;
  *     response is related to rate limits or certain intermittent server errors.
  *     We will exponentially backoff subsequent requests by default. (default:
  *     true)
+ * @param {boolean|object=} config.debug - Log each request. See
+ *     {module:common/debuglogger}.
+ * @param {object|module:common/recorder=} config.fixtures - Record requests to,
+ *     or replay them from, a fixture file. See {module:common/recorder}.
+ * @param {boolean=} config.idempotent - If the request may safely be repeated.
+ *     (default: true)
+ * @param {object[]=} config.interceptors - Interceptors whose `response` and
+ *     `error` phases are run for this request. See
+ *     {module:common/util#execInterceptors}.
  * @param {number=} config.maxRetries - Maximum number of automatic retries
  *     attempted before returning the error. (default: 3)
+ * @param {object|module:common/retrypolicy=} config.retryPolicy - How failed
+ *     requests are retried. See {module:common/retrypolicy}.
+ * @param {module:common/telemetry=} config.telemetry - Emits the request and
+ *     its metrics.
+ * @param {number=} config.timeout - Milliseconds the request, including any
+ *     retries, may take before it fails with a `TimeoutError`.
+ * @param {object=} config.tracing - Send trace context headers. See
+ *     {module:common/telemetry#addTraceHeaders}.
+ * @param {module:common/transport=} config.transport - How the request reaches
+ *     the API. The proxy, socket, and CA options of {module:common/transport}
+ *     may be given instead.
  * @param {function} callback - The callback function.
+ * @return {object=} - In callback mode, an object with an `abort` method. When
+ *     called, the request is cancelled and the callback receives a
+ *     `CancellationError`.
  */
 function makeRequest(reqOpts, config, callback) {
   if (is.fn(config)) {
@@ -393,47 +915,216 @@ function makeRequest(reqOpts, config, callback) {
   }
 
   config = config || {};
+  callback = once(callback || noop);
 
-  var options = {
-    request: request,
+  var interceptors = arrify(config.interceptors);
 
-    retries: config.autoRetry !== false ? config.maxRetries || 3 : 0,
+  reqOpts = Telemetry.addTraceHeaders(reqOpts, config.tracing);
 
-    shouldRetryFn: function(httpRespMessage) {
-      var err = util.parseHttpRespMessage(httpRespMessage).err;
-      return err && util.shouldRetryRequest(err);
-    }
+  var telemetry = Telemetry.fromConfig(config);
+  var tracker = telemetry && telemetry.track(reqOpts);
+
+  var options = {
+    debugLogger: DebugLogger.fromConfig(config),
+    idempotent: config.idempotent !== false,
+    recorder: Recorder.fromConfig(config),
+    retryPolicy: RetryPolicy.fromConfig(config),
+    timeout: config.timeout,
+    transport: Transport.fromConfig(config)
   };
 
   if (config.stream) {
     var dup = config.stream;
     var requestStream;
+    var streamResponse;
     var isGetRequest = (reqOpts.method || 'GET').toUpperCase() === 'GET';
 
+    // Errors reach the stream from more than one place, e.g. duplexify destroys
+    // itself when the request stream it wraps emits an error. Run the error
+    // interceptors on the first error, whichever path it took.
+    var destroy = dup.destroy;
+    var errorIntercepted = false;
+
+    dup.destroy = function(err) {
+      if (!err) {
+        destroy.call(dup);
+        return;
+      }
+
+      if (errorIntercepted) {
+        return;
+      }
+
+      errorIntercepted = true;
+
+      if (tracker) {
+        tracker.end(err, streamResponse, null, requestStream.retries);
+      }
+
+      util.execInterceptors('error', interceptors, err, function(ie, err) {
+        destroy.call(dup, ie || err);
+      });
+    };
+
     if (isGetRequest) {
-      requestStream = retryRequest(reqOpts, options);
-      dup.setReadable(requestStream);
+      requestStream = util.makeRetriableRequest(reqOpts, options);
+
+      if (tracker) {
+        dup.setReadable(requestStream.pipe(tracker.countReceived())
+          .on('end', function() {
+            tracker.end(null, streamResponse, null, requestStream.retries);
+          }));
+      } else {
+        dup.setReadable(requestStream);
+      }
     } else {
       // Streaming writable HTTP requests cannot be retried.
-      requestStream = request(reqOpts);
-      dup.setWritable(requestStream);
+      requestStream = makeWritableRequest(reqOpts, options);
+
+      if (tracker) {
+        var sentStream = tracker.countSent();
+        sentStream.pipe(requestStream);
+        dup.setWritable(sentStream);
+
+        requestStream.on('complete', function(response, body) {
+          tracker.end(null, response, body);
+        });
+      } else {
+        dup.setWritable(requestStream);
+      }
     }
 
-    // Replay the Request events back to the stream.
-    requestStream.on('error', dup.destroy.bind(dup))
-      .on('response', dup.emit.bind(dup, 'response'))
+    // Replay the Request events back to the stream, after they have been
+    // passed through the interceptors.
+    requestStream
+      .on('error', dup.destroy.bind(dup))
+      .on('response', function(resp) {
+        streamResponse = resp;
+        util.execInterceptors('response', interceptors, resp, onStreamResponse);
+      })
       .on('complete', dup.emit.bind(dup, 'complete'));
 
     dup.abort = requestStream.abort;
   } else {
-    retryRequest(reqOpts, options, function(err, response, body) {
-      util.handleResp(err, response, body, callback);
+    var retriableRequest =
+      util.makeRetriableRequest(reqOpts, options, onRetriableResponse);
+
+    return {
+      abort: function() {
+        var err = util.CancellationError();
+
+        retriableRequest.abort();
+
+        if (tracker) {
+          tracker.end(err, null, null, retriableRequest.retries);
+        }
+
+        callback(err);
+      }
+    };
+  }
+
+  function onRetriableResponse(err, response, body) {
+    if (err || !response) {
+      onResponse(err, response, body);
+      return;
+    }
+
+    // `response` interceptors may replace the body on the response object.
+    response.body = is.undefined(response.body) ? body : response.body;
+
+    util.execInterceptors('response', interceptors, response, onIntercepted);
+  }
+
+  function onStreamResponse(err, resp) {
+    if (err) {
+      config.stream.destroy(err);
+      return;
+    }
+
+    config.stream.emit('response', resp);
+  }
+
+  function onIntercepted(err, response) {
+    onResponse(err, response, response && response.body);
+  }
+
+  function onResponse(err, response, body) {
+    util.handleResp(err, response, body, function(err, body, resp) {
+      var retries = retriableRequest ? retriableRequest.retries : 0;
+
+      if (tracker) {
+        tracker.end(err, response, body, retries);
+      }
+
+      if (!err) {
+        callback(null, body, resp);
+        return;
+      }
+
+      if (err instanceof ApiError) {
+        err.retries = retries;
+      }
+
+      util.execInterceptors('error', interceptors, err, function(ie, err) {
+        callback(ie || err, body, resp);
+      });
     });
   }
 }
 
 util.makeRequest = makeRequest;
 
+/**
+ * Get the function to send requests with: `request`, sent through the
+ * transport if there is one, and recorded or replayed if fixtures are in use.
+ *
+ * @param {object} options - Configuration object.
+ * @param {?module:common/recorder=} options.recorder - Records or replays each
+ *     request.
+ * @param {function=} options.request - The `request` function to send each
+ *     request with. (default: `request`, with the defaults of this module)
+ * @param {?module:common/transport=} options.transport - Sends each request
+ *     through a proxy, or the sockets of an agent.
+ * @return {function} - A function with the same signature as `request`.
+ */
+function getRequestFunction(options) {
+  var sendRequest = options.request || request;
+
+  if (options.transport) {
+    sendRequest = options.transport.wrap(sendRequest);
+  }
+
+  return options.recorder ? options.recorder.wrap(sendRequest) : sendRequest;
+}
+
+util.getRequestFunction = getRequestFunction;
+
+/*! Developer Documentation
+ *
+ * Make a streaming writable request, logging it if debugging is on.
+ */
+function makeWritableRequest(reqOpts, options) {
+  var debugLogger = options.debugLogger;
+  var requestStream = getRequestFunction(options)(reqOpts);
+
+  if (debugLogger) {
+    var startTime = Date.now();
+
+    debugLogger.logRequest(reqOpts, 1);
+
+    requestStream
+      .on('error', function(err) {
+        debugLogger.logError(reqOpts, err, Date.now() - startTime);
+      })
+      .on('response', function(resp) {
+        debugLogger.logResponse(reqOpts, resp, null, Date.now() - startTime);
+      });
+  }
+
+  return requestStream;
+}
+
 /**
  * Decorate the options about to be made in a request.
  *
@@ -459,41 +1150,184 @@ function decorateRequest(reqOpts) {
 
 util.decorateRequest = decorateRequest;
 
+/**
+ * Normalize a custom API endpoint, such as `localhost:8080`, into a URL without
+ * a trailing slash. Endpoints without a protocol use HTTP.
+ *
+ * @param {string} apiEndpoint - The API endpoint.
+ * @return {string}
+ */
+function normalizeApiEndpoint(apiEndpoint) {
+  if (!/^https?:\/\//.test(apiEndpoint)) {
+    apiEndpoint = 'http://' + apiEndpoint;
+  }
+
+  return apiEndpoint.replace(/\/*$/, '');
+}
+
+util.normalizeApiEndpoint = normalizeApiEndpoint;
+
+/**
+ * Point a URL of an API at a custom endpoint, keeping its path. For example,
+ * `https://www.googleapis.com/storage/v1` becomes
+ * `http://localhost:8080/storage/v1`.
+ *
+ * @param {string} uri - A URL of the API.
+ * @param {?string=} apiEndpoint - The custom endpoint. If omitted, the URL is
+ *     returned as is.
+ * @return {string}
+ */
+function applyApiEndpoint(uri, apiEndpoint) {
+  if (!apiEndpoint) {
+    return uri;
+  }
+
+  var path = url.parse(uri).path;
+
+  return normalizeApiEndpoint(apiEndpoint) + (path === '/' ? '' : path);
+}
+
+util.applyApiEndpoint = applyApiEndpoint;
+
+/**
+ * Create a local directory, and any of its parents that do not exist.
+ *
+ * @param {string} directory - The directory to create.
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error creating a directory.
+ */
+function makeDirectory(directory, callback) {
+  fs.mkdir(directory, function(err) {
+    if (!err || err.code === 'EEXIST') {
+      callback();
+      return;
+    }
+
+    if (err.code !== 'ENOENT') {
+      callback(err);
+      return;
+    }
+
+    makeDirectory(path.dirname(directory), function(err) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      makeDirectory(directory, callback);
+    });
+  });
+}
+
+util.makeDirectory = makeDirectory;
+
+/**
+ * Run one phase of a chain of interceptors, in the order they were assigned.
+ * The value returned from each interceptor is passed to the next.
+ *
+ * The phases are:
+ *
+ *   - `request(reqOpts)` - Modify the request options before authentication.
+ *   - `response(httpRespMessage)` - Inspect the HTTP response. For requests
+ *     made with a callback, `httpRespMessage.body` may be replaced.
+ *   - `error(err)` - Inspect or replace an error before it is returned.
+ *
+ * An interceptor may return the new value, return a Promise that resolves with
+ * it, or accept a second argument, `done`, which is a Node-style callback.
+ * Interceptors that do not define the phase are skipped, and an interceptor
+ * that returns nothing leaves the value as it was.
+ *
+ * @param {string} phase - The phase to run: "request", "response", or "error".
+ * @param {object[]} interceptors - The interceptors.
+ * @param {*} value - The value given to the first interceptor.
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error thrown or returned from an
+ *     interceptor.
+ * @param {*} callback.value - The value returned from the last interceptor.
+ */
+function execInterceptors(phase, interceptors, value, callback) {
+  var hooks = arrify(interceptors).filter(function(interceptor) {
+    return interceptor && is.fn(interceptor[phase]);
+  });
+
+  var currentValue = value;
+
+  function next(err, value) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    if (!is.undefined(value)) {
+      currentValue = value;
+    }
+
+    var interceptor = hooks.shift();
+
+    if (!interceptor) {
+      callback(null, currentValue);
+      return;
+    }
+
+    var hook = interceptor[phase];
+    var done = once(next);
+
+    if (hook.length > 1) {
+      hook.call(interceptor, currentValue, done);
+      return;
+    }
+
+    var returnValue;
+
+    try {
+      returnValue = hook.call(interceptor, currentValue);
+    } catch(e) {
+      done(e);
+      return;
+    }
+
+    if (returnValue && is.fn(returnValue.then)) {
+      returnValue.then(done.bind(null, null), done);
+      return;
+    }
+
+    done(null, returnValue);
+  }
+
+  next(null, value);
+}
+
+util.execInterceptors = execInterceptors;
+
 /**
  * Extend a global configuration object with user options provided at the time
  * of sub-module instantiation.
  *
+ * Both are layered over the settings of a config file and the selected profile,
+ * then environment variables of the gcloud SDK for the service, and `GCLOUD_*`
+ * environment variables. See {module:common/config}.
+ *
  * Connection details currently come in two ways: `credentials` or
  * `keyFilename`. Because of this, we have a special exception when overriding a
  * global configuration object. If a user provides either to the global
  * configuration, then provides another at submodule instantiation-time, the
  * latter is preferred.
  *
+ * @throws {Error} If the config file cannot be read, or the profile is not
+ *     defined.
+ *
  * @param  {object} globalConfig - The global configuration object.
  * @param  {object=} overrides - The instantiation-time configuration object.
+ * @param  {string=} service - The service the configuration is for, e.g.
+ *     `pubsub`.
  * @return {object}
  */
-function extendGlobalConfig(globalConfig, overrides) {
+function extendGlobalConfig(globalConfig, overrides, service) {
   globalConfig = globalConfig || {};
   overrides = overrides || {};
 
-  var defaultConfig = {};
-
-  if (process.env.GCLOUD_PROJECT) {
-    defaultConfig.projectId = process.env.GCLOUD_PROJECT;
-  }
-
-  var options = extend({}, globalConfig);
-
-  var hasGlobalConnection = options.credentials || options.keyFilename;
-  var isOverridingConnection = overrides.credentials || overrides.keyFilename;
-
-  if (hasGlobalConnection && isOverridingConnection) {
-    delete options.credentials;
-    delete options.keyFilename;
-  }
-
-  var extendedConfig = extend(true, defaultConfig, options, overrides);
+  var configs = [globalConfig, overrides];
+  var extendedConfig = configResolver.resolve(configs, service);
 
   // Preserve the original (not cloned) interceptors.
   extendedConfig.interceptors_ = globalConfig.interceptors_;
@@ -514,12 +1348,18 @@ util.extendGlobalConfig = extendGlobalConfig;
  * @param {object=} options - Configuration object.
  * @param {boolean} options.projectIdRequired - Whether to throw if a project ID
  *     is required, but not provided by the user. (Default: true)
+ * @param {string=} options.service - The service the configuration is for.
+ *     See {module:common/util#extendGlobalConfig}.
  * @return {object} config - Merged and validated configuration.
  */
 function normalizeArguments(globalContext, localConfig, options) {
   options = options || {};
 
-  var config = util.extendGlobalConfig(globalContext.config_, localConfig);
+  var config = util.extendGlobalConfig(
+    globalContext.config_,
+    localConfig,
+    options.service
+  );
 
   if (options.projectIdRequired !== false && !config.projectId) {
     throw util.missingProjectIdError;
@@ -529,3 +1369,112 @@ function normalizeArguments(globalContext, localConfig, options) {
 }
 
 util.normalizeArguments = normalizeArguments;
+
+/**
+ * Wrap a callback-accepting method so that, when it is invoked without a
+ * callback, it returns a Promise instead.
+ *
+ * The Promise is resolved with an array of the values the callback would have
+ * received after the error argument, e.g. `[metadata, apiResponse]`. If the
+ * method returns an object with an `abort` method, it is exposed on the Promise
+ * as well.
+ *
+ * Optional arguments left out of the call are passed as `undefined`, so that
+ * the callback is always received in the position the method declares.
+ *
+ * The caller is responsible for handling a rejection. A method called without
+ * waiting for its result, e.g. `file.delete()`, must still be given a callback
+ * or a rejection handler, or a failure is reported as an unhandled rejection.
+ *
+ * @param {function} originalMethod - The method to wrap.
+ * @return {function} wrapped - The promise-capable method.
+ */
+function promisify(originalMethod) {
+  if (originalMethod.promisified_) {
+    return originalMethod;
+  }
+
+  var slice = Array.prototype.slice;
+
+  var wrapped = function() {
+    var self = this;
+    var args = slice.call(arguments);
+
+    if (is.fn(args[args.length - 1])) {
+      return originalMethod.apply(self, args);
+    }
+
+    var resolve;
+    var reject;
+
+    var promise = new Promise(function(resolve_, reject_) {
+      resolve = resolve_;
+      reject = reject_;
+    });
+
+    while (args.length < originalMethod.length - 1) {
+      args.push(undefined);
+    }
+
+    // The original method is called outside of the Promise's executor, so that
+    // errors thrown while validating arguments are not swallowed.
+    args.push(function(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve(slice.call(arguments, 1));
+    });
+
+    var request = originalMethod.apply(self, args);
+
+    // Requests that can be cancelled can also be cancelled from the Promise.
+    if (request && is.fn(request.abort)) {
+      promise.abort = request.abort.bind(request);
+    }
+
+    return promise;
+  };
+
+  wrapped.promisified_ = true;
+
+  return wrapped;
+}
+
+util.promisify = promisify;
+
+/**
+ * Promisify all of the public, callback-accepting methods on a Class's
+ * prototype.
+ *
+ * Methods that are private (suffixed with an underscore), return streams
+ * (suffixed with "Stream"), or are named `request` are skipped. Methods that
+ * return a value synchronously, such as `bucket.file()`, must be provided in
+ * `options.exclude`.
+ *
+ * Methods extended by {module:common/streamrouter} should be promisified
+ * before `streamRouter.extend` is called, so that they continue to return a
+ * stream when a callback is omitted.
+ *
+ * @param {function} Class - The class whose prototype methods are wrapped.
+ * @param {object=} options - Configuration object.
+ * @param {string[]=} options.exclude - Names of methods to leave untouched.
+ */
+function promisifyAll(Class, options) {
+  var exclude = (options && options.exclude) || [];
+
+  Object.keys(Class.prototype)
+    .filter(function(methodName) {
+      return (
+        is.fn(Class.prototype[methodName]) &&
+        !/(^request|_|Stream)$/.test(methodName) &&
+        exclude.indexOf(methodName) === -1
+      );
+    })
+    .forEach(function(methodName) {
+      Class.prototype[methodName] = util.promisify(Class.prototype[methodName]);
+    });
+}
+
+util.promisifyAll = promisifyAll;
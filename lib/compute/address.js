@@ -164,7 +164,7 @@ Address.prototype.delete = function(callback) {
 
   var region = this.region;
 
-  this.request({
+  return this.request({
     method: 'DELETE',
     uri: ''
   }, function(err, resp) {
@@ -180,4 +180,6 @@ Address.prototype.delete = function(callback) {
   });
 };
 
+util.promisifyAll(Address);
+
 module.exports = Address;
@@ -210,7 +210,7 @@ Disk.prototype.createSnapshot = function(name, options, callback) {
     options = {};
   }
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/createSnapshot',
     json: extend({}, options, {
@@ -281,4 +281,8 @@ Disk.prototype.snapshot = function(name) {
   return new Snapshot(this, name);
 };
 
+util.promisifyAll(Disk, {
+  exclude: ['snapshot']
+});
+
 module.exports = Disk;
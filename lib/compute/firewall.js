@@ -212,7 +212,7 @@ Firewall.prototype.setMetadata = function(metadata, callback) {
   metadata.name = this.name;
   metadata.network = this.metadata.network;
 
-  this.request({
+  return this.request({
     method: 'PATCH',
     uri: '',
     json: metadata
@@ -229,4 +229,6 @@ Firewall.prototype.setMetadata = function(metadata, callback) {
   });
 };
 
+util.promisifyAll(Firewall);
+
 module.exports = Firewall;
@@ -106,6 +106,7 @@ function Compute(options) {
 
   var config = {
     baseUrl: 'https://www.googleapis.com/compute/v1',
+    batchUrl: 'https://www.googleapis.com/batch/compute/v1',
     scopes: ['https://www.googleapis.com/auth/compute']
   };
 
@@ -205,7 +206,7 @@ Compute.prototype.createFirewall = function(name, config, callback) {
     delete body.tags;
   }
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/global/firewalls',
     json: body
@@ -278,7 +279,7 @@ Compute.prototype.createNetwork = function(name, config, callback) {
     delete body.gateway;
   }
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/global/networks',
     json: body
@@ -325,6 +326,8 @@ Compute.prototype.firewall = function(name) {
  * @param {object=} options - Address search options.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string} options.filter - Search filter in the format of
  *     `{name} {comparison} {filterString}`.
  *     - **`name`**: the name of the field to compare
@@ -394,7 +397,7 @@ Compute.prototype.getAddresses = function(options, callback) {
 
   options = options || {};
 
-  this.request({
+  return this.request({
     uri: '/aggregated/addresses',
     qs: options
   }, function(err, resp) {
@@ -439,6 +442,8 @@ Compute.prototype.getAddresses = function(options, callback) {
  * @param {object=} options - Disk search options.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string} options.filter - Search filter in the format of
  *     `{name} {comparison} {filterString}`.
  *     - **`name`**: the name of the field to compare
@@ -507,7 +512,7 @@ Compute.prototype.getDisks = function(options, callback) {
 
   options = options || {};
 
-  this.request({
+  return this.request({
     uri: '/aggregated/disks',
     qs: options
   }, function(err, resp) {
@@ -552,6 +557,8 @@ Compute.prototype.getDisks = function(options, callback) {
  * @param {object=} options - Firewall search options.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string} options.filter - Search filter in the format of
  *     `{name} {comparison} {filterString}`.
  *     - **`name`**: the name of the field to compare
@@ -621,7 +628,7 @@ Compute.prototype.getFirewalls = function(options, callback) {
 
   options = options || {};
 
-  this.request({
+  return this.request({
     uri: '/global/firewalls',
     qs: options
   }, function(err, resp) {
@@ -657,6 +664,8 @@ Compute.prototype.getFirewalls = function(options, callback) {
  * @param {object=} options - Network search options.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string} options.filter - Search filter in the format of
  *     `{name} {comparison} {filterString}`.
  *     - **`name`**: the name of the field to compare
@@ -726,7 +735,7 @@ Compute.prototype.getNetworks = function(options, callback) {
 
   options = options || {};
 
-  this.request({
+  return this.request({
     uri: '/global/networks',
     qs: options
   }, function(err, resp) {
@@ -762,6 +771,8 @@ Compute.prototype.getNetworks = function(options, callback) {
  * @param {object=} options - Operation search options.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string} options.filter - Search filter in the format of
  *     `{name} {comparison} {filterString}`.
  *     - **`name`**: the name of the field to compare
@@ -831,7 +842,7 @@ Compute.prototype.getOperations = function(options, callback) {
 
   options = options || {};
 
-  this.request({
+  return this.request({
     uri: '/global/operations',
     qs: options
   }, function(err, resp) {
@@ -867,6 +878,8 @@ Compute.prototype.getOperations = function(options, callback) {
  * @param {object=} options - Instance search options.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string} options.filter - Search filter in the format of
  *     `{name} {comparison} {filterString}`.
  *     - **`name`**: the name of the field to compare
@@ -934,7 +947,7 @@ Compute.prototype.getRegions = function(options, callback) {
     options = {};
   }
 
-  this.request({
+  return this.request({
     uri: '/regions',
     qs: options
   }, function(err, resp) {
@@ -970,6 +983,8 @@ Compute.prototype.getRegions = function(options, callback) {
  * @param {object=} options - Snapshot search options.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string} options.filter - Search filter in the format of
  *     `{name} {comparison} {filterString}`.
  *     - **`name`**: the name of the field to compare
@@ -1039,7 +1054,7 @@ Compute.prototype.getSnapshots = function(options, callback) {
 
   options = options || {};
 
-  this.request({
+  return this.request({
     uri: '/global/snapshots',
     qs: options
   }, function(err, resp) {
@@ -1075,6 +1090,8 @@ Compute.prototype.getSnapshots = function(options, callback) {
  * @param {object=} options - Instance search options.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string} options.filter - Search filter in the format of
  *     `{name} {comparison} {filterString}`.
  *     - **`name`**: the name of the field to compare
@@ -1143,7 +1160,7 @@ Compute.prototype.getVMs = function(options, callback) {
 
   options = options || {};
 
-  this.request({
+  return this.request({
     uri: '/aggregated/instances',
     qs: options
   }, function(err, resp) {
@@ -1188,6 +1205,8 @@ Compute.prototype.getVMs = function(options, callback) {
  * @param {object=} options - Instance search options.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string} options.filter - Search filter in the format of
  *     `{name} {comparison} {filterString}`.
  *     - **`name`**: the name of the field to compare
@@ -1255,7 +1274,7 @@ Compute.prototype.getZones = function(options, callback) {
     options = {};
   }
 
-  this.request({
+  return this.request({
     uri: '/zones',
     qs: options
   }, function(err, resp) {
@@ -1362,6 +1381,10 @@ Compute.prototype.zone = function(name) {
  * These methods can be used with either a callback or as a readable object
  * stream. `streamRouter` is used to add this dual behavior.
  */
+util.promisifyAll(Compute, {
+  exclude: ['firewall', 'network', 'operation', 'region', 'snapshot', 'zone']
+});
+
 streamRouter.extend(Compute, [
   'getAddresses',
   'getDisks',
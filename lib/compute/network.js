@@ -278,6 +278,8 @@ Network.prototype.firewall = function(name) {
  * @param {object=} options - Firewall search options.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {number} options.maxResults - Maximum number of firewalls to return.
  * @param {string} options.pageToken - A previously-returned page token
  *     representing part of the larger set of results to view.
@@ -343,4 +345,8 @@ Network.prototype.getFirewalls = function(options, callback) {
   return this.compute.getFirewalls(options, callback);
 };
 
+util.promisifyAll(Network, {
+  exclude: ['firewall', 'getFirewalls']
+});
+
 module.exports = Network;
@@ -20,8 +20,13 @@
 
 'use strict';
 
-var events = require('events');
-var modelo = require('modelo');
+var nodeutil = require('util');
+
+/**
+ * @type {module:common/longrunningoperation}
+ * @private
+ */
+var LongRunningOperation = require('../common/long-running-operation.js');
 
 /**
  * @type {module:common/serviceObject}
@@ -96,6 +101,30 @@ var util = require('../common/util.js');
  * });
  *
  * //-
+ * // While the operation is running, a "progress" event is emitted each time
+ * // its status is polled.
+ * //-
+ * operation.on('progress', function(metadata) {
+ *   // `metadata.progress`: An estimate of the percentage completed.
+ * });
+ *
+ * //-
+ * // The status is first polled after half a second, then less and less often.
+ * // Change how often it is polled with `operation.pollingOptions`.
+ * //-
+ * operation.pollingOptions.maxDelay = 5000;
+ *
+ * //-
+ * // Or, wait for the operation to complete with a callback. A `TimeoutError`
+ * // is returned if it does not complete in time.
+ * //-
+ * operation.waitUntilDone({ timeout: 60000 }, function(err, metadata) {
+ *   if (!err) {
+ *     // The operation is complete.
+ *   }
+ * });
+ *
+ * //-
  * // To force the Operation object to stop polling for updates, simply remove
  * // any "complete" listeners you've registered.
  * //
@@ -148,23 +177,17 @@ function Operation(scope, name) {
     get: true
   };
 
-  ServiceObject.call(this, {
+  LongRunningOperation.call(this, {
     parent: scope,
     baseUrl: isCompute ? '/global/operations' : '/operations',
     id: name,
     methods: methods
   });
 
-  events.EventEmitter.call(this);
-
-  this.completeListeners = 0;
-  this.hasActiveListeners = false;
   this.name = name;
-
-  this.listenForEvents_();
 }
 
-modelo.inherits(Operation, ServiceObject, events.EventEmitter);
+nodeutil.inherits(Operation, LongRunningOperation);
 
 /**
  * Get the operation's metadata. For a detailed description of metadata see
@@ -210,52 +233,13 @@ Operation.prototype.getMetadata = function(callback) {
 };
 
 /**
- * Begin listening for events on the operation. This method keeps track of how
- * many "complete" listeners are registered and removed, making sure polling is
- * handled automatically.
- *
- * As long as there is one active "complete" listener, the connection is open.
- * When there are no more listeners, the polling stops.
+ * Poll `getMetadata` to check the operation's status.
  *
  * @private
- */
-Operation.prototype.listenForEvents_ = function() {
-  var self = this;
-
-  this.on('newListener', function(event) {
-    if (event === 'complete') {
-      self.completeListeners++;
-
-      if (!self.hasActiveListeners) {
-        self.hasActiveListeners = true;
-        self.startPolling_();
-      }
-    }
-  });
-
-  this.on('removeListener', function(event) {
-    if (event === 'complete' && --self.completeListeners === 0) {
-      self.hasActiveListeners = false;
-    }
-  });
-};
-
-/**
- * Poll `getMetadata` to check the operation's status. This runs a loop to ping
- * the API on an interval.
  *
- * Note: This method is automatically called once a "complete" event handler is
- * registered on the operation.
- *
- * @private
+ * @param {function} callback - The callback function.
  */
-Operation.prototype.startPolling_ = function() {
-  var self = this;
-
-  if (!this.hasActiveListeners) {
-    return;
-  }
-
+Operation.prototype.poll_ = function(callback) {
   this.getMetadata(function(err, metadata, apiResponse) {
     // Parsing the response body will automatically create an ApiError object if
     // the operation failed.
@@ -263,17 +247,14 @@ Operation.prototype.startPolling_ = function() {
     err = err || parsedHttpRespBody.err;
 
     if (err) {
-      self.emit('error', err);
+      callback(err);
       return;
     }
 
-    if (metadata.status !== 'DONE') {
-      setTimeout(self.startPolling_.bind(self), 500);
-      return;
-    }
-
-    self.emit('complete', metadata);
+    callback(null, metadata, metadata.status === 'DONE');
   });
 };
 
+util.promisifyAll(Operation);
+
 module.exports = Operation;
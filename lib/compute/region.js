@@ -48,6 +48,12 @@ var ServiceObject = require('../common/service-object.js');
  */
 var streamRouter = require('../common/stream-router.js');
 
+/**
+ * @type {module:common/util}
+ * @private
+ */
+var util = require('../common/util.js');
+
 /*! Developer Documentation
  *
  * @param {module:compute} compute - Compute object this region belongs to.
@@ -178,7 +184,7 @@ Region.prototype.createAddress = function(name, options, callback) {
     options = {};
   }
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/addresses',
     json: extend({}, options, {
@@ -208,6 +214,8 @@ Region.prototype.createAddress = function(name, options, callback) {
  * @param {object=} options - Address search options.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string} options.filter - Search filter in the format of
  *     `{name} {comparison} {filterString}`.
  *     - **`name`**: the name of the field to compare
@@ -277,7 +285,7 @@ Region.prototype.getAddresses = function(options, callback) {
 
   options = options || {};
 
-  this.request({
+  return this.request({
     uri: '/addresses',
     qs: options
   }, function(err, resp) {
@@ -313,6 +321,8 @@ Region.prototype.getAddresses = function(options, callback) {
  * @param {object=} options - Operation search options.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string} options.filter - Search filter in the format of
  *     `{name} {comparison} {filterString}`.
  *     - **`name`**: the name of the field to compare
@@ -382,7 +392,7 @@ Region.prototype.getOperations = function(options, callback) {
 
   options = options || {};
 
-  this.request({
+  return this.request({
     uri: '/operations',
     qs: options
   }, function(err, resp) {
@@ -429,6 +439,10 @@ Region.prototype.operation = function(name) {
  * These methods can be used with either a callback or as a readable object
  * stream. `streamRouter` is used to add this dual behavior.
  */
+util.promisifyAll(Region, {
+  exclude: ['address', 'operation']
+});
+
 streamRouter.extend(Region, ['getAddresses', 'getOperations']);
 
 module.exports = Region;
@@ -192,4 +192,6 @@ Snapshot.prototype.delete = function(callback) {
   });
 };
 
+util.promisifyAll(Snapshot);
+
 module.exports = Snapshot;
@@ -228,7 +228,7 @@ VM.prototype.attachDisk = function(disk, options, callback) {
     delete body.readOnly;
   }
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/attachDisk',
     json: body
@@ -253,7 +253,7 @@ VM.prototype.attachDisk = function(disk, options, callback) {
  * });
  */
 VM.prototype.delete = function(callback) {
-  this.request({
+  return this.request({
     method: 'DELETE',
     uri: ''
   }, callback || util.noop);
@@ -406,7 +406,7 @@ VM.prototype.getTags = function(callback) {
  * });
  */
 VM.prototype.reset = function(callback) {
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/reset'
   }, callback || util.noop);
@@ -442,7 +442,7 @@ VM.prototype.setTags = function(tags, fingerprint, callback) {
     fingerprint: fingerprint
   };
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/setTags',
     json: body
@@ -467,7 +467,7 @@ VM.prototype.setTags = function(tags, fingerprint, callback) {
  * });
  */
 VM.prototype.start = function(callback) {
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/start'
   }, callback || util.noop);
@@ -491,7 +491,7 @@ VM.prototype.start = function(callback) {
  * });
  */
 VM.prototype.stop = function(callback) {
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/stop'
   }, callback || util.noop);
@@ -530,4 +530,6 @@ VM.prototype.request = function(reqOpts, callback) {
   });
 };
 
+util.promisifyAll(VM);
+
 module.exports = VM;
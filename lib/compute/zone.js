@@ -51,6 +51,12 @@ var ServiceObject = require('../common/service-object.js');
  */
 var streamRouter = require('../common/stream-router.js');
 
+/**
+ * @type {module:common/util}
+ * @private
+ */
+var util = require('../common/util.js');
+
 /**
  * @type {module:compute/vm}
  * @private
@@ -201,7 +207,7 @@ Zone.prototype.createDisk = function(name, config, callback) {
     return;
   }
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/disks',
     qs: query,
@@ -402,7 +408,7 @@ Zone.prototype.createVM = function(name, config, callback) {
     return;
   }
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/instances',
     json: body
@@ -445,6 +451,8 @@ Zone.prototype.disk = function(name) {
  * @param {object=} options - Disk search options.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string} options.filter - Search filter in the format of
   *     `{name} {comparison} {filterString}`.
   *     - **`name`**: the name of the field to compare
@@ -513,7 +521,7 @@ Zone.prototype.getDisks = function(options, callback) {
 
   options = options || {};
 
-  this.request({
+  return this.request({
     uri: '/disks',
     qs: options
   }, function(err, resp) {
@@ -549,6 +557,8 @@ Zone.prototype.getDisks = function(options, callback) {
  * @param {object=} options - Operation search options.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string} options.filter - Search filter in the format of
  *     `{name} {comparison} {filterString}`.
  *     - **`name`**: the name of the field to compare
@@ -618,7 +628,7 @@ Zone.prototype.getOperations = function(options, callback) {
 
   options = options || {};
 
-  this.request({
+  return this.request({
     uri: '/operations',
     qs: options
   }, function(err, resp) {
@@ -654,6 +664,8 @@ Zone.prototype.getOperations = function(options, callback) {
  * @param {object=} options - Instance search options.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string} options.filter - Search filter in the format of
  *     `{name} {comparison} {filterString}`.
  *     - **`name`**: the name of the field to compare
@@ -721,7 +733,7 @@ Zone.prototype.getVMs = function(options, callback) {
 
   options = options || {};
 
-  this.request({
+  return this.request({
     uri: '/instances',
     qs: options
   }, function(err, resp) {
@@ -823,6 +835,10 @@ Zone.prototype.createHttpsServerFirewall_ = function(callback) {
  * These methods can be used with either a callback or as a readable object
  * stream. `streamRouter` is used to add this dual behavior.
  */
+util.promisifyAll(Zone, {
+  exclude: ['disk', 'operation', 'vm']
+});
+
 streamRouter.extend(Zone, ['getDisks', 'getOperations', 'getVMs']);
 
 module.exports = Zone;
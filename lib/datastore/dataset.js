@@ -42,6 +42,18 @@ var Query = require('./query.js');
  */
 var Transaction = require('./transaction.js');
 
+/**
+ * @type {module:common/debuglogger}
+ * @private
+ */
+var DebugLogger = require('../common/debug-logger.js');
+
+/**
+ * @type {module:common/transport}
+ * @private
+ */
+var Transport = require('../common/transport.js');
+
 /**
  * @type {module:common/util}
  * @private
@@ -79,7 +91,16 @@ var SCOPES = [
  * @param {string=} options.apiEndpoint - Override the default API endpoint used
  *     to reach Datastore. This is useful for connecting to your local Datastore
  *     server (usually "http://localhost:8080").
+ * @param {boolean=} options.authenticate - Whether to authenticate requests.
+ *     (default: `false` with a custom API endpoint, `true` otherwise)
  * @param {string} options.namespace - Namespace to isolate transactions to.
+ * @param {number=} options.timeout - Milliseconds to wait for a response to
+ *     each API request before it is aborted.
+ * @param {boolean|object=} options.debug - Log each API request. See
+ *     [Configuration object](#/docs/?method=gcloud).
+ * @param {object=} options.fixtures - Record API requests to, or replay them
+ *     from, a fixture file. See
+ *     [Configuration object](#/docs/?method=gcloud).
  *
  * @example
  * var datastore = gcloud.datastore;
@@ -109,7 +130,7 @@ function Dataset(options) {
 
   options = options || {};
 
-  this.datasetId = options.projectId || process.env.DATASTORE_DATASET;
+  this.datasetId = options.projectId;
 
   if (!this.datasetId) {
     throw new Error('A project or dataset ID is required to use a Dataset.');
@@ -117,22 +138,31 @@ function Dataset(options) {
 
   this.determineApiEndpoint_(options.apiEndpoint);
   this.namespace = options.namespace;
+  this.timeout = options.timeout;
+  this.debugLogger = DebugLogger.fromConfig(options);
+
+  var customEndpoint = this.customEndpoint;
+
+  if (is.boolean(options.authenticate)) {
+    customEndpoint = !options.authenticate;
+  }
 
   this.makeAuthenticatedRequest_ = util.makeAuthenticatedRequestFactory({
-    customEndpoint: this.customEndpoint,
+    customEndpoint: customEndpoint,
     credentials: options.credentials,
     keyFile: options.keyFilename,
     scopes: SCOPES,
-    email: options.email
+    email: options.email,
+    fixtures: options.fixtures,
+    transport: Transport.fromConfig(options)
   });
 }
 
 nodeutil.inherits(Dataset, DatastoreRequest);
 
 /**
- * Determine the appropriate endpoint to use for API requests. If not explicitly
- * defined, check for the "DATASTORE_HOST" environment variable, used to connect
- * to a local Datastore server.
+ * Determine the appropriate endpoint to use for API requests. A custom endpoint
+ * is used to connect to a local Datastore server.
  *
  * @private
  *
@@ -140,23 +170,15 @@ nodeutil.inherits(Dataset, DatastoreRequest);
  */
 Dataset.prototype.determineApiEndpoint_ = function(customApiEndpoint) {
   var apiEndpoint;
-  var trailingSlashes = new RegExp('/*$');
 
   if (customApiEndpoint) {
     apiEndpoint = customApiEndpoint;
     this.customEndpoint = true;
-  } else if (process.env.DATASTORE_HOST) {
-    apiEndpoint = process.env.DATASTORE_HOST;
-    this.customEndpoint = true;
   } else {
     apiEndpoint = 'https://www.googleapis.com';
   }
 
-  if (apiEndpoint.indexOf('http') !== 0) {
-    apiEndpoint = 'http://' + apiEndpoint;
-  }
-
-  this.apiEndpoint = apiEndpoint.replace(trailingSlashes, '');
+  this.apiEndpoint = util.normalizeApiEndpoint(apiEndpoint);
 };
 
 /**
@@ -313,4 +335,8 @@ Dataset.prototype.createTransaction_ = function() {
   return new Transaction(this, this.datasetId);
 };
 
+util.promisifyAll(Dataset, {
+  exclude: ['createQuery', 'key']
+});
+
 module.exports = Dataset;
@@ -91,7 +91,9 @@ function Datastore(options) {
  *   keyFilename: '/path/to/keyfile.json'
  * });
  */
-Datastore.dataset = Dataset;
+Datastore.dataset = function(options) {
+  return new Dataset(util.extendGlobalConfig({}, options, 'datastore'));
+};
 
 /*! Developer Documentation
  *
@@ -107,7 +109,8 @@ Datastore.dataset = Dataset;
  * @param {object=} options - [Configuration object](#/docs/?method=gcloud).
  * @param {string=} options.apiEndpoint - Override the default API endpoint used
  *     to reach Datastore. This is useful for connecting to your local Datastore
- *     server (usually "http://localhost:8080").
+ *     server (usually "http://localhost:8080"). The `DATASTORE_HOST`
+ *     environment variable from the gcloud SDK is used if it is not given.
  * @param {string} options.namespace - Namespace to isolate transactions to.
  * @return {module:datastore/dataset}
  *
@@ -123,7 +126,8 @@ Datastore.dataset = Dataset;
 Datastore.prototype.dataset = function(options) {
   options = options || {};
   // Mix in global config data to the provided options.
-  return new Dataset(util.extendGlobalConfig(this.config, options));
+  var config = util.extendGlobalConfig(this.config, options, 'datastore');
+  return new Dataset(config);
 };
 
 /**
@@ -68,6 +68,8 @@ function Query(namespace, kinds) {
 
   // pagination
   this.autoPaginateVal = true;
+  this.prefetchPagesVal = 0;
+  this.timeoutVal = null;
   this.startVal = null;
   this.endVal = null;
   this.limitVal = -1;
@@ -100,6 +102,45 @@ Query.prototype.autoPaginate = function(autoPaginateVal) {
   return this;
 };
 
+/**
+ * Buffer the next pages of results while the current one is being processed.
+ * Each page needs the cursor of the page before it, so they are requested one
+ * at a time. This only applies when pagination is handled automatically.
+ *
+ * @param {number} prefetchPagesVal - Number of pages to buffer ahead.
+ *     Default: 0.
+ * @return {module:datastore/query}
+ *
+ * @example
+ * var query = dataset.createQuery('Person')
+ *   .prefetchPages(2);
+ *
+ * dataset.runQuery(query)
+ *   .on('data', function(entity) {});
+ */
+Query.prototype.prefetchPages = function(prefetchPagesVal) {
+  this.prefetchPagesVal = prefetchPagesVal;
+  return this;
+};
+
+/**
+ * Give up on each request for a page of results that takes too long. This
+ * overrides the `timeout` of the Dataset.
+ *
+ * @param {number} timeoutVal - Milliseconds to wait for a response.
+ * @return {module:datastore/query}
+ *
+ * @example
+ * var query = dataset.createQuery('Person')
+ *   .timeout(5000);
+ *
+ * dataset.runQuery(query, function(err, entities) {});
+ */
+Query.prototype.timeout = function(timeoutVal) {
+  this.timeoutVal = timeoutVal;
+  return this;
+};
+
 /**
  * Datastore allows querying on properties. Supported comparison operators
  * are `=`, `<`, `>`, `<=`, and `>=`. "Not equal" and `IN` operators are
@@ -24,6 +24,7 @@ var arrify = require('arrify');
 var concat = require('concat-stream');
 var format = require('string-format-obj');
 var is = require('is');
+var once = require('once');
 var propAssign = require('prop-assign');
 var request = require('request').defaults({
   pool: {
@@ -468,7 +469,7 @@ DatastoreRequest.prototype.save = function(entities, callback) {
     return;
   }
 
-  this.makeReq_('commit', req, onCommit);
+  return this.makeReq_('commit', req, onCommit);
 
   function onCommit(err, resp) {
     if (err || !resp) {
@@ -527,7 +528,7 @@ DatastoreRequest.prototype.delete = function(keys, callback) {
     return;
   }
 
-  this.makeReq_('commit', req, callback);
+  return this.makeReq_('commit', req, callback);
 };
 
 /**
@@ -547,7 +548,8 @@ DatastoreRequest.prototype.delete = function(keys, callback) {
  *
  * @resource [Datasets: runQuery API Documentation]{@link https://cloud.google.com/datastore/docs/apis/v1beta2/datasets/runQuery}
  *
- * @param {module:datastore/query} q - Query object.
+ * @param {module:datastore/query} q - Query object. Set a timeout for its
+ *     requests with {module:datastore/query#timeout}.
  * @param {function=} callback - The callback function. If omitted, a readable
  *     stream instance is returned.
  * @param {?error} callback.err - An error returned while making this request
@@ -630,7 +632,11 @@ DatastoreRequest.prototype.runQuery = function(query, callback) {
     };
   }
 
-  this.makeReq_('runQuery', req, function(err, resp) {
+  var options = {
+    timeout: query.timeoutVal
+  };
+
+  return this.makeReq_('runQuery', req, options, function(err, resp) {
     if (err) {
       callback(err, null, null, resp);
       return;
@@ -700,7 +706,7 @@ DatastoreRequest.prototype.allocateIds = function(incompleteKey, n, callback) {
     key: incompleteKeys
   };
 
-  this.makeReq_('allocateIds', req, function(err, resp) {
+  return this.makeReq_('allocateIds', req, function(err, resp) {
     if (err) {
       callback(err, null, resp);
       return;
@@ -734,7 +740,12 @@ DatastoreRequest.prototype.upsert = function(entities, callback) {
  *
  * @param {string} method - Datastore action (allocateIds, commit, etc.).
  * @param {object=} body - Request configuration object.
+ * @param {object=} options - Configuration object.
+ * @param {number=} options.timeout - Milliseconds to wait for a response.
+ *     Overrides the `timeout` of the Dataset.
  * @param {function} callback - The callback function.
+ * @return {object} - An object with an `abort` method. When called, the request
+ *     is cancelled and the callback receives a `CancellationError`.
  *
  * @private
  *
@@ -751,14 +762,22 @@ DatastoreRequest.prototype.upsert = function(entities, callback) {
  * var transaction = new Transaction(dataset, 'my-project-id');
  * transaction.makeReq_('commit', deleteRequest, callback);
  */
-DatastoreRequest.prototype.makeReq_ = function(method, body, callback) {
+DatastoreRequest.prototype.makeReq_ = function(method, body, options,
+    callback) {
   // TODO: Handle non-HTTP 200 cases.
-  if (!callback) {
+  if (is.fn(body)) {
     callback = body;
     body = {};
   }
 
-  callback = callback || util.noop;
+  if (is.fn(options)) {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  callback = once(callback || util.noop);
 
   // Set properties to indicate if we're in a transaction or not.
   if (method === 'commit') {
@@ -798,19 +817,56 @@ DatastoreRequest.prototype.makeReq_ = function(method, body, callback) {
     }
   };
 
+  var timeout = is.number(options.timeout) ? options.timeout : this.timeout;
+
+  if (timeout) {
+    reqOpts.timeout = timeout;
+  }
+
+  var debugLogger = this.debugLogger;
+  var sendRequest = util.getRequestFunction({
+    recorder: this.makeAuthenticatedRequest_.recorder,
+    request: request,
+    transport: this.makeAuthenticatedRequest_.transport
+  });
+  var activeRequest;
+  var isCancelled = false;
+
   this.makeAuthenticatedRequest_(reqOpts, {
     onAuthenticated: function(err, authenticatedReqOpts) {
+      if (isCancelled) {
+        return;
+      }
+
       if (err) {
         callback(err, null);
         return;
       }
 
-      request(authenticatedReqOpts, function(err, resp, body) {
+      var startTime = Date.now();
+
+      if (debugLogger) {
+        debugLogger.logRequest(authenticatedReqOpts, 1);
+      }
+
+      activeRequest = sendRequest(authenticatedReqOpts, onResponse);
+
+      function onResponse(err, resp, body) {
+        var elapsed = Date.now() - startTime;
+
         if (err) {
+          if (debugLogger) {
+            debugLogger.logError(authenticatedReqOpts, err, elapsed);
+          }
+
           callback(err, null);
           return;
         }
 
+        if (debugLogger) {
+          debugLogger.logResponse(authenticatedReqOpts, resp, body, elapsed);
+        }
+
         var parsedResp = util.parseHttpRespMessage(resp);
 
         if (parsedResp.err) {
@@ -826,9 +882,21 @@ DatastoreRequest.prototype.makeReq_ = function(method, body, callback) {
         }
 
         callback(null, parsedBody.body, resp);
-      });
+      }
     }
   });
+
+  return {
+    abort: function() {
+      isCancelled = true;
+
+      if (activeRequest) {
+        activeRequest.abort();
+      }
+
+      callback(util.CancellationError());
+    }
+  };
 };
 
 /*! Developer Documentation
@@ -836,6 +904,10 @@ DatastoreRequest.prototype.makeReq_ = function(method, body, callback) {
  * This method can be used with either a callback or as a readable object
  * stream. `streamRouter` is used to add this dual behavior.
  */
+util.promisifyAll(DatastoreRequest, {
+  exclude: ['get']
+});
+
 streamRouter.extend(DatastoreRequest, 'runQuery');
 
 module.exports = DatastoreRequest;
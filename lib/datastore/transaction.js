@@ -73,6 +73,8 @@ function Transaction(dataset, datasetId) {
   this.apiEndpoint = dataset.apiEndpoint;
   this.makeAuthenticatedRequest_ = dataset.makeAuthenticatedRequest_;
   this.datasetId = datasetId;
+  this.timeout = dataset.timeout;
+  this.debugLogger = dataset.debugLogger;
 
   // A queue for entity modifications made during the transaction.
   this.modifiedEntities_ = [];
@@ -105,7 +107,7 @@ Transaction.prototype.begin_ = function(callback) {
 
   callback = callback || util.noop;
 
-  this.makeReq_('beginTransaction', function(err, resp) {
+  return this.makeReq_('beginTransaction', function(err, resp) {
     if (err) {
       callback(err, resp);
       return;
@@ -138,7 +140,7 @@ Transaction.prototype.rollback = function(callback) {
 
   callback = callback || util.noop;
 
-  this.makeReq_('rollback', function(err, resp) {
+  return this.makeReq_('rollback', function(err, resp) {
     that.skipCommit = true;
 
     callback(err || null, resp);
@@ -234,7 +236,7 @@ Transaction.prototype.commit_ = function(callback) {
     return extend(true, acc, req);
   }, {});
 
-  this.makeReq_('commit', req, function(err, resp) {
+  return this.makeReq_('commit', req, function(err, resp) {
     if (err) {
       callback(err, resp);
       return;
@@ -382,4 +384,8 @@ Transaction.prototype.save = function(entities) {
   });
 };
 
+util.promisifyAll(Transaction, {
+  exclude: ['delete', 'save']
+});
+
 module.exports = Transaction;
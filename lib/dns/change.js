@@ -23,10 +23,16 @@
 var nodeutil = require('util');
 
 /**
- * @type {module:common/serviceObject}
+ * @type {module:common/longrunningoperation}
  * @private
  */
-var ServiceObject = require('../common/service-object.js');
+var LongRunningOperation = require('../common/long-running-operation.js');
+
+/**
+ * @type {module:common/util}
+ * @private
+ */
+var util = require('../common/util.js');
 
 /**
  * @constructor
@@ -45,6 +51,32 @@ var ServiceObject = require('../common/service-object.js');
  *
  * var zone = dns.zone('zone-id');
  * var change = zone.change('change-id');
+ *
+ * //-
+ * // A change is an event emitter. Its status is polled, starting only after
+ * // you register a "complete" listener, until the change is done.
+ * //-
+ * change.on('complete', function(metadata) {
+ *   // The change has been applied to the zone.
+ * });
+ *
+ * change.on('error', function(err) {
+ *   // An error occurred while checking the status of the change.
+ * });
+ *
+ * //-
+ * // To stop polling, remove the "complete" listeners.
+ * //-
+ * change.removeAllListeners();
+ *
+ * //-
+ * // Or, wait for the change to be done with a callback.
+ * //-
+ * change.waitUntilDone({ timeout: 60000 }, function(err, metadata) {
+ *   if (!err) {
+ *     // The change has been applied to the zone.
+ *   }
+ * });
  */
 function Change(zone, id) {
   var methods = {
@@ -107,7 +139,7 @@ function Change(zone, id) {
     getMetadata: true
   };
 
-  ServiceObject.call(this, {
+  LongRunningOperation.call(this, {
     parent: zone,
     baseUrl: '/changes',
     id: id,
@@ -115,7 +147,7 @@ function Change(zone, id) {
   });
 }
 
-nodeutil.inherits(Change, ServiceObject);
+nodeutil.inherits(Change, LongRunningOperation);
 
 /**
  * Create a change.
@@ -151,4 +183,24 @@ Change.prototype.create = function(config, callback) {
   });
 };
 
+/**
+ * Poll `getMetadata` to check if the change is done.
+ *
+ * @private
+ *
+ * @param {function} callback - The callback function.
+ */
+Change.prototype.poll_ = function(callback) {
+  this.getMetadata(function(err, metadata) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    callback(null, metadata, metadata.status === 'done');
+  });
+};
+
+util.promisifyAll(Change);
+
 module.exports = Change;
@@ -131,7 +131,7 @@ DNS.prototype.createZone = function(name, config, callback) {
   // Required by the API.
   config.description = config.description || '';
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/managedZones',
     json: config
@@ -173,7 +173,7 @@ DNS.prototype.getZones = function(query, callback) {
     query = {};
   }
 
-  this.request({
+  return this.request({
     uri: '/managedZones',
     qs: query
   }, function(err, resp) {
@@ -224,6 +224,10 @@ DNS.prototype.zone = function(name) {
  * These methods can be used with either a callback or as a readable object
  * stream. `streamRouter` is used to add this dual behavior.
  */
+util.promisifyAll(DNS, {
+  exclude: ['zone']
+});
+
 streamRouter.extend(DNS, 'getZones');
 
 module.exports = DNS;
@@ -24,6 +24,12 @@ var arrify = require('arrify');
 var extend = require('extend');
 var format = require('string-format-obj');
 
+/**
+ * @type {module:common/util}
+ * @private
+ */
+var util = require('../common/util.js');
+
 /**
  * Create a Resource Record object.
  *
@@ -162,4 +168,8 @@ Record.prototype.toString = function() {
   }).join('\n');
 };
 
+util.promisifyAll(Record, {
+  exclude: ['toJSON', 'toString']
+});
+
 module.exports = Record;
@@ -52,6 +52,12 @@ var ServiceObject = require('../common/service-object.js');
  */
 var streamRouter = require('../common/stream-router.js');
 
+/**
+ * @type {module:common/util}
+ * @private
+ */
+var util = require('../common/util.js');
+
 /**
  * A Zone object is used to interact with your project's managed zone. It will
  * help you add or delete records, delete your zone, and many other convenience
@@ -236,7 +242,7 @@ Zone.prototype.createChange = function(config, callback) {
   delete body.add;
   delete body.delete;
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/changes',
     json: body
@@ -518,7 +524,7 @@ Zone.prototype.getChanges = function(query, callback) {
     delete query.sort;
   }
 
-  this.request({
+  return this.request({
     uri: '/changes',
     qs: query
   }, function(err, resp) {
@@ -652,7 +658,7 @@ Zone.prototype.getRecords = function(query, callback) {
   var requestQuery = extend({}, query);
   delete requestQuery.filterByTypes_;
 
-  this.request({
+  return this.request({
     uri: '/rrsets',
     qs: requestQuery
   }, function(err, resp) {
@@ -877,6 +883,10 @@ Zone.prototype.deleteRecordsByType_ = function(recordTypes, callback) {
  * These methods can be used with either a callback or as a readable object
  * stream. `streamRouter` is used to add this dual behavior.
  */
+util.promisifyAll(Zone, {
+  exclude: ['change', 'record']
+});
+
 streamRouter.extend(Zone, ['getChanges', 'getRecords']);
 
 module.exports = Zone;
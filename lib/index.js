@@ -22,6 +22,30 @@
 
 var extend = require('extend');
 
+/**
+ * @type {module:common/batch}
+ * @private
+ */
+var Batch = require('./common/batch.js');
+
+/**
+ * @type {module:common/config}
+ * @private
+ */
+var configResolver = require('./common/config.js');
+
+/**
+ * @type {module:common/telemetry}
+ * @private
+ */
+var Telemetry = require('./common/telemetry.js');
+
+/**
+ * @type {module:common/util}
+ * @private
+ */
+var util = require('./common/util.js');
+
 /**
  * The APIs exposed to the user.
  *
@@ -320,17 +344,45 @@ var scopedApis = {
  * See our [Authentication Guide](#/authentication) for how to obtain the
  * necessary credentials for connecting to your project.
  *
+ * Configuration may also come from a JSON or YAML config file, a profile
+ * defined in it, and `GCLOUD_*` environment variables. Each of these takes
+ * precedence over the one before it, and the options given in code take
+ * precedence over all of them. The environment variables are
+ * `GCLOUD_PROJECT`, `GCLOUD_KEY_FILENAME`, `GCLOUD_EMAIL`,
+ * `GCLOUD_AUTO_RETRY`, `GCLOUD_MAX_RETRIES`, and `GCLOUD_TIMEOUT`.
+ *
  * ### Advanced Usage
  *
  * #### Interceptors
  *
  * All of the returned modules hold a special `interceptors` array you can use
- * to have control over the flow of the internal operations of this library. As
- * of now, we support a request interceptor, allowing you to tweak all of the
- * API request options before the HTTP request is sent.
+ * to have control over the flow of the internal operations of this library. An
+ * interceptor is an object that may define any of the following phases:
+ *
+ *   - `request(requestOptions)` - Tweak the API request options before the
+ *     HTTP request is sent.
+ *   - `response(httpRespMessage)` - Inspect the HTTP response. For requests
+ *     made with a callback, you may also replace `httpRespMessage.body`.
+ *   - `error(err)` - Inspect or replace an error before it is returned.
+ *
+ * Each phase returns the value to pass along. To do asynchronous work, return
+ * a Promise, or accept a second argument, `done`, and call it with
+ * `(err, value)`.
  *
  * See the example below for more.
  *
+ * #### Promises
+ *
+ * Any method that accepts a callback will return a Promise when the callback is
+ * omitted. The Promise resolves with an array of the arguments the callback
+ * would have received after the error, e.g. `[metadata, apiResponse]`. Methods
+ * that return a stream when the callback is omitted, such as
+ * `bucket.getFiles()`, continue to do so.
+ *
+ * Handle the rejection of every Promise you receive, even when you do not wait
+ * for the result, e.g. `file.delete().catch(handleError)`. A rejection that is
+ * not handled is reported by Node.js as an unhandled rejection.
+ *
  * @alias module:gcloud
  * @constructor
  *
@@ -345,12 +397,105 @@ var scopedApis = {
  * @param {object=} config.credentials - Credentials object.
  * @param {string} config.credentials.client_email
  * @param {string} config.credentials.private_key
+ * @param {string=} config.configFile - Path to a JSON or YAML file with
+ *     default values for these options. Files ending in `.yaml` or `.yml` are
+ *     read as YAML. If not set, the `GCLOUD_CONFIG` environment variable is
+ *     used.
+ * @param {string=} config.profile - The name of the profile to use, from the
+ *     `profiles` of the config file. If not set, the `GCLOUD_PROFILE`
+ *     environment variable is used, then the `profile` of the config file.
+ * @param {object=} config.profiles - Profiles to add to those of the config
+ *     file. Each is an object of these options, by name.
  * @param {boolean=} config.autoRetry - Automatically retry requests if the
  *     response is related to rate limits or certain intermittent server errors.
  *     We will exponentially backoff subsequent requests by default. (default:
  *     true)
  * @param {number=} config.maxRetries - Maximum number of automatic retries
  *     attempted before returning the error. (default: 3)
+ * @param {object=} config.retryPolicy - Customize how failed requests are
+ *     retried.
+ * @param {number[]} config.retryPolicy.codes - HTTP status codes that are
+ *     retried. (default: `[429, 500, 502, 503]`)
+ * @param {string[]} config.retryPolicy.reasons - Error reasons that are
+ *     retried, regardless of the status code. (default:
+ *     `['rateLimitExceeded', 'userRateLimitExceeded']`)
+ * @param {number} config.retryPolicy.maxRetries - Maximum number of automatic
+ *     retries attempted before returning the error. Takes precedence over
+ *     `config.maxRetries`. (default: 3)
+ * @param {number} config.retryPolicy.maxElapsedTime - Do not retry once this
+ *     many milliseconds have passed since the first attempt. (default:
+ *     `Infinity`)
+ * @param {number} config.retryPolicy.initialDelay - Milliseconds to wait
+ *     before the first retry. (default: 2000)
+ * @param {number} config.retryPolicy.multiplier - Each delay is this many
+ *     times the previous one. (default: 2)
+ * @param {number} config.retryPolicy.maxDelay - The longest delay between two
+ *     attempts, in milliseconds. (default: 64000)
+ * @param {number} config.retryPolicy.jitter - Up to this many milliseconds are
+ *     randomly added to every delay. (default: 1000)
+ * @param {boolean} config.retryPolicy.retryNonIdempotent - Retry requests that
+ *     could have a different effect when repeated, such as publishing a Pub/Sub
+ *     message or inserting BigQuery rows. (default: false)
+ * @param {function=} config.retryPolicy.onRetry - Called before every retry
+ *     with an object describing it: `attempt`, `delay`, `elapsed`, `err`,
+ *     `idempotent`, and `reqOpts`.
+ * @param {number=} config.timeout - Milliseconds to wait for an API request,
+ *     including its retries, to complete before it fails with a
+ *     `TimeoutError`.
+ * @param {boolean|object=} config.debug - Set to `true` to log the method, URI,
+ *     status, and timing of every API request and retry. Credentials are
+ *     removed from the logs. If not set, the `GCLOUD_DEBUG` environment
+ *     variable is used: set it to `true`, or to `body` to log bodies too.
+ * @param {boolean} config.debug.bodies - Also log the headers and bodies of
+ *     requests and responses. (default: false)
+ * @param {function} config.debug.log - Called with each message. (default:
+ *     `console.error`)
+ * @param {object=} config.fixtures - Record API requests and their responses
+ *     to a fixture file, or replay the responses from it. Replayed requests
+ *     need neither credentials nor a network connection.
+ * @param {string} config.fixtures.mode - Either `record` or `replay`.
+ * @param {string} config.fixtures.path - Path to the fixture file.
+ * @param {string[]=} config.fixtures.ignore - Names of query string parameters
+ *     and JSON body fields that may differ between a request and the recorded
+ *     request it is answered with. Page tokens and timestamps always may.
+ * @param {object=} config.rateLimit - Keep API requests under a rate, so that
+ *     quotas are not exceeded. Requests over the rate wait in a queue. Every
+ *     instance of a service with the same limits shares them.
+ * @param {number} config.rateLimit.requestsPerSecond - The sustained rate.
+ * @param {number=} config.rateLimit.burst - The most requests made at once,
+ *     before the rate applies. (default: `requestsPerSecond`)
+ * @param {number=} config.rateLimit.maxQueue - The most requests waiting at
+ *     once. Any more fail with a `QueueFullError`. (default: `Infinity`)
+ * @param {object=} config.rateLimit.families - Separate limits for `read`
+ *     (GET and HEAD) and `write` requests, in the same format as
+ *     `config.rateLimit`.
+ * @param {string=} config.apiEndpoint - Send the requests of a service to this
+ *     endpoint instead of the API, such as `localhost:8080`. The endpoint
+ *     replaces the host of each API URL, keeping its path. Set it when creating
+ *     a service.
+ * @param {boolean=} config.authenticate - Whether to authenticate requests.
+ *     (default: `false` with an `apiEndpoint`, `true` otherwise)
+ * @param {string|boolean=} config.proxy - The URL of a proxy to send requests
+ *     through. If not set, the `HTTPS_PROXY` and `HTTP_PROXY` environment
+ *     variables are used. Set to `false` to connect directly.
+ * @param {string|string[]=} config.noProxy - Hosts to connect to directly,
+ *     instead of through the proxy, such as `localhost` or `.example.com`.
+ *     (default: the `NO_PROXY` environment variable)
+ * @param {boolean=} config.keepAlive - Keep sockets open between requests, to
+ *     be used again. (default: `false`)
+ * @param {number=} config.maxSockets - The most sockets open to a host at
+ *     once. (default: `Infinity`)
+ * @param {string|string[]=} config.caFile - Paths to PEM files of the
+ *     certificate authorities to trust, instead of the default ones.
+ * @param {object=} config.tracing - Send trace context headers with each
+ *     request, so API calls are part of your distributed traces.
+ * @param {function} config.tracing.getContext - Return the current trace
+ *     context, as an object with the `traceId`, `spanId`, and whether the trace
+ *     is `sampled`. It is called with the options of each request. If it
+ *     returns nothing, no headers are sent.
+ * @param {string=} config.tracing.format - Either `w3c`, to send a
+ *     `traceparent` header, or `google`, to send an `X-Cloud-Trace-Context`
+ *     header. (default: `w3c`)
  *
  * @example
  * var gcloud = require('gcloud')({
@@ -421,13 +566,345 @@ var scopedApis = {
  * bucket.getMetadata(function() {
  *   // This HTTP request was sent with the 'I win!' header specified above.
  * });
+ *
+ * //-
+ * // Interceptors can also observe responses and errors, and do work
+ * // asynchronously.
+ * //-
+ * gcloud.interceptors.push({
+ *   request: function(requestOptions, done) {
+ *     // Execute `done` once any asynchronous work has completed.
+ *     done(null, requestOptions);
+ *   },
+ *
+ *   response: function(httpRespMessage) {
+ *     console.log(httpRespMessage.headers);
+ *     return httpRespMessage;
+ *   },
+ *
+ *   error: function(err) {
+ *     err.message = 'Storage error: ' + err.message;
+ *     return err;
+ *   }
+ * });
+ *
+ * //-
+ * // <h4>Config Files & Profiles</h4>
+ * //
+ * // Keep the settings of each environment in a config file, and select one
+ * // with the `profile` option or the `GCLOUD_PROFILE` environment variable.
+ * // A config file may look like:
+ * //
+ * // keyFilename: keyfile.json
+ * // profiles:
+ * //   staging:
+ * //     projectId: grape-spaceship-staging
+ * //   prod:
+ * //     projectId: grape-spaceship-123
+ * //     keyFilename: prod-keyfile.json
+ * //
+ * // Then, `require('gcloud')({ configFile: 'gcloud.yaml', profile: 'prod' })`.
+ * // Profiles may also be given in code.
+ * //-
+ * var stagingGcloud = require('gcloud')({
+ *   profile: 'staging',
+ *   profiles: {
+ *     staging: {
+ *       projectId: 'grape-spaceship-staging'
+ *     }
+ *   }
+ * });
+ *
+ * //-
+ * // See the effective configuration, and where each option was set.
+ * // Credentials are not included.
+ * //-
+ * console.log(stagingGcloud.describeConfig());
+ * // projectId: "grape-spaceship-staging" (profile "staging")
+ *
+ * //-
+ * // <h4>Retry Policy</h4>
+ * //
+ * // Customize which errors are retried, and how long to wait between attempts.
+ * // The policy may also be set for a single service, e.g.
+ * // `gcloud.storage({ retryPolicy: {} })`.
+ * //-
+ * var patientGcloud = require('gcloud')({
+ *   projectId: 'grape-spaceship-123',
+ *   keyFilename: '/path/to/keyfile.json',
+ *   retryPolicy: {
+ *     codes: [429, 500, 502, 503, 504],
+ *     maxRetries: 5,
+ *     maxElapsedTime: 60000,
+ *     onRetry: function(retry) {
+ *       console.log('Retry #' + retry.attempt + ': ' + retry.err.message);
+ *     }
+ *   }
+ * });
+ *
+ * //-
+ * // <h4>Promises</h4>
+ * //
+ * // Omit the callback to receive a Promise instead.
+ * //-
+ * bucket.getMetadata().then(function(data) {
+ *   var metadata = data[0];
+ *   var apiResponse = data[1];
+ * }, function(err) {});
+ *
+ * //-
+ * // <h4>Async Iteration</h4>
+ * //
+ * // Methods that return a readable object stream of results, such as
+ * // `gcs.getBuckets()`, can also be used with `for await...of`. Call `pages`
+ * // on the stream to iterate over each page of results instead.
+ * //-
+ * async function printBucketNames() {
+ *   for await (var bucket of gcs.getBuckets()) {
+ *     console.log(bucket.name);
+ *   }
+ * }
+ *
+ * //-
+ * // <h4>Timeouts & Cancellation</h4>
+ * //
+ * // Set `timeout` to give up on requests that take too long. The callback
+ * // receives an error with the code `ETIMEDOUT`.
+ * //-
+ * var hastyGcs = gcloud.storage({
+ *   timeout: 5000
+ * });
+ *
+ * //-
+ * // Methods that make API requests return a handle with an `abort` method.
+ * // Your callback will receive an error with the code `ECANCELED`.
+ * //-
+ * var request = bucket.getMetadata(function(err) {
+ *   // err.code === 'ECANCELED'
+ * });
+ *
+ * request.abort();
+ *
+ * //-
+ * // Promises expose the same `abort` method.
+ * //-
+ * var promise = bucket.getMetadata();
+ * promise.then(null, function(err) {});
+ * promise.abort();
+ *
+ * //-
+ * // <h4>Debugging</h4>
+ * //
+ * // Set `debug` to see the HTTP requests being made. Authorization headers,
+ * // signed URL signatures, and private keys are never logged.
+ * //-
+ * var debugGcs = gcloud.storage({
+ *   debug: {
+ *     bodies: true,
+ *     log: function(message) {
+ *       // message = 'gcloud: 200 GET https://www.googleapis.com/...'
+ *     }
+ *   }
+ * });
+ *
+ * //-
+ * // <h4>Recording & Replaying Requests</h4>
+ * //
+ * // Test code built on gcloud without credentials or a network connection.
+ * // First, record the requests your code makes, and their responses, to a
+ * // fixture file.
+ * //-
+ * var recordingGcs = gcloud.storage({
+ *   fixtures: {
+ *     mode: 'record',
+ *     path: 'test/fixtures/gcs.json'
+ *   }
+ * });
+ *
+ * //-
+ * // Then replay the responses in your tests. Each request is answered by the
+ * // response recorded for a matching request, in the order they were made.
+ * //-
+ * var replayingGcs = gcloud.storage({
+ *   fixtures: {
+ *     mode: 'replay',
+ *     path: 'test/fixtures/gcs.json',
+ *     ignore: ['ifGenerationMatch']
+ *   }
+ * });
+ *
+ * //-
+ * // <h4>Local Emulators</h4>
+ * //
+ * // Point a service at a local stand-in for its API with `apiEndpoint`.
+ * // Requests to a custom endpoint are not authenticated, unless you set
+ * // `authenticate` to `true`. Uploads to Storage are never resumable.
+ * //-
+ * var localGcs = gcloud.storage({
+ *   apiEndpoint: 'localhost:4443'
+ * });
+ *
+ * var localPubsub = gcloud.pubsub({
+ *   apiEndpoint: 'http://localhost:8085',
+ *   authenticate: true
+ * });
+ *
+ * //-
+ * // <h4>Proxies & Connections</h4>
+ * //
+ * // Send requests through a corporate proxy that presents its own
+ * // certificates, and keep connections open for a high-throughput workload.
+ * // Services configured the same way share their connections.
+ * //-
+ * var corpGcloud = require('gcloud')({
+ *   projectId: 'grape-spaceship-123',
+ *   keyFilename: '/path/to/keyfile.json',
+ *   proxy: 'http://proxy.example.com:3128',
+ *   noProxy: ['localhost', '.internal.example.com'],
+ *   keepAlive: true,
+ *   maxSockets: 50
+ * });
+ *
+ * // Add `caFile: '/etc/ssl/certs/corp-ca.pem'` to trust the proxy's
+ * // certificate authority.
+ * var corpGcs = corpGcloud.storage();
+ *
+ * //-
+ * // <h4>Metrics & Tracing</h4>
+ * //
+ * // `gcloud.telemetry` emits a "request" event when each API request is
+ * // sent, and a "response" event with its metrics when it is done. This
+ * // includes requests made by every service created from `gcloud`.
+ * //-
+ * gcloud.telemetry.on('response', function(metrics) {
+ *   // metrics.method === 'GET'
+ *   // metrics.uri === 'https://www.googleapis.com/storage/v1/b/photos'
+ *   // metrics.statusCode === 200
+ *   // metrics.latency === 124 (milliseconds, including retries)
+ *   // metrics.bytesSent === 0
+ *   // metrics.bytesReceived === 512
+ *   // metrics.retries === 0
+ *   // metrics.err === null
+ * });
+ *
+ * //-
+ * // Send the trace context of the current operation with each request.
+ * //-
+ * var tracedGcs = gcloud.storage({
+ *   tracing: {
+ *     getContext: function(reqOpts) {
+ *       return {
+ *         traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+ *         spanId: '00f067aa0ba902b7',
+ *         sampled: true
+ *       };
+ *     }
+ *   }
+ * });
+ *
+ * //-
+ * // <h4>Rate Limiting</h4>
+ * //
+ * // Set `rateLimit` to stay within your API quotas, instead of waiting for
+ * // requests to fail and be retried. Here, up to 20 writes are made at once,
+ * // then 10 per second. Reads have the default limit of 50 per second.
+ * //-
+ * var bigquery = gcloud.bigquery({
+ *   rateLimit: {
+ *     requestsPerSecond: 50,
+ *     maxQueue: 1000,
+ *     families: {
+ *       write: {
+ *         requestsPerSecond: 10,
+ *         burst: 20
+ *       }
+ *     }
+ *   }
+ * });
+ *
+ * //-
+ * // See how often requests had to wait.
+ * //-
+ * var stats = bigquery.rateLimiter.getStats();
+ * // stats.write.throttled === 12
+ *
+ * //-
+ * // <h4>Batch Requests</h4>
+ * //
+ * // The requests made while the function given to `batch` runs are sent
+ * // together, up to 100 at a time. Each callback still receives its own
+ * // response. Storage and Compute support batch requests.
+ * //-
+ * gcs.batch(function() {
+ *   bucket.file('old-photo.jpg').delete(function(err) {});
+ *   bucket.file('new-photo.jpg').makePublic(function(err) {});
+ * }, function(err) {
+ *   // Every request in the batch has completed.
+ * });
+ *
+ * //-
+ * // <h4>Multiple Projects</h4>
+ * //
+ * // `project` gets a handle to a service for another project. It shares the
+ * // service's authentication and connections, so tools that work across many
+ * // projects only need one client.
+ * //-
+ * var stagingGcs = gcs.project('staging-project-123');
+ *
+ * stagingGcs.getBuckets(function(err, buckets) {
+ *   // `buckets` are in staging-project-123.
+ * });
+ *
+ * //-
+ * // Refer to a BigQuery dataset in another project. Jobs that read or write
+ * // its tables are still run in your project.
+ * //-
+ * var shakespeare = bigquery.dataset('samples', {
+ *   projectId: 'publicdata'
+ * }).table('shakespeare');
+ *
+ * //-
+ * // <h4>Credentials</h4>
+ * //
+ * // Every service can tell which identity its requests are authenticated as.
+ * //-
+ * gcs.getIdentity(function(err, identity) {
+ *   // identity.type === 'service_account'
+ *   // identity.email === 'my-service-account@grape-spaceship-123.iam...'
+ *   // identity.scopes === ['https://www.googleapis.com/auth/devstorage...']
+ * });
+ *
+ * //-
+ * // Sign data as the service account, e.g. for your own signed tokens. This
+ * // works without a key file, such as on Compute Engine, through the IAM
+ * // Credentials API.
+ * //-
+ * gcs.signBlob('data to sign', function(err, signature) {});
+ *
+ * //-
+ * // Get an access token that only grants read access to Cloud Storage, to
+ * // hand to another process.
+ * //-
+ * gcs.getAccessToken({
+ *   scopes: 'https://www.googleapis.com/auth/devstorage.read_only'
+ * }, function(err, accessToken) {
+ *   // accessToken.token is the access token.
+ *   // accessToken.expires is when it expires.
+ * });
  */
 function gcloud(config) {
   config = extend(true, { interceptors_: [] }, config);
+  config.telemetry_ = new Telemetry();
 
   var gcloudExposedApi = {
+    batch: gcloud.batch,
     config_: config,
-    interceptors: config.interceptors_
+    describeConfig: function(overrides, service) {
+      return configResolver.describe([config, overrides], service);
+    },
+    errors: util.errors,
+    interceptors: config.interceptors_,
+    telemetry: config.telemetry_
   };
 
   return Object.keys(apis).reduce(function(gcloudExposedApi, apiName) {
@@ -443,4 +920,101 @@ function gcloud(config) {
   }, gcloudExposedApi);
 }
 
+/**
+ * The error classes used by all of the APIs. Use them to check the kind of an
+ * error with `instanceof`.
+ *
+ * API errors are an `ApiError`, or one of its subclasses: `BadRequestError`
+ * (400), `UnauthorizedError` (401), `PermissionDeniedError` (403),
+ * `NotFoundError` (404), `ConflictError` (409), `PreconditionFailedError`
+ * (412), `RateLimitError` (429, or a rate limit reason), and `ServerError`
+ * (5xx). They have the `code`, `errors`, and `response` from the API, the
+ * `method` and `uri` of the request, and the number of `retries` made.
+ *
+ * Cancelled requests fail with a `CancellationError`, and requests that do not
+ * complete in time fail with a `TimeoutError`.
+ *
+ * @type {object}
+ *
+ * @example
+ * var gcloud = require('gcloud');
+ * var gcs = gcloud.storage({
+ *   projectId: 'grape-spaceship-123',
+ *   keyFilename: '/path/to/keyfile.json'
+ * });
+ *
+ * gcs.bucket('photos').getMetadata(function(err, metadata) {
+ *   if (err instanceof gcloud.errors.NotFoundError) {
+ *     // The bucket does not exist.
+ *   }
+ * });
+ */
+gcloud.errors = util.errors;
+
+/**
+ * Send the requests made while a function runs in batch requests, to any API
+ * that supports them. Unlike `batch` on a service, such as `gcs.batch()`,
+ * requests made to every service are collected.
+ *
+ * Only requests made before the function returns, with a callback, are
+ * batched. Uploads and streaming requests are made as usual, as are the
+ * requests a method only makes after an earlier one completes.
+ *
+ * If the function throws, nothing is sent. The requests it made receive the
+ * error, and it is thrown again.
+ *
+ * @param {function} collect - Make the requests to batch.
+ * @param {function=} callback - Executed after the callback of every request.
+ * @param {?error} callback.err - An error sending a batch request.
+ *
+ * @example
+ * var gcloud = require('gcloud');
+ * var config = {
+ *   projectId: 'grape-spaceship-123',
+ *   keyFilename: '/path/to/keyfile.json'
+ * };
+ *
+ * var bucket = gcloud.storage(config).bucket('photos');
+ * var zone = gcloud.compute(config).zone('us-central1-a');
+ *
+ * gcloud.batch(function() {
+ *   bucket.file('photo.jpg').delete(function(err) {});
+ *   zone.vm('vm-name').stop(function(err, operation) {});
+ * }, function(err) {});
+ */
+gcloud.batch = function(collect, callback) {
+  new Batch().run(collect, callback);
+};
+
+/**
+ * Describe the effective configuration, with where each option was set:
+ * the config file, a profile, an environment variable, or the options given.
+ * The values of `credentials`, `key`, and `keyFilename` are not included.
+ *
+ * Call `describeConfig` on the object returned by `gcloud()` to include the
+ * options given to it. Give it options to see the configuration a service
+ * would have, e.g. `gcloud.describeConfig({ profile: 'prod' })`. Name the
+ * service to include its environment variables from the gcloud SDK, such as
+ * `DATASTORE_HOST`.
+ *
+ * @throws {Error} If the config file cannot be read, or the profile is not
+ *     defined.
+ *
+ * @param {object=} config - Configuration options. See {module:gcloud}.
+ * @param {string=} service - The service to describe the configuration of:
+ *     `datastore` or `pubsub`.
+ * @return {string} - One option per line.
+ *
+ * @example
+ * var gcloud = require('gcloud');
+ *
+ * console.log(gcloud.describeConfig({
+ *   keyFilename: '/path/to/keyfile.json'
+ * }));
+ * // keyFilename: [REDACTED] (options)
+ */
+gcloud.describeConfig = function(config, service) {
+  return configResolver.describe([config], service);
+};
+
 module.exports = extend(gcloud, apis);
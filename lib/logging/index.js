@@ -204,7 +204,7 @@ Logging.prototype.createSink = function(name, config, callback) {
     return;
   }
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/sinks',
     json: extend({}, config, {
@@ -277,6 +277,8 @@ Logging.prototype.entry = function(resource, data) {
  * @param {object=} options - Filtering options.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string} options.filter - An
  *     [advanced logs filter](https://cloud.google.com/logging/docs/view/advanced_filters).
  *     An empty filter matches all log entries.
@@ -348,7 +350,7 @@ Logging.prototype.getEntries = function(options, callback) {
   body.projectIds = arrify(body.projectIds);
   body.projectIds.push(this.projectId);
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/entries:list',
     json: body
@@ -407,7 +409,7 @@ Logging.prototype.getSinks = function(options, callback) {
     options = {};
   }
 
-  this.request({
+  return this.request({
     uri: '/sinks'
   }, function(err, resp) {
     if (err) {
@@ -579,6 +581,10 @@ Logging.prototype.setAclForTopic_ = function(name, config, callback) {
  * These methods can be used with either a callback or as a readable object
  * stream. `streamRouter` is used to add this dual behavior.
  */
+util.promisifyAll(Logging, {
+  exclude: ['entry', 'log', 'sink']
+});
+
 streamRouter.extend(Logging, ['getEntries', 'getSinks']);
 
 module.exports = Logging;
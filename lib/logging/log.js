@@ -42,6 +42,12 @@ var Entry = require('./entry.js');
  */
 var ServiceObject = require('../common/service-object.js');
 
+/**
+ * @type {module:common/util}
+ * @private
+ */
+var util = require('../common/util.js');
+
 /**
  * A log is a named collection of entries, each entry representing a timestamped
  * event. Logs can be produced by Google Cloud Platform services, by third-party
@@ -322,6 +328,8 @@ Log.prototype.error = function(entry, options, callback) {
  * @param {object=} options - Filtering options.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string} options.filter - An
  *     [advanced logs filter](https://cloud.google.com/logging/docs/view/advanced_filters).
  *     An empty filter matches all log entries.
@@ -516,9 +524,10 @@ Log.prototype.write = function(entry, options, callback) {
     options = {};
   }
 
-  this.parent.request({
+  return this.parent.request({
     method: 'POST',
     uri: '/entries:write',
+    idempotent: false,
     json: extend({
       entries: arrify(entry).map(this.formatEntryForApi_.bind(this))
     }, options)
@@ -545,4 +554,8 @@ Log.prototype.formatEntryForApi_ = function(entry) {
   return formattedEntry;
 };
 
+util.promisifyAll(Log, {
+  exclude: ['entry', 'getEntries']
+});
+
 module.exports = Log;
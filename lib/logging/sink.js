@@ -211,4 +211,6 @@ Sink.prototype.setMetadata = function(metadata, callback) {
   });
 };
 
+util.promisifyAll(Sink);
+
 module.exports = Sink;
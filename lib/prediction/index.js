@@ -176,7 +176,7 @@ Prediction.prototype.createModel = function(id, options, callback) {
     delete body.type;
   }
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/trainedmodels',
     json: body
@@ -268,7 +268,7 @@ Prediction.prototype.getModels = function(query, callback) {
     query = {};
   }
 
-  this.request({
+  return this.request({
     uri: '/trainedmodels/list',
     qs: query
   }, function(err, resp) {
@@ -319,6 +319,10 @@ Prediction.prototype.model = function(id) {
  * These methods can be used with either a callback or as a readable object
  * stream. `streamRouter` is used to add this dual behavior.
  */
+util.promisifyAll(Prediction, {
+  exclude: ['model']
+});
+
 streamRouter.extend(Prediction, 'getModels');
 
 module.exports = Prediction;
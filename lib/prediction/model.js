@@ -208,7 +208,7 @@ nodeutil.inherits(Model, ServiceObject);
  * });
  */
 Model.prototype.analyze = function(callback) {
-  this.request({
+  return this.request({
     uri: '/analyze'
   }, function(err, resp) {
     if (err) {
@@ -331,7 +331,7 @@ Model.prototype.createWriteStream = function(label) {
  * });
  */
 Model.prototype.query = function(input, callback) {
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/predict',
     json: {
@@ -387,4 +387,6 @@ Model.prototype.train = function(label, input, callback) {
   }, callback);
 };
 
+util.promisifyAll(Model);
+
 module.exports = Model;
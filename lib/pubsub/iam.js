@@ -30,6 +30,12 @@ var nodeutil = require('util');
  */
 var ServiceObject = require('../common/service-object.js');
 
+/**
+ * @type {module:common/util}
+ * @private
+ */
+var util = require('../common/util.js');
+
 /*! Developer Documentation
  *
  * @param {module:pubsub} pubsub - PubSub Object.
@@ -107,7 +113,7 @@ nodeutil.inherits(IAM, ServiceObject);
  * subscription.iam.getPolicy(function(err, policy, apiResponse) {});
  */
 IAM.prototype.getPolicy = function(callback) {
-  this.request({
+  return this.request({
     uri: ':getIamPolicy'
   }, function(err, resp) {
     if (err) {
@@ -158,7 +164,7 @@ IAM.prototype.setPolicy = function(policy, callback) {
     throw new Error('A policy object is required.');
   }
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: ':setIamPolicy',
     json: {
@@ -230,7 +236,7 @@ IAM.prototype.testPermissions = function(permissions, callback) {
 
   permissions = arrify(permissions);
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: ':testIamPermissions',
     json: {
@@ -253,4 +259,6 @@ IAM.prototype.testPermissions = function(permissions, callback) {
   });
 };
 
+util.promisifyAll(IAM);
+
 module.exports = IAM;
@@ -60,8 +60,9 @@ var util = require('../common/util.js');
  * reliable, many-to-many, asynchronous messaging service from Google Cloud
  * Platform.
  *
- * The `PUBSUB_HOST` environment variable from the gcloud SDK is honored,
- * otherwise the actual API endpoint will be used.
+ * The `PUBSUB_HOST` environment variable from the gcloud SDK is used as the
+ * `apiEndpoint` option if it is not given, otherwise the actual API endpoint
+ * will be used.
  *
  * @constructor
  * @alias module:pubsub
@@ -78,12 +79,14 @@ var util = require('../common/util.js');
  */
 function PubSub(options) {
   if (!(this instanceof PubSub)) {
-    options = util.normalizeArguments(this, options);
+    options = util.normalizeArguments(this, options, {
+      service: 'pubsub'
+    });
     return new PubSub(options);
   }
 
   var config = {
-    baseUrl: process.env.PUBSUB_HOST || 'https://pubsub.googleapis.com/v1',
+    baseUrl: 'https://pubsub.googleapis.com/v1',
     scopes: [
       'https://www.googleapis.com/auth/pubsub',
       'https://www.googleapis.com/auth/cloud-platform'
@@ -119,7 +122,7 @@ PubSub.prototype.createTopic = function(name, callback) {
 
   callback = callback || util.noop;
 
-  this.request({
+  return this.request({
     method: 'PUT',
     uri: '/topics/' + name,
   }, function(err, resp) {
@@ -150,6 +153,8 @@ PubSub.prototype.createTopic = function(name, callback) {
  * @param {object=} options - Configuration object.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string|module:pubsub/topic} options.topic - The name of the topic to
  *     list subscriptions from.
  * @param {number} options.pageSize - Maximum number of results to return.
@@ -234,7 +239,7 @@ PubSub.prototype.getSubscriptions = function(options, callback) {
     query.pageToken = options.pageToken;
   }
 
-  this.request({
+  return this.request({
     uri: (topicName ? '/topics/' + topicName : '') + '/subscriptions',
     qs: query
   }, function(err, resp) {
@@ -276,6 +281,8 @@ PubSub.prototype.getSubscriptions = function(options, callback) {
  * @param {object=} query - Query object.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string=} query.pageToken - Page token.
  * @param {number=} query.pageSize - Max number of results to return.
  * @param {function} callback - The callback function.
@@ -344,7 +351,7 @@ PubSub.prototype.getTopics = function(query, callback) {
     query = {};
   }
 
-  this.request({
+  return this.request({
     uri: '/topics',
     qs: query
   }, function(err, result) {
@@ -468,7 +475,7 @@ PubSub.prototype.subscribe = function(topic, subName, options, callback) {
   delete body.reuseExisting;
   delete body.timeout;
 
-  this.request({
+  return this.request({
     method: 'PUT',
     uri: '/subscriptions/' + subName,
     json: body
@@ -554,6 +561,10 @@ PubSub.prototype.topic = function(name) {
  * These methods can be used with either a callback or as a readable object
  * stream. `streamRouter` is used to add this dual behavior.
  */
+util.promisifyAll(PubSub, {
+  exclude: ['subscription', 'topic']
+});
+
 streamRouter.extend(PubSub, ['getSubscriptions', 'getTopics']);
 
 module.exports = PubSub;
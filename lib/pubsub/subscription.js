@@ -368,7 +368,7 @@ Subscription.prototype.ack = function(ackIds, callback) {
 
   callback = callback || util.noop;
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: ':acknowledge',
     json: {
@@ -508,7 +508,7 @@ Subscription.prototype.pull = function(options, callback) {
     options.maxResults = MAX_EVENTS_LIMIT;
   }
 
-  this.request({
+  return this.request({
     timeout: this.timeout,
     method: 'POST',
     uri: ':pull',
@@ -574,7 +574,7 @@ Subscription.prototype.pull = function(options, callback) {
 Subscription.prototype.setAckDeadline = function(options, callback) {
   callback = callback || util.noop;
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: ':modifyAckDeadline',
     json: {
@@ -689,4 +689,8 @@ Subscription.prototype.startPulling_ = function() {
   });
 };
 
+util.promisifyAll(Subscription, {
+  exclude: Object.keys(events.EventEmitter.prototype)
+});
+
 module.exports = Subscription;
@@ -343,9 +343,10 @@ Topic.prototype.publish = function(messages, callback) {
 
   callback = callback || util.noop;
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: ':publish',
+    idempotent: false,
     json: {
       messages: messages.map(Topic.formatMessage_)
     }
@@ -435,4 +436,8 @@ Topic.prototype.subscription = function(name, options) {
   return this.pubsub.subscription(name, options);
 };
 
+util.promisifyAll(Topic, {
+  exclude: ['getSubscriptions', 'subscription']
+});
+
 module.exports = Topic;
@@ -126,7 +126,7 @@ Resource.prototype.createProject = function(id, options, callback) {
     options = {};
   }
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/projects',
     json: extend({}, options, {
@@ -154,6 +154,8 @@ Resource.prototype.createProject = function(id, options, callback) {
  * @param {object=} options - Operation search options.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string} options.filter - An expression for filtering the results.
  * @param {number} options.pageSize - Maximum number of projects to return.
  * @param {string} options.pageToken - A previously-returned page token
@@ -217,7 +219,7 @@ Resource.prototype.getProjects = function(options, callback) {
 
   options = options || {};
 
-  this.request({
+  return this.request({
     uri: '/projects',
     qs: options
   }, function(err, resp) {
@@ -271,6 +273,10 @@ Resource.prototype.project = function(id) {
  * These methods can be used with either a callback or as a readable object
  * stream. `streamRouter` is used to add this dual behavior.
  */
+util.promisifyAll(Resource, {
+  exclude: ['project']
+});
+
 streamRouter.extend(Resource, ['getProjects']);
 
 module.exports = Resource;
@@ -220,7 +220,7 @@ nodeutil.inherits(Project, ServiceObject);
 Project.prototype.restore = function(callback) {
   callback = callback || util.noop;
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: ':undelete'
   }, function(err, resp) {
@@ -228,4 +228,6 @@ Project.prototype.restore = function(callback) {
   });
 };
 
+util.promisifyAll(Project);
+
 module.exports = Project;
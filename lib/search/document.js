@@ -252,4 +252,8 @@ Document.prototype.toJSON = function() {
   return documentObject;
 };
 
+util.promisifyAll(Document, {
+  exclude: ['addField', 'setRank', 'toJSON']
+});
+
 module.exports = Document;
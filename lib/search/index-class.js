@@ -43,6 +43,12 @@ var ServiceObject = require('../common/service-object.js');
  */
 var streamRouter = require('../common/stream-router.js');
 
+/**
+ * @type {module:common/util}
+ * @private
+ */
+var util = require('../common/util.js');
+
 /**
  * Create an Index object to interact with a Google Cloud Search index.
  *
@@ -135,7 +141,7 @@ Index.prototype.createDocument = function(documentObj, callback) {
     document = this.documentFromObject_(documentObj);
   }
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/documents',
     json: documentObj
@@ -191,6 +197,8 @@ Index.prototype.document = function(id) {
  * @param {object=} query - Query object.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string} query.pageSize - The maximum number of documents to return
  *     per page. If not specified, 100 documents are returned per page.
  * @param {string} query.pageToken - A previously-returned page token
@@ -261,7 +269,7 @@ Index.prototype.getDocuments = function(query, callback) {
     query = {};
   }
 
-  this.request({
+  return this.request({
     uri: '/documents',
     qs: query
   }, function(err, resp) {
@@ -295,6 +303,8 @@ Index.prototype.getDocuments = function(query, callback) {
  * @param {string|object} query - A query object or simply a string query.
  * @param {boolean} query.autoPaginate - Have pagination handled automatically.
  *     Default: true.
+ * @param {number} query.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string} query.pageSize - The maximum number of documents to return
  *     per page. If not specified, 100 documents are returned per page.
  * @param {string} query.pageToken - A previously-returned page token
@@ -364,7 +374,7 @@ Index.prototype.search = function(query, callback) {
     throw new Error('A query must be either a string or object.');
   }
 
-  this.request({
+  return this.request({
     uri: '/search',
     qs: query,
     useQuerystring: true // See #986.
@@ -437,6 +447,10 @@ Index.prototype.documentFromObject_ = function(documentObj) {
  * used with either a callback or as a readable object stream. `streamRouter` is
  * used to add this dual behavior to these methods.
  */
+util.promisifyAll(Index, {
+  exclude: ['document']
+});
+
 streamRouter.extend(Index, ['getDocuments', 'search']);
 
 module.exports = Index;
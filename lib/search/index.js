@@ -101,6 +101,8 @@ nodeutil.inherits(Search, Service);
  * @param {object=} query - Query object.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string} query.pageSize - The maximum number of indexes to return per
  *     page. If not specified, 100 indexes are returned per page.
  * @param {string} query.pageToken - A previously-returned page token
@@ -178,7 +180,7 @@ Search.prototype.getIndexes = function(query, callback) {
     delete query.prefix;
   }
 
-  this.request({
+  return this.request({
     uri: '/indexes',
     qs: query
   }, function(err, resp) {
@@ -228,6 +230,10 @@ Search.prototype.index = function(id) {
  * {module:search#getIndexes} can be used with either a callback or as a
  * readable object stream. `streamRouter` is used to add this dual behavior.
  */
+util.promisifyAll(Search, {
+  exclude: ['index']
+});
+
 streamRouter.extend(Search, 'getIndexes');
 
 module.exports = Search;
@@ -24,6 +24,12 @@ var arrify = require('arrify');
 var is = require('is');
 var nodeutil = require('util');
 
+/**
+ * @type {module:common/util}
+ * @private
+ */
+var util = require('../common/util.js');
+
 /**
  * Google Cloud Storage uses access control lists (ACLs) to manage object and
  * bucket access. ACLs are the mechanism you use to share objects with other
@@ -241,7 +247,7 @@ Acl.prototype.add = function(options, callback) {
     query.generation = options.generation;
   }
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '',
     qs: query,
@@ -295,7 +301,7 @@ Acl.prototype.delete = function(options, callback) {
     query.generation = options.generation;
   }
 
-  this.request({
+  return this.request({
     method: 'DELETE',
     uri: '/' + encodeURIComponent(options.entity),
     qs: query
@@ -366,7 +372,7 @@ Acl.prototype.get = function(options, callback) {
     }
   }
 
-  this.request({
+  return this.request({
     uri: path,
     qs: query,
   }, function(err, resp) {
@@ -434,7 +440,7 @@ Acl.prototype.update = function(options, callback) {
     query.generation = options.generation;
   }
 
-  this.request({
+  return this.request({
     method: 'PUT',
     uri: '/' + encodeURIComponent(options.entity),
     qs: query,
@@ -485,6 +491,8 @@ Acl.prototype.request = function(reqOpts, callback) {
   this.request_(reqOpts, callback);
 };
 
+util.promisifyAll(Acl);
+
 module.exports = Acl;
 
 /**
@@ -561,7 +569,7 @@ AclRoleAccessorMethods.prototype._assignAccessMethods = function(role) {
           callback = entityId;
         }
 
-        self[accessMethod]({
+        return self[accessMethod]({
           entity: apiEntity,
           role: role
         }, callback);
@@ -22,11 +22,16 @@
 
 var arrify = require('arrify');
 var async = require('async');
+var crypto = require('crypto');
 var extend = require('extend');
+var format = require('string-format-obj');
 var fs = require('fs');
+var hashStreamValidation = require('hash-stream-validation');
 var is = require('is');
 var mime = require('mime-types');
+var minimatch = require('minimatch');
 var nodeutil = require('util');
+var once = require('once');
 var path = require('path');
 
 /**
@@ -53,6 +58,12 @@ var ServiceObject = require('../common/service-object.js');
  */
 var streamRouter = require('../common/stream-router.js');
 
+/**
+ * @type {module:storage/transfer}
+ * @private
+ */
+var Transfer = require('./transfer.js');
+
 /**
  * @type {module:common/util}
  * @private
@@ -68,6 +79,38 @@ var util = require('../common/util.js');
  */
 var RESUMABLE_THRESHOLD = 5000000;
 
+/**
+ * The most objects that can be composed into one.
+ *
+ * @const {number}
+ * @private
+ */
+var MAX_COMPOSE_SOURCES = 32;
+
+/**
+ * The default size (in bytes) of the parts of a parallel composite upload.
+ *
+ * @const {number}
+ * @private
+ */
+var PARALLEL_PART_SIZE = 32 * 1024 * 1024;
+
+/**
+ * The default number of parts of a parallel composite upload sent at once.
+ *
+ * @const {number}
+ * @private
+ */
+var PARALLEL_CONCURRENCY = 4;
+
+/**
+ * The default number of files a sync transfers at once.
+ *
+ * @const {number}
+ * @private
+ */
+var SYNC_CONCURRENCY = 4;
+
 /**
  * Create a Bucket object to interact with a Google Cloud Storage bucket.
  *
@@ -113,6 +156,8 @@ function Bucket(storage, name) {
      *
      * @resource [Buckets: delete API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/buckets/delete}
      *
+     * @param {object=} options - Preconditions of the request. See
+     *     {module:storage/bucket#setMetadata}.
      * @param {function=} callback - The callback function.
      * @param {?error} callback.err - An error returned while making this
      *     request.
@@ -120,6 +165,17 @@ function Bucket(storage, name) {
      *
      * @example
      * bucket.delete(function(err, apiResponse) {});
+     *
+     * //-
+     * // Only delete the bucket if nobody changed it since it was read.
+     * //-
+     * bucket.getMetadata(function(err, metadata) {
+     *   if (!err) {
+     *     bucket.delete({ ifMetagenerationMatch: true }, function(err) {
+     *       // err.code === 412 if the bucket changed.
+     *     });
+     *   }
+     * });
      */
     delete: true,
 
@@ -162,14 +218,24 @@ function Bucket(storage, name) {
      *
      * @resource [Buckets: get API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/buckets/get}
      *
+     * @param {object=} options - Configuration object.
+     * @param {number} options.maxAge - Milliseconds the metadata from an
+     *     earlier request may be used for. Older metadata is revalidated with
+     *     its ETag.
      * @param {function=} callback - The callback function.
      * @param {?error} callback.err - An error returned while making this
      *     request.
      * @param {object} callback.metadata - Tbe bucket's metadata.
-     * @param {object} callback.apiResponse - The full API response.
+     * @param {?object} callback.apiResponse - The full API response. `null` if
+     *     earlier metadata was used.
      *
      * @example
      * bucket.getMetadata(function(err, metadata, apiResponse) {});
+     *
+     * //-
+     * // Use the metadata from the last minute, if there is any.
+     * //-
+     * bucket.getMetadata({ maxAge: 60000 }, function(err, metadata) {});
      */
     getMetadata: true,
 
@@ -179,9 +245,16 @@ function Bucket(storage, name) {
      * @resource [Buckets: patch API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/buckets/patch}
      *
      * @param {object} metadata - The metadata you wish to set.
+     * @param {object=} options - Preconditions of the request.
+     * @param {boolean|string} options.ifMatch - Only make the change if the
+     *     bucket's ETag matches this one. Use `true` for the ETag in
+     *     `bucket.metadata`.
+     * @param {boolean|number} options.ifMetagenerationMatch - Only make the
+     *     change if the bucket's metageneration matches this one. Use `true`
+     *     for the metageneration in `bucket.metadata`.
      * @param {function=} callback - The callback function.
      * @param {?error} callback.err - An error returned while making this
-     *     request.
+     *     request. A `PreconditionFailedError` if the bucket changed.
      * @param {object} callback.apiResponse - The full API response.
      *
      * @example
@@ -203,6 +276,21 @@ function Bucket(storage, name) {
      *     enabled: true
      *   }
      * }, function(err, apiResponse) {});
+     *
+     * //-
+     * // Only change the bucket if nobody else did since its metadata was read.
+     * //-
+     * bucket.getMetadata(function(err, metadata) {
+     *   if (!err) {
+     *     bucket.setMetadata({
+     *       website: {
+     *         mainPageSuffix: 'index.html'
+     *       }
+     *     }, { ifMetagenerationMatch: true }, function(err, apiResponse) {
+     *       // err.code === 412 if the bucket changed.
+     *     });
+     *   }
+     * });
      */
     setMetadata: true
   };
@@ -469,7 +557,7 @@ Bucket.prototype.createChannel = function(id, config, callback) {
     throw new Error('An address is required to create a channel.');
   }
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/o/watch',
     json: extend({
@@ -498,8 +586,8 @@ Bucket.prototype.createChannel = function(id, config, callback) {
  * for each file individually. Any one can fail, in which case only a portion of
  * the files you intended to be deleted would have.
  *
- * Operations are performed in parallel, up to 10 at once. The first error
- * breaks the loop and will execute the provided callback with it. Specify
+ * Files are deleted with batch requests, 100 at a time. The first error stops
+ * any further batches, and will execute the provided callback with it. Specify
  * `{ force: true }` to suppress the errors until all files have had a chance to
  * be processed.
  *
@@ -554,8 +642,7 @@ Bucket.prototype.deleteFiles = function(query, callback) {
 
   query = query || {};
 
-  var MAX_PARALLEL_LIMIT = 10;
-  var errors = [];
+  var self = this;
 
   this.getFiles(query, function(err, files) {
     if (err) {
@@ -564,33 +651,13 @@ Bucket.prototype.deleteFiles = function(query, callback) {
     }
 
     function deleteFile(file, callback) {
-      file.delete(function(err) {
-        if (err) {
-          if (query.force) {
-            errors.push(err);
-            callback();
-            return;
-          }
-
-          callback(err);
-          return;
-        }
-
-        callback();
-      });
+      file.delete(callback);
     }
 
-    // Iterate through each file and attempt to delete it.
-    async.eachLimit(files, MAX_PARALLEL_LIMIT, deleteFile, function(err) {
-      if (err || errors.length > 0) {
-        callback(err || errors);
-        return;
-      }
-
-      callback();
+    self.batchFiles_(files, query.force, deleteFile, function(err) {
+      callback(err);
     });
   });
-
 };
 
 /**
@@ -622,6 +689,8 @@ Bucket.prototype.file = function(name, options) {
  * @param {object=} query - Query object.
  * @param {boolean} query.autoPaginate - Have pagination handled automatically.
  *     Default: true.
+ * @param {number} query.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {string} query.delimiter - Results will contain only objects whose
  *     names, aside from the prefix, do not contain delimiter. Objects whose
  *     names, aside from the prefix, contain delimiter will have their name
@@ -702,6 +771,41 @@ Bucket.prototype.file = function(name, options) {
  *   .on('data', function(file) {
  *     this.end();
  *   });
+ *
+ * //-
+ * // When listing many files, buffer the next pages while the current one is
+ * // being processed. They are requested one at a time.
+ * //-
+ * bucket.getFiles({
+ *   prefetchPages: 2
+ * }, function(err, files) {});
+ *
+ * //-
+ * // The stream is also an async iterable. A page of results is only requested
+ * // once the last one has been consumed, and leaving the loop early prevents
+ * // any more API requests.
+ * //-
+ * async function findFile(name) {
+ *   for await (var file of bucket.getFiles()) {
+ *     if (file.name === name) {
+ *       return file;
+ *     }
+ *   }
+ * }
+ *
+ * //-
+ * // Use `pages` to iterate over whole pages of results instead.
+ * //-
+ * async function countFiles() {
+ *   var numFiles = 0;
+ *
+ *   for await (var page of bucket.getFiles().pages()) {
+ *     // page.results, page.nextQuery, page.apiResponse
+ *     numFiles += page.results.length;
+ *   }
+ *
+ *   return numFiles;
+ * }
  */
 Bucket.prototype.getFiles = function(query, callback) {
   var self = this;
@@ -711,7 +815,7 @@ Bucket.prototype.getFiles = function(query, callback) {
     query = {};
   }
 
-  this.request({
+  return this.request({
     uri: '/o',
     qs: query
   }, function(err, resp) {
@@ -967,6 +1071,305 @@ Bucket.prototype.makePublic = function(options, callback) {
   }
 };
 
+/**
+ * Mirror a local directory to the files under a prefix of the bucket, or, with
+ * `options.download`, the files under a prefix to a local directory.
+ *
+ * Files are compared by their size, then by their MD5 hash, or CRC32c checksum
+ * when the remote file has no MD5 hash. Only new and changed files are copied,
+ * with {module:storage/bucket#upload} or {module:storage/file#download}.
+ *
+ * Files are matched against `options.include` and `options.exclude` by their
+ * path relative to the directory (or the prefix), with `/` separating
+ * directories. Files that are not matched are neither copied nor deleted.
+ * Symbolic links in the local directory are skipped.
+ *
+ * @param {string} directory - The local directory.
+ * @param {object=} options - Configuration object.
+ * @param {number} options.concurrency - The most files to list, copy, or
+ *     delete at once. (default: 4)
+ * @param {boolean} options.delete - Delete the files in the destination that
+ *     are not in the source. (default: false)
+ * @param {boolean} options.download - Mirror the bucket to the local directory,
+ *     rather than the directory to the bucket. (default: false)
+ * @param {boolean} options.dryRun - Only report the actions that would be
+ *     taken. (default: false)
+ * @param {string|string[]} options.exclude - Glob patterns of files to skip.
+ * @param {string|string[]} options.include - Glob patterns of the files to
+ *     sync. (default: every file)
+ * @param {string} options.prefix - The prefix of the files in the bucket.
+ *     (default: the whole bucket)
+ * @param {string|boolean} options.validation - Passed to
+ *     {module:storage/bucket#upload} or {module:storage/file#download}.
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request
+ * @param {object[]} callback.actions - The actions taken, or with
+ *     `options.dryRun`, that would be taken. Each has an `action` of
+ *     `"upload"`, `"download"`, or `"delete"`, the `name` of the file relative
+ *     to the directory, and its `localPath` and remote `file`.
+ *
+ * @example
+ * //-
+ * // Upload the new and changed files in a directory.
+ * //-
+ * bucket.sync('/Users/stephen/Photos', {
+ *   prefix: 'photos/'
+ * }, function(err, actions) {});
+ *
+ * //-
+ * // See what it would take to make a directory an exact copy of the files
+ * // under a prefix, without changing anything.
+ * //-
+ * bucket.sync('/Users/stephen/Photos', {
+ *   delete: true,
+ *   download: true,
+ *   dryRun: true,
+ *   exclude: '*.tmp',
+ *   prefix: 'photos/'
+ * }, function(err, actions) {
+ *   actions.forEach(function(action) {
+ *     console.log(action.action, action.name);
+ *   });
+ * });
+ */
+Bucket.prototype.sync = function(directory, options, callback) {
+  if (is.fn(options)) {
+    callback = options;
+    options = {};
+  }
+
+  var self = this;
+  var concurrency = options.concurrency || SYNC_CONCURRENCY;
+  var include = arrify(options.include);
+  var exclude = arrify(options.exclude);
+
+  var prefix = options.prefix || '';
+  if (prefix && prefix.slice(-1) !== '/') {
+    prefix += '/';
+  }
+
+  function isMatch(name) {
+    var localPath = path.join(directory, name);
+
+    // A remote file must not be downloaded outside of the directory.
+    if (path.relative(directory, localPath).split(path.sep)[0] === '..') {
+      return false;
+    }
+
+    var isIncluded = include.length === 0 || include.some(function(pattern) {
+      return minimatch(name, pattern, { dot: true });
+    });
+
+    return isIncluded && !exclude.some(function(pattern) {
+      return minimatch(name, pattern, { dot: true });
+    });
+  }
+
+  async.parallel({
+    localFiles: function(callback) {
+      listLocalFiles(directory, concurrency, function(err, localFiles) {
+        if (err && err.code === 'ENOENT' && options.download) {
+          // The directory is created by the first download.
+          callback(null, {});
+          return;
+        }
+
+        callback(err, localFiles);
+      });
+    },
+    remoteFiles: function(callback) {
+      self.getFiles({ prefix: prefix }, function(err, files) {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        var remoteFiles = {};
+
+        files.forEach(function(file) {
+          // Skip the placeholder objects that some tools create for folders.
+          if (file.name.slice(-1) !== '/') {
+            remoteFiles[file.name.slice(prefix.length)] = file;
+          }
+        });
+
+        callback(null, remoteFiles);
+      });
+    }
+  }, function(err, results) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    var localFiles = results.localFiles;
+    var remoteFiles = results.remoteFiles;
+    var sourceFiles = options.download ? remoteFiles : localFiles;
+    var destinationFiles = options.download ? localFiles : remoteFiles;
+
+    var names = Object.keys(sourceFiles);
+
+    if (options.delete) {
+      names = names.concat(Object.keys(destinationFiles).filter(function(name) {
+        return !sourceFiles[name];
+      }));
+    }
+
+    async.mapLimit(names.filter(isMatch).sort(), concurrency, planAction,
+      function(err, actions) {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        actions = actions.filter(Boolean);
+
+        if (options.dryRun) {
+          callback(null, actions);
+          return;
+        }
+
+        async.eachLimit(actions, concurrency, takeAction, function(err) {
+          if (err) {
+            callback(err);
+            return;
+          }
+
+          callback(null, actions);
+        });
+      });
+
+    function planAction(name, callback) {
+      var action = {
+        name: name,
+        localPath: path.join(directory, name),
+        file: remoteFiles[name] || self.file(prefix + name)
+      };
+
+      if (!sourceFiles[name]) {
+        action.action = 'delete';
+        callback(null, action);
+        return;
+      }
+
+      action.action = options.download ? 'download' : 'upload';
+
+      if (!destinationFiles[name]) {
+        callback(null, action);
+        return;
+      }
+
+      var size = localFiles[name].size;
+      var metadata = remoteFiles[name].metadata;
+
+      isSameFile(action.localPath, size, metadata, function(err, isSame) {
+        callback(err, isSame ? null : action);
+      });
+    }
+  });
+
+  function takeAction(action, callback) {
+    if (action.action === 'upload') {
+      self.upload(action.localPath, {
+        destination: action.file,
+        validation: options.validation
+      }, callback);
+    } else if (action.action === 'download') {
+      util.makeDirectory(path.dirname(action.localPath), function(err) {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        action.file.download({
+          destination: action.localPath,
+          validation: options.validation
+        }, callback);
+      });
+    } else if (options.download) {
+      fs.unlink(action.localPath, callback);
+    } else {
+      action.file.delete(callback);
+    }
+  }
+};
+
+/**
+ * Upload and download many files, a few at a time. Local paths are uploaded to
+ * this bucket, and File objects, from any bucket, are downloaded. Each file
+ * that fails is attempted again, as decided by `options.retryPolicy`.
+ *
+ * Files that still fail do not stop the others. They are listed in the report
+ * given to the callback, which is only given an error if the transfer itself
+ * could not continue.
+ *
+ * With `options.stateFile`, each file transferred is recorded, so that if the
+ * process stops, running the same transfer again skips the files that were
+ * done. The state file is deleted once every file has been transferred.
+ *
+ * @param {Array<string|module:storage/file>} sources - Local paths to upload,
+ *     and File objects to download.
+ * @param {object=} options - Configuration object.
+ * @param {number} options.concurrency - The most files to transfer at once.
+ *     (default: 8)
+ * @param {string} options.directory - Uploads in this local directory are
+ *     named by their path relative to it, and other uploads by their base
+ *     name. Downloads are saved in it, by their name. (default: the current
+ *     working directory)
+ * @param {string} options.prefix - Prepended to the names of uploads, and
+ *     removed from the names of downloads before they are saved.
+ * @param {object|module:common/retrypolicy} options.retryPolicy - When to
+ *     attempt a file again. By default, a file is attempted up to 3 more times
+ *     after a dropped connection, a data integrity mismatch, or an error the
+ *     API asks to be retried. See {module:common/retrypolicy}.
+ * @param {string} options.stateFile - A local file to record progress in.
+ * @param {string|boolean} options.validation - Passed to
+ *     {module:storage/bucket#upload} or {module:storage/file#download}.
+ * @param {function=} callback - The callback function. The Transfer also emits
+ *     a "complete" event with the report.
+ * @param {?error} callback.err - An error that stopped the transfer, such as
+ *     one reading or writing the state file.
+ * @param {object} callback.report - The results of the files, in `succeeded`,
+ *     `failed`, and `skipped` arrays. See {module:storage/transfer}.
+ * @return {module:storage/transfer}
+ *
+ * @example
+ * var transfer = bucket.transfer([
+ *   '/Users/stephen/Photos/cat.png',
+ *   '/Users/stephen/Photos/2016/dog.png',
+ *   bucket.file('photos/bird.png')
+ * ], {
+ *   directory: '/Users/stephen/Photos',
+ *   prefix: 'photos/',
+ *   stateFile: '/Users/stephen/photos-transfer.state'
+ * }, function(err, report) {
+ *   // Your bucket now contains:
+ *   // - "photos/cat.png"
+ *   // - "photos/2016/dog.png"
+ *   //
+ *   // And "/Users/stephen/Photos/bird.png" was downloaded.
+ *
+ *   report.failed.forEach(function(result) {
+ *     console.log(result.localPath + ': ' + result.error.message);
+ *   });
+ * });
+ *
+ * transfer.on('progress', function(progress) {
+ *   console.log(progress.bytesTransferred + ' bytes transferred');
+ * });
+ */
+Bucket.prototype.transfer = function(sources, options, callback) {
+  if (is.fn(options)) {
+    callback = options;
+    options = {};
+  }
+
+  var transfer = new Transfer(this, arrify(sources), options);
+  transfer.run_(callback || util.noop);
+
+  return transfer;
+};
+
 /**
  * Upload a file to the bucket. This is a convenience method that wraps
  * {module:storage/file#createWriteStream}.
@@ -990,6 +1393,16 @@ Bucket.prototype.makePublic = function(options, callback) {
  * @param {boolean} options.gzip - Automatically gzip the file. This will set
  *     `options.metadata.contentEncoding` to `gzip`.
  * @param {object=} options.metadata - Metadata to set for your file.
+ * @param {boolean|object=} options.parallel - Upload a file larger than
+ *     `options.parallel.partSize` as a parallel composite upload: its parts
+ *     are uploaded at once as temporary files, then combined. The temporary
+ *     files are deleted, even if the upload fails. Composite files have no MD5
+ *     hash, so the file is validated with a CRC32c checksum. This cannot be
+ *     used with `options.gzip`.
+ * @param {number} options.parallel.concurrency - The most parts to upload at
+ *     once. (default: 4)
+ * @param {number} options.parallel.partSize - The size of each part, in bytes.
+ *     (default: 32 MB)
  * @param {boolean=} options.resumable - Force a resumable upload. (default:
  *     true for files larger than 5 MB).
  * @param {function} callback - The callback function.
@@ -1062,6 +1475,21 @@ Bucket.prototype.makePublic = function(options, callback) {
  *   // Note:
  *   // The `newFile` parameter is equal to `file`.
  * });
+ *
+ * //-
+ * // Upload a large file faster by sending its parts in parallel.
+ * //-
+ * var options = {
+ *   parallel: {
+ *     partSize: 64 * 1024 * 1024,
+ *     concurrency: 8
+ *   }
+ * };
+ *
+ * bucket.upload('backup.tar', options, function(err, file) {
+ *   // Your bucket now contains:
+ *   // - "backup.tar" (a composite of the parts of `backup.tar')
+ * });
  */
 Bucket.prototype.upload = function(localPath, options, callback) {
   if (is.fn(options)) {
@@ -1069,6 +1497,20 @@ Bucket.prototype.upload = function(localPath, options, callback) {
     options = {};
   }
 
+  var parallel;
+  if (options.parallel) {
+    if (options.gzip) {
+      throw new Error('A parallel upload cannot be gzipped.');
+    }
+
+    parallel = extend({
+      concurrency: PARALLEL_CONCURRENCY,
+      partSize: PARALLEL_PART_SIZE
+    }, options.parallel);
+  }
+
+  var isCustomEndpoint = !!this.storage.apiEndpoint;
+
   var newFile;
   if (options.destination instanceof File) {
     newFile = options.destination;
@@ -1088,7 +1530,7 @@ Bucket.prototype.upload = function(localPath, options, callback) {
   }
 
   var resumable;
-  if (is.boolean(options.resumable)) {
+  if (is.boolean(options.resumable) && !parallel) {
     resumable = options.resumable;
     upload();
   } else {
@@ -1099,7 +1541,28 @@ Bucket.prototype.upload = function(localPath, options, callback) {
         return;
       }
 
-      resumable = fd.size > RESUMABLE_THRESHOLD;
+      if (parallel && fd.size > parallel.partSize) {
+        // Each part decides for itself if it should be resumable.
+        resumable = is.boolean(options.resumable) ? options.resumable :
+          parallel.partSize > RESUMABLE_THRESHOLD && !isCustomEndpoint;
+
+        newFile.bucket.uploadParallel_(localPath, newFile, {
+          concurrency: parallel.concurrency,
+          metadata: metadata,
+          partSize: parallel.partSize,
+          resumable: resumable,
+          size: fd.size,
+          validation: options.validation
+        }, callback);
+        return;
+      }
+
+      if (is.boolean(options.resumable)) {
+        resumable = options.resumable;
+      } else {
+        // Uploads to a custom API endpoint cannot be resumable.
+        resumable = fd.size > RESUMABLE_THRESHOLD && !isCustomEndpoint;
+      }
 
       upload();
     });
@@ -1122,12 +1585,275 @@ Bucket.prototype.upload = function(localPath, options, callback) {
   }
 };
 
+/**
+ * Upload a local file as a parallel composite upload. Its parts are uploaded
+ * to temporary files in this bucket, which are then combined, 32 at a time,
+ * into the destination. The temporary files are always deleted.
+ *
+ * @private
+ *
+ * @param {string} localPath - The path of the file to upload.
+ * @param {module:storage/file} destination - The file to create.
+ * @param {object} options - Configuration object.
+ * @param {number} options.concurrency - The most requests to make at once.
+ * @param {object} options.metadata - Metadata to set for the destination.
+ * @param {number} options.partSize - The size of each part, in bytes.
+ * @param {boolean} options.resumable - Upload each part with a resumable
+ *     upload.
+ * @param {number} options.size - The size of the local file, in bytes.
+ * @param {string|boolean} options.validation - `false` to skip validating the
+ *     parts and the destination.
+ * @param {function} callback - The callback function.
+ */
+Bucket.prototype.uploadParallel_ = function(localPath, destination, options,
+    callback) {
+  var self = this;
+  var prefix = format('{name}.{id}.part', {
+    name: destination.name,
+    id: crypto.randomBytes(8).toString('hex')
+  });
+
+  var metadata = extend({}, options.metadata);
+  var validateStream = hashStreamValidation({
+    crc32c: true,
+    md5: false
+  });
+
+  var temporaryFiles = [];
+  var parts = [];
+
+  for (var start = 0; start < options.size; start += options.partSize) {
+    parts.push({
+      file: createTemporaryFile(),
+      start: start,
+      end: Math.min(start + options.partSize, options.size) - 1
+    });
+  }
+
+  // Neither task stops the other when it fails, so no part is still being
+  // uploaded when the temporary files are deleted.
+  var uploadError = null;
+
+  async.parallel([
+    hashLocalFile,
+    uploadParts
+  ].map(function(task) {
+    return function(callback) {
+      task(function(err) {
+        uploadError = uploadError || err;
+        callback();
+      });
+    };
+  }), function() {
+    if (uploadError) {
+      complete(uploadError);
+      return;
+    }
+
+    destination.metadata.contentType =
+      metadata.contentType || 'application/octet-stream';
+    delete metadata.contentType;
+
+    var sources = parts.map(function(part) {
+      return part.file;
+    });
+
+    combineFiles(sources, function(err, resp) {
+      if (err) {
+        complete(err);
+        return;
+      }
+
+      destination.metadata = resp;
+
+      if (options.validation === false) {
+        setMetadata();
+        return;
+      }
+
+      // We must remove the first four bytes from the returned checksum.
+      // http://stackoverflow.com/questions/25096737/
+      //   base64-encoding-of-crc32c-long-value
+      var failed = !resp.crc32c ||
+        !validateStream.test('crc32c', resp.crc32c.substr(4));
+
+      if (failed) {
+        deleteDestination();
+        return;
+      }
+
+      setMetadata();
+    });
+  });
+
+  function createTemporaryFile() {
+    var file = self.file(prefix + temporaryFiles.length);
+    file.metadata.contentType = 'application/octet-stream';
+    temporaryFiles.push(file);
+    return file;
+  }
+
+  function hashLocalFile(callback) {
+    fs.createReadStream(localPath)
+      .on('error', callback)
+      .pipe(validateStream)
+      .on('data', util.noop)
+      .on('end', function() {
+        callback();
+      });
+  }
+
+  // Once a part fails, the parts not yet started are skipped, but the parts in
+  // flight are waited for.
+  function uploadParts(callback) {
+    var partsError = null;
+
+    async.eachLimit(parts, options.concurrency, function(part, next) {
+      if (partsError) {
+        next();
+        return;
+      }
+
+      var readError = null;
+
+      var onPartDone = once(function(err) {
+        partsError = partsError || readError || err;
+        next();
+      });
+
+      var writeStream = part.file.createWriteStream({
+        metadata: {
+          contentType: 'application/octet-stream'
+        },
+        resumable: options.resumable,
+        validation: options.validation
+      });
+
+      fs.createReadStream(localPath, {
+        start: part.start,
+        end: part.end
+      })
+        .on('error', function(err) {
+          readError = err;
+          writeStream.end();
+        })
+        .pipe(writeStream)
+        .on('error', onPartDone)
+        .on('finish', function() {
+          onPartDone();
+        });
+    }, function() {
+      callback(partsError);
+    });
+  }
+
+  // Combine the files into the destination. Past the most files that can be
+  // combined at once, they are first combined into temporary files.
+  function combineFiles(sources, callback) {
+    if (sources.length <= MAX_COMPOSE_SOURCES) {
+      self.combine(sources, destination, function(err, file, resp) {
+        callback(err, resp);
+      });
+      return;
+    }
+
+    var groups = [];
+    for (var i = 0; i < sources.length; i += MAX_COMPOSE_SOURCES) {
+      groups.push(sources.slice(i, i + MAX_COMPOSE_SOURCES));
+    }
+
+    async.mapLimit(groups, options.concurrency, function(group, callback) {
+      if (group.length === 1) {
+        callback(null, group[0]);
+        return;
+      }
+
+      self.combine(group, createTemporaryFile(), function(err, file, resp) {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        file.metadata = resp;
+        callback(null, file);
+      });
+    }, function(err, composites) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      combineFiles(composites, callback);
+    });
+  }
+
+  function setMetadata() {
+    if (Object.keys(metadata).length === 0) {
+      complete();
+      return;
+    }
+
+    destination.setMetadata(metadata, function(err) {
+      complete(err);
+    });
+  }
+
+  function deleteDestination() {
+    destination.delete(function(err) {
+      var code;
+      var message;
+
+      if (err) {
+        code = 'FILE_NO_UPLOAD_DELETE';
+        message = [
+          'The uploaded data did not match the data from the server. As a',
+          'precaution, we attempted to delete the file, but it was not',
+          'successful. To be sure the content is the same, you should try',
+          'removing the file manually, then uploading the file again.',
+          '\n\nThe delete attempt failed with this message:',
+          '\n\n  ' + err.message
+        ].join(' ');
+      } else {
+        code = 'FILE_NO_UPLOAD';
+        message = [
+          'The uploaded data did not match the data from the server. As a',
+          'precaution, the file has been deleted. To be sure the content',
+          'is the same, you should try uploading the file again.'
+        ].join(' ');
+      }
+
+      var error = new Error(message);
+      error.code = code;
+      error.errors = [err];
+
+      complete(error);
+    });
+  }
+
+  // Delete the temporary files, whether or not the upload succeeded. Errors
+  // deleting them are ignored, as a part may never have been created.
+  function complete(err) {
+    async.eachLimit(temporaryFiles, options.concurrency, function(file, next) {
+      file.delete(function() {
+        next();
+      });
+    }, function() {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      callback(null, destination);
+    });
+  }
+};
+
 /**
  * Iterate over all of a bucket's files, calling `file.makePublic()` (public)
  * or `file.makePrivate()` (private) on each.
  *
- * Operations are performed in parallel, up to 10 at once. The first error
- * breaks the loop, and will execute the provided callback with it. Specify
+ * Files are changed with batch requests, 100 at a time. The first error stops
+ * any further batches, and will execute the provided callback with it. Specify
  * `{ force: true }` to suppress the errors.
  *
  * @private
@@ -1140,9 +1866,7 @@ Bucket.prototype.upload = function(localPath, options, callback) {
  * @param {function} callback - The callback function.
  */
 Bucket.prototype.makeAllFilesPublicPrivate_ = function(options, callback) {
-  var MAX_PARALLEL_LIMIT = 10;
-  var errors = [];
-  var updatedFiles = [];
+  var self = this;
 
   this.getFiles(function(err, files) {
     if (err) {
@@ -1152,45 +1876,202 @@ Bucket.prototype.makeAllFilesPublicPrivate_ = function(options, callback) {
 
     function processFile(file, callback) {
       if (options.public) {
-        file.makePublic(processedCallback);
+        file.makePublic(callback);
       } else if (options.private) {
-        file.makePrivate(processedCallback);
+        file.makePrivate(callback);
       }
+    }
 
-      function processedCallback(err) {
-        if (err) {
-          if (options.force) {
+    self.batchFiles_(files, options.force, processFile, callback);
+  });
+};
+
+/**
+ * Process files with batch requests, 100 at a time. See
+ * {module:common/service#batch}.
+ *
+ * @private
+ *
+ * @param {module:storage/file[]} files - The files to process.
+ * @param {boolean} force - Process every file, even after an error.
+ * @param {function} processFile - Called with each file and a callback. Its
+ *     request must be made before it returns, to be part of the batch.
+ * @param {function} callback - The callback function.
+ * @param {?error|?error[]} callback.err - The first error, or with `force`, an
+ *     array of every error.
+ * @param {module:storage/file[]} callback.files - The files that were processed
+ *     without an error.
+ */
+Bucket.prototype.batchFiles_ = function(files, force, processFile, callback) {
+  var BATCH_SIZE = 100;
+  var storage = this.storage;
+  var errors = [];
+  var processedFiles = [];
+  var batches = [];
+
+  for (var i = 0; i < files.length; i += BATCH_SIZE) {
+    batches.push(files.slice(i, i + BATCH_SIZE));
+  }
+
+  function processBatch(batchFiles, callback) {
+    storage.batch(function() {
+      batchFiles.forEach(function(file) {
+        processFile(file, function(err) {
+          if (err) {
             errors.push(err);
-            callback();
             return;
           }
 
-          callback(err);
-          return;
-        }
+          processedFiles.push(file);
+        });
+      });
+    }, function() {
+      // Errors sending a batch request are given to each file's callback.
+      callback(force ? null : errors[0]);
+    });
+  }
 
-        updatedFiles.push(file);
-        callback();
-      }
+  async.eachSeries(batches, processBatch, function(err) {
+    if (err || errors.length > 0) {
+      callback(err || errors, processedFiles);
+      return;
     }
 
-    // Iterate through each file and make it public or private.
-    async.eachLimit(files, MAX_PARALLEL_LIMIT, processFile, function(err) {
-      if (err || errors.length > 0) {
-        callback(err || errors, updatedFiles);
+    callback(null, processedFiles);
+  });
+};
+
+/*! Developer Documentation
+ *
+ * List the files in a local directory and its subdirectories, by their path
+ * relative to it, with `/` separating directories. Symbolic links are skipped,
+ * so a link to a parent directory can't be followed forever.
+ *
+ * The whole tree is walked through a single queue, so no more than
+ * `concurrency` entries are read at once, however deep the tree is.
+ *
+ * @param {string} directory - The directory to list.
+ * @param {number} concurrency - The most entries to read at once.
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error reading the directory.
+ * @param {object} callback.files - The size of each file, as `{ size: 1 }`, by
+ *     its relative path.
+ */
+function listLocalFiles(directory, concurrency, callback) {
+  var files = {};
+
+  callback = once(callback);
+
+  var queue = async.queue(function(entryPath, callback) {
+    if (entryPath === '') {
+      listDirectory(entryPath, callback);
+      return;
+    }
+
+    fs.lstat(path.join(directory, entryPath), function(err, stats) {
+      if (err) {
+        callback(err);
         return;
       }
 
-      callback(null, updatedFiles);
+      if (stats.isDirectory()) {
+        listDirectory(entryPath, callback);
+        return;
+      }
+
+      if (stats.isFile()) {
+        files[entryPath] = {
+          size: stats.size
+        };
+      }
+
+      callback();
+    });
+  }, concurrency);
+
+  function listDirectory(relativePath, callback) {
+    fs.readdir(path.join(directory, relativePath), function(err, entries) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      var entryPaths = entries.map(function(entry) {
+        return relativePath ? relativePath + '/' + entry : entry;
+      });
+
+      queue.push(entryPaths, onEntryRead);
+      callback();
     });
+  }
+
+  function onEntryRead(err) {
+    if (err) {
+      queue.kill();
+      callback(err);
+    }
+  }
+
+  queue.drain = function() {
+    callback(null, files);
+  };
+
+  queue.push('', onEntryRead);
+}
+
+/*! Developer Documentation
+ *
+ * Compare a local file to a remote file by its size, then by its MD5 hash, or
+ * CRC32c checksum if it has no MD5 hash.
+ *
+ * @param {string} localPath - The path of the local file.
+ * @param {number} size - The size of the local file.
+ * @param {object} metadata - The metadata of the remote file.
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error reading the local file.
+ * @param {boolean} callback.isSame - Whether the files have the same contents.
+ */
+function isSameFile(localPath, size, metadata, callback) {
+  callback = once(callback);
+
+  if (size !== parseInt(metadata.size, 10)) {
+    callback(null, false);
+    return;
+  }
+
+  var validateStream = hashStreamValidation({
+    crc32c: true,
+    md5: true
   });
-};
+
+  fs.createReadStream(localPath)
+    .on('error', callback)
+    .pipe(validateStream)
+    .on('data', util.noop)
+    .on('end', function() {
+      if (metadata.md5Hash) {
+        callback(null, validateStream.test('md5', metadata.md5Hash));
+      } else if (metadata.crc32c) {
+        // We must remove the first four bytes from the returned checksum.
+        // http://stackoverflow.com/questions/25096737/
+        //   base64-encoding-of-crc32c-long-value
+        callback(null, validateStream.test('crc32c',
+          metadata.crc32c.substr(4)));
+      } else {
+        callback(null, false);
+      }
+    });
+}
 
 /*! Developer Documentation
  *
  * This method can be used with either a callback or as a readable object
  * stream. `streamRouter` is used to add this dual behavior.
  */
+util.promisifyAll(Bucket, {
+  exclude: ['file', 'transfer']
+});
+
 streamRouter.extend(Bucket, 'getFiles');
 
 module.exports = Bucket;
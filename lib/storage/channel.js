@@ -94,7 +94,7 @@ nodeutil.inherits(Channel, ServiceObject);
 Channel.prototype.stop = function(callback) {
   callback = callback || util.noop;
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/stop',
     json: this.metadata
@@ -103,4 +103,6 @@ Channel.prototype.stop = function(callback) {
   });
 };
 
+util.promisifyAll(Channel);
+
 module.exports = Channel;
@@ -20,9 +20,9 @@
 
 'use strict';
 
+var async = require('async');
 var concat = require('concat-stream');
 var createErrorClass = require('create-error-class');
-var crypto = require('crypto');
 var duplexify = require('duplexify');
 var extend = require('extend');
 var format = require('string-format-obj');
@@ -65,6 +65,30 @@ var SigningError = createErrorClass('SigningError', function(message) {
   this.message = message;
 });
 
+/**
+ * Appended to the destination of a resumable download to name its state file.
+ *
+ * @const {string}
+ * @private
+ */
+var DOWNLOAD_STATE_SUFFIX = '.download-state';
+
+/**
+ * How often (in bytes) a resumable download records its progress.
+ *
+ * @const {number}
+ * @private
+ */
+var DOWNLOAD_STATE_INTERVAL = 8 * 1024 * 1024;
+
+/**
+ * The default number of ranges of a parallel download.
+ *
+ * @const {number}
+ * @private
+ */
+var PARALLEL_SLICES = 4;
+
 /**
  * @const {string}
  * @private
@@ -129,6 +153,8 @@ function File(bucket, name, options) {
      *
      * @resource [Objects: delete API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/objects/delete}
      *
+     * @param {object=} options - Preconditions of the request. See
+     *     {module:storage/file#setMetadata}.
      * @param {function=} callback - The callback function.
      * @param {?error} callback.err - An error returned while making this
      *     request.
@@ -136,6 +162,17 @@ function File(bucket, name, options) {
      *
      * @example
      * file.delete(function(err, apiResponse) {});
+     *
+     * //-
+     * // Only delete the file if nobody changed it since it was read.
+     * //-
+     * file.getMetadata(function(err, metadata) {
+     *   if (!err) {
+     *     file.delete({ ifMetagenerationMatch: true }, function(err) {
+     *       // err.code === 412 if the file changed.
+     *     });
+     *   }
+     * });
      */
     delete: {
       reqOpts: {
@@ -171,14 +208,24 @@ function File(bucket, name, options) {
      *
      * @resource [Objects: get API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/objects/get}
      *
+     * @param {object=} options - Configuration object.
+     * @param {number} options.maxAge - Milliseconds the metadata from an
+     *     earlier request may be used for. Older metadata is revalidated with
+     *     its ETag.
      * @param {function=} callback - The callback function.
      * @param {?error} callback.err - An error returned while making this
      *     request.
      * @param {object} callback.metadata - The File's metadata.
-     * @param {object} callback.apiResponse - The full API response.
+     * @param {?object} callback.apiResponse - The full API response. `null` if
+     *     earlier metadata was used.
      *
      * @example
      * file.getMetadata(function(err, metadata, apiResponse) {});
+     *
+     * //-
+     * // Use the metadata from the last minute, if there is any.
+     * //-
+     * file.getMetadata({ maxAge: 60000 }, function(err, metadata) {});
      */
     getMetadata: {
       reqOpts: {
@@ -200,9 +247,16 @@ function File(bucket, name, options) {
      * @resource [Objects: patch API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/objects/patch}
      *
      * @param {object} metadata - The metadata you wish to update.
+     * @param {object=} options - Preconditions of the request.
+     * @param {boolean|string} options.ifMatch - Only make the change if the
+     *     file's ETag matches this one. Use `true` for the ETag in
+     *     `file.metadata`.
+     * @param {boolean|number} options.ifMetagenerationMatch - Only make the
+     *     change if the file's metageneration matches this one. Use `true`
+     *     for the metageneration in `file.metadata`.
      * @param {function=} callback - The callback function.
      * @param {?error} callback.err - An error returned while making this
-     *     request.
+     *     request. A `PreconditionFailedError` if the file changed.
      * @param {object} callback.apiResponse - The full API response.
      *
      * @example
@@ -224,6 +278,19 @@ function File(bucket, name, options) {
      * }, function(err, apiResponse) {
      *   // metadata should now be { abc: '123', hello: 'goodbye' }
      * });
+     *
+     * //-
+     * // Only change the file if nobody else did since its metadata was read.
+     * //-
+     * file.getMetadata(function(err, metadata) {
+     *   if (!err) {
+     *     file.setMetadata({
+     *       contentType: 'text/plain'
+     *     }, { ifMetagenerationMatch: true }, function(err, apiResponse) {
+     *       // err.code === 412 if the file changed.
+     *     });
+     *   }
+     * });
      */
     setMetadata: {
       reqOpts: {
@@ -380,7 +447,7 @@ File.prototype.copy = function(destination, callback) {
 
   newFile = newFile || destBucket.file(destName);
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: format('/copyTo/b/{bucketName}/o/{fileName}', {
       bucketName: destBucket.name,
@@ -502,7 +569,10 @@ File.prototype.createReadStream = function(options) {
   function makeRequest() {
     var reqOpts = {
       uri: format('{downloadBaseUrl}/{bucketName}/{fileName}', {
-        downloadBaseUrl: STORAGE_DOWNLOAD_BASE_URL,
+        downloadBaseUrl: util.applyApiEndpoint(
+          STORAGE_DOWNLOAD_BASE_URL,
+          self.storage.apiEndpoint
+        ),
         bucketName: self.bucket.name,
         fileName: encodeURIComponent(self.name)
       }),
@@ -638,6 +708,8 @@ File.prototype.createReadStream = function(options) {
  * any of the details, see {module:storage/createWriteStream}. Resumable uploads
  * are performed by default.
  *
+ * Resumable uploads cannot be made to a custom `apiEndpoint`.
+ *
  * @resource [Resumable upload guide]{@link https://cloud.google.com/storage/docs/json_api/v1/how-tos/upload#resumable}
  *
  * @param {object=} metadata - Optional metadata to set on the file.
@@ -658,6 +730,12 @@ File.prototype.createResumableUpload = function(metadata, callback) {
     metadata = {};
   }
 
+  if (this.storage.apiEndpoint) {
+    setImmediate(callback, new Error(
+      'Resumable uploads cannot be made to a custom API endpoint.'));
+    return;
+  }
+
   resumableUpload.createURI({
     authClient: this.bucket.storage.authClient,
     bucket: this.bucket.name,
@@ -674,7 +752,8 @@ File.prototype.createResumableUpload = function(metadata, callback) {
  * A File object can also be used to create files for the first time.
  *
  * Resumable uploads are automatically enabled and must be shut off explicitly
- * by setting `options.resumable` to `false`.
+ * by setting `options.resumable` to `false`. Uploads to a custom `apiEndpoint`
+ * are never resumable.
  *
  * NOTE: Writable streams will emit the `finish` event when the file is fully
  * uploaded.
@@ -689,7 +768,8 @@ File.prototype.createResumableUpload = function(metadata, callback) {
  * @param {boolean} options.resumable - Force a resumable upload. NOTE: When
  *     working with streams, the file format and size is unknown until it's
  *     completely consumed. Because of this, it's best for you to be explicit
- *     for what makes sense given your input.
+ *     for what makes sense given your input. (default: `true`, or `false` with
+ *     a custom `apiEndpoint`)
  * @param {string|boolean} options.validation - Possible values: `"md5"`,
  *     `"crc32c"`, or `false`. By default, data integrity is validated with an
  *     MD5 checksum for maximum reliability. CRC32c will provide better
@@ -755,6 +835,16 @@ File.prototype.createWriteStream = function(options) {
 
   var self = this;
 
+  // The resumable upload library always sends requests to the API.
+  var isCustomEndpoint = !!this.storage.apiEndpoint;
+
+  if (isCustomEndpoint && options.resumable === true) {
+    throw new Error(
+      'Resumable uploads cannot be made to a custom API endpoint.');
+  }
+
+  var resumable = options.resumable !== false && !isCustomEndpoint;
+
   var gzip = options.gzip;
 
   var metadata = options.metadata || {};
@@ -788,10 +878,10 @@ File.prototype.createWriteStream = function(options) {
 
   // Wait until we've received data to determine what upload technique to use.
   stream.on('writing', function() {
-    if (options.resumable === false) {
-      self.startSimpleUpload_(fileWriteStream, metadata);
-    } else {
+    if (resumable) {
       self.startResumableUpload_(fileWriteStream, metadata);
+    } else {
+      self.startSimpleUpload_(fileWriteStream, metadata);
     }
   });
 
@@ -873,6 +963,22 @@ File.prototype.createWriteStream = function(options) {
  *     passed to {module:storage/file#createReadStream}.
  * @param {string} options.destination - Local file path to write the file's
  *     contents to.
+ * @param {boolean|object=} options.parallel - Download byte ranges of the file
+ *     at once, each written to its place in `options.destination`. The ranges
+ *     are read from the same generation of the file, and the whole local file
+ *     is then validated with a CRC32c checksum. A file stored with gzip
+ *     encoding is downloaded normally. This cannot be used with
+ *     `options.start` or `options.end`.
+ * @param {number} options.parallel.slices - The number of ranges to download.
+ *     (default: 4)
+ * @param {boolean=} options.resumable - Continue an interrupted download to
+ *     `options.destination`. Progress is recorded in a state file, named
+ *     after the destination with `.download-state` appended, which is deleted
+ *     once the download is complete. A download of a different generation of
+ *     the file is not continued, but returns an error with code
+ *     "DOWNLOAD_GENERATION_MISMATCH". A file stored with gzip encoding is
+ *     downloaded normally. This cannot be used with `options.parallel`,
+ *     `options.start` or `options.end`.
  * @param {function} callback - The callback function.
  * @param {?error} callback.err - An error returned while making this request
  * @param {buffer} callback.contents - The contents of a File.
@@ -890,6 +996,25 @@ File.prototype.createWriteStream = function(options) {
  * file.download({
  *   destination: '/Users/stephen/Desktop/file-backup.txt'
  * }, function(err) {});
+ *
+ * //-
+ * // Download a large file faster by fetching ranges of it in parallel.
+ * //-
+ * file.download({
+ *   destination: '/Users/stephen/Desktop/file-backup.txt',
+ *   parallel: {
+ *     slices: 8
+ *   }
+ * }, function(err) {});
+ *
+ * //-
+ * // Download a large file so that, if it is interrupted, downloading it again
+ * // continues where it stopped.
+ * //-
+ * file.download({
+ *   destination: '/Users/stephen/Desktop/file-backup.txt',
+ *   resumable: true
+ * }, function(err) {});
  */
 File.prototype.download = function(options, callback) {
   if (is.fn(options)) {
@@ -899,6 +1024,44 @@ File.prototype.download = function(options, callback) {
 
   callback = once(callback);
 
+  if (options.resumable) {
+    if (!options.destination) {
+      throw new Error('A resumable download requires a destination.');
+    }
+
+    if (is.number(options.start) || is.number(options.end)) {
+      throw new Error('Cannot use a resumable download with file ranges.');
+    }
+
+    if (options.parallel) {
+      throw new Error('A resumable download cannot be parallel.');
+    }
+
+    var resumableOptions = extend({}, options);
+    delete resumableOptions.resumable;
+
+    this.downloadResumable_(resumableOptions, callback);
+    return;
+  }
+
+  if (options.parallel) {
+    if (!options.destination) {
+      throw new Error('A parallel download requires a destination.');
+    }
+
+    if (is.number(options.start) || is.number(options.end)) {
+      throw new Error('Cannot use a parallel download with file ranges.');
+    }
+
+    var parallelOptions = extend({}, options);
+    delete parallelOptions.parallel;
+
+    this.downloadParallel_(extend({
+      slices: PARALLEL_SLICES
+    }, options.parallel), parallelOptions, callback);
+    return;
+  }
+
   var destination = options.destination;
   delete options.destination;
 
@@ -917,10 +1080,319 @@ File.prototype.download = function(options, callback) {
   }
 };
 
+/**
+ * Download byte ranges of the file at once, each to its place in a local file,
+ * then validate the local file. Files too small to divide, or stored with gzip
+ * encoding, are downloaded normally.
+ *
+ * @private
+ *
+ * @param {object} parallel - Configuration object.
+ * @param {number} parallel.slices - The number of ranges to download.
+ * @param {object} options - The options given to
+ *     {module:storage/file#download}.
+ * @param {function} callback - The callback function.
+ */
+File.prototype.downloadParallel_ = function(parallel, options, callback) {
+  var self = this;
+  var destination = options.destination;
+
+  this.getMetadata(function(err, metadata) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    var size = parseInt(metadata.size, 10);
+    var sliceSize = Math.ceil(size / parallel.slices);
+
+    if (metadata.contentEncoding === 'gzip' || sliceSize < 1 ||
+        parallel.slices < 2) {
+      self.download(options, callback);
+      return;
+    }
+
+    // Every range is read from this generation, so a change made to the file
+    // during the download cannot mix two versions of it.
+    var file = self.bucket.file(self.name, {
+      generation: metadata.generation
+    });
+
+    var slices = [];
+    for (var start = 0; start < size; start += sliceSize) {
+      slices.push({
+        start: start,
+        end: Math.min(start + sliceSize, size) - 1
+      });
+    }
+
+    fs.writeFile(destination, new Buffer(0), function(err) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      async.each(slices, function(slice, callback) {
+        callback = once(callback);
+
+        file.createReadStream({
+          start: slice.start,
+          end: slice.end,
+          validation: false
+        })
+          .on('error', callback)
+          .pipe(fs.createWriteStream(destination, {
+            flags: 'r+',
+            start: slice.start
+          }))
+          .on('error', callback)
+          .on('finish', function() {
+            callback();
+          });
+      }, function(err) {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        if (options.validation === false) {
+          callback();
+          return;
+        }
+
+        // Ranges can't receive data integrity checks, so the whole local file
+        // is checked instead. Composite files have no MD5 hash, but all files
+        // have a CRC32c checksum.
+        validateLocalFile(destination, {
+          crc32c: metadata.crc32c
+        }, callback);
+      });
+    });
+  });
+};
+
+/**
+ * Download the file to a local destination, continuing a download that was
+ * interrupted. Progress is recorded in a state file beside the destination,
+ * which is deleted once the download is complete and validated.
+ *
+ * @private
+ *
+ * @param {object} options - The options given to
+ *     {module:storage/file#download}.
+ * @param {function} callback - The callback function.
+ */
+File.prototype.downloadResumable_ = function(options, callback) {
+  var self = this;
+  var destination = options.destination;
+  var statePath = destination + DOWNLOAD_STATE_SUFFIX;
+
+  var crc32c = options.validation !== false;
+  var md5 = options.validation !== false;
+
+  if (is.string(options.validation)) {
+    crc32c = options.validation.toLowerCase() === 'crc32c';
+    md5 = options.validation.toLowerCase() === 'md5';
+  }
+
+  var metadata;
+  var offset;
+
+  async.series([
+    function(next) {
+      self.getMetadata(function(err, metadata_) {
+        metadata = metadata_;
+        next(err);
+      });
+    },
+    function(next) {
+      if (metadata.contentEncoding === 'gzip') {
+        // Ranges of gzipped files are read as they are stored, compressed.
+        self.download(options, next);
+        return;
+      }
+
+      continueDownload(next);
+    }
+  ], function(err) {
+    callback(err);
+  });
+
+  function continueDownload(callback) {
+    async.series([
+      getStartingOffset,
+      function(next) {
+        saveState(offset, next);
+      },
+      function(next) {
+        if (offset >= parseInt(metadata.size, 10)) {
+          next();
+          return;
+        }
+
+        downloadRest(next);
+      },
+      function(next) {
+        if (!crc32c && !md5) {
+          next();
+          return;
+        }
+
+        var checksums = {};
+
+        if (md5 && metadata.md5Hash) {
+          checksums.md5 = metadata.md5Hash;
+        } else if (crc32c) {
+          checksums.crc32c = metadata.crc32c;
+        }
+
+        validateLocalFile(destination, checksums, function(err) {
+          if (err) {
+            // The local file can't be trusted, so the next download starts
+            // over.
+            fs.unlink(statePath, function() {
+              next(err);
+            });
+            return;
+          }
+
+          next();
+        });
+      },
+      function(next) {
+        fs.unlink(statePath, next);
+      }
+    ], callback);
+  }
+
+  // Find where a previous download of this generation stopped. Only what the
+  // state file recorded as written is kept.
+  function getStartingOffset(callback) {
+    fs.readFile(statePath, 'utf8', function(err, contents) {
+      var state;
+
+      try {
+        state = JSON.parse(contents);
+      } catch (e) {}
+
+      if (err || !state) {
+        offset = 0;
+        callback();
+        return;
+      }
+
+      if (String(state.generation) !== String(metadata.generation)) {
+        var error = new Error([
+          'The file has changed since it was partially downloaded to',
+          destination + '. To download the new version, delete the partial',
+          'download and ' + statePath + ', then download the file again.'
+        ].join(' '));
+        error.code = 'DOWNLOAD_GENERATION_MISMATCH';
+
+        callback(error);
+        return;
+      }
+
+      fs.stat(destination, function(err, stats) {
+        offset = err ? 0 : Math.min(state.bytesWritten || 0, stats.size);
+        fs.truncate(destination, offset, function(err) {
+          if (err && err.code !== 'ENOENT') {
+            callback(err);
+            return;
+          }
+
+          callback();
+        });
+      });
+    });
+  }
+
+  function saveState(bytesWritten, callback) {
+    fs.writeFile(statePath, JSON.stringify({
+      generation: metadata.generation,
+      bytesWritten: bytesWritten
+    }), callback);
+  }
+
+  // Download the rest of this generation of the file, recording how much has
+  // been written as it goes, and when it stops.
+  function downloadRest(callback) {
+    var file = self.bucket.file(self.name, {
+      generation: metadata.generation
+    });
+
+    var writeStream = fs.createWriteStream(destination, {
+      flags: offset > 0 ? 'r+' : 'w',
+      start: offset
+    });
+
+    var streamError = null;
+    var isStopped = false;
+    var lastSaved = 0;
+    var isSaving = false;
+
+    // A read error ends the write stream, so "finish" does not mean the
+    // download succeeded. Either way, the error is only returned once what was
+    // written is recorded.
+    var onStop = once(function(err) {
+      streamError = streamError || err;
+      isStopped = true;
+
+      // If progress is still being saved, the final state is saved after it,
+      // so it isn't overwritten.
+      if (!isSaving) {
+        saveFinalState();
+      }
+    });
+
+    function saveFinalState() {
+      saveState(offset + writeStream.bytesWritten, function(err) {
+        callback(streamError || err);
+      });
+    }
+
+    file.createReadStream({
+      start: offset,
+      validation: false
+    })
+      .on('error', function(err) {
+        streamError = err;
+        writeStream.end();
+      })
+      .on('data', function() {
+        var bytesWritten = writeStream.bytesWritten;
+
+        if (isStopped || isSaving ||
+            bytesWritten - lastSaved < DOWNLOAD_STATE_INTERVAL) {
+          return;
+        }
+
+        isSaving = true;
+        saveState(offset + bytesWritten, function() {
+          lastSaved = bytesWritten;
+          isSaving = false;
+
+          if (isStopped) {
+            saveFinalState();
+          }
+        });
+      })
+      .pipe(writeStream)
+      .on('error', onStop)
+      .on('finish', function() {
+        onStop();
+      });
+  }
+};
+
 /**
  * Get a signed policy document to allow a user to upload data with a POST
  * request.
  *
+ * The policy is signed with the key of the service account in use. Without a
+ * key, such as on Compute Engine, it is signed with the IAM Credentials API,
+ * which requires the "Service Account Token Creator" role.
+ *
  * @resource [Policy Document Reference]{@link https://cloud.google.com/storage/docs/reference-methods#policydocument}
  *
  * @throws {Error} If an expiration timestamp from the past is given.
@@ -1047,30 +1519,15 @@ File.prototype.getSignedPolicy = function(options, callback) {
     conditions: conditions
   };
 
-  this.storage.getCredentials(function(err, credentials) {
+  var policyString = JSON.stringify(policy);
+  var policyBase64 = new Buffer(policyString).toString('base64');
+
+  this.storage.signBlob(policyBase64, function(err, signature) {
     if (err) {
       callback(new SigningError(err.message));
       return;
     }
 
-    if (!credentials.private_key) {
-      var errorMessage = [
-        'Could not find a `private_key`.',
-        'Please verify you are authorized with this property available.'
-      ].join(' ');
-
-      callback(new SigningError(errorMessage));
-      return;
-    }
-
-    var sign = crypto.createSign('RSA-SHA256');
-    var policyString = JSON.stringify(policy);
-    var policyBase64 = new Buffer(policyString).toString('base64');
-
-    sign.update(policyBase64);
-
-    var signature = sign.sign(credentials.private_key, 'base64');
-
     callback(null, {
       string: policyString,
       base64: policyBase64,
@@ -1082,6 +1539,10 @@ File.prototype.getSignedPolicy = function(options, callback) {
 /**
  * Get a signed URL to allow limited time access to the file.
  *
+ * The URL is signed with the key of the service account in use. Without a
+ * key, such as on Compute Engine, it is signed with the IAM Credentials API,
+ * which requires the "Service Account Token Creator" role.
+ *
  * @resource [Signed URLs Reference]{@link https://cloud.google.com/storage/docs/access-control#Signed-URLs}
  *
  * @throws {Error} if an expiration timestamp from the past is given.
@@ -1177,32 +1638,31 @@ File.prototype.getSignedUrl = function(options, callback) {
 
   options.resource = '/' + this.bucket.name + '/' + name;
 
-  this.storage.getCredentials(function(err, credentials) {
+  var storage = this.storage;
+
+  storage.getIdentity(function(err, identity) {
     if (err) {
       callback(new SigningError(err.message));
       return;
     }
 
-    if (!credentials.private_key || !credentials.client_email) {
-      var errorMessage = [
-        'Could not find a `private_key` or `client_email`.',
-        'Please verify you are authorized with these credentials available.'
-      ].join(' ');
-
-      callback(new SigningError(errorMessage));
-      return;
-    }
-
-    var sign = crypto.createSign('RSA-SHA256');
-    sign.update([
+    storage.signBlob([
       options.action,
       (options.contentMd5 || ''),
       (options.contentType || ''),
       expiresInSeconds,
       (options.extensionHeaders || '') + options.resource
-    ].join('\n'));
-    var signature = sign.sign(credentials.private_key, 'base64');
+    ].join('\n'), function(err, signature) {
+      if (err) {
+        callback(new SigningError(err.message));
+        return;
+      }
+
+      onSigned(identity.email, signature);
+    });
+  });
 
+  function onSigned(email, signature) {
     var responseContentType = '';
     if (is.string(options.responseType)) {
       responseContentType =
@@ -1229,14 +1689,14 @@ File.prototype.getSignedUrl = function(options, callback) {
 
     callback(null, [
       'https://storage.googleapis.com' + options.resource,
-      '?GoogleAccessId=' + credentials.client_email,
+      '?GoogleAccessId=' + email,
       '&Expires=' + expiresInSeconds,
       '&Signature=' + encodeURIComponent(signature),
       responseContentType,
       responseContentDisposition,
       generation
     ].join(''));
-  });
+  }
 };
 
 /**
@@ -1283,7 +1743,7 @@ File.prototype.makePrivate = function(options, callback) {
 
   callback = callback || util.noop;
 
-  this.request({
+  return this.request({
     method: 'PATCH',
     uri: '',
     qs: query,
@@ -1475,7 +1935,10 @@ File.prototype.startSimpleUpload_ = function(dup, metadata) {
       name: self.name
     },
     uri: format('{uploadBaseUrl}/{bucket}/o', {
-      uploadBaseUrl: STORAGE_UPLOAD_BASE_URL,
+      uploadBaseUrl: util.applyApiEndpoint(
+        STORAGE_UPLOAD_BASE_URL,
+        this.storage.apiEndpoint
+      ),
       bucket: self.bucket.name
     })
   };
@@ -1494,4 +1957,55 @@ File.prototype.startSimpleUpload_ = function(dup, metadata) {
   });
 };
 
+/*! Developer Documentation
+ *
+ * Check a local file against the checksums of the remote file. The MD5 hash is
+ * preferred when both are given, and the check fails when neither is.
+ *
+ * @param {string} localPath - The path of the local file.
+ * @param {object} checksums - The checksums to check, as the API encodes them.
+ * @param {string=} checksums.crc32c - The CRC32c checksum.
+ * @param {string=} checksums.md5 - The MD5 hash.
+ * @param {function} callback - The callback function.
+ */
+function validateLocalFile(localPath, checksums, callback) {
+  var validateStream = hashStreamValidation({
+    crc32c: !!checksums.crc32c,
+    md5: !!checksums.md5
+  });
+
+  fs.createReadStream(localPath)
+    .on('error', callback)
+    .pipe(validateStream)
+    .on('data', util.noop)
+    .on('end', function() {
+      var failed = true;
+
+      if (checksums.md5) {
+        failed = !validateStream.test('md5', checksums.md5);
+      } else if (checksums.crc32c) {
+        // We must remove the first four bytes from the returned checksum.
+        // http://stackoverflow.com/questions/25096737/
+        //   base64-encoding-of-crc32c-long-value
+        failed = !validateStream.test('crc32c', checksums.crc32c.substr(4));
+      }
+
+      if (failed) {
+        var mismatchError = new Error([
+          'The downloaded data did not match the data from the server.',
+          'To be sure the content is the same, you should download the',
+          'file again.'
+        ].join(' '));
+        mismatchError.code = 'CONTENT_DOWNLOAD_MISMATCH';
+
+        callback(mismatchError);
+        return;
+      }
+
+      callback();
+    });
+}
+
+util.promisifyAll(File);
+
 module.exports = File;
@@ -91,6 +91,7 @@ function Storage(options) {
 
   var config = {
     baseUrl: 'https://www.googleapis.com/storage/v1',
+    batchUrl: 'https://www.googleapis.com/batch/storage/v1',
     projectIdRequired: false,
     scopes: [
       'https://www.googleapis.com/auth/devstorage.full_control'
@@ -281,7 +282,7 @@ Storage.prototype.createBucket = function(name, metadata, callback) {
     }
   });
 
-  this.request({
+  return this.request({
     method: 'POST',
     uri: '/b',
     qs: {
@@ -309,6 +310,8 @@ Storage.prototype.createBucket = function(name, metadata, callback) {
  * @param {object=} query - Query object.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {number} options.prefetchPages - Number of pages to buffer ahead of
+ *     the current one. They are requested one at a time. Default: 0.
  * @param {number} query.maxResults - Maximum number of items plus prefixes to
  *     return.
  * @param {string} query.pageToken - A previously-returned page token
@@ -381,7 +384,7 @@ Storage.prototype.getBuckets = function(query, callback) {
 
   query.project = query.project || this.projectId;
 
-  this.request({
+  return this.request({
     uri: '/b',
     qs: query
   }, function(err, resp) {
@@ -410,6 +413,10 @@ Storage.prototype.getBuckets = function(query, callback) {
  * This method can be used with either a callback or as a readable object
  * stream. `streamRouter` is used to add this dual behavior.
  */
+util.promisifyAll(Storage, {
+  exclude: ['bucket', 'channel']
+});
+
 streamRouter.extend(Storage, 'getBuckets');
 
 module.exports = Storage;
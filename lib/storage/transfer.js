@@ -0,0 +1,471 @@
+/*!
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module storage/transfer
+ */
+
+'use strict';
+
+var async = require('async');
+var events = require('events');
+var extend = require('extend');
+var fs = require('fs');
+var is = require('is');
+var nodeutil = require('util');
+var path = require('path');
+
+/**
+ * @type {module:storage/file}
+ * @private
+ */
+var File = require('./file.js');
+
+/**
+ * @type {module:common/retrypolicy}
+ * @private
+ */
+var RetryPolicy = require('../common/retry-policy.js');
+
+/**
+ * @type {module:common/util}
+ * @private
+ */
+var util = require('../common/util.js');
+
+/**
+ * The default number of files transferred at once.
+ *
+ * @const {number}
+ * @private
+ */
+var DEFAULT_CONCURRENCY = 8;
+
+/**
+ * Besides the errors the API asks to be retried, a file is transferred again
+ * after a dropped connection, or when its data did not match.
+ *
+ * @const {Array<number|string>}
+ * @private
+ */
+var RETRY_CODES = RetryPolicy.DEFAULT_CODES.concat([
+  'CONTENT_DOWNLOAD_MISMATCH',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EPIPE',
+  'ESOCKETTIMEDOUT',
+  'ETIMEDOUT',
+  'FILE_NO_UPLOAD'
+]);
+
+/*! Developer Documentation
+ *
+ * @param {module:storage/bucket} bucket - The bucket local files are uploaded
+ *     to.
+ * @param {Array<string|module:storage/file>} sources - The files to transfer.
+ * @param {object=} options - Configuration object. See
+ *     {module:storage/bucket#transfer}.
+ */
+/**
+ * A Transfer uploads and downloads many files, a few at a time. Each file that
+ * fails is attempted again, as decided by a
+ * {module:common/retrypolicy}, before the Transfer moves on.
+ *
+ * A Transfer is created with {module:storage/bucket#transfer}. As each file is
+ * done, a "progress" event is emitted with the totals so far:
+ *
+ *   - `total` - The number of files in the Transfer.
+ *   - `succeeded` - The number of files transferred.
+ *   - `failed` - The number of files that could not be transferred.
+ *   - `skipped` - The number of files transferred by an earlier run.
+ *   - `bytesTransferred` - The size of the files transferred.
+ *
+ * The result of the file is the event's second argument. It has the `action`
+ * taken, `"upload"` or `"download"`, the `localPath` and remote `file`, the
+ * number of `attempts` made, and if it failed, the last `error`.
+ *
+ * Once every file is done, a "complete" event is emitted with the report that
+ * is also given to the callback.
+ *
+ * @constructor
+ * @alias module:storage/transfer
+ * @mixes events.EventEmitter
+ *
+ * @throws {Error} If a source is not a local path or a File.
+ *
+ * @example
+ * var gcloud = require('gcloud');
+ *
+ * var gcs = gcloud.storage({
+ *   keyFilename: '/path/to/keyfile.json',
+ *   projectId: 'grape-spaceship-123'
+ * });
+ *
+ * var bucket = gcs.bucket('my-bucket');
+ *
+ * var transfer = bucket.transfer([
+ *   '/Users/stephen/Photos/cat.png',
+ *   '/Users/stephen/Photos/dog.png'
+ * ], function(err, report) {});
+ *
+ * transfer.on('progress', function(progress, result) {
+ *   console.log(progress.succeeded + ' of ' + progress.total + ' done');
+ * });
+ *
+ * transfer.on('complete', function(report) {
+ *   console.log(report.failed.length + ' files failed');
+ * });
+ */
+function Transfer(bucket, sources, options) {
+  events.EventEmitter.call(this);
+
+  options = options || {};
+
+  this.bucket = bucket;
+  this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  this.directory = path.resolve(options.directory || '.');
+  this.prefix = options.prefix || '';
+  this.stateFile = options.stateFile;
+  this.validation = options.validation;
+
+  if (options.retryPolicy instanceof RetryPolicy) {
+    this.retryPolicy = options.retryPolicy;
+  } else {
+    this.retryPolicy = new RetryPolicy(extend({
+      codes: RETRY_CODES
+    }, options.retryPolicy));
+  }
+
+  this.items = sources.map(this.createItem_, this);
+
+  this.progress = {
+    total: this.items.length,
+    succeeded: 0,
+    failed: 0,
+    skipped: 0,
+    bytesTransferred: 0
+  };
+}
+
+nodeutil.inherits(Transfer, events.EventEmitter);
+
+/**
+ * Transfer the files that an earlier run did not, then call back with a
+ * report.
+ *
+ * @private
+ *
+ * @param {function} callback - The callback function.
+ */
+Transfer.prototype.run_ = function(callback) {
+  var self = this;
+
+  var report = {
+    succeeded: [],
+    failed: [],
+    skipped: []
+  };
+
+  function complete() {
+    self.emit('complete', report);
+    callback(null, report);
+  }
+
+  this.readState_(function(err, completed) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    async.eachLimit(self.items, self.concurrency, function(item, next) {
+      if (completed[item.key]) {
+        self.finishItem_(report.skipped, 'skipped', item);
+        next();
+        return;
+      }
+
+      self.transferItem_(item, function(err) {
+        if (err) {
+          item.result.error = err;
+          self.finishItem_(report.failed, 'failed', item);
+          next();
+          return;
+        }
+
+        self.recordItem_(item, function(err) {
+          if (err) {
+            next(err);
+            return;
+          }
+
+          fs.stat(item.result.localPath, function(err, stats) {
+            if (!err) {
+              self.progress.bytesTransferred += stats.size;
+            }
+
+            self.finishItem_(report.succeeded, 'succeeded', item);
+            next();
+          });
+        });
+      });
+    }, function(err) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      if (!self.stateFile || report.failed.length > 0) {
+        complete();
+        return;
+      }
+
+      // Nothing is left to do, so a later run should start from scratch.
+      fs.unlink(self.stateFile, function(err) {
+        if (err && err.code !== 'ENOENT') {
+          callback(err);
+          return;
+        }
+
+        complete();
+      });
+    });
+  });
+};
+
+/**
+ * Describe the transfer of a source.
+ *
+ * @private
+ *
+ * @param {string|module:storage/file} source - A local path to upload, or a
+ *     File to download.
+ * @return {object}
+ */
+Transfer.prototype.createItem_ = function(source) {
+  var directory = this.directory;
+  var prefix = this.prefix;
+  var item = {};
+
+  if (is.string(source)) {
+    var localPath = path.resolve(source);
+    var name = path.relative(directory, localPath);
+
+    if (isOutside(name)) {
+      name = path.basename(localPath);
+    }
+
+    item.result = {
+      action: 'upload',
+      localPath: localPath,
+      file: this.bucket.file(prefix + name.split(path.sep).join('/'))
+    };
+  } else if (source instanceof File) {
+    var relativeName = source.name;
+
+    if (prefix && relativeName.indexOf(prefix) === 0) {
+      relativeName = relativeName.slice(prefix.length);
+    }
+
+    item.result = {
+      action: 'download',
+      localPath: path.join(directory, relativeName),
+      file: source
+    };
+
+    if (isOutside(path.relative(directory, item.result.localPath))) {
+      item.error = new Error(
+        'The file "' + source.name + '" would be saved outside of the ' +
+        'directory.');
+    }
+  } else {
+    throw new Error('A source must be a local path or a File.');
+  }
+
+  item.result.attempts = 0;
+  item.key = JSON.stringify([
+    item.result.action,
+    item.result.localPath,
+    item.result.file.bucket.name,
+    item.result.file.name
+  ]);
+
+  return item;
+};
+
+/**
+ * Transfer a file, attempting it again as long as the retry policy allows.
+ *
+ * @private
+ *
+ * @param {object} item - The transfer of the file.
+ * @param {function} callback - The callback function.
+ */
+Transfer.prototype.transferItem_ = function(item, callback) {
+  var self = this;
+  var result = item.result;
+  var retryPolicy = this.retryPolicy;
+  var startTime = Date.now();
+
+  if (item.error) {
+    setImmediate(callback, item.error);
+    return;
+  }
+
+  function makeAttempt() {
+    result.attempts++;
+
+    self.transferFile_(result, function(err) {
+      if (!err) {
+        callback();
+        return;
+      }
+
+      var retry = {
+        attempt: result.attempts,
+        delay: retryPolicy.getDelay(result.attempts),
+        elapsed: Date.now() - startTime,
+        err: err,
+        idempotent: true
+      };
+
+      if (!retryPolicy.shouldRetry(retry)) {
+        callback(err);
+        return;
+      }
+
+      if (is.fn(retryPolicy.onRetry)) {
+        retryPolicy.onRetry(retry);
+      }
+
+      setTimeout(makeAttempt, retry.delay);
+    });
+  }
+
+  makeAttempt();
+};
+
+/**
+ * Make one attempt to upload or download a file.
+ *
+ * @private
+ *
+ * @param {object} result - The result of the file's transfer.
+ * @param {function} callback - The callback function.
+ */
+Transfer.prototype.transferFile_ = function(result, callback) {
+  var validation = this.validation;
+
+  if (result.action === 'upload') {
+    this.bucket.upload(result.localPath, {
+      destination: result.file,
+      validation: validation
+    }, function(err) {
+      callback(err);
+    });
+    return;
+  }
+
+  util.makeDirectory(path.dirname(result.localPath), function(err) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    result.file.download({
+      destination: result.localPath,
+      validation: validation
+    }, callback);
+  });
+};
+
+/**
+ * Record in the state file that a file was transferred.
+ *
+ * @private
+ *
+ * @param {object} item - The transfer of the file.
+ * @param {function} callback - The callback function.
+ */
+Transfer.prototype.recordItem_ = function(item, callback) {
+  if (!this.stateFile) {
+    setImmediate(callback);
+    return;
+  }
+
+  fs.appendFile(this.stateFile, item.key + '\n', callback);
+};
+
+/**
+ * Read the transfers an earlier run completed from the state file. Each line
+ * of the state file is one transfer. A line left incomplete by a crash does
+ * not match any transfer.
+ *
+ * @private
+ *
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error reading the state file.
+ * @param {object} callback.completed - The completed transfers, by key.
+ */
+Transfer.prototype.readState_ = function(callback) {
+  var completed = {};
+
+  if (!this.stateFile) {
+    setImmediate(callback, null, completed);
+    return;
+  }
+
+  fs.readFile(this.stateFile, 'utf8', function(err, contents) {
+    if (err && err.code !== 'ENOENT') {
+      callback(err);
+      return;
+    }
+
+    (contents || '').split('\n').forEach(function(key) {
+      if (key) {
+        completed[key] = true;
+      }
+    });
+
+    callback(null, completed);
+  });
+};
+
+/**
+ * Count a file as done, and emit the progress of the Transfer.
+ *
+ * @private
+ *
+ * @param {object[]} results - The results of the report to add the file to.
+ * @param {string} count - The count of the progress to increase.
+ * @param {object} item - The transfer of the file.
+ */
+Transfer.prototype.finishItem_ = function(results, count, item) {
+  results.push(item.result);
+  this.progress[count]++;
+  this.emit('progress', extend({}, this.progress), item.result);
+};
+
+/*! Developer Documentation
+ *
+ * Returns true if a relative path leads outside of the directory it is
+ * relative to.
+ */
+function isOutside(relativePath) {
+  return path.isAbsolute(relativePath) ||
+    relativePath.split(path.sep)[0] === '..';
+}
+
+module.exports = Transfer;
@@ -0,0 +1,716 @@
+/*!
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module testing/datastore
+ */
+
+'use strict';
+
+var extend = require('extend');
+var format = require('string-format-obj');
+var is = require('is');
+var nodeutil = require('util');
+
+/**
+ * @type {module:datastore/entity}
+ * @private
+ */
+var entity = require('../datastore/entity.js');
+
+/**
+ * @type {module:datastore/pb}
+ * @private
+ */
+var pb = require('../datastore/pb.js');
+
+/**
+ * @type {module:testing/server}
+ * @private
+ */
+var FakeServer = require('./server.js');
+
+/** @const {object} The handler of each API method. */
+var METHODS = {
+  allocateIds: 'allocateIds_',
+  beginTransaction: 'beginTransaction_',
+  commit: 'commit_',
+  lookup: 'lookup_',
+  rollback: 'rollback_',
+  runQuery: 'runQuery_'
+};
+
+/** @const {object} The operators of property filters. */
+var OPERATOR = pb.PropertyFilter.Operator;
+
+/**
+ * The order a value can have, compared to the value of a property filter, to
+ * match it: -1 if it comes before, 0 if it is equal, or 1 if it comes after.
+ *
+ * @const {object}
+ */
+var OPERATOR_ORDERS = {};
+OPERATOR_ORDERS[OPERATOR.LESS_THAN] = [-1];
+OPERATOR_ORDERS[OPERATOR.LESS_THAN_OR_EQUAL] = [-1, 0];
+OPERATOR_ORDERS[OPERATOR.GREATER_THAN] = [1];
+OPERATOR_ORDERS[OPERATOR.GREATER_THAN_OR_EQUAL] = [0, 1];
+OPERATOR_ORDERS[OPERATOR.EQUAL] = [0];
+
+/**
+ * A FakeDatastoreServer holds the entities of each dataset in memory.
+ *
+ * Queries are answered from every entity, so they do not need indexes, and
+ * their results are always consistent. Cursors are positions in the results,
+ * which move if entities are added or deleted in between. A transaction
+ * reads the latest entities, and its commit fails with a conflict if any of
+ * them has changed since.
+ *
+ * GQL queries are not supported.
+ *
+ * @constructor
+ * @alias module:testing/datastore
+ * @mixes module:testing/server
+ */
+function FakeDatastoreServer() {
+  FakeServer.call(this);
+
+  this.entities_ = {};
+  this.transactions_ = {};
+  this.numIds_ = 0;
+  this.numTransactions_ = 0;
+  this.numVersions_ = 0;
+
+  this.route('POST', /\/datastore\/v1beta2\/datasets\/([^/]+)\/(\w+)$/,
+    this.call_);
+}
+
+nodeutil.inherits(FakeDatastoreServer, FakeServer);
+
+/**
+ * Errors are sent as text, rather than JSON.
+ *
+ * @private
+ */
+FakeDatastoreServer.prototype.formatError_ = function(err) {
+  return FakeServer.response(err.code, {
+    'content-type': 'text/plain'
+  }, err.message);
+};
+
+/**
+ * Decode the request of an API method, and encode its response.
+ *
+ * @private
+ */
+FakeDatastoreServer.prototype.call_ = function(req, datasetId, method) {
+  if (!METHODS[method]) {
+    throw FakeServer.error(404, format('Method {method} not found.', {
+      method: method
+    }));
+  }
+
+  var pbKey = method[0].toUpperCase() + method.substr(1);
+  var body = pb[pbKey + 'Request'].decode(req.body || new Buffer(0));
+  var resp = this[METHODS[method]](datasetId, body);
+
+  return FakeServer.response(200, {
+    'content-type': 'application/x-protobuf'
+  }, new pb[pbKey + 'Response'](resp).toBuffer());
+};
+
+/**
+ * Get entities by their keys.
+ *
+ * @private
+ */
+FakeDatastoreServer.prototype.lookup_ = function(datasetId, body) {
+  var self = this;
+  var transaction = this.findReadTransaction_(body.read_options);
+  var found = [];
+  var missing = [];
+
+  body.key.forEach(function(key) {
+    assertKey(key, true);
+
+    var id = getEntityId(datasetId, key);
+    var stored = self.entities_[id];
+
+    self.recordRead_(transaction, id);
+
+    if (stored) {
+      found.push({ entity: pb.Entity.decode(stored.entity) });
+    } else {
+      missing.push({ entity: { key: key } });
+    }
+  });
+
+  return {
+    found: found,
+    missing: missing
+  };
+};
+
+/**
+ * Write and delete entities, all at once.
+ *
+ * @private
+ *
+ * @throws {Error} If a transaction conflicts with another write.
+ */
+FakeDatastoreServer.prototype.commit_ = function(datasetId, body) {
+  var self = this;
+  var mutation = body.mutation || new pb.Mutation();
+  var entities = extend({}, this.entities_);
+  var version = ++this.numVersions_;
+  var numUpdates = 0;
+
+  if (body.mode === pb.CommitRequest.Mode.TRANSACTIONAL) {
+    var transaction = this.findTransaction_(body.transaction);
+
+    delete this.transactions_[body.transaction.toBase64()];
+
+    var hasChanged = Object.keys(transaction.versions).some(function(id) {
+      return getVersion(entities[id]) !== transaction.versions[id];
+    });
+
+    if (hasChanged) {
+      throw FakeServer.error(409,
+        'too much contention on these datastore entities. please try again.',
+        'aborted');
+    }
+  }
+
+  function write(entityProto) {
+    var key = entityProto.key;
+
+    entities[getEntityId(datasetId, key)] = {
+      datasetId: datasetId,
+      namespace: getNamespace(key),
+      kind: key.path_element[key.path_element.length - 1].kind,
+      entity: entityProto.toBuffer(),
+      version: version
+    };
+
+    numUpdates++;
+  }
+
+  mutation.upsert.forEach(function(entityProto) {
+    assertKey(entityProto.key, true);
+    write(entityProto);
+  });
+
+  mutation.update.forEach(function(entityProto) {
+    assertKey(entityProto.key, true);
+
+    if (!entities[getEntityId(datasetId, entityProto.key)]) {
+      throw FakeServer.error(404, 'no entity to update');
+    }
+
+    write(entityProto);
+  });
+
+  mutation.insert.forEach(function(entityProto) {
+    assertKey(entityProto.key, true);
+
+    if (entities[getEntityId(datasetId, entityProto.key)]) {
+      throw FakeServer.error(409, 'entity already exists');
+    }
+
+    write(entityProto);
+  });
+
+  var insertAutoIdKeys = mutation.insert_auto_id.map(function(entityProto) {
+    assertKey(entityProto.key, false);
+    self.completeKey_(entityProto.key);
+    write(entityProto);
+
+    return entityProto.key;
+  });
+
+  mutation.delete.forEach(function(key) {
+    assertKey(key, true);
+    delete entities[getEntityId(datasetId, key)];
+    numUpdates++;
+  });
+
+  this.entities_ = entities;
+
+  return {
+    mutation_result: {
+      index_updates: numUpdates,
+      insert_auto_id_key: insertAutoIdKeys
+    }
+  };
+};
+
+/**
+ * Run a query, then return a batch of its results.
+ *
+ * @private
+ */
+FakeDatastoreServer.prototype.runQuery_ = function(datasetId, body) {
+  var self = this;
+  var transaction = this.findReadTransaction_(body.read_options);
+  var query = body.query;
+
+  if (!query) {
+    throw FakeServer.error(400, 'The fake does not support GQL queries.');
+  }
+
+  if (query.kind.length > 1) {
+    throw FakeServer.error(400, 'A query can only have one kind.');
+  }
+
+  var namespace = (body.partition_id && body.partition_id.namespace) || '';
+  var kind = query.kind.length > 0 ? query.kind[0].name : null;
+
+  var projection = query.projection.map(function(expression) {
+    return expression.property.name;
+  });
+
+  var isKeysOnly = projection.length === 1 && projection[0] === '__key__';
+  var resultType = pb.EntityResult.ResultType.FULL;
+
+  if (isKeysOnly) {
+    resultType = pb.EntityResult.ResultType.KEY_ONLY;
+  } else if (projection.length > 0) {
+    resultType = pb.EntityResult.ResultType.PROJECTION;
+  }
+
+  var ordering = query.order.concat({
+    property: { name: '__key__' },
+    direction: pb.PropertyOrder.Direction.ASCENDING
+  });
+
+  var results = Object.keys(this.entities_)
+    .filter(function(id) {
+      var stored = self.entities_[id];
+
+      return stored.datasetId === datasetId &&
+        stored.namespace === namespace &&
+        (!kind || stored.kind === kind);
+    })
+    .map(function(id) {
+      return {
+        id: id,
+        entity: pb.Entity.decode(self.entities_[id].entity)
+      };
+    })
+    .filter(function(result) {
+      var entityProto = result.entity;
+
+      var hasProperties = ordering
+        .map(function(order) {
+          return order.property.name;
+        })
+        .concat(projection)
+        .every(function(name) {
+          return getValues(entityProto, name).length > 0;
+        });
+
+      return hasProperties && matchesFilter(entityProto, query.filter);
+    })
+    .sort(function(a, b) {
+      for (var i = 0; i < ordering.length; i++) {
+        var name = ordering[i].property.name;
+        var isDescending =
+          ordering[i].direction === pb.PropertyOrder.Direction.DESCENDING;
+
+        var order = compareValues(
+          getSortValue(a.entity, name, isDescending),
+          getSortValue(b.entity, name, isDescending));
+
+        if (order !== 0) {
+          return isDescending ? -order : order;
+        }
+      }
+
+      return 0;
+    });
+
+  if (query.group_by.length > 0) {
+    var groups = {};
+
+    results = results.filter(function(result) {
+      var group = JSON.stringify(query.group_by.map(function(property) {
+        return getValues(result.entity, property.name).map(toNative);
+      }));
+
+      return !groups[group] && (groups[group] = true);
+    });
+  }
+
+  var start = readCursor(query.start_cursor) || 0;
+  var end = results.length;
+
+  if (query.end_cursor) {
+    end = Math.min(end, readCursor(query.end_cursor));
+  }
+
+  var numSkipped = Math.max(0, Math.min(query.offset, end - start));
+  var position = start + numSkipped;
+  var numResults = end - position;
+
+  if (query.limit > 0) {
+    numResults = Math.min(numResults, query.limit);
+  }
+
+  var batch = results.slice(position, position + numResults);
+  position += batch.length;
+
+  batch.forEach(function(result) {
+    self.recordRead_(transaction, result.id);
+  });
+
+  return {
+    batch: {
+      entity_result_type: resultType,
+      entity_result: batch.map(function(result) {
+        return {
+          entity: project(result.entity, resultType, projection)
+        };
+      }),
+      end_cursor: new Buffer(String(position)),
+      more_results: position < end ?
+        pb.QueryResultBatch.MoreResultsType.MORE_RESULTS_AFTER_LIMIT :
+        pb.QueryResultBatch.MoreResultsType.NO_MORE_RESULTS,
+      skipped_results: numSkipped
+    }
+  };
+};
+
+/**
+ * Give incomplete keys an ID each.
+ *
+ * @private
+ */
+FakeDatastoreServer.prototype.allocateIds_ = function(datasetId, body) {
+  return {
+    key: body.key.map(function(key) {
+      assertKey(key, false);
+      return this.completeKey_(key);
+    }, this)
+  };
+};
+
+/**
+ * Start a transaction.
+ *
+ * @private
+ */
+FakeDatastoreServer.prototype.beginTransaction_ = function() {
+  var transaction = new Buffer('transaction-' + (++this.numTransactions_));
+
+  this.transactions_[transaction.toString('base64')] = {
+    versions: {}
+  };
+
+  return {
+    transaction: transaction
+  };
+};
+
+/**
+ * End a transaction without committing it.
+ *
+ * @private
+ */
+FakeDatastoreServer.prototype.rollback_ = function(datasetId, body) {
+  this.findTransaction_(body.transaction);
+  delete this.transactions_[body.transaction.toBase64()];
+
+  return {};
+};
+
+/**
+ * Get a transaction that has not ended.
+ *
+ * @private
+ *
+ * @throws {Error} If the transaction has ended.
+ */
+FakeDatastoreServer.prototype.findTransaction_ = function(transaction) {
+  var found = transaction && this.transactions_[transaction.toBase64()];
+
+  if (!found) {
+    throw FakeServer.error(400, 'The transaction is no longer valid.');
+  }
+
+  return found;
+};
+
+/**
+ * Get the transaction a lookup or query reads in, if there is one.
+ *
+ * @private
+ */
+FakeDatastoreServer.prototype.findReadTransaction_ = function(readOptions) {
+  if (readOptions && readOptions.transaction) {
+    return this.findTransaction_(readOptions.transaction);
+  }
+
+  return null;
+};
+
+/**
+ * Remember the version of an entity a transaction has read.
+ *
+ * @private
+ */
+FakeDatastoreServer.prototype.recordRead_ = function(transaction, id) {
+  if (transaction && !(id in transaction.versions)) {
+    transaction.versions[id] = getVersion(this.entities_[id]);
+  }
+};
+
+/**
+ * Give an incomplete key a new ID.
+ *
+ * @private
+ */
+FakeDatastoreServer.prototype.completeKey_ = function(key) {
+  key.path_element[key.path_element.length - 1].id = ++this.numIds_;
+  return key;
+};
+
+/*! Developer Documentation
+ *
+ * Throw the API's error if a key is not complete, or not incomplete, as
+ * expected.
+ */
+function assertKey(key, isComplete) {
+  var path = (key && key.path_element) || [];
+
+  if (path.length === 0) {
+    throw FakeServer.error(400, 'A key must have a path.');
+  }
+
+  var isLastComplete = path.every(function(element, index) {
+    var hasId = !!element.id || is.string(element.name);
+
+    if (!hasId && index < path.length - 1) {
+      throw FakeServer.error(400, 'Ancestor keys require an id or name.');
+    }
+
+    return hasId;
+  });
+
+  if (isLastComplete !== isComplete) {
+    throw FakeServer.error(400, isComplete ?
+      'Key path is incomplete.' : 'Key path must be incomplete.');
+  }
+}
+
+/*! Developer Documentation
+ *
+ * Identify an entity by its dataset, namespace and path.
+ */
+function getEntityId(datasetId, key) {
+  return JSON.stringify([datasetId, getNamespace(key)].concat(
+    key.path_element.map(function(element) {
+      return is.string(element.name) ?
+        [element.kind, 'name', element.name] :
+        [element.kind, 'id', element.id.toString()];
+    })));
+}
+
+/*! Developer Documentation
+ *
+ * Get the namespace of a key.
+ */
+function getNamespace(key) {
+  return (key.partition_id && key.partition_id.namespace) || '';
+}
+
+/*! Developer Documentation
+ *
+ * Get the version of a stored entity, or 0 if it does not exist.
+ */
+function getVersion(stored) {
+  return stored ? stored.version : 0;
+}
+
+/*! Developer Documentation
+ *
+ * Get the position a cursor was created at.
+ */
+function readCursor(cursor) {
+  return cursor ? parseInt(cursor.toBuffer().toString(), 10) : null;
+}
+
+/*! Developer Documentation
+ *
+ * Get the values of a property of an entity. A list has each of its values.
+ */
+function getValues(entityProto, name) {
+  if (name === '__key__') {
+    return [{ key_value: entityProto.key }];
+  }
+
+  var values = [];
+
+  entityProto.property.forEach(function(property) {
+    if (property.name !== name) {
+      return;
+    }
+
+    if (property.value.list_value.length > 0) {
+      values = values.concat(property.value.list_value);
+    } else {
+      values.push(property.value);
+    }
+  });
+
+  return values;
+}
+
+/*! Developer Documentation
+ *
+ * Get the value of a property to sort by: the lowest value of a list in
+ * ascending order, or the highest in descending order.
+ */
+function getSortValue(entityProto, name, isDescending) {
+  return getValues(entityProto, name).map(toNative).sort(function(a, b) {
+    return isDescending ? compareValues(b, a) : compareValues(a, b);
+  })[0];
+}
+
+/*! Developer Documentation
+ *
+ * Convert a value to a native one, with `null` for a value that is not set.
+ */
+function toNative(value) {
+  var native = entity.propertyToValue(value);
+
+  return is.array(native) && native.length === 0 ? null : native;
+}
+
+/*! Developer Documentation
+ *
+ * Compare two native values. Values of different types are ordered by type.
+ */
+function compareValues(a, b) {
+  var types = [
+    is.null,
+    is.number,
+    is.date,
+    is.boolean,
+    Buffer.isBuffer,
+    is.string,
+    function(value) {
+      return value instanceof entity.Key;
+    }
+  ];
+
+  function getTypeOrder(value) {
+    for (var i = 0; i < types.length; i++) {
+      if (types[i](value)) {
+        return i;
+      }
+    }
+
+    return types.length;
+  }
+
+  var typeOrder = getTypeOrder(a) - getTypeOrder(b);
+
+  if (typeOrder !== 0) {
+    return typeOrder;
+  }
+
+  if (a instanceof entity.Key) {
+    a = a.path;
+    b = b.path;
+
+    for (var i = 0; i < Math.min(a.length, b.length); i++) {
+      var order = compareValues(a[i], b[i]);
+
+      if (order !== 0) {
+        return order;
+      }
+    }
+
+    return a.length - b.length;
+  }
+
+  if (Buffer.isBuffer(a)) {
+    return Buffer.compare(a, b);
+  }
+
+  if (!is.number(a) && !is.date(a) && !is.boolean(a) && !is.string(a)) {
+    a = JSON.stringify(a);
+    b = JSON.stringify(b);
+  }
+
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/*! Developer Documentation
+ *
+ * Check that an entity matches the filter of a query.
+ */
+function matchesFilter(entityProto, filter) {
+  if (!filter) {
+    return true;
+  }
+
+  if (filter.composite_filter) {
+    return filter.composite_filter.filter.every(function(filter) {
+      return matchesFilter(entityProto, filter);
+    });
+  }
+
+  var propertyFilter = filter.property_filter;
+  var operator = propertyFilter.operator;
+
+  if (operator === OPERATOR.HAS_ANCESTOR) {
+    var ancestor = toNative(propertyFilter.value).path;
+    var path = toNative({ key_value: entityProto.key }).path;
+
+    return ancestor.length <= path.length && ancestor.every(function(part, i) {
+      return compareValues(part, path[i]) === 0;
+    });
+  }
+
+  var filterValue = toNative(propertyFilter.value);
+
+  return getValues(entityProto, propertyFilter.property.name)
+    .some(function(value) {
+      var order = compareValues(toNative(value), filterValue);
+      order = order < 0 ? -1 : order > 0 ? 1 : 0;
+
+      return OPERATOR_ORDERS[operator].indexOf(order) > -1;
+    });
+}
+
+/*! Developer Documentation
+ *
+ * Create the entity of a result, with the properties its type has.
+ */
+function project(entityProto, resultType, projection) {
+  if (resultType === pb.EntityResult.ResultType.FULL) {
+    return entityProto;
+  }
+
+  return {
+    key: entityProto.key,
+    property: entityProto.property.filter(function(property) {
+      return projection.indexOf(property.name) > -1;
+    })
+  };
+}
+
+module.exports = FakeDatastoreServer;
@@ -0,0 +1,382 @@
+/*!
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module testing/dns
+ */
+
+'use strict';
+
+var arrify = require('arrify');
+var extend = require('extend');
+var format = require('string-format-obj');
+var nodeutil = require('util');
+
+/**
+ * @type {module:testing/server}
+ * @private
+ */
+var FakeServer = require('./server.js');
+
+/** @const {number} The TTL of the records a zone is created with. */
+var DEFAULT_TTL = 21600;
+
+/** @const {string[]} The name servers of every zone. */
+var NAME_SERVERS = [
+  'ns-cloud-a1.googledomains.com.',
+  'ns-cloud-a2.googledomains.com.',
+  'ns-cloud-a3.googledomains.com.',
+  'ns-cloud-a4.googledomains.com.'
+];
+
+/** @const {string} The data of the SOA record a zone is created with. */
+var SOA_DATA = NAME_SERVERS[0] +
+  ' cloud-dns-hostmaster.google.com. 1 21600 3600 259200 300';
+
+/**
+ * A FakeDNSServer holds managed zones and their records in memory. Changes to
+ * records are applied as soon as they are made.
+ *
+ * @constructor
+ * @alias module:testing/dns
+ * @mixes module:testing/server
+ */
+function FakeDNSServer() {
+  FakeServer.call(this);
+
+  this.zones_ = {};
+  this.numZones_ = 0;
+
+  var zonesPath = /\/projects\/([^/]+)\/managedZones$/;
+  var zonePath = /\/projects\/([^/]+)\/managedZones\/([^/]+)$/;
+  var changesPath = /\/projects\/([^/]+)\/managedZones\/([^/]+)\/changes$/;
+
+  this.route('POST', zonesPath, this.createZone_);
+  this.route('GET', zonesPath, this.listZones_);
+  this.route('GET', zonePath, this.getZone_);
+  this.route('DELETE', zonePath, this.deleteZone_);
+  this.route('POST', changesPath, this.createChange_);
+  this.route('GET', changesPath, this.listChanges_);
+  this.route('GET',
+    /\/projects\/([^/]+)\/managedZones\/([^/]+)\/changes\/([^/]+)$/,
+    this.getChange_);
+  this.route('GET', /\/projects\/([^/]+)\/managedZones\/([^/]+)\/rrsets$/,
+    this.listRecords_);
+}
+
+nodeutil.inherits(FakeDNSServer, FakeServer);
+
+/**
+ * Get a zone.
+ *
+ * @private
+ *
+ * @throws {Error} If the zone does not exist.
+ */
+FakeDNSServer.prototype.findZone_ = function(projectId, name) {
+  var zone = this.zones_[projectId + '/' + name];
+
+  if (!zone) {
+    throw FakeServer.error(404, format(
+      'The \'parameters.managedZone\' resource named \'{name}\' does not ' +
+      'exist.', { name: name }));
+  }
+
+  return zone;
+};
+
+/**
+ * Create a zone, with its NS and SOA records.
+ *
+ * @private
+ */
+FakeDNSServer.prototype.createZone_ = function(req, projectId) {
+  var id = projectId + '/' + req.json.name;
+  var dnsName = req.json.dnsName || '';
+
+  if (!/\.$/.test(dnsName)) {
+    throw FakeServer.error(400, format(
+      'Invalid value for \'entity.managedZone.dnsName\': \'{dnsName}\'', {
+        dnsName: dnsName
+      }));
+  }
+
+  if (this.zones_[id]) {
+    throw FakeServer.error(409, format(
+      'The resource \'entity.managedZone\' named \'{name}\' already exists',
+      req.json), 'alreadyExists');
+  }
+
+  var metadata = extend({}, req.json, {
+    kind: 'dns#managedZone',
+    id: String(++this.numZones_),
+    creationTime: this.now(),
+    nameServers: NAME_SERVERS
+  });
+
+  var zone = this.zones_[id] = {
+    metadata: metadata,
+    records: [],
+    changes: []
+  };
+
+  this.applyChange_(zone, {
+    additions: [
+      {
+        kind: 'dns#resourceRecordSet',
+        name: dnsName,
+        type: 'NS',
+        ttl: DEFAULT_TTL,
+        rrdatas: NAME_SERVERS
+      },
+      {
+        kind: 'dns#resourceRecordSet',
+        name: dnsName,
+        type: 'SOA',
+        ttl: DEFAULT_TTL,
+        rrdatas: [SOA_DATA]
+      }
+    ]
+  });
+
+  return metadata;
+};
+
+/**
+ * List the zones of a project.
+ *
+ * @private
+ */
+FakeDNSServer.prototype.listZones_ = function(req, projectId) {
+  var zones = this.zones_;
+  var prefix = projectId + '/';
+
+  var page = FakeServer.paginate(Object.keys(zones).sort()
+    .filter(function(id) {
+      return id.indexOf(prefix) === 0;
+    })
+    .map(function(id) {
+      return zones[id].metadata;
+    }), req.query.pageToken, req.query.maxResults);
+
+  return {
+    kind: 'dns#managedZonesListResponse',
+    managedZones: page.items,
+    nextPageToken: page.nextPageToken
+  };
+};
+
+/**
+ * Get a zone.
+ *
+ * @private
+ */
+FakeDNSServer.prototype.getZone_ = function(req, projectId, name) {
+  return this.findZone_(projectId, name).metadata;
+};
+
+/**
+ * Delete a zone without records of its own.
+ *
+ * @private
+ */
+FakeDNSServer.prototype.deleteZone_ = function(req, projectId, name) {
+  var zone = this.findZone_(projectId, name);
+
+  var isEmpty = zone.records.every(function(record) {
+    return record.type === 'NS' || record.type === 'SOA';
+  });
+
+  if (!isEmpty) {
+    throw FakeServer.error(400, format(
+      'The resource named \'{name}\' cannot be deleted because it is not ' +
+      'empty', { name: name }), 'containerNotEmpty');
+  }
+
+  delete this.zones_[projectId + '/' + name];
+};
+
+/**
+ * Delete, then add records of a zone.
+ *
+ * @private
+ */
+FakeDNSServer.prototype.createChange_ = function(req, projectId, name) {
+  return this.applyChange_(this.findZone_(projectId, name), req.json);
+};
+
+/**
+ * List the changes made to a zone.
+ *
+ * @private
+ */
+FakeDNSServer.prototype.listChanges_ = function(req, projectId, name) {
+  var changes = this.findZone_(projectId, name).changes.slice();
+
+  if (req.query.sortOrder === 'descending') {
+    changes.reverse();
+  }
+
+  var page = FakeServer.paginate(changes, req.query.pageToken,
+    req.query.maxResults);
+
+  return {
+    kind: 'dns#changesListResponse',
+    changes: page.items,
+    nextPageToken: page.nextPageToken
+  };
+};
+
+/**
+ * Get a change made to a zone.
+ *
+ * @private
+ */
+FakeDNSServer.prototype.getChange_ = function(req, projectId, name, id) {
+  var change = this.findZone_(projectId, name).changes[id];
+
+  if (!change) {
+    throw FakeServer.error(404, format(
+      'The \'parameters.changeId\' resource named \'{id}\' does not exist.', {
+        id: id
+      }));
+  }
+
+  return change;
+};
+
+/**
+ * List the records of a zone, or the records with a name and type.
+ *
+ * @private
+ */
+FakeDNSServer.prototype.listRecords_ = function(req, projectId, name) {
+  var query = req.query;
+
+  var records = this.findZone_(projectId, name).records
+    .filter(function(record) {
+      return (!query.name || record.name === query.name) &&
+        (!query.type || record.type === query.type);
+    });
+
+  var page = FakeServer.paginate(records, query.pageToken, query.maxResults);
+
+  return {
+    kind: 'dns#resourceRecordSetsListResponse',
+    rrsets: page.items,
+    nextPageToken: page.nextPageToken
+  };
+};
+
+/**
+ * Apply a change to the records of a zone. Nothing changes unless every
+ * deletion matches a record exactly, and no addition replaces a record.
+ *
+ * @private
+ *
+ * @throws {Error} If the change cannot be applied.
+ */
+FakeDNSServer.prototype.applyChange_ = function(zone, body) {
+  var dnsName = zone.metadata.dnsName;
+  var records = zone.records.slice();
+  var additions = arrify(body.additions).map(formatRecord);
+  var deletions = arrify(body.deletions).map(formatRecord);
+
+  deletions.forEach(function(deletion, index) {
+    var position = indexOfRecord(records, deletion);
+
+    if (position === -1 ||
+        JSON.stringify(records[position]) !== JSON.stringify(deletion)) {
+      throw FakeServer.error(404, format(
+        'The resource \'entity.change.deletions[{index}]\' named ' +
+        '\'{name} ({type})\' does not exist.', extend({
+          index: index
+        }, deletion)));
+    }
+
+    records.splice(position, 1);
+  });
+
+  additions.forEach(function(addition, index) {
+    var isInZone = addition.name === dnsName ||
+      addition.name.slice(-dnsName.length - 1) === '.' + dnsName;
+
+    if (!isInZone) {
+      throw FakeServer.error(400, format(
+        'The resource \'entity.change.additions[{index}]\' named ' +
+        '\'{name} ({type})\' is not within the zone.', extend({
+          index: index
+        }, addition)));
+    }
+
+    if (indexOfRecord(records, addition) > -1) {
+      throw FakeServer.error(409, format(
+        'The resource \'entity.change.additions[{index}]\' named ' +
+        '\'{name} ({type})\' already exists', extend({
+          index: index
+        }, addition)), 'alreadyExists');
+    }
+
+    records.push(addition);
+  });
+
+  zone.records = records.sort(function(a, b) {
+    return a.name.localeCompare(b.name) || a.type.localeCompare(b.type);
+  });
+
+  var change = {
+    kind: 'dns#change',
+    id: String(zone.changes.length),
+    additions: additions,
+    deletions: deletions,
+    startTime: this.now(),
+    status: 'done'
+  };
+
+  zone.changes.push(change);
+
+  return change;
+};
+
+/*! Developer Documentation
+ *
+ * Format a record as the API returns it.
+ */
+function formatRecord(record) {
+  return {
+    kind: 'dns#resourceRecordSet',
+    name: record.name,
+    type: String(record.type).toUpperCase(),
+    ttl: Number(record.ttl),
+    rrdatas: arrify(record.rrdatas).map(String)
+  };
+}
+
+/*! Developer Documentation
+ *
+ * Find the record with the same name and type.
+ */
+function indexOfRecord(records, record) {
+  for (var i = 0; i < records.length; i++) {
+    if (records[i].name === record.name && records[i].type === record.type) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+module.exports = FakeDNSServer;
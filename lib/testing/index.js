@@ -0,0 +1,243 @@
+/*!
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module testing
+ */
+
+'use strict';
+
+var extend = require('extend');
+
+/**
+ * @type {module:datastore/dataset}
+ * @private
+ */
+var Dataset = require('../datastore/dataset.js');
+
+/**
+ * @type {module:dns}
+ * @private
+ */
+var DNS = require('../dns');
+
+/**
+ * @type {module:pubsub}
+ * @private
+ */
+var PubSub = require('../pubsub');
+
+/**
+ * @type {module:storage}
+ * @private
+ */
+var Storage = require('../storage');
+
+/**
+ * @type {module:testing/datastore}
+ * @private
+ */
+var FakeDatastoreServer = require('./datastore.js');
+
+/**
+ * @type {module:testing/dns}
+ * @private
+ */
+var FakeDNSServer = require('./dns.js');
+
+/**
+ * @type {module:testing/pubsub}
+ * @private
+ */
+var FakePubSubServer = require('./pubsub.js');
+
+/**
+ * @type {module:testing/storage}
+ * @private
+ */
+var FakeStorageServer = require('./storage.js');
+
+/** @const {string} The project ID used if none is given. */
+var DEFAULT_PROJECT_ID = 'fake-project-id';
+
+/**
+ * Requests never leave the process. This endpoint is set so that nothing is
+ * authenticated, and so that a request which somehow escaped would fail,
+ * rather than reach the API.
+ *
+ * @const {string}
+ * @private
+ */
+var API_ENDPOINT = 'http://localhost:8080';
+
+/**
+ * In-memory fakes of the services, for unit tests of code that uses them.
+ *
+ * Each fake is the library's own service object, so arguments are parsed, and
+ * objects such as keys and entities created, exactly as they are in
+ * production. Only its requests are different: instead of being sent over
+ * HTTP, they are answered from memory by a fake of the API. No credentials
+ * are needed.
+ *
+ * Each fake starts with an empty API. To share one between fakes, create it,
+ * then pass it as their `fixtures`.
+ *
+ * Fake Cloud Storage uploads are never resumable. Fake Datastore does not
+ * support GQL queries.
+ *
+ * @alias module:testing
+ *
+ * @example
+ * var testing = require('gcloud/testing');
+ *
+ * var storage = testing.storage();
+ * var bucket = storage.bucket('my-bucket');
+ *
+ * bucket.create(function(err) {
+ *   bucket.file('my-file').createWriteStream()
+ *     .on('finish', function() {
+ *       // The file now exists, in memory.
+ *     })
+ *     .end('contents');
+ * });
+ *
+ * //-
+ * // Share data between fakes.
+ * //-
+ * var fakeApi = new testing.FakeStorageServer('fake-project-id');
+ *
+ * var storage = testing.storage({ fixtures: fakeApi });
+ * var otherStorage = testing.storage({ fixtures: fakeApi });
+ */
+var testing = {};
+
+/**
+ * @type {module:testing/datastore}
+ */
+testing.FakeDatastoreServer = FakeDatastoreServer;
+
+/**
+ * @type {module:testing/dns}
+ */
+testing.FakeDNSServer = FakeDNSServer;
+
+/**
+ * @type {module:testing/pubsub}
+ */
+testing.FakePubSubServer = FakePubSubServer;
+
+/**
+ * @type {module:testing/storage}
+ */
+testing.FakeStorageServer = FakeStorageServer;
+
+/**
+ * Create a fake of Google Cloud Datastore.
+ *
+ * @param {object=} options - Configuration object, as for
+ *     {module:datastore#dataset}.
+ * @param {module:testing/datastore=} options.fixtures - The fake API to use.
+ *     (default: a new, empty one)
+ * @return {module:datastore/dataset}
+ *
+ * @example
+ * var dataset = testing.datastore();
+ *
+ * dataset.save({
+ *   key: dataset.key('Company'),
+ *   data: {
+ *     name: 'Google'
+ *   }
+ * }, function(err) {});
+ */
+testing.datastore = function(options) {
+  return new Dataset(createConfig(options, FakeDatastoreServer));
+};
+
+/**
+ * Create a fake of Google Cloud DNS.
+ *
+ * @param {object=} options - Configuration object, as for {module:dns}.
+ * @param {module:testing/dns=} options.fixtures - The fake API to use.
+ *     (default: a new, empty one)
+ * @return {module:dns}
+ *
+ * @example
+ * var dns = testing.dns();
+ *
+ * dns.createZone('my-zone', {
+ *   dnsName: 'example.com.'
+ * }, function(err, zone) {});
+ */
+testing.dns = function(options) {
+  return new DNS(createConfig(options, FakeDNSServer));
+};
+
+/**
+ * Create a fake of Google Cloud Pub/Sub.
+ *
+ * @param {object=} options - Configuration object, as for {module:pubsub}.
+ * @param {module:testing/pubsub=} options.fixtures - The fake API to use.
+ *     (default: a new, empty one)
+ * @return {module:pubsub}
+ *
+ * @example
+ * var pubsub = testing.pubsub();
+ *
+ * pubsub.createTopic('my-topic', function(err, topic) {
+ *   topic.subscribe('my-subscription', function(err, subscription) {});
+ * });
+ */
+testing.pubsub = function(options) {
+  return new PubSub(createConfig(options, FakePubSubServer));
+};
+
+/**
+ * Create a fake of Google Cloud Storage.
+ *
+ * @param {object=} options - Configuration object, as for {module:storage}.
+ * @param {module:testing/storage=} options.fixtures - The fake API to use.
+ *     (default: a new, empty one)
+ * @return {module:storage}
+ *
+ * @example
+ * var storage = testing.storage();
+ *
+ * storage.createBucket('my-bucket', function(err, bucket) {});
+ */
+testing.storage = function(options) {
+  return new Storage(createConfig(options, FakeStorageServer));
+};
+
+/*! Developer Documentation
+ *
+ * Configure a service to send its requests to a fake API.
+ */
+function createConfig(options, FakeServer) {
+  var config = extend({
+    projectId: DEFAULT_PROJECT_ID
+  }, options, {
+    apiEndpoint: API_ENDPOINT
+  });
+
+  if (!(config.fixtures instanceof FakeServer)) {
+    config.fixtures = new FakeServer(config.projectId);
+  }
+
+  return config;
+}
+
+module.exports = testing;
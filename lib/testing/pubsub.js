@@ -0,0 +1,480 @@
+/*!
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module testing/pubsub
+ */
+
+'use strict';
+
+var arrify = require('arrify');
+var extend = require('extend');
+var nodeutil = require('util');
+
+/**
+ * @type {module:testing/server}
+ * @private
+ */
+var FakeServer = require('./server.js');
+
+/** @const {number} Seconds to acknowledge a message in, unless configured. */
+var DEFAULT_ACK_DEADLINE_SECONDS = 10;
+
+/** @const {string} The topic of a subscription whose topic was deleted. */
+var DELETED_TOPIC = '_deleted-topic_';
+
+/** @const {string} The ETag of a resource's policy before it is first set. */
+var EMPTY_POLICY_ETAG = 'ACAB';
+
+/**
+ * A FakePubSubServer holds topics and subscriptions in memory. Messages
+ * published to a topic are delivered to each of its subscriptions, and are
+ * pulled again once their ack deadline passes.
+ *
+ * Pulls return at once, even when there are no messages.
+ *
+ * @constructor
+ * @alias module:testing/pubsub
+ * @mixes module:testing/server
+ */
+function FakePubSubServer() {
+  FakeServer.call(this);
+
+  this.topics_ = {};
+  this.subscriptions_ = {};
+  this.policies_ = {};
+  this.numAckIds_ = 0;
+  this.numMessages_ = 0;
+  this.numPolicies_ = 0;
+
+  var topicPath = resourcePath('topics');
+  var subscriptionPath = resourcePath('subscriptions');
+
+  this.route('PUT', topicPath, this.createTopic_);
+  this.route('GET', topicPath, this.getTopic_);
+  this.route('DELETE', topicPath, this.deleteTopic_);
+  this.route('GET', /\/projects\/([^/]+)\/topics$/, this.listTopics_);
+  this.route('GET', resourcePath('topics', '\\/subscriptions'),
+    this.listTopicSubscriptions_);
+  this.route('POST', resourcePath('topics', ':publish'), this.publish_);
+
+  this.route('PUT', subscriptionPath, this.createSubscription_);
+  this.route('GET', subscriptionPath, this.getSubscription_);
+  this.route('DELETE', subscriptionPath, this.deleteSubscription_);
+  this.route('GET', /\/projects\/([^/]+)\/subscriptions$/,
+    this.listSubscriptions_);
+  this.route('POST', resourcePath('subscriptions', ':pull'), this.pull_);
+  this.route('POST', resourcePath('subscriptions', ':acknowledge'),
+    this.acknowledge_);
+  this.route('POST', resourcePath('subscriptions', ':modifyAckDeadline'),
+    this.modifyAckDeadline_);
+
+  this.route('GET', resourcePath('topics|subscriptions', ':getIamPolicy'),
+    this.getIamPolicy_);
+  this.route('POST', resourcePath('topics|subscriptions', ':setIamPolicy'),
+    this.setIamPolicy_);
+  this.route('POST',
+    resourcePath('topics|subscriptions', ':testIamPermissions'),
+    this.testIamPermissions_);
+}
+
+nodeutil.inherits(FakePubSubServer, FakeServer);
+
+/**
+ * Get a topic.
+ *
+ * @private
+ *
+ * @throws {Error} If the topic does not exist.
+ */
+FakePubSubServer.prototype.findTopic_ = function(name) {
+  if (!this.topics_[name]) {
+    throw FakeServer.error(404, 'Resource not found (resource=' +
+      name.split('/').pop() + ').');
+  }
+
+  return this.topics_[name];
+};
+
+/**
+ * Get a subscription.
+ *
+ * @private
+ *
+ * @throws {Error} If the subscription does not exist.
+ */
+FakePubSubServer.prototype.findSubscription_ = function(name) {
+  if (!this.subscriptions_[name]) {
+    throw FakeServer.error(404, 'Resource not found (resource=' +
+      name.split('/').pop() + ').');
+  }
+
+  return this.subscriptions_[name];
+};
+
+/**
+ * Get a resource for IAM methods.
+ *
+ * @private
+ *
+ * @throws {Error} If the resource does not exist.
+ */
+FakePubSubServer.prototype.findResource_ = function(name) {
+  if (name.indexOf('/topics/') > -1) {
+    return this.findTopic_(name);
+  }
+
+  return this.findSubscription_(name);
+};
+
+/**
+ * Create a topic.
+ *
+ * @private
+ */
+FakePubSubServer.prototype.createTopic_ = function(req, name) {
+  if (this.topics_[name]) {
+    throw FakeServer.error(409, 'Resource already exists in the project ' +
+      '(resource=' + name.split('/').pop() + ').', 'alreadyExists');
+  }
+
+  this.topics_[name] = {
+    name: name
+  };
+
+  return this.topics_[name];
+};
+
+/**
+ * Get a topic.
+ *
+ * @private
+ */
+FakePubSubServer.prototype.getTopic_ = function(req, name) {
+  return this.findTopic_(name);
+};
+
+/**
+ * Delete a topic. Its subscriptions are kept, without a topic.
+ *
+ * @private
+ */
+FakePubSubServer.prototype.deleteTopic_ = function(req, name) {
+  var subscriptions = this.subscriptions_;
+
+  this.findTopic_(name);
+
+  delete this.topics_[name];
+  delete this.policies_[name];
+
+  Object.keys(subscriptions).forEach(function(subName) {
+    if (subscriptions[subName].metadata.topic === name) {
+      subscriptions[subName].metadata.topic = DELETED_TOPIC;
+    }
+  });
+
+  return {};
+};
+
+/**
+ * List the topics of a project.
+ *
+ * @private
+ */
+FakePubSubServer.prototype.listTopics_ = function(req, projectId) {
+  var topics = this.topics_;
+  var prefix = 'projects/' + projectId + '/topics/';
+
+  var page = FakeServer.paginate(Object.keys(topics).sort()
+    .filter(function(name) {
+      return name.indexOf(prefix) === 0;
+    })
+    .map(function(name) {
+      return topics[name];
+    }), req.query.pageToken, req.query.pageSize);
+
+  return {
+    topics: page.items,
+    nextPageToken: page.nextPageToken
+  };
+};
+
+/**
+ * List the names of the subscriptions to a topic.
+ *
+ * @private
+ */
+FakePubSubServer.prototype.listTopicSubscriptions_ = function(req, name) {
+  var subscriptions = this.subscriptions_;
+
+  this.findTopic_(name);
+
+  var page = FakeServer.paginate(Object.keys(subscriptions).sort()
+    .filter(function(subName) {
+      return subscriptions[subName].metadata.topic === name;
+    }), req.query.pageToken, req.query.pageSize);
+
+  return {
+    subscriptions: page.items,
+    nextPageToken: page.nextPageToken
+  };
+};
+
+/**
+ * Publish messages to each subscription of a topic.
+ *
+ * @private
+ */
+FakePubSubServer.prototype.publish_ = function(req, name) {
+  var self = this;
+  var subscriptions = this.subscriptions_;
+  var messages = arrify(req.json.messages);
+
+  this.findTopic_(name);
+
+  if (messages.length === 0) {
+    throw FakeServer.error(400, 'The request contains no messages.');
+  }
+
+  var messageIds = messages.map(function(message) {
+    var publishedMessage = extend({}, message, {
+      messageId: String(++self.numMessages_),
+      publishTime: self.now()
+    });
+
+    Object.keys(subscriptions).forEach(function(subName) {
+      var subscription = subscriptions[subName];
+
+      if (subscription.metadata.topic === name) {
+        subscription.messages.push({
+          ackId: null,
+          deadline: 0,
+          message: publishedMessage
+        });
+      }
+    });
+
+    return publishedMessage.messageId;
+  });
+
+  return {
+    messageIds: messageIds
+  };
+};
+
+/**
+ * Create a subscription to a topic.
+ *
+ * @private
+ */
+FakePubSubServer.prototype.createSubscription_ = function(req, name) {
+  this.findTopic_(req.json.topic || '');
+
+  if (this.subscriptions_[name]) {
+    throw FakeServer.error(409, 'Resource already exists in the project ' +
+      '(resource=' + name.split('/').pop() + ').', 'alreadyExists');
+  }
+
+  var metadata = {
+    name: name,
+    topic: req.json.topic,
+    pushConfig: req.json.pushConfig || {},
+    ackDeadlineSeconds:
+      req.json.ackDeadlineSeconds || DEFAULT_ACK_DEADLINE_SECONDS
+  };
+
+  this.subscriptions_[name] = {
+    metadata: metadata,
+    messages: []
+  };
+
+  return metadata;
+};
+
+/**
+ * Get a subscription.
+ *
+ * @private
+ */
+FakePubSubServer.prototype.getSubscription_ = function(req, name) {
+  return this.findSubscription_(name).metadata;
+};
+
+/**
+ * Delete a subscription, and the messages for it.
+ *
+ * @private
+ */
+FakePubSubServer.prototype.deleteSubscription_ = function(req, name) {
+  this.findSubscription_(name);
+
+  delete this.subscriptions_[name];
+  delete this.policies_[name];
+
+  return {};
+};
+
+/**
+ * List the subscriptions of a project.
+ *
+ * @private
+ */
+FakePubSubServer.prototype.listSubscriptions_ = function(req, projectId) {
+  var subscriptions = this.subscriptions_;
+  var prefix = 'projects/' + projectId + '/subscriptions/';
+
+  var page = FakeServer.paginate(Object.keys(subscriptions).sort()
+    .filter(function(name) {
+      return name.indexOf(prefix) === 0;
+    })
+    .map(function(name) {
+      return subscriptions[name].metadata;
+    }), req.query.pageToken, req.query.pageSize);
+
+  return {
+    subscriptions: page.items,
+    nextPageToken: page.nextPageToken
+  };
+};
+
+/**
+ * Pull the messages of a subscription that are not waiting to be
+ * acknowledged.
+ *
+ * @private
+ */
+FakePubSubServer.prototype.pull_ = function(req, name) {
+  var self = this;
+  var subscription = this.findSubscription_(name);
+  var maxMessages = req.json.maxMessages || Infinity;
+  var now = Date.now();
+
+  var receivedMessages = subscription.messages
+    .filter(function(message) {
+      return message.deadline <= now;
+    })
+    .slice(0, maxMessages)
+    .map(function(message) {
+      message.ackId = name + ':' + (++self.numAckIds_);
+      message.deadline =
+        now + subscription.metadata.ackDeadlineSeconds * 1000;
+
+      return {
+        ackId: message.ackId,
+        message: message.message
+      };
+    });
+
+  return {
+    receivedMessages: receivedMessages
+  };
+};
+
+/**
+ * Acknowledge messages, so they are not pulled again.
+ *
+ * @private
+ */
+FakePubSubServer.prototype.acknowledge_ = function(req, name) {
+  var subscription = this.findSubscription_(name);
+  var ackIds = arrify(req.json.ackIds);
+
+  subscription.messages = subscription.messages.filter(function(message) {
+    return ackIds.indexOf(message.ackId) === -1;
+  });
+
+  return {};
+};
+
+/**
+ * Change how long messages have until they are pulled again. With `0`, they
+ * can be pulled at once.
+ *
+ * @private
+ */
+FakePubSubServer.prototype.modifyAckDeadline_ = function(req, name) {
+  var subscription = this.findSubscription_(name);
+  var ackIds = arrify(req.json.ackIds);
+  var deadline = Date.now() + (req.json.ackDeadlineSeconds || 0) * 1000;
+
+  subscription.messages.forEach(function(message) {
+    if (ackIds.indexOf(message.ackId) > -1) {
+      message.deadline = deadline;
+    }
+  });
+
+  return {};
+};
+
+/**
+ * Get the IAM policy of a topic or subscription.
+ *
+ * @private
+ */
+FakePubSubServer.prototype.getIamPolicy_ = function(req, name) {
+  this.findResource_(name);
+
+  return this.policies_[name] || {
+    etag: EMPTY_POLICY_ETAG
+  };
+};
+
+/**
+ * Set the IAM policy of a topic or subscription.
+ *
+ * @private
+ */
+FakePubSubServer.prototype.setIamPolicy_ = function(req, name) {
+  var policy = req.json.policy || {};
+  var currentPolicy = this.getIamPolicy_(req, name);
+
+  if (policy.etag && policy.etag !== currentPolicy.etag) {
+    throw FakeServer.error(409, 'There were concurrent policy changes.',
+      'aborted');
+  }
+
+  this.policies_[name] = extend({}, policy, {
+    etag: new Buffer('policy-' + (++this.numPolicies_)).toString('base64')
+  });
+
+  return this.policies_[name];
+};
+
+/**
+ * Test which permissions the caller has on a topic or subscription. In memory,
+ * the caller has every permission.
+ *
+ * @private
+ */
+FakePubSubServer.prototype.testIamPermissions_ = function(req, name) {
+  this.findResource_(name);
+
+  return {
+    permissions: arrify(req.json.permissions)
+  };
+};
+
+/*! Developer Documentation
+ *
+ * Match the path of a topic or subscription, or of one of its methods. The full
+ * name of the resource is captured.
+ */
+function resourcePath(collections, method) {
+  return new RegExp('\\/(projects\\/[^/]+\\/(?:' + collections +
+    ')\\/[^/:]+)' + (method || '') + '$');
+}
+
+module.exports = FakePubSubServer;
@@ -0,0 +1,348 @@
+/*!
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module testing/server
+ */
+
+'use strict';
+
+var arrify = require('arrify');
+var async = require('async');
+var concat = require('concat-stream');
+var createErrorClass = require('create-error-class');
+var extend = require('extend');
+var format = require('string-format-obj');
+var is = require('is');
+var nodeutil = require('util');
+var querystring = require('querystring');
+var url = require('url');
+
+/**
+ * @type {module:common/recorder}
+ * @private
+ */
+var Recorder = require('../common/recorder.js');
+
+/** @const {object} The reason given for an error, by its HTTP status code. */
+var REASONS = {
+  304: 'notModified',
+  400: 'invalid',
+  404: 'notFound',
+  409: 'conflict',
+  412: 'conditionNotMet'
+};
+
+/**
+ * An error a route responds with.
+ *
+ * @private
+ */
+var HttpError = createErrorClass('HttpError', function(code, message, reason) {
+  this.code = code;
+  this.message = message;
+  this.reason = reason || REASONS[code] || 'backendError';
+});
+
+/**
+ * A response with a status code or headers of its own.
+ *
+ * @private
+ */
+function Response(statusCode, headers, body) {
+  this.statusCode = statusCode;
+  this.headers = headers || {};
+  this.body = body;
+}
+
+/**
+ * A FakeServer answers the requests of a service from memory, as the API
+ * would, instead of sending them. It stands in for the service's Recorder, so
+ * each request has been through all of the library's own processing, and it is
+ * not authenticated.
+ *
+ * Each API adds its routes. A request without one fails.
+ *
+ * @constructor
+ * @alias module:testing/server
+ * @mixes module:common/recorder
+ */
+function FakeServer() {
+  // Requests are answered by the routes, never from a fixture file.
+  this.ignore = [];
+  this.mode = 'replay';
+  this.routes_ = [];
+}
+
+nodeutil.inherits(FakeServer, Recorder);
+
+/**
+ * Create an error to throw from a route. The API's error is sent instead of a
+ * response.
+ *
+ * @param {number} code - The HTTP status code.
+ * @param {string} message - The error message.
+ * @param {string=} reason - Why the request failed, e.g. `notFound`. (default:
+ *     the usual reason for the status code)
+ * @return {error}
+ */
+FakeServer.error = function(code, message, reason) {
+  return new HttpError(code, message, reason);
+};
+
+/**
+ * Create a response to return from a route, for a status code or headers other
+ * than the defaults.
+ *
+ * @param {number} statusCode - The HTTP status code.
+ * @param {object=} headers - The response headers.
+ * @param {*=} body - The response body.
+ * @return {object}
+ */
+FakeServer.response = function(statusCode, headers, body) {
+  return new Response(statusCode, headers, body);
+};
+
+/**
+ * Get a page of a list of resources.
+ *
+ * @param {array} items - Every resource in the list.
+ * @param {string=} pageToken - The token of the page, from an earlier page.
+ * @param {number|string=} pageSize - The most resources to return.
+ * @return {object} - The `items` in the page, and the `nextPageToken`, if
+ *     there is a next page.
+ */
+FakeServer.paginate = function(items, pageToken, pageSize) {
+  var start = parseInt(pageToken, 10) || 0;
+  var end = items.length;
+
+  if (parseInt(pageSize, 10) > 0) {
+    end = Math.min(end, start + parseInt(pageSize, 10));
+  }
+
+  return {
+    items: items.slice(start, end),
+    nextPageToken: end < items.length ? String(end) : undefined
+  };
+};
+
+/**
+ * Add a route. Routes are tried in the order they were added.
+ *
+ * The handler is called with the request, then the URL-decoded groups of the
+ * pattern. The request has the `method`, `path`, `query` (including `qs`),
+ * `headers` (with lowercase names), `json` body, raw `body`, and `multipart`
+ * parts, with buffered bodies. It returns the JSON response body, or a
+ * response from {module:testing/server#response}.
+ *
+ * @param {string} method - The HTTP method.
+ * @param {RegExp} pattern - Matches the path of the URI.
+ * @param {function} handler - Answers the request. It is called with the
+ *     FakeServer as `this`.
+ */
+FakeServer.prototype.route = function(method, pattern, handler) {
+  this.routes_.push({
+    method: method,
+    pattern: pattern,
+    handler: handler
+  });
+};
+
+/**
+ * Get the current time, as the API formats it.
+ *
+ * @return {string}
+ */
+FakeServer.prototype.now = function() {
+  return new Date().toJSON();
+};
+
+/**
+ * Turn an error thrown by a route into the response the API would send.
+ *
+ * @private
+ *
+ * @param {error} err - The error.
+ * @return {object} - The response.
+ */
+FakeServer.prototype.formatError_ = function(err) {
+  return new Response(err.code, {
+    'content-type': 'application/json'
+  }, {
+    error: {
+      code: err.code,
+      message: err.message,
+      errors: [
+        {
+          domain: 'global',
+          reason: err.reason,
+          message: err.message
+        }
+      ]
+    }
+  });
+};
+
+/**
+ * Answer a request with the response of its route.
+ *
+ * @private
+ *
+ * @throws {Error} If no route matches the request.
+ *
+ * @param {object} reqOpts - Request options in the format `request` expects.
+ * @return {object} - A fixture with the response.
+ */
+FakeServer.prototype.takeFixture_ = function(reqOpts) {
+  var req = describeRequest(reqOpts);
+  var params;
+
+  var route = this.routes_.filter(function(route) {
+    return route.method === req.method && route.pattern.test(req.path);
+  })[0];
+
+  if (!route) {
+    throw new Error(format('The fake does not support {method} {path}.', req));
+  }
+
+  params = route.pattern.exec(req.path).slice(1).map(function(param) {
+    return is.string(param) ? decodeURIComponent(param) : param;
+  });
+
+  var response;
+
+  try {
+    response = route.handler.apply(this, [req].concat(params));
+  } catch (e) {
+    if (!(e instanceof HttpError)) {
+      throw e;
+    }
+
+    response = this.formatError_(e, req);
+  }
+
+  if (!(response instanceof Response)) {
+    response = new Response(is.undefined(response) ? 204 : 200, {}, response);
+  }
+
+  var body = response.body;
+
+  // The API would send a copy, not what the server holds on to.
+  if (is.object(body) || is.array(body)) {
+    body = JSON.parse(JSON.stringify(body));
+  }
+
+  return {
+    response: {
+      statusCode: response.statusCode,
+      headers: response.headers,
+      body: body
+    }
+  };
+};
+
+/**
+ * Answer a request. Streamed multipart bodies are read first, so routes can use
+ * them.
+ *
+ * @private
+ *
+ * @param {object} reqOpts - Request options in the format `request` expects.
+ * @param {function=} callback - The callback function. If omitted, a stream is
+ *     returned.
+ * @return {object|stream} - An object with an `abort` method, or the stream.
+ */
+FakeServer.prototype.replay_ = function(reqOpts, callback) {
+  var self = this;
+  var parts = arrify(reqOpts.multipart);
+
+  var isStreamed = parts.some(function(part) {
+    return part.body && is.fn(part.body.pipe);
+  });
+
+  if (!is.fn(callback) || !isStreamed) {
+    return Recorder.prototype.replay_.call(this, reqOpts, callback);
+  }
+
+  var isAborted = false;
+  var activeRequest;
+
+  async.map(parts, function(part, next) {
+    if (!part.body || !is.fn(part.body.pipe)) {
+      next(null, part);
+      return;
+    }
+
+    part.body.pipe(concat(function(data) {
+      next(null, extend({}, part, {
+        body: Buffer.isBuffer(data) ? data : new Buffer(data)
+      }));
+    }));
+  }, function(err, parts) {
+    if (isAborted) {
+      return;
+    }
+
+    activeRequest = Recorder.prototype.replay_.call(self, extend({}, reqOpts, {
+      multipart: parts
+    }), callback);
+  });
+
+  return {
+    abort: function() {
+      isAborted = true;
+
+      if (activeRequest) {
+        activeRequest.abort();
+      }
+    }
+  };
+};
+
+/*! Developer Documentation
+ *
+ * Describe a request for a route. Query string values are strings, whether they
+ * were given in `reqOpts.qs` or the URI.
+ */
+function describeRequest(reqOpts) {
+  var uri = reqOpts.uri || reqOpts.url || '';
+  uri = url.parse(is.string(uri) ? uri : uri.href, true);
+
+  var headers = {};
+
+  Object.keys(reqOpts.headers || {}).forEach(function(name) {
+    headers[name.toLowerCase()] = String(reqOpts.headers[name]);
+  });
+
+  var query = querystring.stringify(extend({}, uri.query, reqOpts.qs));
+
+  return {
+    method: (reqOpts.method || 'GET').toUpperCase(),
+    path: uri.pathname,
+    query: querystring.parse(query),
+    headers: headers,
+    json: is.object(reqOpts.json) ? reqOpts.json : {},
+    body: reqOpts.body,
+    multipart: arrify(reqOpts.multipart).map(function(part) {
+      return {
+        contentType: part['Content-Type'],
+        body: is.string(part.body) ? new Buffer(part.body) : part.body
+      };
+    })
+  };
+}
+
+module.exports = FakeServer;
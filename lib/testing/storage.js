@@ -0,0 +1,921 @@
+/*!
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module testing/storage
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+var extend = require('extend');
+var is = require('is');
+var nodeutil = require('util');
+
+/**
+ * @type {module:testing/server}
+ * @private
+ */
+var FakeServer = require('./server.js');
+
+/** @const {number} The CRC32C polynomial, reversed. */
+var CRC32C_POLYNOMIAL = 0x82f63b78;
+
+/** @const {number[]} The CRC32C of every byte. */
+var CRC32C_TABLE = createCrc32cTable();
+
+/** @const {string[]} Fields of a resource that cannot be patched. */
+var IMMUTABLE_FIELDS = [
+  'bucket',
+  'crc32c',
+  'etag',
+  'generation',
+  'id',
+  'kind',
+  'md5Hash',
+  'metageneration',
+  'name',
+  'size',
+  'timeCreated',
+  'updated'
+];
+
+/**
+ * The ACL entries of each predefined ACL. `{projectId}` is replaced.
+ *
+ * @type {object}
+ * @private
+ */
+var PREDEFINED_ACLS = {
+  authenticatedRead: [
+    ['project-owners-{projectId}', 'OWNER'],
+    ['allAuthenticatedUsers', 'READER']
+  ],
+  private: [
+    ['project-owners-{projectId}', 'OWNER']
+  ],
+  projectPrivate: [
+    ['project-owners-{projectId}', 'OWNER'],
+    ['project-editors-{projectId}', 'OWNER'],
+    ['project-viewers-{projectId}', 'READER']
+  ],
+  publicRead: [
+    ['project-owners-{projectId}', 'OWNER'],
+    ['allUsers', 'READER']
+  ],
+  publicReadWrite: [
+    ['project-owners-{projectId}', 'OWNER'],
+    ['allUsers', 'WRITER']
+  ]
+};
+
+/**
+ * A FakeStorageServer holds buckets and their objects in memory, and answers
+ * the requests of the JSON API, uploads, and downloads.
+ *
+ * Objects are not versioned, and uploads are never resumable.
+ *
+ * @constructor
+ * @alias module:testing/storage
+ * @mixes module:testing/server
+ *
+ * @param {string} projectId - The project buckets are created in.
+ */
+function FakeStorageServer(projectId) {
+  FakeServer.call(this);
+
+  this.projectId = projectId;
+  this.buckets_ = {};
+  this.numGenerations_ = 0;
+
+  var bucketPath = /^\/storage\/v1\/b\/([^/]+)$/;
+  var bucketAclPath = /^\/storage\/v1\/b\/([^/]+)\/(acl|defaultObjectAcl)$/;
+  var bucketAclEntryPath =
+    /^\/storage\/v1\/b\/([^/]+)\/(acl|defaultObjectAcl)\/([^/]+)$/;
+  var objectPath = /^\/storage\/v1\/b\/([^/]+)\/o\/([^/]+)$/;
+  var objectAclPath = /^\/storage\/v1\/b\/([^/]+)\/o\/([^/]+)\/acl$/;
+  var objectAclEntryPath =
+    /^\/storage\/v1\/b\/([^/]+)\/o\/([^/]+)\/acl\/([^/]+)$/;
+
+  this.route('POST', /^\/storage\/v1\/b$/, this.insertBucket_);
+  this.route('GET', /^\/storage\/v1\/b$/, this.listBuckets_);
+  this.route('GET', bucketPath, this.getBucket_);
+  this.route('PATCH', bucketPath, this.patchBucket_);
+  this.route('DELETE', bucketPath, this.deleteBucket_);
+
+  this.route('GET', bucketAclPath, this.listBucketAcl_);
+  this.route('POST', bucketAclPath, this.insertBucketAcl_);
+  this.route('GET', bucketAclEntryPath, this.getBucketAcl_);
+  this.route('PUT', bucketAclEntryPath, this.updateBucketAcl_);
+  this.route('PATCH', bucketAclEntryPath, this.updateBucketAcl_);
+  this.route('DELETE', bucketAclEntryPath, this.deleteBucketAcl_);
+
+  this.route('GET', /^\/storage\/v1\/b\/([^/]+)\/o$/, this.listObjects_);
+  this.route('POST', /^\/storage\/v1\/b\/([^/]+)\/o\/([^/]+)\/compose$/,
+    this.composeObject_);
+  this.route('POST',
+    /^\/storage\/v1\/b\/([^/]+)\/o\/([^/]+)\/copyTo\/b\/([^/]+)\/o\/([^/]+)$/,
+    this.copyObject_);
+  this.route('GET', objectPath, this.getObject_);
+  this.route('PATCH', objectPath, this.patchObject_);
+  this.route('DELETE', objectPath, this.deleteObject_);
+
+  this.route('GET', objectAclPath, this.listObjectAcl_);
+  this.route('POST', objectAclPath, this.insertObjectAcl_);
+  this.route('GET', objectAclEntryPath, this.getObjectAcl_);
+  this.route('PUT', objectAclEntryPath, this.updateObjectAcl_);
+  this.route('PATCH', objectAclEntryPath, this.updateObjectAcl_);
+  this.route('DELETE', objectAclEntryPath, this.deleteObjectAcl_);
+
+  this.route('POST', /^\/upload\/storage\/v1\/b\/([^/]+)\/o$/,
+    this.uploadObject_);
+  this.route('GET', /^\/([^/]+)\/([^/]+)$/, this.downloadObject_);
+}
+
+nodeutil.inherits(FakeStorageServer, FakeServer);
+
+/**
+ * Downloads fail with a message, rather than a JSON error.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.formatError_ = function(err, req) {
+  if (/^\/(storage|upload)\//.test(req.path)) {
+    return FakeServer.prototype.formatError_.call(this, err);
+  }
+
+  return FakeServer.response(err.code, {
+    'content-type': 'text/plain'
+  }, err.message);
+};
+
+/**
+ * Get a bucket.
+ *
+ * @private
+ *
+ * @throws {Error} If the bucket does not exist.
+ */
+FakeStorageServer.prototype.findBucket_ = function(bucketName) {
+  var bucket = this.buckets_[bucketName];
+
+  if (!bucket) {
+    throw FakeServer.error(404, 'Not Found');
+  }
+
+  return bucket;
+};
+
+/**
+ * Get an object, of the generation in the request if there is one.
+ *
+ * @private
+ *
+ * @throws {Error} If the object does not exist.
+ */
+FakeStorageServer.prototype.findObject_ = function(req, bucketName, name) {
+  var object = this.findBucket_(bucketName).objects[name];
+  var generation = req.query.generation || req.query.sourceGeneration;
+
+  if (!object || generation && generation !== object.metadata.generation) {
+    throw FakeServer.error(404, 'No such object: ' + bucketName + '/' + name);
+  }
+
+  return object;
+};
+
+/**
+ * Create the ACL entries of a predefined ACL.
+ *
+ * @private
+ *
+ * @throws {Error} If the predefined ACL is not known.
+ */
+FakeStorageServer.prototype.createPredefinedAcl_ = function(name, resource) {
+  var projectId = this.projectId;
+
+  if (!PREDEFINED_ACLS[name]) {
+    throw FakeServer.error(400, 'Invalid predefined ACL: ' + name);
+  }
+
+  return PREDEFINED_ACLS[name].map(function(entry) {
+    return createAclEntry(resource, {
+      entity: entry[0].replace('{projectId}', projectId),
+      role: entry[1]
+    });
+  });
+};
+
+/**
+ * Store an object, replacing the object with the same name.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.writeObject_ = function(req, bucketName, name,
+    metadata, data) {
+  var bucket = this.findBucket_(bucketName);
+  var existing = bucket.objects[name];
+
+  checkPreconditions(req, existing && existing.metadata);
+
+  var now = this.now();
+  var generation = String(++this.numGenerations_);
+
+  var object = {
+    data: data,
+    metadata: extend(omit(metadata, IMMUTABLE_FIELDS), {
+      kind: 'storage#object',
+      id: [bucketName, name, generation].join('/'),
+      name: name,
+      bucket: bucketName,
+      generation: generation,
+      metageneration: '1',
+      contentType: metadata.contentType || 'application/octet-stream',
+      size: String(data.length),
+      md5Hash: crypto.createHash('md5').update(data).digest('base64'),
+      crc32c: crc32c(data),
+      storageClass: bucket.metadata.storageClass,
+      timeCreated: now,
+      updated: now
+    })
+  };
+
+  var resource = {
+    bucket: bucketName,
+    object: name,
+    generation: generation
+  };
+
+  if (req.query.predefinedAcl) {
+    object.acl = this.createPredefinedAcl_(req.query.predefinedAcl, resource);
+  } else {
+    object.acl = bucket.defaultObjectAcl.map(function(entry) {
+      return createAclEntry(resource, entry);
+    });
+  }
+
+  setEtag(object.metadata);
+  bucket.objects[name] = object;
+
+  return object.metadata;
+};
+
+/**
+ * Create a bucket.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.insertBucket_ = function(req) {
+  var name = req.json.name;
+
+  if (!name) {
+    throw FakeServer.error(400, 'Required', 'required');
+  }
+
+  if (this.buckets_[name]) {
+    throw FakeServer.error(409,
+      'You already own this bucket. Please select another name.');
+  }
+
+  var now = this.now();
+
+  var metadata = extend(omit(req.json, IMMUTABLE_FIELDS), {
+    kind: 'storage#bucket',
+    id: name,
+    name: name,
+    metageneration: '1',
+    location: req.json.location || 'US',
+    storageClass: req.json.storageClass || 'STANDARD',
+    timeCreated: now,
+    updated: now
+  });
+
+  var bucket = {
+    metadata: setEtag(metadata),
+    objects: {}
+  };
+
+  var resource = {
+    bucket: name
+  };
+
+  bucket.acl = this.createPredefinedAcl_(
+    req.query.predefinedAcl || 'projectPrivate', resource);
+  bucket.defaultObjectAcl = this.createPredefinedAcl_(
+    req.query.predefinedDefaultObjectAcl || 'projectPrivate', resource);
+
+  this.buckets_[name] = bucket;
+
+  return metadata;
+};
+
+/**
+ * List the buckets.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.listBuckets_ = function(req) {
+  var buckets = this.buckets_;
+  var prefix = req.query.prefix || '';
+
+  var names = Object.keys(buckets).sort().filter(function(name) {
+    return name.indexOf(prefix) === 0;
+  });
+
+  var page = FakeServer.paginate(names.map(function(name) {
+    return buckets[name].metadata;
+  }), req.query.pageToken, req.query.maxResults);
+
+  return {
+    kind: 'storage#buckets',
+    items: page.items,
+    nextPageToken: page.nextPageToken
+  };
+};
+
+/**
+ * Get the metadata of a bucket.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.getBucket_ = function(req, bucketName) {
+  var bucket = this.findBucket_(bucketName);
+  checkPreconditions(req, bucket.metadata);
+  return bucket.metadata;
+};
+
+/**
+ * Change the metadata of a bucket.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.patchBucket_ = function(req, bucketName) {
+  var bucket = this.findBucket_(bucketName);
+
+  checkPreconditions(req, bucket.metadata);
+
+  if (req.query.predefinedAcl) {
+    bucket.acl = this.createPredefinedAcl_(req.query.predefinedAcl, {
+      bucket: bucketName
+    });
+  }
+
+  if (req.query.predefinedDefaultObjectAcl) {
+    bucket.defaultObjectAcl = this.createPredefinedAcl_(
+      req.query.predefinedDefaultObjectAcl, {
+        bucket: bucketName
+      });
+  }
+
+  patchMetadata(bucket.metadata, req.json, this.now());
+
+  return bucket.metadata;
+};
+
+/**
+ * Delete an empty bucket.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.deleteBucket_ = function(req, bucketName) {
+  var bucket = this.findBucket_(bucketName);
+
+  checkPreconditions(req, bucket.metadata);
+
+  if (Object.keys(bucket.objects).length > 0) {
+    throw FakeServer.error(409,
+      'The bucket you tried to delete was not empty.');
+  }
+
+  delete this.buckets_[bucketName];
+};
+
+/**
+ * List the ACL entries of a bucket, or the default ACL of its objects.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.listBucketAcl_ = function(req, bucketName, acl) {
+  return {
+    kind: 'storage#' + (acl === 'acl' ? 'bucket' : 'object') +
+      'AccessControls',
+    items: this.findBucket_(bucketName)[acl]
+  };
+};
+
+/**
+ * Add an ACL entry to a bucket, or the default ACL of its objects.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.insertBucketAcl_ = function(req, bucketName,
+    acl) {
+  return insertAclEntry(this.findBucket_(bucketName)[acl], req.json, {
+    bucket: bucketName
+  });
+};
+
+/**
+ * Get an ACL entry of a bucket, or the default ACL of its objects.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.getBucketAcl_ = function(req, bucketName, acl,
+    entity) {
+  return findAclEntry(this.findBucket_(bucketName)[acl], entity);
+};
+
+/**
+ * Change the role of an ACL entry of a bucket, or the default ACL of its
+ * objects.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.updateBucketAcl_ = function(req, bucketName, acl,
+    entity) {
+  var entry = findAclEntry(this.findBucket_(bucketName)[acl], entity);
+  entry.role = req.json.role || entry.role;
+  return entry;
+};
+
+/**
+ * Delete an ACL entry of a bucket, or the default ACL of its objects.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.deleteBucketAcl_ = function(req, bucketName, acl,
+    entity) {
+  deleteAclEntry(this.findBucket_(bucketName)[acl], entity);
+};
+
+/**
+ * List the objects in a bucket. With a delimiter, objects in "directories" are
+ * listed as prefixes instead.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.listObjects_ = function(req, bucketName) {
+  var objects = this.findBucket_(bucketName).objects;
+  var prefix = req.query.prefix || '';
+  var delimiter = req.query.delimiter;
+  var prefixes = {};
+
+  var names = Object.keys(objects).sort().filter(function(name) {
+    if (name.indexOf(prefix) !== 0) {
+      return false;
+    }
+
+    var index = delimiter ? name.indexOf(delimiter, prefix.length) : -1;
+
+    if (index > -1) {
+      prefixes[name.substr(0, index + delimiter.length)] = true;
+      return false;
+    }
+
+    return true;
+  });
+
+  var page = FakeServer.paginate(names.map(function(name) {
+    return objects[name].metadata;
+  }), req.query.pageToken, req.query.maxResults);
+
+  var resp = {
+    kind: 'storage#objects',
+    items: page.items,
+    nextPageToken: page.nextPageToken
+  };
+
+  if (delimiter) {
+    resp.prefixes = Object.keys(prefixes).sort();
+  }
+
+  return resp;
+};
+
+/**
+ * Concatenate objects in a bucket into a new object.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.composeObject_ = function(req, bucketName, name) {
+  var self = this;
+
+  var data = Buffer.concat((req.json.sourceObjects || []).map(function(src) {
+    var srcReq = {
+      query: {
+        generation: src.generation && String(src.generation)
+      }
+    };
+
+    return self.findObject_(srcReq, bucketName, src.name).data;
+  }));
+
+  return this.writeObject_(req, bucketName, name, req.json.destination || {},
+    data);
+};
+
+/**
+ * Copy an object, with its metadata.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.copyObject_ = function(req, bucketName, name,
+    destBucketName, destName) {
+  var object = this.findObject_(req, bucketName, name);
+  var metadata = extend(true, {}, object.metadata, req.json);
+
+  return this.writeObject_({
+    query: {},
+    headers: {}
+  }, destBucketName, destName, metadata, object.data);
+};
+
+/**
+ * Get the metadata of an object.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.getObject_ = function(req, bucketName, name) {
+  var object = this.findObject_(req, bucketName, name);
+  checkPreconditions(req, object.metadata);
+  return object.metadata;
+};
+
+/**
+ * Change the metadata of an object.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.patchObject_ = function(req, bucketName, name) {
+  var object = this.findObject_(req, bucketName, name);
+
+  checkPreconditions(req, object.metadata);
+
+  if (req.query.predefinedAcl) {
+    object.acl = this.createPredefinedAcl_(req.query.predefinedAcl, {
+      bucket: bucketName,
+      object: name,
+      generation: object.metadata.generation
+    });
+  }
+
+  patchMetadata(object.metadata, req.json, this.now());
+
+  return object.metadata;
+};
+
+/**
+ * Delete an object.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.deleteObject_ = function(req, bucketName, name) {
+  var object = this.findObject_(req, bucketName, name);
+  checkPreconditions(req, object.metadata);
+  delete this.buckets_[bucketName].objects[name];
+};
+
+/**
+ * List the ACL entries of an object.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.listObjectAcl_ = function(req, bucketName, name) {
+  return {
+    kind: 'storage#objectAccessControls',
+    items: this.findObject_(req, bucketName, name).acl
+  };
+};
+
+/**
+ * Add an ACL entry to an object.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.insertObjectAcl_ = function(req, bucketName,
+    name) {
+  var object = this.findObject_(req, bucketName, name);
+
+  return insertAclEntry(object.acl, req.json, {
+    bucket: bucketName,
+    object: name,
+    generation: object.metadata.generation
+  });
+};
+
+/**
+ * Get an ACL entry of an object.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.getObjectAcl_ = function(req, bucketName, name,
+    entity) {
+  return findAclEntry(this.findObject_(req, bucketName, name).acl, entity);
+};
+
+/**
+ * Change the role of an ACL entry of an object.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.updateObjectAcl_ = function(req, bucketName, name,
+    entity) {
+  var acl = this.findObject_(req, bucketName, name).acl;
+  var entry = findAclEntry(acl, entity);
+  entry.role = req.json.role || entry.role;
+  return entry;
+};
+
+/**
+ * Delete an ACL entry of an object.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.deleteObjectAcl_ = function(req, bucketName, name,
+    entity) {
+  deleteAclEntry(this.findObject_(req, bucketName, name).acl, entity);
+};
+
+/**
+ * Store an object from a multipart upload: its metadata, then its data.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.uploadObject_ = function(req, bucketName) {
+  var metadata = JSON.parse(req.multipart[0].body.toString());
+  var media = req.multipart[1];
+
+  if (!metadata.contentType && media.contentType) {
+    metadata.contentType = media.contentType;
+  }
+
+  return this.writeObject_(req, bucketName, req.query.name || metadata.name,
+    metadata, media.body);
+};
+
+/**
+ * Download an object, or the range of bytes in the `Range` header.
+ *
+ * @private
+ */
+FakeStorageServer.prototype.downloadObject_ = function(req, bucketName, name) {
+  var object = this.findObject_(req, bucketName, name);
+  var data = object.data;
+  var statusCode = 200;
+
+  var headers = {
+    'content-type': object.metadata.contentType,
+    'x-goog-generation': object.metadata.generation,
+    'x-goog-hash': [
+      'crc32c=' + object.metadata.crc32c,
+      'md5=' + object.metadata.md5Hash
+    ].join(',')
+  };
+
+  var range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range);
+
+  if (range) {
+    var start = parseInt(range[1], 10);
+    var end = parseInt(range[2], 10);
+
+    if (isNaN(start)) {
+      // A suffix range, of the last bytes.
+      start = Math.max(data.length - end, 0);
+      end = data.length - 1;
+    } else if (isNaN(end)) {
+      end = data.length - 1;
+    }
+
+    if (start >= data.length) {
+      throw FakeServer.error(416, 'The requested range cannot be satisfied.');
+    }
+
+    end = Math.min(end, data.length - 1);
+    data = data.slice(start, end + 1);
+    statusCode = 206;
+
+    headers['content-range'] =
+      'bytes ' + start + '-' + end + '/' + object.data.length;
+  }
+
+  headers['content-length'] = String(data.length);
+
+  return FakeServer.response(statusCode, headers, data);
+};
+
+/*! Developer Documentation
+ *
+ * Fail a request if its preconditions are not met by the resource. A missing
+ * resource has no metadata.
+ */
+function checkPreconditions(req, metadata) {
+  var query = req.query;
+  var ifMatch = req.headers['if-match'];
+  var ifNoneMatch = req.headers['if-none-match'];
+  var generation = metadata ? metadata.generation : '0';
+  var metageneration = metadata && metadata.metageneration;
+
+  var isMet = [
+    !ifMatch || metadata && ifMatch === metadata.etag,
+    !is.defined(query.ifGenerationMatch) ||
+      query.ifGenerationMatch === generation,
+    !is.defined(query.ifGenerationNotMatch) ||
+      query.ifGenerationNotMatch !== generation,
+    !is.defined(query.ifMetagenerationMatch) ||
+      query.ifMetagenerationMatch === metageneration,
+    !is.defined(query.ifMetagenerationNotMatch) ||
+      query.ifMetagenerationNotMatch !== metageneration
+  ].every(Boolean);
+
+  if (!isMet) {
+    throw FakeServer.error(412, 'Precondition Failed');
+  }
+
+  if (ifNoneMatch && metadata && ifNoneMatch === metadata.etag) {
+    if (req.method === 'GET') {
+      throw FakeServer.error(304, 'Not Modified');
+    }
+
+    throw FakeServer.error(412, 'Precondition Failed');
+  }
+}
+
+/*! Developer Documentation
+ *
+ * Apply a patch to the metadata of a resource. Fields set to `null` are
+ * removed, and custom metadata is merged.
+ */
+function patchMetadata(metadata, patch, now) {
+  Object.keys(omit(patch, IMMUTABLE_FIELDS.concat('acl'))).forEach(
+    function(field) {
+      var value = patch[field];
+
+      if (is.null(value)) {
+        delete metadata[field];
+      } else if (field === 'metadata' && is.object(metadata.metadata)) {
+        extend(metadata.metadata, value);
+
+        Object.keys(value).forEach(function(key) {
+          if (is.null(value[key])) {
+            delete metadata.metadata[key];
+          }
+        });
+      } else {
+        metadata[field] = value;
+      }
+    });
+
+  metadata.metageneration = String(Number(metadata.metageneration) + 1);
+  metadata.updated = now;
+
+  setEtag(metadata);
+}
+
+/*! Developer Documentation
+ *
+ * Give the metadata of a resource an ETag, which changes with the metadata.
+ */
+function setEtag(metadata) {
+  delete metadata.etag;
+
+  metadata.etag = crypto.createHash('md5')
+    .update(JSON.stringify(metadata))
+    .digest('base64');
+
+  return metadata;
+}
+
+/*! Developer Documentation
+ *
+ * Create an ACL entry of a bucket or object.
+ */
+function createAclEntry(resource, entry) {
+  return extend({
+    kind: 'storage#' + (resource.object ? 'object' : 'bucket') +
+      'AccessControl',
+    id: [resource.bucket, resource.object, resource.generation, entry.entity]
+      .filter(Boolean)
+      .join('/')
+  }, resource, {
+    entity: entry.entity,
+    role: entry.role
+  });
+}
+
+/*! Developer Documentation
+ *
+ * Find the ACL entry of an entity.
+ */
+function findAclEntry(acl, entity) {
+  var entry = acl.filter(function(entry) {
+    return entry.entity === entity;
+  })[0];
+
+  if (!entry) {
+    throw FakeServer.error(404, 'Not Found');
+  }
+
+  return entry;
+}
+
+/*! Developer Documentation
+ *
+ * Add an ACL entry, replacing the entry of the same entity.
+ */
+function insertAclEntry(acl, json, resource) {
+  if (!json.entity || !json.role) {
+    throw FakeServer.error(400, 'Required', 'required');
+  }
+
+  var entry = createAclEntry(resource, json);
+
+  deleteAclEntry(acl, json.entity, true);
+  acl.push(entry);
+
+  return entry;
+}
+
+/*! Developer Documentation
+ *
+ * Delete the ACL entry of an entity.
+ */
+function deleteAclEntry(acl, entity, ignoreMissing) {
+  for (var i = 0; i < acl.length; i++) {
+    if (acl[i].entity === entity) {
+      acl.splice(i, 1);
+      return;
+    }
+  }
+
+  if (!ignoreMissing) {
+    throw FakeServer.error(404, 'Not Found');
+  }
+}
+
+/*! Developer Documentation
+ *
+ * Copy an object, without some of its fields.
+ */
+function omit(object, fields) {
+  var copy = extend(true, {}, object);
+
+  fields.forEach(function(field) {
+    delete copy[field];
+  });
+
+  return copy;
+}
+
+/*! Developer Documentation
+ *
+ * Compute the CRC32C checksum of data, in base64 as the API encodes it.
+ */
+function crc32c(data) {
+  /* jshint bitwise: false */
+  var crc = 0xffffffff;
+
+  for (var i = 0; i < data.length; i++) {
+    crc = CRC32C_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+
+  var checksum = new Buffer(4);
+  checksum.writeUInt32BE((crc ^ 0xffffffff) >>> 0, 0);
+
+  return checksum.toString('base64');
+}
+
+/*! Developer Documentation
+ *
+ * Compute the CRC32C of every byte, to compute checksums a byte at a time.
+ */
+function createCrc32cTable() {
+  /* jshint bitwise: false */
+  var table = [];
+
+  for (var n = 0; n < 256; n++) {
+    var crc = n;
+
+    for (var k = 0; k < 8; k++) {
+      crc = crc & 1 ? CRC32C_POLYNOMIAL ^ (crc >>> 1) : crc >>> 1;
+    }
+
+    table.push(crc >>> 0);
+  }
+
+  return table;
+}
+
+module.exports = FakeStorageServer;
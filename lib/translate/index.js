@@ -54,7 +54,9 @@ var util = require('../common/util.js');
  * @throws {Error} If an API key is not provided.
  *
  * @param {object} options - [Configuration object](#/docs/?method=gcloud).
- * @param {string} options.key - An API key.
+ * @param {string} options.key - An API key. Optional with an `apiEndpoint`.
+ * @param {string=} options.apiEndpoint - Send requests to this endpoint, such
+ *     as a local stand-in for the API, instead of the Translate API.
  *
  * @example
  * var gcloud = require('gcloud')({
@@ -74,12 +76,14 @@ function Translate(options) {
     return new Translate(options);
   }
 
-  if (!options.key) {
+  if (!options.key && !options.apiEndpoint) {
     throw new Error('An API key is required to use the Translate API.');
   }
 
   this.options = options;
   this.key = options.key;
+  this.apiEndpoint = options.apiEndpoint &&
+    util.normalizeApiEndpoint(options.apiEndpoint);
 }
 
 /**
@@ -143,7 +147,7 @@ function Translate(options) {
 Translate.prototype.detect = function(input, callback) {
   input = arrify(input);
 
-  this.request({
+  return this.request({
     uri: '/detect',
     useQuerystring: true,
     qs: {
@@ -198,7 +202,7 @@ Translate.prototype.detect = function(input, callback) {
  * });
  */
 Translate.prototype.getLanguages = function(callback) {
-  this.request({
+  return this.request({
     uri: '/languages'
   }, function(err, resp) {
     if (err) {
@@ -299,7 +303,7 @@ Translate.prototype.translate = function(input, options, callback) {
     throw new Error('A target language is required to perform a translation.');
   }
 
-  this.request({
+  return this.request({
     uri: '',
     useQuerystring: true,
     qs: query
@@ -331,17 +335,24 @@ Translate.prototype.translate = function(input, options, callback) {
  * @param {function} callback - The callback function passed to `request`.
  */
 Translate.prototype.request = function(reqOpts, callback) {
-  var BASE_URL = 'https://www.googleapis.com/language/translate/v2';
+  var BASE_URL = util.applyApiEndpoint(
+    'https://www.googleapis.com/language/translate/v2',
+    this.apiEndpoint
+  );
 
   reqOpts.uri = BASE_URL + reqOpts.uri;
 
-  reqOpts = extend(true, {}, reqOpts, {
-    qs: {
-      key: this.key
-    }
-  });
+  if (this.key) {
+    reqOpts = extend(true, {}, reqOpts, {
+      qs: {
+        key: this.key
+      }
+    });
+  }
 
-  util.makeRequest(reqOpts, this.options, callback);
+  return util.makeRequest(reqOpts, this.options, callback);
 };
 
+util.promisifyAll(Translate);
+
 module.exports = Translate;
@@ -69,5 +69,6 @@
 ./node_modules/.bin/dox < lib/storage/channel.js > docs/json/master/storage/channel.json &
 ./node_modules/.bin/dox < lib/storage/file.js > docs/json/master/storage/file.json &
 ./node_modules/.bin/dox < lib/storage/index.js > docs/json/master/storage/index.json &
+./node_modules/.bin/dox < lib/storage/transfer.js > docs/json/master/storage/transfer.json &
 
 ./node_modules/.bin/dox < lib/translate/index.js > docs/json/master/translate/index.json
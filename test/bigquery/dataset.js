@@ -108,6 +108,37 @@ describe('BigQuery/Dataset', function() {
         setMetadata: true
       });
     });
+
+    it('should be in the project of BigQuery by default', function() {
+      assert.strictEqual(ds.bigQuery, BIGQUERY);
+      assert.strictEqual(ds.projectId, BIGQUERY.projectId);
+    });
+
+    it('should make requests to another project', function(done) {
+      var bigQueryHandle = {
+        createDataset: {
+          bind: function(context) {
+            assert.strictEqual(context, bigQueryHandle);
+            done();
+          }
+        }
+      };
+
+      var bigQueryInstance = extend({}, BIGQUERY, {
+        project: function(projectId) {
+          assert.strictEqual(projectId, 'other-project');
+          return bigQueryHandle;
+        }
+      });
+
+      var ds = new Dataset(bigQueryInstance, DATASET_ID, {
+        projectId: 'other-project'
+      });
+
+      assert.strictEqual(ds.calledWith_[0].parent, bigQueryHandle);
+      assert.strictEqual(ds.bigQuery, bigQueryInstance);
+      assert.strictEqual(ds.projectId, 'other-project');
+    });
   });
 
   describe('createTable', function() {
@@ -140,7 +171,7 @@ describe('BigQuery/Dataset', function() {
         var body = reqOpts.json;
         assert.deepEqual(body.schema, SCHEMA_OBJECT);
         assert.equal(body.tableReference.datasetId, DATASET_ID);
-        assert.equal(body.tableReference.projectId, ds.bigQuery.projectId);
+        assert.equal(body.tableReference.projectId, ds.projectId);
         assert.equal(body.tableReference.tableId, TABLE_ID);
 
         done();
@@ -432,7 +463,10 @@ describe('BigQuery/Dataset', function() {
 
     it('should extend options with defaultDataset', function(done) {
       ds.bigQuery.query = function(opts) {
-        assert.deepEqual(opts.defaultDataset, { datasetId: ds.id });
+        assert.deepEqual(opts.defaultDataset, {
+          datasetId: ds.id,
+          projectId: ds.projectId
+        });
         done();
       };
 
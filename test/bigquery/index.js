@@ -228,6 +228,15 @@ describe('BigQuery', function() {
       assert.equal(ds.id, DATASET_ID);
       assert.deepEqual(ds.bigQuery, bq);
     });
+
+    it('should refer to a dataset in another project', function() {
+      var ds = bq.dataset(DATASET_ID, { projectId: 'other-project' });
+
+      assert.strictEqual(ds.bigQuery, bq);
+      assert.strictEqual(ds.projectId, 'other-project');
+      assert.strictEqual(ds.parent.projectId, 'other-project');
+      assert(ds.parent instanceof BigQuery);
+    });
   });
 
   describe('getDatasets', function() {
@@ -642,6 +651,7 @@ describe('BigQuery', function() {
         dataset = {
           bigQuery: bq,
           id: 'dataset-id',
+          projectId: 'dataset-project-id',
           createTable: util.noop
         };
       });
@@ -659,7 +669,7 @@ describe('BigQuery', function() {
         bq.request = function(reqOpts) {
           assert.deepEqual(reqOpts.json.configuration.query.destinationTable, {
             datasetId: dataset.id,
-            projectId: dataset.bigQuery.projectId,
+            projectId: dataset.projectId,
             tableId: TABLE_ID
           });
 
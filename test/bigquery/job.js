@@ -21,15 +21,16 @@ var mockery = require('mockery');
 var is = require('is');
 var nodeutil = require('util');
 
-var ServiceObject = require('../../lib/common/service-object.js');
+var LongRunningOperation =
+  require('../../lib/common/long-running-operation.js');
 var util = require('../../lib/common/util.js');
 
-function FakeServiceObject() {
+function FakeLongRunningOperation() {
   this.calledWith_ = arguments;
-  ServiceObject.apply(this, arguments);
+  LongRunningOperation.apply(this, arguments);
 }
 
-nodeutil.inherits(FakeServiceObject, ServiceObject);
+nodeutil.inherits(FakeLongRunningOperation, LongRunningOperation);
 
 describe('BigQuery/Job', function() {
   var BIGQUERY = {
@@ -40,7 +41,10 @@ describe('BigQuery/Job', function() {
   var job;
 
   before(function() {
-    mockery.registerMock('../common/service-object.js', FakeServiceObject);
+    mockery.registerMock(
+      '../common/long-running-operation.js',
+      FakeLongRunningOperation
+    );
     mockery.enable({
       useCleanCache: true,
       warnOnUnregistered: false
@@ -63,8 +67,8 @@ describe('BigQuery/Job', function() {
       assert.deepEqual(job.bigQuery, BIGQUERY);
     });
 
-    it('should inherit from ServiceObject', function() {
-      assert(job instanceof ServiceObject);
+    it('should inherit from LongRunningOperation', function() {
+      assert(job instanceof LongRunningOperation);
 
       var calledWith = job.calledWith_[0];
 
@@ -207,4 +211,80 @@ describe('BigQuery/Job', function() {
       job.getQueryResults().done();
     });
   });
+
+  describe('poll_', function() {
+    it('should call getMetadata', function(done) {
+      job.getMetadata = function() {
+        done();
+      };
+
+      job.poll_(assert.ifError);
+    });
+
+    it('should execute callback with an API error', function(done) {
+      var error = new Error('Error.');
+
+      job.getMetadata = function(callback) {
+        callback(error);
+      };
+
+      job.poll_(function(err) {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+
+    it('should execute callback with a failed job error', function(done) {
+      var errors = [{ reason: 'invalid', message: 'Invalid query.' }];
+      var apiResponse = {
+        status: {
+          state: 'DONE',
+          errorResult: errors[0],
+          errors: errors
+        }
+      };
+
+      job.getMetadata = function(callback) {
+        callback(null, apiResponse, apiResponse);
+      };
+
+      job.poll_(function(err) {
+        assert.strictEqual(err.name, 'ApiError');
+        assert.strictEqual(err.message, 'Invalid query.');
+        assert.strictEqual(err.errors, errors);
+        assert.strictEqual(err.response, apiResponse);
+        done();
+      });
+    });
+
+    it('should not be done while the job is running', function(done) {
+      var metadata = { status: { state: 'RUNNING' } };
+
+      job.getMetadata = function(callback) {
+        callback(null, metadata, metadata);
+      };
+
+      job.poll_(function(err, metadata_, isDone) {
+        assert.ifError(err);
+        assert.strictEqual(metadata_, metadata);
+        assert.strictEqual(isDone, false);
+        done();
+      });
+    });
+
+    it('should be done when the job is done', function(done) {
+      var metadata = { status: { state: 'DONE' } };
+
+      job.getMetadata = function(callback) {
+        callback(null, metadata, metadata);
+      };
+
+      job.poll_(function(err, metadata_, isDone) {
+        assert.ifError(err);
+        assert.strictEqual(metadata_, metadata);
+        assert.strictEqual(isDone, true);
+        done();
+      });
+    });
+  });
 });
@@ -65,6 +65,7 @@ nodeutil.inherits(FakeServiceObject, ServiceObject);
 describe('BigQuery/Table', function() {
   var DATASET = {
     id: 'dataset-id',
+    projectId: 'dataset-project-id',
     createTable: util.noop,
     bigQuery: {
       projectId: 'project-id',
@@ -264,12 +265,12 @@ describe('BigQuery/Table', function() {
               c: 'd',
               destinationTable: {
                 datasetId: DEST_TABLE.dataset.id,
-                projectId: DEST_TABLE.bigQuery.projectId,
+                projectId: DEST_TABLE.dataset.projectId,
                 tableId: DEST_TABLE.id
               },
               sourceTable: {
                 datasetId: table.dataset.id,
-                projectId: table.bigQuery.projectId,
+                projectId: table.dataset.projectId,
                 tableId: table.id
               }
             }
@@ -440,7 +441,7 @@ describe('BigQuery/Table', function() {
                 a: 'b',
                 c: 'd',
                 destinationTable: {
-                  projectId: table.bigQuery.projectId,
+                  projectId: table.dataset.projectId,
                   datasetId: table.dataset.id,
                   tableId: table.id
                 }
@@ -464,6 +465,20 @@ describe('BigQuery/Table', function() {
         table.createWriteStream().emit('writing');
       });
 
+      it('should upload to a custom endpoint', function(done) {
+        table.bigQuery.apiEndpoint = 'http://localhost:9050';
+
+        makeWritableStreamOverride = function(stream, options) {
+          var uri = 'http://localhost:9050/upload/bigquery/v2/projects/' +
+            table.bigQuery.projectId + '/jobs';
+          delete table.bigQuery.apiEndpoint;
+          assert.equal(options.request.uri, uri);
+          done();
+        };
+
+        table.createWriteStream().emit('writing');
+      });
+
       it('should create a job and emit it with complete', function(done) {
         var jobId = 'job-id';
         var metadata = { jobReference: { jobId: jobId }, a: 'b', c: 'd' };
@@ -505,7 +520,7 @@ describe('BigQuery/Table', function() {
         assert.equal(reqOpts.uri, '/jobs');
         assert.deepEqual(reqOpts.json.configuration.extract.sourceTable, {
           datasetId: table.dataset.id,
-          projectId: table.bigQuery.projectId,
+          projectId: table.dataset.projectId,
           tableId: table.id
         });
 
@@ -643,6 +658,22 @@ describe('BigQuery/Table', function() {
       table.getRows(options, done);
     });
 
+    it('should pass the timeout to the request', function(done) {
+      var options = { a: 'b', timeout: 1000 };
+
+      table.request = function(reqOpts, callback) {
+        assert.strictEqual(reqOpts.timeout, 1000);
+        assert.deepEqual(reqOpts.qs, { a: 'b' });
+        callback(null, { pageToken: 'token' });
+      };
+
+      table.getRows(options, function(err, rows, nextQuery) {
+        assert.ifError(err);
+        assert.strictEqual(nextQuery.timeout, 1000);
+        done();
+      });
+    });
+
     it('should execute callback with error & API response', function(done) {
       var apiResponse = {};
       var error = new Error('Error.');
@@ -937,6 +968,7 @@ describe('BigQuery/Table', function() {
       table.request = function(reqOpts) {
         assert.equal(reqOpts.method, 'POST');
         assert.equal(reqOpts.uri, '/insertAll');
+        assert.strictEqual(reqOpts.idempotent, false);
         assert.deepEqual(reqOpts.json, dataApiFormat);
         done();
       };
@@ -0,0 +1,573 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var through = require('through2');
+
+var Batch = require('../../lib/common/batch.js');
+var util = require('../../lib/common/util.js');
+
+describe('Batch', function() {
+  var BATCH_URL = 'https://www.googleapis.com/batch/storage/v1';
+
+  var batch;
+  var service;
+
+  function createReqOpts(name) {
+    return {
+      method: 'DELETE',
+      uri: 'https://www.googleapis.com/storage/v1/b/bucket/o/' + name
+    };
+  }
+
+  function createBatchResponse(parts) {
+    var body = parts
+      .map(function(part, index) {
+        return [
+          '--batch_abc',
+          'Content-Type: application/http',
+          'Content-ID: <response-' + (part.id || index + 1) + '>',
+          '',
+          'HTTP/1.1 ' + part.status,
+          'Content-Type: application/json',
+          '',
+          part.body ? JSON.stringify(part.body) : ''
+        ].join('\r\n');
+      })
+      .concat('--batch_abc--')
+      .join('\r\n');
+
+    var resp = {
+      headers: {
+        'content-type': 'multipart/mixed; boundary=batch_abc'
+      }
+    };
+
+    return [null, body, resp];
+  }
+
+  beforeEach(function() {
+    batch = new Batch();
+
+    service = {
+      batchUrl: BATCH_URL,
+      makeAuthenticatedRequest: function() {
+        throw new Error('A request should not have been made.');
+      }
+    };
+  });
+
+  describe('instantiation', function() {
+    it('should collect from every service by default', function() {
+      assert.strictEqual(batch.services, null);
+      assert.deepEqual(batch.requests, []);
+    });
+
+    it('should localize the services', function() {
+      assert.deepEqual(new Batch(service).services, [service]);
+    });
+  });
+
+  describe('run', function() {
+    it('should be the active batch while collecting', function(done) {
+      batch.send_ = function() {
+        assert.strictEqual(Batch.getActive(), null);
+        done();
+      };
+
+      batch.run(function() {
+        assert.strictEqual(Batch.getActive(), batch);
+      });
+    });
+
+    it('should send the requests with the callback', function(done) {
+      function callback() {}
+
+      batch.send_ = function(callback_) {
+        assert.strictEqual(callback_, callback);
+        done();
+      };
+
+      batch.run(util.noop, callback);
+    });
+
+    it('should default the callback', function(done) {
+      batch.send_ = function(callback) {
+        assert.strictEqual(callback, util.noop);
+        done();
+      };
+
+      batch.run(util.noop);
+    });
+
+    it('should not allow nested batches', function() {
+      batch.send_ = util.noop;
+
+      batch.run(function() {
+        assert.throws(function() {
+          new Batch().run(util.noop);
+        }, /A batch is already collecting requests/);
+      });
+    });
+
+    it('should stop collecting if collect throws', function() {
+      var error = new Error('Error.');
+
+      batch.send_ = function() {
+        throw new Error('The requests should not have been sent.');
+      };
+
+      assert.throws(function() {
+        batch.run(function() {
+          throw error;
+        });
+      }, /Error\./);
+
+      assert.strictEqual(Batch.getActive(), null);
+    });
+
+    it('should fail the requests collected before it threw', function(done) {
+      var error = new Error('Error.');
+      var failed = [];
+
+      function onFailed(name) {
+        return function(err) {
+          assert.strictEqual(err, error);
+          failed.push(name);
+
+          if (failed.length === 2) {
+            assert.deepEqual(failed, ['a', 'b']);
+            done();
+          }
+        };
+      }
+
+      batch.send_ = function() {
+        throw new Error('The requests should not have been sent.');
+      };
+
+      assert.throws(function() {
+        batch.run(function() {
+          batch.add(service, createReqOpts('a'), onFailed('a'));
+          batch.add(service, createReqOpts('b'), onFailed('b'));
+          throw error;
+        });
+      }, /Error\./);
+
+      assert.deepEqual(batch.requests, []);
+      assert.deepEqual(failed, []);
+    });
+  });
+
+  describe('accepts', function() {
+    var reqOpts = createReqOpts('file');
+
+    it('should accept requests with a callback', function() {
+      assert.strictEqual(batch.accepts(service, reqOpts, util.noop), true);
+    });
+
+    it('should not accept requests to services without batching', function() {
+      delete service.batchUrl;
+      assert.strictEqual(batch.accepts(service, reqOpts, util.noop), false);
+    });
+
+    it('should not accept streaming requests', function() {
+      assert.strictEqual(batch.accepts(service, reqOpts), false);
+    });
+
+    it('should only accept requests to its services', function() {
+      var batch = new Batch(service);
+      var otherService = { batchUrl: BATCH_URL };
+
+      var accepted = batch.accepts(service, reqOpts, util.noop);
+      var otherAccepted = batch.accepts(otherService, reqOpts, util.noop);
+
+      assert.strictEqual(accepted, true);
+      assert.strictEqual(otherAccepted, false);
+    });
+
+    it('should not accept uploads', function() {
+      var multipartReqOpts = { multipart: [] };
+      var streamingReqOpts = { body: through() };
+
+      assert.strictEqual(
+        batch.accepts(service, multipartReqOpts, util.noop),
+        false
+      );
+
+      assert.strictEqual(
+        batch.accepts(service, streamingReqOpts, util.noop),
+        false
+      );
+    });
+  });
+
+  describe('add', function() {
+    it('should add the request', function() {
+      var reqOpts = createReqOpts('file');
+
+      batch.add(service, reqOpts, util.noop);
+
+      assert.strictEqual(batch.requests.length, 1);
+      assert.strictEqual(batch.requests[0].service, service);
+      assert.strictEqual(batch.requests[0].reqOpts, reqOpts);
+    });
+
+    it('should return a handle to abort the request', function(done) {
+      var handle = batch.add(service, createReqOpts('file'), function(err) {
+        assert.strictEqual(err.name, 'CancellationError');
+        done();
+      });
+
+      handle.abort();
+
+      assert.strictEqual(batch.requests[0].isCancelled, true);
+    });
+  });
+
+  describe('send_', function() {
+    it('should execute the callback without requests', function(done) {
+      batch.send_(function(err) {
+        assert.strictEqual(err, null);
+        done();
+      });
+    });
+
+    it('should make a lone request as usual', function(done) {
+      var reqOpts = createReqOpts('file');
+      var body = {};
+
+      service.makeAuthenticatedRequest = function(reqOpts_, callback) {
+        assert.strictEqual(reqOpts_, reqOpts);
+        callback(null, body);
+      };
+
+      batch.add(service, reqOpts, function(err, body_) {
+        assert.ifError(err);
+        assert.strictEqual(body_, body);
+      });
+
+      batch.send_(done);
+    });
+
+    it('should not send cancelled requests', function(done) {
+      var reqOpts = createReqOpts('file');
+
+      service.makeAuthenticatedRequest = function(reqOpts_) {
+        assert.strictEqual(reqOpts_, reqOpts);
+        done();
+      };
+
+      batch.add(service, createReqOpts('cancelled'), util.noop).abort();
+      batch.add(service, reqOpts, util.noop);
+
+      batch.send_(util.noop);
+    });
+
+    it('should send a batch request', function(done) {
+      service.makeAuthenticatedRequest = function(reqOpts) {
+        var boundary = reqOpts.headers['Content-Type']
+          .match(/^multipart\/mixed; boundary=(batch_[0-9a-f]+)$/)[1];
+
+        assert.strictEqual(reqOpts.method, 'POST');
+        assert.strictEqual(reqOpts.uri, BATCH_URL);
+        assert.strictEqual(reqOpts.idempotent, true);
+
+        assert.strictEqual(reqOpts.body, [
+          '--' + boundary,
+          'Content-Type: application/http',
+          'Content-Transfer-Encoding: binary',
+          'Content-ID: <1>',
+          '',
+          'DELETE /storage/v1/b/bucket/o/a HTTP/1.1',
+          'User-Agent: ' + util.decorateRequest({}).headers['User-Agent'],
+          '',
+          '',
+          '--' + boundary,
+          'Content-Type: application/http',
+          'Content-Transfer-Encoding: binary',
+          'Content-ID: <2>',
+          '',
+          'PATCH /storage/v1/b/bucket/o/b?fields=name&a=b HTTP/1.1',
+          'User-Agent: ' + util.decorateRequest({}).headers['User-Agent'],
+          'Content-Type: application/json',
+          '',
+          '{"contentType":"image/png"}',
+          '--' + boundary + '--'
+        ].join('\r\n'));
+
+        done();
+      };
+
+      batch.add(service, createReqOpts('a'), util.noop);
+
+      batch.add(service, {
+        method: 'PATCH',
+        uri: 'https://www.googleapis.com/storage/v1/b/bucket/o/b?fields=name',
+        qs: { a: 'b', autoPaginate: false },
+        json: { contentType: 'image/png' }
+      }, util.noop);
+
+      batch.send_(util.noop);
+    });
+
+    it('should not retry batches of non-idempotent requests', function(done) {
+      var reqOpts = createReqOpts('a');
+      reqOpts.idempotent = false;
+
+      service.makeAuthenticatedRequest = function(reqOpts) {
+        assert.strictEqual(reqOpts.idempotent, false);
+        done();
+      };
+
+      batch.add(service, reqOpts, util.noop);
+      batch.add(service, createReqOpts('b'), util.noop);
+
+      batch.send_(util.noop);
+    });
+
+    it('should send up to 100 requests per batch request', function(done) {
+      var numRequestsPerBatch = [];
+
+      service.makeAuthenticatedRequest = function(reqOpts, callback) {
+        numRequestsPerBatch.push(reqOpts.body.match(/Content-ID/g).length);
+        callback(null, '', {});
+      };
+
+      for (var i = 0; i < 250; i++) {
+        batch.add(service, createReqOpts(i), util.noop);
+      }
+
+      batch.send_(function() {
+        assert.deepEqual(numRequestsPerBatch, [100, 100, 50]);
+        done();
+      });
+    });
+
+    it('should send a batch request per service', function(done) {
+      var otherService = {
+        batchUrl: 'https://www.googleapis.com/batch/compute/v1',
+        makeAuthenticatedRequest: function(reqOpts) {
+          assert.strictEqual(reqOpts.uri, otherService.batchUrl);
+          done();
+        }
+      };
+
+      service.makeAuthenticatedRequest = util.noop;
+
+      batch.add(service, createReqOpts('a'), util.noop);
+      batch.add(otherService, createReqOpts('b'), util.noop);
+      batch.add(service, createReqOpts('c'), util.noop);
+      batch.add(otherService, createReqOpts('d'), util.noop);
+
+      batch.send_(util.noop);
+    });
+
+    it('should give each request its response', function(done) {
+      var responses = [];
+
+      service.makeAuthenticatedRequest = function(reqOpts, callback) {
+        callback.apply(null, createBatchResponse([
+          { id: 2, status: '200 OK', body: { name: 'b' } },
+          { id: 1, status: '204 No Content' }
+        ]));
+      };
+
+      batch.add(service, createReqOpts('a'), function(err, body, resp) {
+        assert.ifError(err);
+        assert.strictEqual(body, undefined);
+        assert.strictEqual(resp.statusCode, 204);
+        responses.push('a');
+      });
+
+      batch.add(service, createReqOpts('b'), function(err, body, resp) {
+        assert.ifError(err);
+        assert.deepEqual(body, { name: 'b' });
+        assert.strictEqual(resp.statusCode, 200);
+        assert.strictEqual(resp.headers['content-type'], 'application/json');
+        responses.push('b');
+      });
+
+      batch.send_(function(err) {
+        assert.ifError(err);
+        assert.deepEqual(responses.sort(), ['a', 'b']);
+        done();
+      });
+    });
+
+    it('should give each request its error', function(done) {
+      service.makeAuthenticatedRequest = function(reqOpts, callback) {
+        callback.apply(null, createBatchResponse([
+          { status: '200 OK', body: {} },
+          {
+            status: '404 Not Found',
+            body: {
+              error: { code: 404, message: 'Not Found', errors: [] }
+            }
+          }
+        ]));
+      };
+
+      batch.add(service, createReqOpts('a'), assert.ifError);
+
+      batch.add(service, createReqOpts('b'), function(err) {
+        assert(err instanceof util.errors.NotFoundError);
+        assert.strictEqual(err.method, 'DELETE');
+        assert.strictEqual(err.uri, createReqOpts('b').uri);
+        done();
+      });
+
+      batch.send_(util.noop);
+    });
+
+    it('should return an error for missing responses', function(done) {
+      service.makeAuthenticatedRequest = function(reqOpts, callback) {
+        callback.apply(null, createBatchResponse([
+          { status: '200 OK', body: {} }
+        ]));
+      };
+
+      batch.add(service, createReqOpts('a'), assert.ifError);
+
+      batch.add(service, createReqOpts('b'), function(err) {
+        assert(/did not include a response to this request/.test(err.message));
+        done();
+      });
+
+      batch.send_(util.noop);
+    });
+
+    it('should give every request the batch request error', function(done) {
+      var error = new Error('Error.');
+      var errors = [];
+
+      service.makeAuthenticatedRequest = function(reqOpts, callback) {
+        callback(error);
+      };
+
+      function callback(err) {
+        errors.push(err);
+      }
+
+      batch.add(service, createReqOpts('a'), callback);
+      batch.add(service, createReqOpts('b'), callback);
+
+      batch.send_(function(err) {
+        assert.strictEqual(err, error);
+        assert.deepEqual(errors, [error, error]);
+        done();
+      });
+    });
+
+    it('should run the interceptors of each request', function(done) {
+      var phases = [];
+
+      var reqOpts = createReqOpts('a');
+      reqOpts.interceptors_ = [{
+        request: function(reqOpts) {
+          phases.push('request');
+          reqOpts.uri += '-intercepted';
+          return reqOpts;
+        },
+        response: function(response) {
+          phases.push('response');
+          return response;
+        },
+        error: function(err) {
+          phases.push('error');
+          return err;
+        }
+      }];
+
+      service.makeAuthenticatedRequest = function(batchReqOpts, callback) {
+        assert(batchReqOpts.body.indexOf('/o/a-intercepted HTTP/1.1') > -1);
+
+        callback.apply(null, createBatchResponse([
+          { status: '500 Internal Server Error', body: {} },
+          { status: '200 OK', body: {} }
+        ]));
+      };
+
+      batch.add(service, reqOpts, function(err) {
+        assert.strictEqual(err.code, 500);
+        assert.deepEqual(phases, ['request', 'response', 'error']);
+        done();
+      });
+
+      batch.add(service, createReqOpts('b'), util.noop);
+
+      batch.send_(util.noop);
+    });
+  });
+
+  describe('API methods', function() {
+    var Storage = require('../../lib/storage/index.js');
+
+    var storage;
+    var file;
+    var requests;
+
+    beforeEach(function() {
+      storage = new Storage({ projectId: 'project-id' });
+      file = storage.bucket('bucket-name').file('file-name');
+      requests = [];
+
+      storage.makeAuthenticatedRequest = function(reqOpts, callback) {
+        requests.push(reqOpts);
+        callback(null, {});
+      };
+    });
+
+    it('should batch methods that make one request', function(done) {
+      batch.send_ = function() {
+        assert.strictEqual(batch.requests.length, 6);
+        assert.deepEqual(requests, []);
+        done();
+      };
+
+      batch.run(function() {
+        file.delete(util.noop);
+        file.exists(util.noop);
+        file.getMetadata(util.noop);
+        file.setMetadata({}, util.noop);
+        file.acl.add({ entity: 'allUsers', role: 'READER' }, util.noop);
+        file.makePublic(util.noop);
+      });
+    });
+
+    it('should only batch the first request of a method', function(done) {
+      batch.send_ = function() {
+        assert.strictEqual(batch.requests.length, 1);
+        assert(batch.requests[0].reqOpts.uri.indexOf('/copyTo/') > -1);
+
+        batch.requests[0].callback(null, {});
+      };
+
+      batch.run(function() {
+        file.move('new-file-name', function(err) {
+          assert.ifError(err);
+
+          // The original was deleted with a request of its own.
+          assert.strictEqual(requests.length, 1);
+          assert.strictEqual(requests[0].method, 'DELETE');
+          done();
+        });
+      });
+    });
+  });
+});
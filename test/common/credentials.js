@@ -0,0 +1,366 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var crypto = require('crypto');
+var mockery = require('mockery');
+
+var KEY_FILE = require('../testdata/privateKeyFile.json');
+
+var requestOverride;
+function fakeRequest() {
+  return requestOverride.apply(null, arguments);
+}
+
+fakeRequest.defaults = function() {
+  return fakeRequest;
+};
+
+describe('Credentials', function() {
+  var EMAIL = 'service-account@project-id.iam.gserviceaccount.com';
+  var SCOPES = ['https://www.googleapis.com/auth/devstorage.full_control'];
+
+  var Credentials;
+  var credentials;
+
+  var auth;
+  var makeAuthenticatedRequestOverride;
+
+  function makeAuthenticatedRequest() {
+    return makeAuthenticatedRequestOverride.apply(null, arguments);
+  }
+
+  function useClient(client) {
+    auth.getAuthClient = function(callback) {
+      callback(null, client);
+    };
+  }
+
+  before(function() {
+    mockery.registerMock('request', fakeRequest);
+    mockery.enable({
+      useCleanCache: true,
+      warnOnUnregistered: false
+    });
+
+    Credentials = require('../../lib/common/credentials.js');
+  });
+
+  after(function() {
+    mockery.deregisterAll();
+    mockery.disable();
+  });
+
+  beforeEach(function() {
+    requestOverride = null;
+    makeAuthenticatedRequestOverride = null;
+
+    auth = {
+      getCredentials: function(callback) {
+        callback(null, {
+          client_email: EMAIL,
+          private_key: KEY_FILE.private_key
+        });
+      },
+      getToken: function(callback) {
+        callback(null, 'access-token');
+      }
+    };
+
+    credentials = new Credentials(auth, makeAuthenticatedRequest);
+  });
+
+  describe('getIdentity', function() {
+    it('should get the identity of a service account', function(done) {
+      useClient({
+        createScoped: function() {},
+        scopes: SCOPES
+      });
+
+      credentials.getIdentity(function(err, identity) {
+        assert.ifError(err);
+        assert.deepEqual(identity, {
+          type: 'service_account',
+          email: EMAIL,
+          scopes: SCOPES
+        });
+        done();
+      });
+    });
+
+    it('should get the identity of a Compute Engine VM', function(done) {
+      useClient({});
+
+      requestOverride = function(reqOpts, callback) {
+        assert.strictEqual(reqOpts.uri, 'http://metadata.google.internal/' +
+          'computeMetadata/v1/instance/service-accounts/default/');
+        assert.deepEqual(reqOpts.qs, { recursive: true });
+        assert.strictEqual(reqOpts.headers['Metadata-Flavor'], 'Google');
+        assert.strictEqual(reqOpts.json, true);
+
+        callback(null, { statusCode: 200 }, {
+          email: EMAIL,
+          scopes: SCOPES
+        });
+      };
+
+      credentials.getIdentity(function(err, identity) {
+        assert.ifError(err);
+        assert.deepEqual(identity, {
+          type: 'compute_engine',
+          email: EMAIL,
+          scopes: SCOPES
+        });
+        done();
+      });
+    });
+
+    it('should get the identity of a user', function(done) {
+      useClient({ _refreshToken: 'refresh-token' });
+
+      requestOverride = function(reqOpts, callback) {
+        assert.strictEqual(reqOpts.uri,
+          'https://www.googleapis.com/oauth2/v3/tokeninfo');
+        assert.deepEqual(reqOpts.qs, { access_token: 'access-token' });
+
+        callback(null, { statusCode: 200 }, {
+          scope: 'https://www.googleapis.com/auth/cloud-platform email'
+        });
+      };
+
+      credentials.getIdentity(function(err, identity) {
+        assert.ifError(err);
+        assert.deepEqual(identity, {
+          type: 'authorized_user',
+          email: null,
+          scopes: ['https://www.googleapis.com/auth/cloud-platform', 'email']
+        });
+        done();
+      });
+    });
+
+    it('should remember the identity', function(done) {
+      var numCalls = 0;
+
+      auth.getAuthClient = function(callback) {
+        numCalls++;
+        callback(null, { createScoped: function() {} });
+      };
+
+      credentials.getIdentity(function(err, identity) {
+        assert.ifError(err);
+
+        credentials.getIdentity(function(err, identity_) {
+          assert.ifError(err);
+          assert.strictEqual(identity_, identity);
+          assert.strictEqual(numCalls, 1);
+          done();
+        });
+      });
+    });
+
+    it('should return an error from the auth client', function(done) {
+      var error = new Error('Error.');
+
+      auth.getAuthClient = function(callback) {
+        callback(error);
+      };
+
+      credentials.getIdentity(function(err) {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+
+    it('should return an error if the account cannot be read', function(done) {
+      useClient({});
+
+      requestOverride = function(reqOpts, callback) {
+        callback(null, { statusCode: 404 }, 'Not Found');
+      };
+
+      credentials.getIdentity(function(err) {
+        assert.strictEqual(err.message, 'The request to ' +
+          'http://metadata.google.internal/computeMetadata/v1/instance/' +
+          'service-accounts/default/ failed with status 404.');
+        done();
+      });
+    });
+
+    it('should send requests through the transport', function(done) {
+      useClient({});
+
+      makeAuthenticatedRequest.transport = {
+        wrap: function(request) {
+          assert.strictEqual(request, fakeRequest);
+
+          return function(reqOpts, callback) {
+            callback(null, { statusCode: 200 }, { email: EMAIL });
+          };
+        }
+      };
+
+      credentials.getIdentity(function(err, identity) {
+        delete makeAuthenticatedRequest.transport;
+
+        assert.ifError(err);
+        assert.strictEqual(identity.email, EMAIL);
+        done();
+      });
+    });
+  });
+
+  describe('getAccessToken', function() {
+    it('should throw if scopes are not provided', function() {
+      assert.throws(function() {
+        credentials.getAccessToken({}, assert.ifError);
+      }, /Scopes are required to get an access token\./);
+    });
+
+    it('should scope down the key of a service account', function(done) {
+      var expires = Date.now() + 3600000;
+
+      useClient({
+        createScoped: function(scopes) {
+          assert.deepEqual(scopes, ['scope']);
+
+          return {
+            authorize: function(callback) {
+              callback(null, {
+                access_token: 'scoped-token',
+                expiry_date: expires
+              });
+            }
+          };
+        }
+      });
+
+      credentials.getAccessToken({ scopes: 'scope' }, function(err, token) {
+        assert.ifError(err);
+        assert.strictEqual(token.token, 'scoped-token');
+        assert.strictEqual(token.expires.getTime(), expires);
+        done();
+      });
+    });
+
+    it('should use the IAM Credentials API without a key', function(done) {
+      credentials.identity_ = {
+        type: 'compute_engine',
+        email: EMAIL,
+        scopes: SCOPES
+      };
+
+      makeAuthenticatedRequestOverride = function(reqOpts, callback) {
+        assert.strictEqual(reqOpts.method, 'POST');
+        assert.strictEqual(reqOpts.uri, 'https://iamcredentials.googleapis.' +
+          'com/v1/projects/-/serviceAccounts/' + encodeURIComponent(EMAIL) +
+          ':generateAccessToken');
+        assert.deepEqual(reqOpts.json, { scope: ['scope'] });
+
+        callback(null, {
+          accessToken: 'scoped-token',
+          expireTime: '2016-05-01T00:00:00Z'
+        });
+      };
+
+      credentials.getAccessToken({ scopes: ['scope'] }, function(err, token) {
+        assert.ifError(err);
+        assert.strictEqual(token.token, 'scoped-token');
+        assert.strictEqual(token.expires.toISOString(),
+          '2016-05-01T00:00:00.000Z');
+        done();
+      });
+    });
+
+    it('should return an error for a user', function(done) {
+      credentials.identity_ = { type: 'authorized_user' };
+
+      credentials.getAccessToken({ scopes: 'scope' }, function(err) {
+        assert.strictEqual(err.message,
+          'Only a service account can get an access token.');
+        done();
+      });
+    });
+  });
+
+  describe('signBlob', function() {
+    it('should sign with the key of a service account', function(done) {
+      useClient({ createScoped: function() {} });
+
+      var signature = crypto.createSign('RSA-SHA256')
+        .update('data')
+        .sign(KEY_FILE.private_key, 'base64');
+
+      credentials.signBlob('data', function(err, signature_) {
+        assert.ifError(err);
+        assert.strictEqual(signature_, signature);
+        done();
+      });
+    });
+
+    it('should use the IAM Credentials API without a key', function(done) {
+      credentials.identity_ = {
+        type: 'compute_engine',
+        email: EMAIL,
+        scopes: SCOPES
+      };
+
+      makeAuthenticatedRequestOverride = function(reqOpts, callback) {
+        assert.strictEqual(reqOpts.uri, 'https://iamcredentials.googleapis.' +
+          'com/v1/projects/-/serviceAccounts/' + encodeURIComponent(EMAIL) +
+          ':signBlob');
+        assert.deepEqual(reqOpts.json, {
+          payload: new Buffer('data').toString('base64')
+        });
+
+        callback(null, { signedBlob: 'signature' });
+      };
+
+      credentials.signBlob('data', function(err, signature) {
+        assert.ifError(err);
+        assert.strictEqual(signature, 'signature');
+        done();
+      });
+    });
+
+    it('should return an error from the IAM Credentials API', function(done) {
+      var error = new Error('Error.');
+
+      credentials.identity_ = { type: 'compute_engine', email: EMAIL };
+
+      makeAuthenticatedRequestOverride = function(reqOpts, callback) {
+        callback(error);
+      };
+
+      credentials.signBlob('data', function(err) {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+
+    it('should return an error for a user', function(done) {
+      credentials.identity_ = { type: 'authorized_user' };
+
+      credentials.signBlob('data', function(err) {
+        assert.strictEqual(err.message,
+          'Only a service account can sign data.');
+        done();
+      });
+    });
+  });
+});
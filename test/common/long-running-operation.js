@@ -0,0 +1,373 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var events = require('events');
+
+var LongRunningOperation =
+  require('../../lib/common/long-running-operation.js');
+var ServiceObject = require('../../lib/common/service-object.js');
+var util = require('../../lib/common/util.js');
+
+describe('LongRunningOperation', function() {
+  var operation;
+
+  var CONFIG = {
+    parent: {},
+    baseUrl: '/operations',
+    id: 'operation-id',
+    methods: {},
+    pollingOptions: {
+      initialDelay: 1,
+      maxDelay: 4,
+      multiplier: 2
+    }
+  };
+
+  beforeEach(function() {
+    operation = new LongRunningOperation(CONFIG);
+  });
+
+  afterEach(function() {
+    operation.removeAllListeners();
+  });
+
+  describe('instantiation', function() {
+    it('should inherit from ServiceObject and EventEmitter', function() {
+      assert(operation instanceof ServiceObject);
+      assert.strictEqual(operation.id, CONFIG.id);
+
+      assert.strictEqual(operation.on, events.EventEmitter.prototype.on);
+    });
+
+    it('should localize the polling options', function() {
+      assert.deepEqual(operation.pollingOptions, CONFIG.pollingOptions);
+      assert.notStrictEqual(operation.pollingOptions, CONFIG.pollingOptions);
+    });
+
+    it('should default the polling options', function() {
+      var operation = new LongRunningOperation({
+        parent: {},
+        baseUrl: '/operations',
+        id: 'operation-id'
+      });
+
+      assert.deepEqual(operation.pollingOptions, {
+        initialDelay: 500,
+        maxDelay: 30000,
+        multiplier: 1.5
+      });
+    });
+
+    it('should correctly initialize variables', function() {
+      assert.strictEqual(operation.completeListeners, 0);
+      assert.strictEqual(operation.hasActiveListeners, false);
+    });
+  });
+
+  describe('poll_', function() {
+    it('should throw if not implemented', function() {
+      assert.throws(function() {
+        operation.poll_(util.noop);
+      }, /LongRunningOperation subclasses must implement `poll_`/);
+    });
+  });
+
+  describe('getPollDelay_', function() {
+    it('should increase the delay after each poll', function() {
+      operation.numPolls_ = 1;
+      assert.strictEqual(operation.getPollDelay_(), 1);
+
+      operation.numPolls_ = 2;
+      assert.strictEqual(operation.getPollDelay_(), 2);
+
+      operation.numPolls_ = 3;
+      assert.strictEqual(operation.getPollDelay_(), 4);
+    });
+
+    it('should not exceed the maximum delay', function() {
+      operation.numPolls_ = 10;
+      assert.strictEqual(operation.getPollDelay_(), 4);
+    });
+  });
+
+  describe('listenForEvents_', function() {
+    beforeEach(function() {
+      operation.startPolling_ = util.noop;
+    });
+
+    it('should start polling when complete listener is bound', function(done) {
+      operation.startPolling_ = function() {
+        done();
+      };
+
+      operation.on('complete', util.noop);
+    });
+
+    it('should track the number of listeners', function() {
+      assert.strictEqual(operation.completeListeners, 0);
+
+      operation.on('complete', util.noop);
+      assert.strictEqual(operation.completeListeners, 1);
+
+      operation.removeListener('complete', util.noop);
+      assert.strictEqual(operation.completeListeners, 0);
+    });
+
+    it('should only run a single polling loop', function() {
+      var startPollingCallCount = 0;
+
+      operation.startPolling_ = function() {
+        startPollingCallCount++;
+        this.isPolling_ = true;
+      };
+
+      operation.on('complete', util.noop);
+      operation.on('complete', util.noop);
+
+      assert.strictEqual(startPollingCallCount, 1);
+    });
+
+    it('should reset the number of polls', function() {
+      operation.numPolls_ = 3;
+      operation.on('complete', util.noop);
+      assert.strictEqual(operation.numPolls_, 0);
+    });
+
+    it('should close when no more message listeners are bound', function() {
+      operation.on('complete', util.noop);
+      operation.on('complete', util.noop);
+      assert.strictEqual(operation.hasActiveListeners, true);
+
+      operation.removeListener('complete', util.noop);
+      assert.strictEqual(operation.hasActiveListeners, true);
+
+      operation.removeListener('complete', util.noop);
+      assert.strictEqual(operation.hasActiveListeners, false);
+    });
+
+    it('should cancel a scheduled poll', function(done) {
+      operation.pollTimeout_ = setTimeout(function() {
+        done(new Error('A cancelled poll should not run.'));
+      }, 1);
+      operation.isPolling_ = true;
+
+      operation.on('complete', util.noop);
+      operation.removeListener('complete', util.noop);
+
+      assert.strictEqual(operation.pollTimeout_, null);
+      assert.strictEqual(operation.isPolling_, false);
+
+      setTimeout(done, 5);
+    });
+  });
+
+  describe('startPolling_', function() {
+    beforeEach(function() {
+      operation.hasActiveListeners = true;
+    });
+
+    afterEach(function() {
+      operation.hasActiveListeners = false;
+    });
+
+    it('should not poll if no listeners', function(done) {
+      operation.hasActiveListeners = false;
+
+      operation.poll_ = done; // if called, test will fail.
+
+      operation.startPolling_();
+      assert.strictEqual(operation.isPolling_, false);
+      done();
+    });
+
+    it('should poll if listeners are registered', function(done) {
+      operation.poll_ = function() {
+        assert.strictEqual(operation.isPolling_, true);
+        assert.strictEqual(operation.numPolls_, 1);
+        done();
+      };
+
+      operation.startPolling_();
+    });
+
+    it('should stop if the listeners are removed while polling', function() {
+      operation.emit = function() {
+        throw new Error('No events should be emitted.');
+      };
+
+      operation.poll_ = function(callback) {
+        operation.hasActiveListeners = false;
+        callback(null, {}, true);
+      };
+
+      operation.startPolling_();
+      assert.strictEqual(operation.isPolling_, false);
+
+      delete operation.emit;
+    });
+
+    it('should emit an error', function(done) {
+      var error = new Error('Error.');
+
+      operation.poll_ = function(callback) {
+        callback(error);
+      };
+
+      operation.on('error', function(err) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(operation.isPolling_, false);
+        done();
+      });
+
+      operation.startPolling_();
+    });
+
+    it('should emit progress and poll again', function(done) {
+      var metadata = {};
+      var numPolls = 0;
+
+      operation.poll_ = function(callback) {
+        if (++numPolls === 2) {
+          done();
+          return;
+        }
+
+        callback(null, metadata, false);
+      };
+
+      operation.on('progress', function(metadata_) {
+        assert.strictEqual(metadata_, metadata);
+      });
+
+      operation.startPolling_();
+    });
+
+    it('should wait longer before each poll', function(done) {
+      var setTimeoutCached = global.setTimeout;
+      var delays = [];
+
+      operation.poll_ = function(callback) {
+        callback(null, {}, operation.numPolls_ === 4);
+      };
+
+      global.setTimeout = function(fn, delay) {
+        delays.push(delay);
+        setImmediate(fn);
+      };
+
+      operation.on('complete', function() {
+        global.setTimeout = setTimeoutCached;
+        assert.deepEqual(delays, [1, 2, 4]);
+        done();
+      });
+    });
+
+    it('should emit complete with metadata', function(done) {
+      var metadata = {};
+
+      operation.poll_ = function(callback) {
+        callback(null, metadata, true);
+      };
+
+      operation.on('complete', function(metadata_) {
+        assert.strictEqual(metadata_, metadata);
+        assert.strictEqual(operation.isPolling_, false);
+        done();
+      });
+
+      operation.startPolling_();
+    });
+  });
+
+  describe('waitUntilDone', function() {
+    var METADATA = {};
+
+    it('should execute callback with the metadata', function(done) {
+      operation.poll_ = function(callback) {
+        setImmediate(callback, null, METADATA, true);
+      };
+
+      operation.waitUntilDone(function(err, metadata) {
+        assert.ifError(err);
+        assert.strictEqual(metadata, METADATA);
+        assert.strictEqual(operation.listeners('complete').length, 0);
+        assert.strictEqual(operation.listeners('error').length, 0);
+        done();
+      });
+    });
+
+    it('should execute callback with an error', function(done) {
+      var error = new Error('Error.');
+
+      operation.poll_ = function(callback) {
+        setImmediate(callback, error);
+      };
+
+      operation.waitUntilDone({}, function(err) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(operation.listeners('complete').length, 0);
+        done();
+      });
+    });
+
+    it('should time out', function(done) {
+      operation.poll_ = function(callback) {
+        callback(null, METADATA, false);
+      };
+
+      operation.waitUntilDone({ timeout: 5 }, function(err) {
+        assert.strictEqual(err.name, 'TimeoutError');
+        assert.strictEqual(err.timeout, 5);
+        assert.strictEqual(operation.hasActiveListeners, false);
+        done();
+      });
+    });
+
+    it('should return an object to abort waiting', function(done) {
+      operation.poll_ = util.noop;
+
+      var waiting = operation.waitUntilDone(function(err) {
+        assert.strictEqual(err.name, 'CancellationError');
+        assert.strictEqual(operation.hasActiveListeners, false);
+        done();
+      });
+
+      waiting.abort();
+    });
+
+    it('should poll again for an operation that completed', function(done) {
+      var numPolls = 0;
+
+      operation.poll_ = function(callback) {
+        numPolls++;
+        setImmediate(callback, null, METADATA, true);
+      };
+
+      operation.once('complete', function() {
+        operation.on('complete', util.noop);
+
+        operation.waitUntilDone(function(err) {
+          assert.ifError(err);
+          assert.strictEqual(numPolls, 2);
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+
+var RateLimiter = require('../../lib/common/rate-limiter.js');
+
+describe('RateLimiter', function() {
+  var READ_REQ_OPTS = { method: 'GET' };
+  var WRITE_REQ_OPTS = { method: 'POST' };
+
+  var rateLimiter;
+
+  function noop() {}
+
+  beforeEach(function() {
+    rateLimiter = new RateLimiter({
+      requestsPerSecond: 100,
+      burst: 2
+    });
+  });
+
+  describe('instantiation', function() {
+    it('should require a positive rate', function() {
+      assert.throws(function() {
+        new RateLimiter();
+      }, /A rate limit needs a positive `requestsPerSecond`/);
+
+      assert.throws(function() {
+        new RateLimiter({ requestsPerSecond: 0 });
+      }, /A rate limit needs a positive `requestsPerSecond`/);
+    });
+
+    it('should set defaults', function() {
+      var bucket = new RateLimiter({ requestsPerSecond: 5 }).buckets_.default;
+
+      assert.strictEqual(bucket.rate, 5);
+      assert.strictEqual(bucket.burst, 5);
+      assert.strictEqual(bucket.maxQueue, Infinity);
+    });
+
+    it('should allow at least one request at once', function() {
+      var rateLimiter = new RateLimiter({ requestsPerSecond: 0.5 });
+      assert.strictEqual(rateLimiter.buckets_.default.burst, 1);
+    });
+
+    it('should create a bucket for each family with limits', function() {
+      var rateLimiter = new RateLimiter({
+        requestsPerSecond: 5,
+        maxQueue: 10,
+        families: {
+          write: { requestsPerSecond: 1 }
+        }
+      });
+
+      var writeBucket = rateLimiter.buckets_.write;
+
+      assert.deepEqual(Object.keys(rateLimiter.buckets_), ['default', 'write']);
+      assert.strictEqual(writeBucket.rate, 1);
+      assert.strictEqual(writeBucket.maxQueue, 10);
+    });
+  });
+
+  describe('fromConfig', function() {
+    var RATE_LIMIT = { requestsPerSecond: 10 };
+
+    it('should return null without a rate limit', function() {
+      assert.strictEqual(RateLimiter.fromConfig(), null);
+      assert.strictEqual(RateLimiter.fromConfig({}), null);
+    });
+
+    it('should return a RateLimiter instance', function() {
+      assert.strictEqual(RateLimiter.fromConfig({
+        rateLimit: rateLimiter
+      }), rateLimiter);
+    });
+
+    it('should create a RateLimiter from options', function() {
+      var config = { rateLimit: RATE_LIMIT };
+      var rateLimiter = RateLimiter.fromConfig(config);
+
+      assert(rateLimiter instanceof RateLimiter);
+      assert.notStrictEqual(RateLimiter.fromConfig(config), rateLimiter);
+    });
+
+    it('should share a RateLimiter between instances of a service', function() {
+      var rateLimiter = RateLimiter.fromConfig({
+        rateLimit: RATE_LIMIT
+      }, 'service-a');
+
+      var sameRateLimiter = RateLimiter.fromConfig({
+        rateLimit: { requestsPerSecond: 10 }
+      }, 'service-a');
+
+      var otherServiceRateLimiter = RateLimiter.fromConfig({
+        rateLimit: RATE_LIMIT
+      }, 'service-b');
+
+      var otherLimitsRateLimiter = RateLimiter.fromConfig({
+        rateLimit: { requestsPerSecond: 20 }
+      }, 'service-a');
+
+      assert.strictEqual(sameRateLimiter, rateLimiter);
+      assert.notStrictEqual(otherServiceRateLimiter, rateLimiter);
+      assert.notStrictEqual(otherLimitsRateLimiter, rateLimiter);
+    });
+  });
+
+  describe('getFamily', function() {
+    it('should return read for GET and HEAD requests', function() {
+      assert.strictEqual(RateLimiter.getFamily({}), 'read');
+      assert.strictEqual(RateLimiter.getFamily(READ_REQ_OPTS), 'read');
+      assert.strictEqual(RateLimiter.getFamily({ method: 'head' }), 'read');
+    });
+
+    it('should return write for other requests', function() {
+      assert.strictEqual(RateLimiter.getFamily(WRITE_REQ_OPTS), 'write');
+      assert.strictEqual(RateLimiter.getFamily({ method: 'DELETE' }), 'write');
+    });
+  });
+
+  describe('acquire', function() {
+    it('should let requests through right away up to the burst', function() {
+      var numAcquired = 0;
+
+      function onAcquired() {
+        numAcquired++;
+      }
+
+      rateLimiter.acquire(READ_REQ_OPTS, onAcquired);
+      rateLimiter.acquire(READ_REQ_OPTS, onAcquired);
+      rateLimiter.acquire(READ_REQ_OPTS, onAcquired);
+
+      assert.strictEqual(numAcquired, 2);
+    });
+
+    it('should let queued requests through in order', function(done) {
+      var order = [];
+
+      function onAcquired(name) {
+        return function() {
+          order.push(name);
+
+          if (order.length === 4) {
+            assert.deepEqual(order, ['a', 'b', 'c', 'd']);
+            done();
+          }
+        };
+      }
+
+      rateLimiter.acquire(READ_REQ_OPTS, onAcquired('a'));
+      rateLimiter.acquire(READ_REQ_OPTS, onAcquired('b'));
+      rateLimiter.acquire(READ_REQ_OPTS, onAcquired('c'));
+      rateLimiter.acquire(READ_REQ_OPTS, onAcquired('d'));
+
+      assert.deepEqual(order, ['a', 'b']);
+    });
+
+    it('should return null if the queue is full', function() {
+      var rateLimiter = new RateLimiter({
+        requestsPerSecond: 1,
+        maxQueue: 1
+      });
+
+      rateLimiter.acquire(READ_REQ_OPTS, noop);
+
+      var throttledRequest = rateLimiter.acquire(READ_REQ_OPTS, noop);
+      assert.strictEqual(rateLimiter.acquire(READ_REQ_OPTS, noop), null);
+
+      throttledRequest.cancel();
+    });
+
+    it('should remove cancelled requests from the queue', function(done) {
+      rateLimiter.acquire(READ_REQ_OPTS, noop);
+      rateLimiter.acquire(READ_REQ_OPTS, noop);
+
+      var throttledRequest = rateLimiter.acquire(READ_REQ_OPTS, function() {
+        throw new Error('A cancelled request should not be let through.');
+      });
+
+      throttledRequest.cancel();
+
+      rateLimiter.acquire(READ_REQ_OPTS, done);
+    });
+
+    it('should use the bucket of the request family', function() {
+      var rateLimiter = new RateLimiter({
+        requestsPerSecond: 1,
+        families: {
+          write: { requestsPerSecond: 1 }
+        }
+      });
+
+      var numAcquired = 0;
+
+      function onAcquired() {
+        numAcquired++;
+      }
+
+      rateLimiter.acquire(WRITE_REQ_OPTS, onAcquired);
+      rateLimiter.acquire(READ_REQ_OPTS, onAcquired);
+
+      assert.strictEqual(numAcquired, 2);
+    });
+  });
+
+  describe('getStats', function() {
+    it('should return the stats of each bucket', function(done) {
+      var rateLimiter = new RateLimiter({
+        requestsPerSecond: 100,
+        burst: 1,
+        maxQueue: 1,
+        families: {
+          write: { requestsPerSecond: 1 }
+        }
+      });
+
+      rateLimiter.acquire(READ_REQ_OPTS, noop);
+      rateLimiter.acquire(READ_REQ_OPTS, onAcquired);
+      rateLimiter.acquire(READ_REQ_OPTS, noop);
+
+      var stats = rateLimiter.getStats();
+
+      assert.deepEqual(stats.default, {
+        queued: 1,
+        requests: 1,
+        throttled: 1,
+        rejected: 1,
+        totalDelay: 0
+      });
+
+      assert.deepEqual(stats.write, {
+        queued: 0,
+        requests: 0,
+        throttled: 0,
+        rejected: 0,
+        totalDelay: 0
+      });
+
+      function onAcquired() {
+        var stats = rateLimiter.getStats().default;
+
+        assert.strictEqual(stats.queued, 0);
+        assert.strictEqual(stats.requests, 2);
+        assert(stats.totalDelay > 0);
+
+        done();
+      }
+    });
+  });
+});
@@ -0,0 +1,495 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var concat = require('concat-stream');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var through = require('through2');
+
+var Recorder = require('../../lib/common/recorder.js');
+
+describe('Recorder', function() {
+  var FIXTURES_PATH = path.join(os.tmpdir(), 'gcloud-recorder-test.json');
+
+  var REQ_OPTS = {
+    method: 'POST',
+    uri: 'https://www.googleapis.com/storage/v1/b?project=project-id',
+    qs: { maxResults: 5 },
+    json: { name: 'bucket-name' }
+  };
+
+  var RESPONSE = {
+    statusCode: 200,
+    headers: { 'content-type': 'application/json' }
+  };
+
+  var recorder;
+
+  function writeFixtures(fixtures) {
+    fs.writeFileSync(FIXTURES_PATH, JSON.stringify(fixtures));
+  }
+
+  function readFixtures() {
+    return JSON.parse(fs.readFileSync(FIXTURES_PATH, 'utf8'));
+  }
+
+  function createFixture(reqOpts, body) {
+    return {
+      request: {
+        method: (reqOpts.method || 'GET').toUpperCase(),
+        uri: reqOpts.uri,
+        qs: reqOpts.qs || {},
+        json: reqOpts.json
+      },
+      response: {
+        statusCode: 200,
+        headers: {},
+        body: body
+      }
+    };
+  }
+
+  function fakeRequest() {
+    throw new Error('A request should not have been made.');
+  }
+
+  afterEach(function() {
+    try {
+      fs.unlinkSync(FIXTURES_PATH);
+    } catch (e) {}
+  });
+
+  describe('instantiation', function() {
+    it('should require a mode', function() {
+      assert.throws(function() {
+        new Recorder({ mode: 'play', path: FIXTURES_PATH });
+      }, /A fixtures mode of "record" or "replay" is required/);
+    });
+
+    it('should require a path', function() {
+      assert.throws(function() {
+        new Recorder({ mode: 'record' });
+      }, /A path to a fixture file is required/);
+    });
+
+    it('should localize the options', function() {
+      var recorder = new Recorder({
+        ignore: 'ifGenerationMatch',
+        mode: 'replay',
+        path: 'fixtures.json'
+      });
+
+      assert.deepEqual(recorder.ignore, ['pageToken', 'ifGenerationMatch']);
+      assert.strictEqual(recorder.mode, 'replay');
+      assert.strictEqual(recorder.path, path.resolve('fixtures.json'));
+    });
+
+    it('should not read the fixture file', function() {
+      new Recorder({ mode: 'replay', path: FIXTURES_PATH });
+    });
+  });
+
+  describe('fromConfig', function() {
+    it('should return null without fixtures', function() {
+      assert.strictEqual(Recorder.fromConfig(), null);
+      assert.strictEqual(Recorder.fromConfig({}), null);
+    });
+
+    it('should return a Recorder instance', function() {
+      var recorder = new Recorder({ mode: 'record', path: FIXTURES_PATH });
+      assert.strictEqual(Recorder.fromConfig({ fixtures: recorder }), recorder);
+    });
+
+    it('should share a Recorder for the same fixture file', function() {
+      var recorder = Recorder.fromConfig({
+        fixtures: { mode: 'record', path: FIXTURES_PATH }
+      });
+
+      assert(recorder instanceof Recorder);
+
+      assert.strictEqual(Recorder.fromConfig({
+        fixtures: { mode: 'record', path: FIXTURES_PATH }
+      }), recorder);
+
+      assert.notStrictEqual(Recorder.fromConfig({
+        fixtures: { mode: 'replay', path: FIXTURES_PATH }
+      }), recorder);
+    });
+  });
+
+  describe('recording', function() {
+    beforeEach(function() {
+      recorder = new Recorder({ mode: 'record', path: FIXTURES_PATH });
+    });
+
+    it('should record a request and its response', function(done) {
+      var body = { name: 'bucket-name' };
+
+      function request(reqOpts, callback) {
+        assert.strictEqual(reqOpts, REQ_OPTS);
+        callback(null, RESPONSE, body);
+      }
+
+      recorder.wrap(request)(REQ_OPTS, function(err, resp, body_) {
+        assert.ifError(err);
+        assert.strictEqual(resp, RESPONSE);
+        assert.strictEqual(body_, body);
+
+        assert.deepEqual(readFixtures(), [
+          {
+            request: {
+              method: 'POST',
+              uri: 'https://www.googleapis.com/storage/v1/b',
+              qs: { project: 'project-id', maxResults: '5' },
+              json: { name: 'bucket-name' }
+            },
+            response: {
+              statusCode: 200,
+              headers: { 'content-type': 'application/json' },
+              body: { name: 'bucket-name' }
+            }
+          }
+        ]);
+
+        done();
+      });
+    });
+
+    it('should not record credentials', function(done) {
+      function request(reqOpts, callback) {
+        callback(null, RESPONSE, {});
+      }
+
+      recorder.wrap(request)({
+        uri: 'https://www.googleapis.com/language/translate/v2?key=AIzaSECRET',
+        qs: { access_token: 'ya29.TOKEN', q: 'Hello' },
+        headers: { Authorization: 'Bearer ya29.TOKEN' }
+      }, function(err) {
+        assert.ifError(err);
+
+        var contents = fs.readFileSync(FIXTURES_PATH, 'utf8');
+        assert.strictEqual(contents.indexOf('AIzaSECRET'), -1);
+        assert.strictEqual(contents.indexOf('ya29.TOKEN'), -1);
+
+        assert.deepEqual(readFixtures()[0].request.qs, {
+          key: '<secret>',
+          access_token: '<secret>',
+          q: 'Hello'
+        });
+
+        done();
+      });
+    });
+
+    it('should encode binary bodies', function(done) {
+      function request(reqOpts, callback) {
+        callback(null, RESPONSE, new Buffer('abc'));
+      }
+
+      recorder.wrap(request)({ uri: 'http://fake' }, function(err) {
+        assert.ifError(err);
+
+        var response = readFixtures()[0].response;
+        assert.strictEqual(response.body, new Buffer('abc').toString('base64'));
+        assert.strictEqual(response.encoding, 'base64');
+
+        done();
+      });
+    });
+
+    it('should not record errors', function(done) {
+      var error = new Error('Error.');
+
+      function request(reqOpts, callback) {
+        callback(error);
+      }
+
+      recorder.wrap(request)(REQ_OPTS, function(err) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(fs.existsSync(FIXTURES_PATH), false);
+        done();
+      });
+    });
+
+    it('should record streamed responses', function(done) {
+      var requestStream = through();
+
+      function request(reqOpts) {
+        assert.strictEqual(reqOpts, REQ_OPTS);
+        return requestStream;
+      }
+
+      recorder.wrap(request)(REQ_OPTS)
+        .on('end', function() {
+          var body = readFixtures()[0].response.body;
+          assert.strictEqual(body, new Buffer('ab').toString('base64'));
+          done();
+        })
+        .resume();
+
+      requestStream.emit('response', RESPONSE);
+      requestStream.write('a');
+      requestStream.end('b');
+    });
+  });
+
+  describe('replaying', function() {
+    beforeEach(function() {
+      recorder = new Recorder({
+        ignore: 'ifGenerationMatch',
+        mode: 'replay',
+        path: FIXTURES_PATH
+      });
+    });
+
+    it('should replay the recorded response', function(done) {
+      var fixture = createFixture(REQ_OPTS, { name: 'bucket-name' });
+      fixture.request.uri = 'https://www.googleapis.com/storage/v1/b';
+      fixture.request.qs = { project: 'project-id', maxResults: 5 };
+      fixture.response.statusCode = 409;
+      fixture.response.headers = RESPONSE.headers;
+      writeFixtures([fixture]);
+
+      recorder.wrap(fakeRequest)(REQ_OPTS, function(err, resp, body) {
+        assert.ifError(err);
+        assert.strictEqual(resp.statusCode, 409);
+        assert.strictEqual(resp.statusMessage, 'Conflict');
+        assert.deepEqual(resp.headers, RESPONSE.headers);
+        assert.deepEqual(resp.body, { name: 'bucket-name' });
+        assert.strictEqual(resp.request.method, 'POST');
+        assert.strictEqual(resp.request.uri.href, REQ_OPTS.uri);
+        assert.deepEqual(body, { name: 'bucket-name' });
+        done();
+      });
+    });
+
+    it('should decode binary bodies', function(done) {
+      var fixture = createFixture({ uri: 'http://fake' });
+      fixture.response.body = new Buffer('abc').toString('base64');
+      fixture.response.encoding = 'base64';
+      writeFixtures([fixture]);
+
+      recorder.wrap(fakeRequest)({ uri: 'http://fake' }, function(err, r, b) {
+        assert.ifError(err);
+        assert.deepEqual(b, new Buffer('abc'));
+        done();
+      });
+    });
+
+    it('should replay responses in the order they were recorded', function(d) {
+      var reqOpts = { uri: 'http://fake' };
+      writeFixtures([createFixture(reqOpts, 1), createFixture(reqOpts, 2)]);
+
+      var request = recorder.wrap(fakeRequest);
+
+      request(reqOpts, function(err, resp, body) {
+        assert.strictEqual(body, 1);
+
+        request(reqOpts, function(err, resp, body) {
+          assert.strictEqual(body, 2);
+
+          request(reqOpts, function(err) {
+            assert(err.message.indexOf('No recorded response') > -1);
+            d();
+          });
+        });
+      });
+    });
+
+    it('should ignore page tokens, timestamps & ignored fields', function(d) {
+      var fixture = createFixture({
+        uri: 'http://fake',
+        qs: { pageToken: 'a', ifGenerationMatch: 1 },
+        json: { time: '2016-01-01T00:00:00.000Z' }
+      }, 'body');
+      writeFixtures([fixture]);
+
+      recorder.wrap(fakeRequest)({
+        uri: 'http://fake',
+        qs: { pageToken: 'b', ifGenerationMatch: 2 },
+        json: { time: '2016-06-01T12:30:00Z' }
+      }, function(err, resp, body) {
+        assert.ifError(err);
+        assert.strictEqual(body, 'body');
+        d();
+      });
+    });
+
+    it('should match requests by their masked credentials', function(done) {
+      var fixture = createFixture({
+        uri: 'http://fake',
+        qs: { key: '<secret>', q: 'Hello' }
+      }, 'body');
+      writeFixtures([fixture]);
+
+      recorder.wrap(fakeRequest)({
+        uri: 'http://fake?key=another-key',
+        qs: { q: 'Hello' }
+      }, function(err, resp, body) {
+        assert.ifError(err);
+        assert.strictEqual(body, 'body');
+        done();
+      });
+    });
+
+    it('should not match requests with other values', function(done) {
+      writeFixtures([createFixture({ uri: 'http://fake', json: { a: 1 } })]);
+
+      recorder.wrap(fakeRequest)({
+        method: 'post',
+        uri: 'http://fake',
+        json: { a: 2 }
+      }, function(err) {
+        assert.strictEqual(
+          err.message,
+          'No recorded response matches POST http://fake.'
+        );
+        done();
+      });
+    });
+
+    it('should return an error if the file cannot be read', function(done) {
+      recorder.wrap(fakeRequest)({ uri: 'http://fake' }, function(err) {
+        assert.strictEqual(err.code, 'ENOENT');
+        done();
+      });
+    });
+
+    it('should drain streamed multipart bodies', function(done) {
+      var reqOpts = { method: 'POST', uri: 'http://fake' };
+      var bodyStream = through();
+      writeFixtures([createFixture(reqOpts, 'body')]);
+
+      recorder.wrap(fakeRequest)({
+        method: 'POST',
+        uri: 'http://fake',
+        multipart: [{ body: '{}' }, { body: bodyStream }]
+      }, function(err, resp, body) {
+        assert.ifError(err);
+        assert.strictEqual(body, 'body');
+        done();
+      });
+
+      bodyStream.end('data');
+    });
+
+    it('should return a handle to abort the request', function(done) {
+      writeFixtures([createFixture({ uri: 'http://fake' })]);
+
+      recorder.wrap(fakeRequest)({ uri: 'http://fake' }, function() {
+        done(new Error('The callback should not have been executed.'));
+      }).abort();
+
+      setImmediate(done);
+    });
+
+    describe('stream mode', function() {
+      it('should stream the recorded response', function(done) {
+        var reqOpts = { uri: 'http://fake' };
+        var receivedResponse;
+        writeFixtures([createFixture(reqOpts, { a: 'b' })]);
+
+        recorder.wrap(fakeRequest)(reqOpts)
+          .on('response', function(resp) {
+            receivedResponse = resp;
+          })
+          .on('complete', function(resp) {
+            assert.strictEqual(resp, receivedResponse);
+            done();
+          })
+          .pipe(concat(function(data) {
+            assert.strictEqual(receivedResponse.statusCode, 200);
+            assert.strictEqual(data.toString(), '{"a":"b"}');
+          }));
+      });
+
+      it('should make the response readable', function(done) {
+        var reqOpts = { uri: 'http://fake' };
+        var data = '';
+        var isRead = false;
+        writeFixtures([createFixture(reqOpts, { a: 'b' })]);
+
+        recorder.wrap(fakeRequest)(reqOpts)
+          .on('response', function(resp) {
+            resp
+              .on('data', function(chunk) {
+                data += chunk;
+              })
+              .on('end', function() {
+                isRead = true;
+              });
+          })
+          .on('complete', function() {
+            assert.strictEqual(isRead, true);
+            assert.strictEqual(data, '{"a":"b"}');
+            done();
+          })
+          .resume();
+      });
+
+      it('should respond once the request body is written', function(done) {
+        var reqOpts = { method: 'PUT', uri: 'http://fake' };
+        var isWritten = false;
+        writeFixtures([createFixture(reqOpts)]);
+
+        var stream = recorder.wrap(fakeRequest)(reqOpts);
+
+        stream
+          .on('response', function(resp) {
+            assert.strictEqual(isWritten, true);
+            assert.strictEqual(resp.statusCode, 200);
+            done();
+          })
+          .resume();
+
+        setImmediate(function() {
+          isWritten = true;
+          stream.end('data');
+        });
+      });
+
+      it('should emit an error if no response matches', function(done) {
+        writeFixtures([]);
+
+        recorder.wrap(fakeRequest)({ uri: 'http://fake' })
+          .on('error', function(err) {
+            assert(err.message.indexOf('No recorded response') > -1);
+            done();
+          })
+          .resume();
+      });
+
+      it('should not respond once aborted', function(done) {
+        writeFixtures([createFixture({ uri: 'http://fake' })]);
+
+        var stream = recorder.wrap(fakeRequest)({ uri: 'http://fake' });
+
+        stream
+          .on('response', function() {
+            done(new Error('A response should not have been emitted.'));
+          })
+          .on('end', done)
+          .resume();
+
+        stream.abort();
+      });
+    });
+  });
+});
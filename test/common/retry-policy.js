@@ -0,0 +1,222 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var extend = require('extend');
+
+var RetryPolicy = require('../../lib/common/retry-policy.js');
+
+describe('RetryPolicy', function() {
+  var retryPolicy;
+
+  var RETRY = {
+    attempt: 1,
+    delay: 0,
+    elapsed: 0,
+    err: { code: 503 },
+    idempotent: true,
+    reqOpts: {}
+  };
+
+  beforeEach(function() {
+    retryPolicy = new RetryPolicy();
+  });
+
+  describe('instantiation', function() {
+    it('should set defaults', function() {
+      assert.deepEqual(retryPolicy.codes, RetryPolicy.DEFAULT_CODES);
+      assert.deepEqual(retryPolicy.reasons, RetryPolicy.DEFAULT_REASONS);
+      assert.strictEqual(retryPolicy.initialDelay, 2000);
+      assert.strictEqual(retryPolicy.jitter, 1000);
+      assert.strictEqual(retryPolicy.maxDelay, 64000);
+      assert.strictEqual(retryPolicy.maxElapsedTime, Infinity);
+      assert.strictEqual(retryPolicy.maxRetries, 3);
+      assert.strictEqual(retryPolicy.multiplier, 2);
+      assert.strictEqual(retryPolicy.onRetry, undefined);
+      assert.strictEqual(retryPolicy.retryNonIdempotent, false);
+    });
+
+    it('should localize the options', function() {
+      var options = {
+        codes: [404],
+        reasons: ['backendError'],
+        initialDelay: 1,
+        jitter: 2,
+        maxDelay: 3,
+        maxElapsedTime: 4,
+        maxRetries: 0,
+        multiplier: 5,
+        onRetry: function() {},
+        retryNonIdempotent: true
+      };
+
+      var retryPolicy = new RetryPolicy(options);
+
+      assert.deepEqual(retryPolicy, options);
+    });
+  });
+
+  describe('fromConfig', function() {
+    it('should not retry if autoRetry is false', function() {
+      var retryPolicy = RetryPolicy.fromConfig({
+        autoRetry: false,
+        maxRetries: 10
+      });
+
+      assert.strictEqual(retryPolicy.maxRetries, 0);
+    });
+
+    it('should return a RetryPolicy instance', function() {
+      var retryPolicy = new RetryPolicy();
+
+      assert.strictEqual(RetryPolicy.fromConfig({
+        retryPolicy: retryPolicy
+      }), retryPolicy);
+    });
+
+    it('should create a RetryPolicy from options', function() {
+      var retryPolicy = RetryPolicy.fromConfig({
+        retryPolicy: {
+          codes: [404]
+        }
+      });
+
+      assert(retryPolicy instanceof RetryPolicy);
+      assert.deepEqual(retryPolicy.codes, [404]);
+    });
+
+    it('should honor maxRetries', function() {
+      var retryPolicy = RetryPolicy.fromConfig({ maxRetries: 10 });
+      assert.strictEqual(retryPolicy.maxRetries, 10);
+    });
+
+    it('should prefer the maxRetries of the retry policy', function() {
+      var retryPolicy = RetryPolicy.fromConfig({
+        maxRetries: 10,
+        retryPolicy: {
+          maxRetries: 1
+        }
+      });
+
+      assert.strictEqual(retryPolicy.maxRetries, 1);
+    });
+
+    it('should work without a config', function() {
+      assert(RetryPolicy.fromConfig() instanceof RetryPolicy);
+    });
+  });
+
+  describe('getDelay', function() {
+    beforeEach(function() {
+      retryPolicy.jitter = 0;
+    });
+
+    it('should back off exponentially', function() {
+      assert.strictEqual(retryPolicy.getDelay(1), 2000);
+      assert.strictEqual(retryPolicy.getDelay(2), 4000);
+      assert.strictEqual(retryPolicy.getDelay(3), 8000);
+    });
+
+    it('should not exceed the max delay', function() {
+      retryPolicy.maxDelay = 5000;
+      assert.strictEqual(retryPolicy.getDelay(3), 5000);
+    });
+
+    it('should add jitter', function() {
+      var random = Math.random;
+      Math.random = function() {
+        return 0.5;
+      };
+
+      retryPolicy.jitter = 1000;
+
+      try {
+        assert.strictEqual(retryPolicy.getDelay(1), 2500);
+      } finally {
+        Math.random = random;
+      }
+    });
+  });
+
+  describe('isRetryableError', function() {
+    it('should return false without an error', function() {
+      assert.strictEqual(retryPolicy.isRetryableError(null), false);
+    });
+
+    it('should return false for other errors', function() {
+      var error = { code: 404, errors: [{ reason: 'notFound' }] };
+      assert.strictEqual(retryPolicy.isRetryableError(error), false);
+    });
+
+    it('should detect the codes', function() {
+      retryPolicy.codes = [404];
+      assert.strictEqual(retryPolicy.isRetryableError({ code: 404 }), true);
+      assert.strictEqual(retryPolicy.isRetryableError({ code: 503 }), false);
+    });
+
+    it('should detect the reasons', function() {
+      retryPolicy.reasons = ['backendError'];
+
+      assert.strictEqual(retryPolicy.isRetryableError({
+        errors: [{ reason: 'backendError' }]
+      }), true);
+
+      assert.strictEqual(retryPolicy.isRetryableError({
+        errors: [{ reason: 'rateLimitExceeded' }]
+      }), false);
+    });
+  });
+
+  describe('shouldRetry', function() {
+    it('should retry retryable errors', function() {
+      assert.strictEqual(retryPolicy.shouldRetry(RETRY), true);
+    });
+
+    it('should not retry other errors', function() {
+      var retry = extend({}, RETRY, { err: { code: 404 } });
+      assert.strictEqual(retryPolicy.shouldRetry(retry), false);
+    });
+
+    it('should not retry more than maxRetries times', function() {
+      var retry = extend({}, RETRY, { attempt: 4 });
+      assert.strictEqual(retryPolicy.shouldRetry(retry), false);
+    });
+
+    it('should not retry past the max elapsed time', function() {
+      var retry = extend({}, RETRY, { delay: 600, elapsed: 500 });
+
+      retryPolicy.maxElapsedTime = 1000;
+      assert.strictEqual(retryPolicy.shouldRetry(retry), false);
+
+      retryPolicy.maxElapsedTime = 1100;
+      assert.strictEqual(retryPolicy.shouldRetry(retry), true);
+    });
+
+    it('should not retry non-idempotent requests', function() {
+      var retry = extend({}, RETRY, { idempotent: false });
+      assert.strictEqual(retryPolicy.shouldRetry(retry), false);
+    });
+
+    it('should retry non-idempotent requests if allowed', function() {
+      var retry = extend({}, RETRY, { idempotent: false });
+
+      retryPolicy.retryNonIdempotent = true;
+      assert.strictEqual(retryPolicy.shouldRetry(retry), true);
+    });
+  });
+});
@@ -87,6 +87,18 @@ describe('ServiceObject', function() {
       assert.strictEqual(typeof serviceObject.create, 'function');
       assert.strictEqual(serviceObject.delete, undefined);
     });
+
+    it('should keep the private methods', function() {
+      var config = extend({}, CONFIG, {
+        methods: {
+          create: true
+        }
+      });
+
+      var serviceObject = new ServiceObject(config);
+
+      assert.strictEqual(typeof serviceObject.updateMetadata_, 'function');
+    });
   });
 
   describe('create', function() {
@@ -106,6 +118,19 @@ describe('ServiceObject', function() {
       serviceObject.create(options, done);
     });
 
+    it('should return the value of createMethod', function() {
+      var request = {};
+
+      var config = extend({}, CONFIG, {
+        createMethod: function() {
+          return request;
+        }
+      });
+
+      var serviceObject = new ServiceObject(config);
+      assert.strictEqual(serviceObject.create(util.noop), request);
+    });
+
     it('should not require options', function(done) {
       var config = extend({}, CONFIG, {
         createMethod: createMethod
@@ -183,6 +208,7 @@ describe('ServiceObject', function() {
       serviceObject.create(options, function(err, instance_) {
         assert.ifError(err);
         assert.strictEqual(instance_.metadata, instance.metadata);
+        assert.strictEqual(typeof serviceObject.metadataUpdated_, 'number');
         done();
       });
     });
@@ -254,6 +280,48 @@ describe('ServiceObject', function() {
       });
     });
 
+    it('should add the preconditions', function(done) {
+      var options = { ifMatch: 'etag' };
+
+      serviceObject.addPreconditions_ = function(reqOpts, options_) {
+        assert.strictEqual(reqOpts.method, 'DELETE');
+        assert.strictEqual(options_, options);
+        reqOpts.added = true;
+      };
+
+      ServiceObject.prototype.request = function(reqOpts) {
+        assert.strictEqual(reqOpts.added, true);
+        done();
+      };
+
+      serviceObject.delete(options, assert.ifError);
+    });
+
+    it('should not change the default request options', function() {
+      var method = {
+        reqOpts: {
+          qs: {}
+        }
+      };
+
+      ServiceObject.prototype.request = util.noop;
+
+      serviceObject.methods.delete = method;
+      serviceObject.delete({ ifMetagenerationMatch: 1 }, assert.ifError);
+
+      assert.deepEqual(method.reqOpts.qs, {});
+    });
+
+    it('should return the request', function() {
+      var request = {};
+
+      ServiceObject.prototype.request = function() {
+        return request;
+      };
+
+      assert.strictEqual(serviceObject.delete(util.noop), request);
+    });
+
     it('should execute callback with correct arguments', function(done) {
       var error = new Error('Error.');
       var apiResponse = {};
@@ -421,6 +489,18 @@ describe('ServiceObject', function() {
       serviceObject.getMetadata();
     });
 
+    it('should return the request', function() {
+      var request = {};
+
+      ServiceObject.prototype.request = function() {
+        return request;
+      };
+
+      assert.strictEqual(serviceObject.getMetadata(util.noop), request);
+      assert.strictEqual(serviceObject.get(util.noop), request);
+      assert.strictEqual(serviceObject.exists(util.noop), request);
+    });
+
     it('should extend the request options with defaults', function(done) {
       var method = {
         reqOpts: {
@@ -488,6 +568,120 @@ describe('ServiceObject', function() {
     });
   });
 
+  describe('getMetadata with maxAge', function() {
+    var METADATA = { etag: 'etag' };
+
+    beforeEach(function() {
+      serviceObject.updateMetadata_(METADATA);
+    });
+
+    it('should use recent metadata', function(done) {
+      ServiceObject.prototype.request = function() {
+        throw new Error('A request should not have been made.');
+      };
+
+      serviceObject.getMetadata({ maxAge: 60000 }, function(err, metadata,
+          apiResponse) {
+        assert.ifError(err);
+        assert.strictEqual(metadata, METADATA);
+        assert.strictEqual(apiResponse, null);
+        done();
+      });
+    });
+
+    it('should allow the cached metadata to be aborted', function(done) {
+      var request = serviceObject.getMetadata({ maxAge: 60000 }, function(err) {
+        assert.strictEqual(err.name, 'CancellationError');
+        setImmediate(done);
+      });
+
+      request.abort();
+    });
+
+    it('should not abort metadata that was delivered', function(done) {
+      var numCalls = 0;
+
+      var request = serviceObject.getMetadata({ maxAge: 60000 }, function(err) {
+        assert.ifError(err);
+        numCalls++;
+
+        request.abort();
+
+        setImmediate(function() {
+          assert.strictEqual(numCalls, 1);
+          done();
+        });
+      });
+    });
+
+    it('should not use metadata that was never requested', function(done) {
+      var serviceObject = new ServiceObject(CONFIG);
+
+      ServiceObject.prototype.request = function() {
+        done();
+      };
+
+      serviceObject.getMetadata({ maxAge: 60000 }, assert.ifError);
+    });
+
+    it('should revalidate old metadata', function(done) {
+      serviceObject.metadataUpdated_ = Date.now() - 2000;
+
+      ServiceObject.prototype.request = function(reqOpts) {
+        assert.strictEqual(reqOpts.headers['If-None-Match'], 'etag');
+        done();
+      };
+
+      serviceObject.getMetadata({ maxAge: 1000 }, assert.ifError);
+    });
+
+    it('should use old metadata that did not change', function(done) {
+      var updated = Date.now() - 2000;
+      serviceObject.metadataUpdated_ = updated;
+
+      ServiceObject.prototype.request = function(reqOpts, callback) {
+        callback(util.ApiError({ code: 304 }));
+      };
+
+      serviceObject.getMetadata({ maxAge: 1000 }, function(err, metadata,
+          apiResponse) {
+        assert.ifError(err);
+        assert.strictEqual(metadata, METADATA);
+        assert.strictEqual(apiResponse, null);
+        assert(serviceObject.metadataUpdated_ > updated);
+        done();
+      });
+    });
+
+    it('should update metadata that changed', function(done) {
+      var apiResponse = { etag: 'new-etag' };
+
+      serviceObject.metadataUpdated_ = Date.now() - 2000;
+
+      ServiceObject.prototype.request = function(reqOpts, callback) {
+        callback(null, apiResponse);
+      };
+
+      serviceObject.getMetadata({ maxAge: 1000 }, function(err, metadata) {
+        assert.ifError(err);
+        assert.strictEqual(metadata, apiResponse);
+        done();
+      });
+    });
+
+    it('should not revalidate without an ETag', function(done) {
+      serviceObject.updateMetadata_({});
+      serviceObject.metadataUpdated_ = Date.now() - 2000;
+
+      ServiceObject.prototype.request = function(reqOpts) {
+        assert.strictEqual(reqOpts.headers, undefined);
+        done();
+      };
+
+      serviceObject.getMetadata({ maxAge: 1000 }, assert.ifError);
+    });
+  });
+
   describe('setMetadata', function() {
     it('should make the correct request', function(done) {
       var metadata = {};
@@ -503,6 +697,16 @@ describe('ServiceObject', function() {
       serviceObject.setMetadata(metadata);
     });
 
+    it('should return the request', function() {
+      var request = {};
+
+      ServiceObject.prototype.request = function() {
+        return request;
+      };
+
+      assert.strictEqual(serviceObject.setMetadata({}, util.noop), request);
+    });
+
     it('should extend the request options with defaults', function(done) {
       var metadataDefault = {
         a: 'b'
@@ -565,6 +769,23 @@ describe('ServiceObject', function() {
       });
     });
 
+    it('should add the preconditions', function(done) {
+      var options = { ifMatch: 'etag' };
+
+      serviceObject.addPreconditions_ = function(reqOpts, options_) {
+        assert.strictEqual(reqOpts.method, 'PATCH');
+        assert.strictEqual(options_, options);
+        reqOpts.added = true;
+      };
+
+      ServiceObject.prototype.request = function(reqOpts) {
+        assert.strictEqual(reqOpts.added, true);
+        done();
+      };
+
+      serviceObject.setMetadata({}, options, assert.ifError);
+    });
+
     it('should execute callback with metadata & API response', function(done) {
       var apiResponse = {};
 
@@ -580,6 +801,65 @@ describe('ServiceObject', function() {
     });
   });
 
+  describe('addPreconditions_', function() {
+    var reqOpts;
+
+    beforeEach(function() {
+      reqOpts = {};
+      serviceObject.metadata = {
+        etag: 'etag',
+        metageneration: '2'
+      };
+    });
+
+    it('should not add preconditions by default', function() {
+      serviceObject.addPreconditions_(reqOpts, {});
+      assert.deepEqual(reqOpts, {});
+    });
+
+    it('should add an If-Match header', function() {
+      serviceObject.addPreconditions_(reqOpts, { ifMatch: 'other-etag' });
+      assert.deepEqual(reqOpts.headers, { 'If-Match': 'other-etag' });
+    });
+
+    it('should use the ETag from the metadata', function() {
+      serviceObject.addPreconditions_(reqOpts, { ifMatch: true });
+      assert.deepEqual(reqOpts.headers, { 'If-Match': 'etag' });
+    });
+
+    it('should add an If-None-Match header', function() {
+      reqOpts.headers = { a: 'b' };
+
+      serviceObject.addPreconditions_(reqOpts, { ifNoneMatch: '*' });
+
+      assert.deepEqual(reqOpts.headers, {
+        a: 'b',
+        'If-None-Match': '*'
+      });
+    });
+
+    it('should add a metageneration precondition', function() {
+      serviceObject.addPreconditions_(reqOpts, { ifMetagenerationMatch: 3 });
+      assert.deepEqual(reqOpts.qs, { ifMetagenerationMatch: 3 });
+    });
+
+    it('should use the metageneration from the metadata', function() {
+      serviceObject.addPreconditions_(reqOpts, {
+        ifMetagenerationMatch: true
+      });
+
+      assert.deepEqual(reqOpts.qs, { ifMetagenerationMatch: '2' });
+    });
+
+    it('should throw if the metadata is missing a value', function() {
+      serviceObject.metadata = {};
+
+      assert.throws(function() {
+        serviceObject.addPreconditions_(reqOpts, { ifMatch: true });
+      }, /The etag is not known. Get the metadata first/);
+    });
+  });
+
   describe('request', function() {
     var reqOpts;
 
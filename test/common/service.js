@@ -20,6 +20,8 @@ var assert = require('assert');
 var extend = require('extend');
 var mockery = require('mockery');
 
+var RateLimiter = require('../../lib/common/rate-limiter.js');
+var Transport = require('../../lib/common/transport.js');
 var util = require('../../lib/common/util.js');
 
 var makeAuthenticatedRequestFactoryCache = util.makeAuthenticatedRequestFactory;
@@ -32,6 +34,20 @@ util.makeAuthenticatedRequestFactory = function() {
   return makeAuthenticatedRequestFactoryCache.apply(this, arguments);
 };
 
+var activeBatch;
+
+function FakeBatch() {
+  this.calledWith_ = arguments;
+}
+
+FakeBatch.getActive = function() {
+  return activeBatch;
+};
+
+FakeBatch.prototype.run = function() {
+  this.runCalledWith_ = arguments;
+};
+
 describe('Service', function() {
   var Service;
   var service;
@@ -39,6 +55,7 @@ describe('Service', function() {
   var CONFIG = {
     scopes: [],
     baseUrl: 'base-url',
+    batchUrl: 'batch-url',
     projectIdRequired: false
   };
 
@@ -47,9 +64,22 @@ describe('Service', function() {
     keyFile: {},
     email: 'email',
     projectId: 'project-id',
+    autoRetry: true,
+    maxRetries: 5,
+    retryPolicy: {},
+    timeout: 1000,
+    debug: true,
+    fixtures: { mode: 'record', path: 'fixtures.json' },
+    rateLimit: { requestsPerSecond: 10 },
+    keepAlive: true,
+    telemetry_: {},
+    tracing: {}
   };
 
   before(function() {
+    mockery.registerMock('./batch.js', FakeBatch);
+    mockery.registerMock('./rate-limiter.js', RateLimiter);
+    mockery.registerMock('./transport.js', Transport);
     mockery.registerMock('./util.js', util);
 
     mockery.enable({
@@ -67,6 +97,7 @@ describe('Service', function() {
 
   beforeEach(function() {
     makeAuthenticatedRequestFactoryOverride = null;
+    activeBatch = null;
     service = new Service(CONFIG, OPTIONS);
   });
 
@@ -75,10 +106,21 @@ describe('Service', function() {
       var authenticatedRequest = {};
 
       makeAuthenticatedRequestFactoryOverride = function(config) {
+        assert.strictEqual(config.customEndpoint, false);
         assert.strictEqual(config.scopes, CONFIG.scopes);
         assert.strictEqual(config.credentials, OPTIONS.credentials);
         assert.strictEqual(config.keyFile, OPTIONS.keyFilename);
         assert.strictEqual(config.email, OPTIONS.email);
+        assert.strictEqual(config.autoRetry, OPTIONS.autoRetry);
+        assert.strictEqual(config.maxRetries, OPTIONS.maxRetries);
+        assert.strictEqual(config.retryPolicy, OPTIONS.retryPolicy);
+        assert.strictEqual(config.timeout, OPTIONS.timeout);
+        assert.strictEqual(config.debug, OPTIONS.debug);
+        assert.strictEqual(config.fixtures, OPTIONS.fixtures);
+        assert(config.rateLimit instanceof RateLimiter);
+        assert(config.transport instanceof Transport);
+        assert.strictEqual(config.telemetry, OPTIONS.telemetry_);
+        assert.strictEqual(config.tracing, OPTIONS.tracing);
 
         return authenticatedRequest;
       };
@@ -100,10 +142,106 @@ describe('Service', function() {
       assert.strictEqual(service.authClient, authClient);
     });
 
+    it('should share a rate limiter with other instances', function() {
+      var service = new Service(CONFIG, OPTIONS);
+      var otherService = new Service(CONFIG, OPTIONS);
+
+      assert(service.rateLimiter instanceof RateLimiter);
+      assert.strictEqual(service.rateLimiter, otherService.rateLimiter);
+    });
+
+    it('should not limit the rate by default', function() {
+      var options = extend({}, OPTIONS, { rateLimit: null });
+      var service = new Service(CONFIG, options);
+
+      assert.strictEqual(service.rateLimiter, null);
+    });
+
+    it('should share a transport with other instances', function() {
+      var service = new Service(CONFIG, OPTIONS);
+      var otherService = new Service(CONFIG, OPTIONS);
+
+      assert(service.transport instanceof Transport);
+      assert.strictEqual(service.transport.keepAlive, true);
+      assert.strictEqual(service.transport, otherService.transport);
+    });
+
+    it('should not use a transport by default', function() {
+      var options = extend({}, OPTIONS);
+      delete options.keepAlive;
+
+      var service = new Service(CONFIG, options);
+      assert.strictEqual(service.transport, null);
+    });
+
     it('should localize the baseUrl', function() {
       assert.strictEqual(service.baseUrl, CONFIG.baseUrl);
     });
 
+    it('should localize the batchUrl', function() {
+      assert.strictEqual(service.batchUrl, CONFIG.batchUrl);
+    });
+
+    describe('apiEndpoint', function() {
+      var config = extend({}, CONFIG, {
+        baseUrl: 'https://www.googleapis.com/storage/v1',
+        batchUrl: 'https://www.googleapis.com/batch/storage/v1'
+      });
+
+      var options = extend({}, OPTIONS, {
+        apiEndpoint: 'localhost:8080/'
+      });
+
+      it('should not use a custom endpoint by default', function() {
+        assert.strictEqual(service.apiEndpoint, null);
+      });
+
+      it('should localize the normalized apiEndpoint', function() {
+        var service = new Service(config, options);
+        assert.strictEqual(service.apiEndpoint, 'http://localhost:8080');
+      });
+
+      it('should point the baseUrl and batchUrl at it', function() {
+        var service = new Service(config, options);
+
+        assert.strictEqual(service.baseUrl, 'http://localhost:8080/storage/v1');
+        assert.strictEqual(
+          service.batchUrl,
+          'http://localhost:8080/batch/storage/v1'
+        );
+      });
+
+      it('should not authenticate requests to it', function(done) {
+        makeAuthenticatedRequestFactoryOverride = function(config) {
+          assert.strictEqual(config.customEndpoint, true);
+          done();
+          return {};
+        };
+
+        new Service(config, options);
+      });
+
+      it('should authenticate requests if told to', function(done) {
+        makeAuthenticatedRequestFactoryOverride = function(config) {
+          assert.strictEqual(config.customEndpoint, false);
+          done();
+          return {};
+        };
+
+        new Service(config, extend({}, options, { authenticate: true }));
+      });
+
+      it('should allow unauthenticated requests to the API', function(done) {
+        makeAuthenticatedRequestFactoryOverride = function(config) {
+          assert.strictEqual(config.customEndpoint, true);
+          done();
+          return {};
+        };
+
+        new Service(config, extend({}, OPTIONS, { authenticate: false }));
+      });
+    });
+
     it('should localize the getCredentials method', function() {
       function getCredentials() {}
 
@@ -118,6 +256,26 @@ describe('Service', function() {
       assert.strictEqual(service.getCredentials, getCredentials);
     });
 
+    it('should localize the credential helpers', function() {
+      function getAccessToken() {}
+      function getIdentity() {}
+      function signBlob() {}
+
+      makeAuthenticatedRequestFactoryOverride = function() {
+        return {
+          authClient: {},
+          getAccessToken: getAccessToken,
+          getIdentity: getIdentity,
+          signBlob: signBlob
+        };
+      };
+
+      var service = new Service(CONFIG, OPTIONS);
+      assert.strictEqual(service.getAccessToken, getAccessToken);
+      assert.strictEqual(service.getIdentity, getIdentity);
+      assert.strictEqual(service.signBlob, signBlob);
+    });
+
     it('should default globalInterceptors to an empty array', function() {
       assert.deepEqual(service.globalInterceptors, []);
     });
@@ -150,6 +308,72 @@ describe('Service', function() {
     });
   });
 
+  describe('batch', function() {
+    it('should throw if batching is not supported', function() {
+      var service = new Service({}, OPTIONS);
+
+      assert.throws(function() {
+        service.batch(util.noop);
+      }, /This API does not support batch requests/);
+    });
+
+    it('should run a batch of requests to the service', function() {
+      function collect() {}
+      function callback() {}
+
+      var run = FakeBatch.prototype.run;
+
+      FakeBatch.prototype.run = function(collect_, callback_) {
+        FakeBatch.prototype.run = run;
+
+        assert.strictEqual(this.calledWith_[0], service);
+        assert.strictEqual(collect_, collect);
+        assert.strictEqual(callback_, callback);
+      };
+
+      service.batch(collect, callback);
+    });
+  });
+
+  describe('project', function() {
+    it('should throw if a project ID is not provided', function() {
+      assert.throws(function() {
+        service.project();
+      }, /Sorry, we cannot connect/);
+    });
+
+    it('should return a handle for the project', function() {
+      var handle = service.project('other-project');
+
+      assert(handle instanceof Service);
+      assert.strictEqual(handle.projectId, 'other-project');
+      assert.strictEqual(service.projectId, OPTIONS.projectId);
+    });
+
+    it('should share the requests of the service', function() {
+      var handle = service.project('other-project');
+
+      assert.strictEqual(
+        handle.makeAuthenticatedRequest,
+        service.makeAuthenticatedRequest
+      );
+      assert.strictEqual(handle.rateLimiter, service.rateLimiter);
+      assert.strictEqual(handle.interceptors, service.interceptors);
+    });
+
+    it('should make requests to the project', function(done) {
+      var service = new Service({ baseUrl: 'base-url' }, OPTIONS);
+      var handle = service.project('other-project');
+
+      handle.makeAuthenticatedRequest = function(reqOpts) {
+        assert.strictEqual(reqOpts.uri, 'base-url/projects/other-project/uri');
+        done();
+      };
+
+      handle.request({ uri: 'uri' }, assert.ifError);
+    });
+  });
+
   describe('request', function() {
     var reqOpts;
 
@@ -259,6 +483,49 @@ describe('Service', function() {
       });
     });
 
+    describe('batching', function() {
+      it('should add the request to the active batch', function(done) {
+        var handle = {};
+
+        activeBatch = {
+          accepts: function(service_, reqOpts_, callback) {
+            assert.strictEqual(service_, service);
+            assert.strictEqual(reqOpts_, reqOpts);
+            assert.strictEqual(callback, done);
+            return true;
+          },
+          add: function(service_, reqOpts_, callback) {
+            assert.strictEqual(service_, service);
+            assert.strictEqual(reqOpts_, reqOpts);
+            assert.strictEqual(callback, done);
+            return handle;
+          }
+        };
+
+        service.makeAuthenticatedRequest = function() {
+          throw new Error('The request should have been batched.');
+        };
+
+        assert.strictEqual(service.request(reqOpts, done), handle);
+        done();
+      });
+
+      it('should make requests the batch does not accept', function(done) {
+        activeBatch = {
+          accepts: function() {
+            return false;
+          }
+        };
+
+        service.makeAuthenticatedRequest = function(reqOpts_) {
+          assert.strictEqual(reqOpts_, reqOpts);
+          done();
+        };
+
+        service.request(reqOpts, assert.ifError);
+      });
+    });
+
     describe('request interceptors', function() {
       it('should call the request interceptors in order', function(done) {
         var reqOpts = {
@@ -315,8 +582,14 @@ describe('Service', function() {
         });
 
         service.makeAuthenticatedRequest = function(reqOpts) {
-          assert.strictEqual(reqOpts.order, '123456');
-          done();
+          var interceptors = reqOpts.interceptors_;
+
+          util.execInterceptors('request', interceptors, reqOpts, function(err,
+              reqOpts) {
+            assert.ifError(err);
+            assert.strictEqual(reqOpts.order, '123456');
+            done();
+          });
         };
 
         service.request(reqOpts, assert.ifError);
@@ -357,7 +630,10 @@ describe('Service', function() {
           }
         });
 
-        service.makeAuthenticatedRequest = util.noop;
+        service.makeAuthenticatedRequest = function(reqOpts) {
+          var interceptors = reqOpts.interceptors_;
+          util.execInterceptors('request', interceptors, reqOpts, util.noop);
+        };
 
         service.request({ uri: '' }, assert.ifError);
       });
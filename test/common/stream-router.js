@@ -142,6 +142,7 @@ describe('streamRouter', function() {
       assert.strictEqual(parsedArguments.callback, undefined);
       assert.strictEqual(parsedArguments.maxResults, -1);
       assert.strictEqual(parsedArguments.autoPaginate, true);
+      assert.strictEqual(parsedArguments.prefetchPages, 0);
     });
 
     it('should detect a callback if first argument is a function', function() {
@@ -220,6 +221,29 @@ describe('streamRouter', function() {
 
       assert.strictEqual(parsedArguments.autoPaginate, false);
     });
+
+    it('should set prefetchPages from query.prefetchPages', function() {
+      var args = [ { a: 'b', prefetchPages: 2 } ];
+      var parsedArguments = streamRouter.parseArguments_(args);
+
+      assert.strictEqual(parsedArguments.prefetchPages, 2);
+    });
+
+    it('should not send prefetchPages to the API', function() {
+      var args = [ { a: 'b', prefetchPages: 2 } ];
+      var parsedArguments = streamRouter.parseArguments_(args);
+
+      assert.deepEqual(parsedArguments.query, { a: 'b' });
+      assert.strictEqual(args[0].prefetchPages, 2);
+    });
+
+    it('should set prefetchPages from query.prefetchPagesVal', function() {
+      var args = [ { prefetchPagesVal: 2 } ];
+      var parsedArguments = streamRouter.parseArguments_(args);
+
+      assert.strictEqual(parsedArguments.prefetchPages, 2);
+      assert.strictEqual(parsedArguments.query, args[0]);
+    });
   });
 
   describe('router_', function() {
@@ -293,6 +317,25 @@ describe('streamRouter', function() {
 
           streamRouter.router_(parsedArguments, util.noop);
         });
+
+        it('should return a handle to abort the requests', function(done) {
+          var stream = through();
+
+          var parsedArguments = {
+            autoPaginate: true,
+            callback: function(err) {
+              assert.strictEqual(err.name, 'CancellationError');
+            }
+          };
+
+          stream.abort = done;
+
+          streamRouterOverrides.runAsStream_ = function() {
+            return stream;
+          };
+
+          streamRouter.router_(parsedArguments, util.noop).abort();
+        });
       });
 
       describe('manual pagination', function() {
@@ -312,6 +355,21 @@ describe('streamRouter', function() {
             callback();
           });
         });
+
+        it('should return the value of the original method', function() {
+          var request = {};
+
+          var parsedArguments = {
+            autoPaginate: false,
+            callback: util.noop
+          };
+
+          var returnValue = streamRouter.router_(parsedArguments, function() {
+            return request;
+          });
+
+          assert.strictEqual(returnValue, request);
+        });
       });
     });
 
@@ -466,6 +524,40 @@ describe('streamRouter', function() {
         });
       });
 
+      it('should abort the active request', function(done) {
+        function originalMethod() {
+          return { abort: done };
+        }
+
+        var rs = streamRouter.runAsStream_(PARSED_ARGUMENTS, originalMethod);
+        rs.on('data', util.noop); // Trigger the underlying `_read` event.
+
+        setImmediate(function() {
+          rs.abort();
+        });
+      });
+
+      it('should ignore results after it is aborted', function(done) {
+        var callback;
+
+        function originalMethod(query, callback_) {
+          callback = callback_;
+        }
+
+        var rs = streamRouter.runAsStream_(PARSED_ARGUMENTS, originalMethod);
+        rs.on('data', function() {
+          done(new Error('No results should have been pushed.'));
+        });
+        rs.on('end', function() {
+          callback(null, ['a', 'b', 'c']);
+          done();
+        });
+
+        setImmediate(function() {
+          rs.abort();
+        });
+      });
+
       it('should not get more results if stream ends early', function(done) {
         var results = ['a', 'b', 'c'];
 
@@ -492,5 +584,543 @@ describe('streamRouter', function() {
         });
       });
     });
+
+    describe('prefetchPages', function() {
+      var parsedArguments = {
+        query: {},
+        maxResults: -1,
+        prefetchPages: 2
+      };
+
+      it('should stop reading ahead if the stream ends early', function(done) {
+        var numRequests = 0;
+        var aborted = false;
+
+        function originalMethod(query, callback) {
+          numRequests++;
+
+          if (numRequests > 1) {
+            return {
+              abort: function() {
+                aborted = true;
+              }
+            };
+          }
+
+          setImmediate(function() {
+            callback(null, ['a', 'b'], {});
+          });
+        }
+
+        var rs = streamRouter.runAsStream_(parsedArguments, originalMethod);
+        rs.on('data', function() {
+          this.end();
+        });
+        rs.on('end', function() {
+          setImmediate(function() {
+            assert.strictEqual(numRequests, 2);
+            assert.strictEqual(aborted, true);
+            done();
+          });
+        });
+      });
+
+      it('should not request pages while the buffer is full', function(done) {
+        var numRequests = 0;
+
+        function originalMethod(query, callback) {
+          numRequests++;
+
+          var results = [];
+          for (var i = 0; i < 20; i++) {
+            results.push(i);
+          }
+
+          setImmediate(function() {
+            callback(null, results, {});
+          });
+        }
+
+        var rs = streamRouter.runAsStream_(parsedArguments, originalMethod);
+        rs.once('readable', util.noop); // Start reading without consuming.
+
+        setTimeout(function() {
+          // The first page filled the buffer. The page read ahead was
+          // requested, but no more.
+          assert.strictEqual(numRequests, 3);
+          rs.abort();
+          done();
+        }, 50);
+      });
+    });
+
+    it('should be an async iterable', function(done) {
+      var rs = streamRouter.runAsStream_({ query: {} }, function(q, callback) {
+        callback(null, ['a'], null);
+      });
+
+      rs[Symbol.asyncIterator]().next().then(function(result) {
+        assert.deepEqual(result, { done: false, value: 'a' });
+        done();
+      }, done);
+    });
+
+    it('should return a page iterator', function(done) {
+      var rs = streamRouter.runAsStream_({ query: {} }, function(q, callback) {
+        callback(null, ['a'], null);
+      });
+
+      rs.pages().next().then(function(page) {
+        assert.deepEqual(page.value.results, ['a']);
+        done();
+      }, done);
+    });
+  });
+
+  describe('runAsIterator_', function() {
+    var PARSED_ARGUMENTS = {
+      query: { a: 'b' },
+      maxResults: -1
+    };
+
+    function collect(iterator, results, callback) {
+      iterator.next().then(function(result) {
+        if (result.done) {
+          callback(null, results);
+          return;
+        }
+
+        results.push(result.value);
+        collect(iterator, results, callback);
+      }, callback);
+    }
+
+    it('should yield every result from every page', function(done) {
+      var pages = [['a', 'b'], [], ['c']];
+      var numRequests = 0;
+
+      function originalMethod(query, callback) {
+        var nextQuery = numRequests < pages.length - 1 ? {} : null;
+
+        setImmediate(function() {
+          callback(null, pages[numRequests++], nextQuery);
+        });
+      }
+
+      var iterator =
+        streamRouter.runAsIterator_(PARSED_ARGUMENTS, originalMethod);
+
+      collect(iterator, [], function(err, results) {
+        assert.ifError(err);
+        assert.deepEqual(results, ['a', 'b', 'c']);
+        done();
+      });
+    });
+
+    it('should not request a page before it is needed', function(done) {
+      var numRequests = 0;
+
+      function originalMethod(query, callback) {
+        numRequests++;
+        callback(null, ['a', 'b'], {});
+      }
+
+      var iterator =
+        streamRouter.runAsIterator_(PARSED_ARGUMENTS, originalMethod);
+
+      iterator.next()
+        .then(function() {
+          return iterator.next();
+        })
+        .then(function() {
+          assert.strictEqual(numRequests, 1);
+          return iterator.next();
+        })
+        .then(function() {
+          assert.strictEqual(numRequests, 2);
+          done();
+        })
+        .then(null, done);
+    });
+
+    it('should yield results in order to concurrent calls', function(done) {
+      function originalMethod(query, callback) {
+        setImmediate(function() {
+          callback(null, ['a', 'b']);
+        });
+      }
+
+      var iterator =
+        streamRouter.runAsIterator_(PARSED_ARGUMENTS, originalMethod);
+
+      Promise.all([iterator.next(), iterator.next(), iterator.next()])
+        .then(function(results) {
+          assert.deepEqual(results, [
+            { done: false, value: 'a' },
+            { done: false, value: 'b' },
+            { done: true, value: undefined }
+          ]);
+          done();
+        })
+        .then(null, done);
+    });
+
+    it('should reject with an error', function(done) {
+      var error = new Error('Error.');
+
+      function originalMethod(query, callback) {
+        callback(error);
+      }
+
+      var iterator =
+        streamRouter.runAsIterator_(PARSED_ARGUMENTS, originalMethod);
+
+      iterator.next().then(function() {
+        done(new Error('The iterator should have rejected.'));
+      }, function(err) {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+
+    it('should not make requests after it returns', function(done) {
+      var numRequests = 0;
+
+      function originalMethod(query, callback) {
+        numRequests++;
+        callback(null, ['a', 'b'], {});
+      }
+
+      var iterator =
+        streamRouter.runAsIterator_(PARSED_ARGUMENTS, originalMethod);
+
+      iterator.next()
+        .then(function() {
+          return iterator.return();
+        })
+        .then(function(result) {
+          assert.deepEqual(result, { done: true, value: undefined });
+          return iterator.next();
+        })
+        .then(function(result) {
+          assert.strictEqual(result.done, true);
+          assert.strictEqual(numRequests, 1);
+          done();
+        })
+        .then(null, done);
+    });
+
+    it('should be iterable', function() {
+      var iterator = streamRouter.runAsIterator_(PARSED_ARGUMENTS, util.noop);
+      assert.strictEqual(iterator[Symbol.asyncIterator](), iterator);
+    });
+  });
+
+  describe('runAsPageIterator_', function() {
+    var PARSED_ARGUMENTS = {
+      query: { a: 'b' },
+      maxResults: -1
+    };
+
+    it('should call the original method with the query', function(done) {
+      function originalMethod(query) {
+        assert.strictEqual(query, PARSED_ARGUMENTS.query);
+        done();
+      }
+
+      var iterator =
+        streamRouter.runAsPageIterator_(PARSED_ARGUMENTS, originalMethod);
+
+      iterator.next();
+    });
+
+    it('should yield each page', function(done) {
+      var nextQuery = { pageToken: 'token' };
+      var apiResponse = {};
+
+      function originalMethod(query, callback) {
+        if (query === nextQuery) {
+          callback(null, ['b'], null, apiResponse);
+          return;
+        }
+
+        callback(null, ['a'], nextQuery, apiResponse);
+      }
+
+      var iterator =
+        streamRouter.runAsPageIterator_(PARSED_ARGUMENTS, originalMethod);
+
+      iterator.next()
+        .then(function(page) {
+          assert.deepEqual(page, {
+            done: false,
+            value: {
+              results: ['a'],
+              nextQuery: nextQuery,
+              apiResponse: apiResponse
+            }
+          });
+
+          return iterator.next();
+        })
+        .then(function(page) {
+          assert.deepEqual(page.value.results, ['b']);
+          return iterator.next();
+        })
+        .then(function(page) {
+          assert.deepEqual(page, { done: true, value: undefined });
+          done();
+        })
+        .then(null, done);
+    });
+
+    it('should respect maxResults', function(done) {
+      var numRequests = 0;
+
+      function originalMethod(query, callback) {
+        numRequests++;
+        callback(null, [1, 2, 3], {});
+      }
+
+      var parsedArguments = { query: {}, maxResults: 2 };
+      var iterator =
+        streamRouter.runAsPageIterator_(parsedArguments, originalMethod);
+
+      iterator.next()
+        .then(function(page) {
+          assert.deepEqual(page.value.results, [1, 2]);
+          return iterator.next();
+        })
+        .then(function(page) {
+          assert.strictEqual(page.done, true);
+          assert.strictEqual(numRequests, 1);
+          done();
+        })
+        .then(null, done);
+    });
+
+    it('should abort the active request when it returns', function(done) {
+      var callback;
+
+      function originalMethod(query, callback_) {
+        callback = callback_;
+
+        return {
+          abort: function() {
+            callback(new Error('The request was cancelled.'));
+          }
+        };
+      }
+
+      var iterator =
+        streamRouter.runAsPageIterator_(PARSED_ARGUMENTS, originalMethod);
+
+      iterator.next()
+        .then(function(page) {
+          assert.deepEqual(page, { done: true, value: undefined });
+          done();
+        })
+        .then(null, done);
+
+      iterator.return();
+    });
+
+    it('should not abort a completed request', function(done) {
+      function originalMethod(query, callback) {
+        callback(null, [], null);
+
+        return {
+          abort: function() {
+            done(new Error('A completed request should not be aborted.'));
+          }
+        };
+      }
+
+      var iterator =
+        streamRouter.runAsPageIterator_(PARSED_ARGUMENTS, originalMethod);
+
+      iterator.next()
+        .then(function() {
+          return iterator.return();
+        })
+        .then(function() {
+          done();
+        })
+        .then(null, done);
+    });
+
+    describe('prefetchPages', function() {
+      var parsedArguments = {
+        query: {},
+        maxResults: -1,
+        prefetchPages: 2
+      };
+
+      it('should request pages ahead of the consumer', function(done) {
+        var queries = [];
+
+        function originalMethod(query, callback) {
+          queries.push(query);
+
+          setImmediate(function() {
+            callback(null, [queries.length], { page: queries.length + 1 });
+          });
+        }
+
+        var iterator =
+          streamRouter.runAsPageIterator_(parsedArguments, originalMethod);
+
+        iterator.next()
+          .then(function(page) {
+            assert.deepEqual(page.value.results, [1]);
+
+            return new Promise(function(resolve) {
+              setTimeout(resolve, 10);
+            });
+          })
+          .then(function() {
+            // Each request is made with the query from the page before it.
+            assert.deepEqual(queries, [{}, { page: 2 }, { page: 3 }]);
+            return iterator.next();
+          })
+          .then(function(page) {
+            assert.deepEqual(page.value.results, [2]);
+            return iterator.return();
+          })
+          .then(function() {
+            done();
+          })
+          .then(null, done);
+      });
+
+      it('should only make one request at a time', function(done) {
+        var inFlight = 0;
+        var maxInFlight = 0;
+
+        function originalMethod(query, callback) {
+          inFlight++;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+
+          setImmediate(function() {
+            inFlight--;
+            callback(null, [1], {});
+          });
+        }
+
+        var iterator =
+          streamRouter.runAsPageIterator_(parsedArguments, originalMethod);
+
+        iterator.next()
+          .then(function() {
+            return iterator.next();
+          })
+          .then(function() {
+            return iterator.next();
+          })
+          .then(function() {
+            assert.strictEqual(maxInFlight, 1);
+            return iterator.return();
+          })
+          .then(function() {
+            done();
+          })
+          .then(null, done);
+      });
+
+      it('should respect maxResults', function(done) {
+        var numRequests = 0;
+
+        function originalMethod(query, callback) {
+          numRequests++;
+          callback(null, [1, 2, 3], {});
+        }
+
+        var iterator = streamRouter.runAsPageIterator_({
+          query: {},
+          maxResults: 4,
+          prefetchPages: 5
+        }, originalMethod);
+
+        iterator.next()
+          .then(function(page) {
+            assert.deepEqual(page.value.results, [1, 2, 3]);
+            return iterator.next();
+          })
+          .then(function(page) {
+            assert.deepEqual(page.value.results, [1]);
+            return iterator.next();
+          })
+          .then(function(page) {
+            assert.strictEqual(page.done, true);
+            assert.strictEqual(numRequests, 2);
+            done();
+          })
+          .then(null, done);
+      });
+
+      it('should yield buffered pages before an error', function(done) {
+        var error = new Error('Error.');
+        var numRequests = 0;
+
+        function originalMethod(query, callback) {
+          numRequests++;
+
+          if (numRequests === 3) {
+            callback(error);
+            return;
+          }
+
+          callback(null, [numRequests], {});
+        }
+
+        var iterator =
+          streamRouter.runAsPageIterator_(parsedArguments, originalMethod);
+
+        iterator.next()
+          .then(function(page) {
+            assert.deepEqual(page.value.results, [1]);
+            return iterator.next();
+          })
+          .then(function(page) {
+            assert.deepEqual(page.value.results, [2]);
+            return iterator.next();
+          })
+          .then(function() {
+            done(new Error('The iterator should have rejected.'));
+          }, function(err) {
+            assert.strictEqual(err, error);
+            return iterator.next();
+          })
+          .then(function(page) {
+            assert.strictEqual(page.done, true);
+            assert.strictEqual(numRequests, 3);
+            done();
+          })
+          .then(null, done);
+      });
+    });
+
+    it('should be done after an error', function(done) {
+      var numRequests = 0;
+
+      function originalMethod(query, callback) {
+        numRequests++;
+        callback(new Error('Error.'));
+      }
+
+      var iterator =
+        streamRouter.runAsPageIterator_(PARSED_ARGUMENTS, originalMethod);
+
+      iterator.next()
+        .then(null, function() {
+          return iterator.next();
+        })
+        .then(function(page) {
+          assert.strictEqual(page.done, true);
+          assert.strictEqual(numRequests, 1);
+          done();
+        })
+        .then(null, done);
+    });
   });
 });
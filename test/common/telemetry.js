@@ -0,0 +1,267 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var concat = require('concat-stream');
+var events = require('events');
+var through = require('through2');
+
+var Telemetry = require('../../lib/common/telemetry.js');
+
+describe('Telemetry', function() {
+  var REQ_OPTS = {
+    method: 'post',
+    uri: 'https://www.googleapis.com/storage/v1/b',
+    json: { name: 'bucket-name' }
+  };
+
+  var TRACE_CONTEXT = {
+    traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+    spanId: '00f067aa0ba902b7',
+    sampled: true
+  };
+
+  var telemetry;
+
+  beforeEach(function() {
+    telemetry = new Telemetry();
+  });
+
+  describe('instantiation', function() {
+    it('should be an event emitter', function() {
+      assert(telemetry instanceof events.EventEmitter);
+    });
+  });
+
+  describe('fromConfig', function() {
+    it('should return the telemetry', function() {
+      var config = { telemetry: telemetry };
+      assert.strictEqual(Telemetry.fromConfig(config), telemetry);
+    });
+
+    it('should return null without a telemetry', function() {
+      assert.strictEqual(Telemetry.fromConfig({ telemetry: {} }), null);
+      assert.strictEqual(Telemetry.fromConfig(), null);
+    });
+  });
+
+  describe('addTraceHeaders', function() {
+    it('should not change the request without tracing', function() {
+      assert.strictEqual(Telemetry.addTraceHeaders(REQ_OPTS), REQ_OPTS);
+    });
+
+    it('should not change the request without a context', function() {
+      var reqOpts = Telemetry.addTraceHeaders(REQ_OPTS, {
+        getContext: function(reqOpts) {
+          assert.strictEqual(reqOpts, REQ_OPTS);
+          return null;
+        }
+      });
+
+      assert.strictEqual(reqOpts, REQ_OPTS);
+    });
+
+    it('should add a traceparent header', function() {
+      var reqOpts = {
+        uri: REQ_OPTS.uri,
+        headers: { 'User-Agent': 'gcloud-node' }
+      };
+
+      var tracedReqOpts = Telemetry.addTraceHeaders(reqOpts, {
+        getContext: function() {
+          return TRACE_CONTEXT;
+        }
+      });
+
+      assert.deepEqual(tracedReqOpts, {
+        uri: REQ_OPTS.uri,
+        headers: {
+          'User-Agent': 'gcloud-node',
+          traceparent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01'
+        }
+      });
+
+      assert.deepEqual(reqOpts.headers, { 'User-Agent': 'gcloud-node' });
+    });
+
+    it('should add an X-Cloud-Trace-Context header', function() {
+      var reqOpts = Telemetry.addTraceHeaders(REQ_OPTS, {
+        format: 'google',
+        getContext: function() {
+          return {
+            traceId: TRACE_CONTEXT.traceId,
+            spanId: '123',
+            sampled: false
+          };
+        }
+      });
+
+      assert.deepEqual(reqOpts.headers, {
+        'X-Cloud-Trace-Context': TRACE_CONTEXT.traceId + '/123;o=0'
+      });
+    });
+
+    it('should throw if the format is not supported', function() {
+      assert.throws(function() {
+        Telemetry.addTraceHeaders(REQ_OPTS, {
+          format: 'zipkin',
+          getContext: function() {}
+        });
+      }, /The trace format "zipkin" is not supported\./);
+    });
+  });
+
+  describe('track', function() {
+    it('should emit a request event', function(done) {
+      telemetry.on('request', function(event) {
+        assert.deepEqual(event, {
+          id: 1,
+          method: 'POST',
+          uri: REQ_OPTS.uri
+        });
+        done();
+      });
+
+      telemetry.track(REQ_OPTS);
+    });
+
+    it('should identify each request', function() {
+      var ids = [];
+
+      telemetry.on('request', function(event) {
+        ids.push(event.id);
+      });
+
+      telemetry.track(REQ_OPTS);
+      telemetry.track(REQ_OPTS);
+
+      assert.deepEqual(ids, [1, 2]);
+    });
+
+    it('should emit a response event with the metrics', function(done) {
+      var response = {
+        statusCode: 200,
+        headers: { 'content-length': '512' }
+      };
+
+      telemetry.on('response', function(event) {
+        assert.strictEqual(typeof event.latency, 'number');
+        delete event.latency;
+
+        assert.deepEqual(event, {
+          id: 1,
+          method: 'POST',
+          uri: REQ_OPTS.uri,
+          statusCode: 200,
+          bytesSent: 22,
+          bytesReceived: 512,
+          retries: 2,
+          err: null
+        });
+        done();
+      });
+
+      telemetry.track(REQ_OPTS).end(null, response, {}, 2);
+    });
+
+    it('should emit the error', function(done) {
+      var error = new Error('Error.');
+
+      telemetry.on('response', function(event) {
+        assert.strictEqual(event.err, error);
+        assert.strictEqual(event.statusCode, null);
+        assert.strictEqual(event.bytesReceived, 0);
+        assert.strictEqual(event.retries, 0);
+        done();
+      });
+
+      telemetry.track(REQ_OPTS).end(error);
+    });
+
+    it('should only emit one response event', function() {
+      var numEvents = 0;
+
+      telemetry.on('response', function() {
+        numEvents++;
+      });
+
+      var tracker = telemetry.track(REQ_OPTS);
+      tracker.end();
+      tracker.end();
+
+      assert.strictEqual(numEvents, 1);
+    });
+
+    it('should measure the response body', function(done) {
+      telemetry.on('response', function(event) {
+        assert.strictEqual(event.bytesReceived, 14);
+        done();
+      });
+
+      telemetry.track(REQ_OPTS).end(null, {}, { name: 'abc' });
+    });
+
+    it('should measure string and multipart bodies', function() {
+      var sizes = [];
+
+      telemetry.on('response', function(event) {
+        sizes.push(event.bytesSent);
+      });
+
+      telemetry.track({ body: 'abcd' }).end();
+      telemetry.track({
+        multipart: [
+          { body: '{}' },
+          { body: new Buffer('data') }
+        ]
+      }).end();
+      telemetry.track({
+        multipart: [
+          { body: '{}' },
+          { body: through() }
+        ]
+      }).end();
+      telemetry.track({ method: 'GET', json: true }).end();
+
+      assert.deepEqual(sizes, [4, 6, null, 0]);
+    });
+
+    it('should count the bytes streamed', function(done) {
+      var tracker = telemetry.track({ method: 'POST', body: through() });
+      var sentStream = tracker.countSent();
+      var receivedStream = tracker.countReceived();
+
+      telemetry.on('response', function(event) {
+        assert.strictEqual(event.bytesSent, 5);
+        assert.strictEqual(event.bytesReceived, 8);
+        done();
+      });
+
+      sentStream.pipe(concat(function() {
+        receivedStream.pipe(concat(function(data) {
+          assert.strictEqual(data.toString(), 'response');
+          tracker.end(null, { statusCode: 200 });
+        }));
+
+        receivedStream.end('response');
+      }));
+
+      sentStream.end('hello');
+    });
+  });
+});
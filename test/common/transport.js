@@ -0,0 +1,279 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var tmp = require('tmp');
+
+var Transport = require('../../lib/common/transport.js');
+
+describe('Transport', function() {
+  var ENV_VARS = [
+    'HTTP_PROXY',
+    'HTTPS_PROXY',
+    'NO_PROXY',
+    'http_proxy',
+    'https_proxy',
+    'no_proxy'
+  ];
+
+  var API_URL = 'https://www.googleapis.com/storage/v1/b';
+  var PROXY = 'http://proxy.example.com:3128';
+
+  var cachedEnv = {};
+
+  beforeEach(function() {
+    ENV_VARS.forEach(function(name) {
+      cachedEnv[name] = process.env[name];
+      delete process.env[name];
+    });
+  });
+
+  afterEach(function() {
+    ENV_VARS.forEach(function(name) {
+      if (typeof cachedEnv[name] === 'string') {
+        process.env[name] = cachedEnv[name];
+      } else {
+        delete process.env[name];
+      }
+    });
+  });
+
+  describe('instantiation', function() {
+    it('should set defaults', function() {
+      var transport = new Transport();
+
+      assert.deepEqual(transport.ca, []);
+      assert.strictEqual(transport.keepAlive, false);
+      assert.strictEqual(transport.maxSockets, Infinity);
+      assert.deepEqual(transport.noProxy, []);
+      assert.strictEqual(transport.proxy, undefined);
+    });
+
+    it('should localize the options', function() {
+      var transport = new Transport({
+        keepAlive: true,
+        maxSockets: 10,
+        noProxy: ['localhost', '.example.com:8080'],
+        proxy: PROXY
+      });
+
+      assert.strictEqual(transport.keepAlive, true);
+      assert.strictEqual(transport.maxSockets, 10);
+      assert.deepEqual(transport.noProxy, [
+        { hostname: 'localhost', port: undefined },
+        { hostname: 'example.com', port: '8080' }
+      ]);
+      assert.strictEqual(transport.proxy, PROXY);
+      assert.deepEqual(transport.pool_, { maxSockets: 10 });
+    });
+
+    it('should read NO_PROXY', function() {
+      process.env.no_proxy = 'localhost, *.internal';
+
+      var transport = new Transport();
+
+      assert.deepEqual(transport.noProxy, [
+        { hostname: 'localhost', port: undefined },
+        { hostname: 'internal', port: undefined }
+      ]);
+    });
+
+    it('should read the CA files', function() {
+      var tmpDir = tmp.dirSync({ unsafeCleanup: true }).name;
+      var caFile = path.join(tmpDir, 'ca.pem');
+
+      fs.writeFileSync(caFile, 'certificate');
+
+      var transport = new Transport({ caFile: caFile });
+
+      assert.strictEqual(transport.ca.length, 1);
+      assert.strictEqual(transport.ca[0].toString(), 'certificate');
+    });
+
+    it('should throw if a CA file cannot be read', function() {
+      assert.throws(function() {
+        new Transport({ caFile: 'missing.pem' });
+      }, /The CA file missing\.pem could not be read: ENOENT/);
+    });
+  });
+
+  describe('fromConfig', function() {
+    it('should return null without any options', function() {
+      assert.strictEqual(Transport.fromConfig({ projectId: 'id' }), null);
+      assert.strictEqual(Transport.fromConfig(), null);
+    });
+
+    it('should return a Transport given', function() {
+      var transport = new Transport();
+      assert.strictEqual(Transport.fromConfig({ transport: transport }),
+        transport);
+    });
+
+    it('should create a Transport from the options', function() {
+      var transport = Transport.fromConfig({
+        projectId: 'id',
+        maxSockets: 5
+      });
+
+      assert(transport instanceof Transport);
+      assert.strictEqual(transport.maxSockets, 5);
+    });
+
+    it('should share a Transport for the same options', function() {
+      var config = { keepAlive: true, proxy: PROXY };
+
+      assert.strictEqual(
+        Transport.fromConfig(config),
+        Transport.fromConfig(config)
+      );
+      assert.notStrictEqual(
+        Transport.fromConfig(config),
+        Transport.fromConfig({ keepAlive: true })
+      );
+    });
+  });
+
+  describe('getProxy', function() {
+    it('should return the proxy', function() {
+      var transport = new Transport({ proxy: PROXY });
+      assert.strictEqual(transport.getProxy(API_URL), PROXY);
+    });
+
+    it('should read HTTPS_PROXY for HTTPS requests', function() {
+      process.env.HTTPS_PROXY = PROXY;
+      process.env.HTTP_PROXY = 'http://other-proxy';
+
+      var transport = new Transport();
+      assert.strictEqual(transport.getProxy(API_URL), PROXY);
+    });
+
+    it('should read HTTP_PROXY for HTTP requests', function() {
+      process.env.https_proxy = 'http://other-proxy';
+      process.env.http_proxy = PROXY;
+
+      var transport = new Transport();
+      assert.strictEqual(transport.getProxy('http://localhost:8080'), PROXY);
+    });
+
+    it('should ignore the environment if the proxy is false', function() {
+      process.env.HTTPS_PROXY = PROXY;
+
+      var transport = new Transport({ proxy: false });
+      assert.strictEqual(transport.getProxy(API_URL), null);
+    });
+
+    it('should not proxy hosts in noProxy', function() {
+      var transport = new Transport({
+        noProxy: 'localhost,.googleapis.com',
+        proxy: PROXY
+      });
+
+      assert.strictEqual(transport.getProxy(API_URL), null);
+      assert.strictEqual(transport.getProxy('http://localhost:8080'), null);
+      assert.strictEqual(transport.getProxy('http://example.com'), PROXY);
+    });
+
+    it('should match the port of a host in noProxy', function() {
+      var transport = new Transport({
+        noProxy: ['www.googleapis.com:443', 'localhost:9000'],
+        proxy: PROXY
+      });
+
+      assert.strictEqual(transport.getProxy(API_URL), null);
+      assert.strictEqual(transport.getProxy('http://localhost:8080'), PROXY);
+    });
+
+    it('should not proxy any host with a wildcard', function() {
+      process.env.NO_PROXY = '*';
+
+      var transport = new Transport({ proxy: PROXY });
+      assert.strictEqual(transport.getProxy(API_URL), null);
+    });
+  });
+
+  describe('getRequestOptions', function() {
+    it('should add the transport options', function() {
+      var transport = new Transport({
+        keepAlive: true,
+        proxy: PROXY
+      });
+
+      var reqOpts = { uri: API_URL };
+
+      assert.deepEqual(transport.getRequestOptions(reqOpts), {
+        forever: true,
+        pool: transport.pool_,
+        proxy: PROXY,
+        uri: API_URL
+      });
+
+      assert.deepEqual(reqOpts, { uri: API_URL });
+    });
+
+    it('should add the CA', function() {
+      var transport = new Transport();
+      transport.ca = [new Buffer('certificate')];
+
+      var reqOpts = transport.getRequestOptions({ uri: API_URL });
+      assert.strictEqual(reqOpts.ca, transport.ca);
+    });
+
+    it('should turn off the proxy for hosts in noProxy', function() {
+      process.env.HTTPS_PROXY = PROXY;
+
+      var transport = new Transport({ noProxy: 'googleapis.com' });
+      var reqOpts = transport.getRequestOptions({ uri: API_URL });
+
+      assert.strictEqual(reqOpts.proxy, null);
+    });
+
+    it('should keep the options of the request', function() {
+      var transport = new Transport({ proxy: PROXY });
+
+      var reqOpts = transport.getRequestOptions({
+        uri: API_URL,
+        proxy: 'http://request-proxy'
+      });
+
+      assert.strictEqual(reqOpts.proxy, 'http://request-proxy');
+    });
+  });
+
+  describe('wrap', function() {
+    it('should send requests through the transport', function(done) {
+      var transport = new Transport({ proxy: PROXY });
+      var response = {};
+
+      function request(reqOpts, callback) {
+        assert.strictEqual(reqOpts.proxy, PROXY);
+        callback(null, response);
+        return 'request';
+      }
+
+      var req = transport.wrap(request)({ uri: API_URL }, function(err, res) {
+        assert.ifError(err);
+        assert.strictEqual(res, response);
+      });
+
+      assert.strictEqual(req, 'request');
+      done();
+    });
+  });
+});
@@ -17,13 +17,16 @@
 'use strict';
 
 var assert = require('assert');
+var concat = require('concat-stream');
 var duplexify;
 var extend = require('extend');
+var fs = require('fs');
 var googleAuth = require('google-auto-auth');
 var mockery = require('mockery');
 var request = require('request');
-var retryRequest = require('retry-request');
 var stream = require('stream');
+var through = require('through2');
+var tmp = require('tmp');
 
 var googleAutoAuthOverride;
 function fakeGoogleAutoAuth() {
@@ -42,24 +45,30 @@ fakeRequest.defaults = function(defaultConfiguration) {
   return fakeRequest;
 };
 
-var retryRequestOverride;
-function fakeRetryRequest() {
-  return (retryRequestOverride || retryRequest).apply(null, arguments);
-}
-
 describe('common/util', function() {
+  var DebugLogger;
+  var RateLimiter;
+  var Recorder;
+  var RetryPolicy;
+  var Telemetry;
+  var Transport;
   var util;
   var utilOverrides = {};
 
   before(function() {
     mockery.registerMock('google-auto-auth', fakeGoogleAutoAuth);
     mockery.registerMock('request', fakeRequest);
-    mockery.registerMock('retry-request', fakeRetryRequest);
     mockery.enable({
       useCleanCache: true,
       warnOnUnregistered: false
     });
     util = require('../../lib/common/util');
+    DebugLogger = require('../../lib/common/debug-logger.js');
+    RateLimiter = require('../../lib/common/rate-limiter.js');
+    Recorder = require('../../lib/common/recorder.js');
+    RetryPolicy = require('../../lib/common/retry-policy.js');
+    Telemetry = require('../../lib/common/telemetry.js');
+    Transport = require('../../lib/common/transport.js');
     var utilCached = extend(true, {}, util);
 
     // Override all util methods, allowing them to be mocked. Overrides are
@@ -86,7 +95,6 @@ describe('common/util', function() {
   beforeEach(function() {
     googleAutoAuthOverride = null;
     requestOverride = null;
-    retryRequestOverride = null;
     utilOverrides = {};
   });
 
@@ -221,6 +229,103 @@ describe('common/util', function() {
     });
   });
 
+  describe('ApiError subclasses', function() {
+    var CLASS_NAMES = {
+      400: 'BadRequestError',
+      401: 'UnauthorizedError',
+      403: 'PermissionDeniedError',
+      404: 'NotFoundError',
+      409: 'ConflictError',
+      412: 'PreconditionFailedError',
+      429: 'RateLimitError',
+      500: 'ServerError',
+      503: 'ServerError'
+    };
+
+    Object.keys(CLASS_NAMES).forEach(function(code) {
+      var className = CLASS_NAMES[code];
+
+      it('should build a ' + className + ' for ' + code, function() {
+        var apiError = util.ApiError({ code: Number(code) });
+
+        assert(apiError instanceof util.errors[className]);
+        assert(apiError instanceof util.errors.ApiError);
+        assert(apiError instanceof Error);
+        assert.strictEqual(apiError.name, className);
+        assert.strictEqual(apiError.code, Number(code));
+      });
+    });
+
+    it('should build a RateLimitError for rate limit reasons', function() {
+      var apiError = util.ApiError({
+        code: 403,
+        errors: [{ reason: 'userRateLimitExceeded' }]
+      });
+
+      assert(apiError instanceof util.errors.RateLimitError);
+    });
+
+    it('should build an ApiError for other codes', function() {
+      var apiError = util.ApiError({ code: 418 });
+
+      assert.strictEqual(apiError.constructor, util.errors.ApiError);
+      assert.strictEqual(apiError.name, 'ApiError');
+    });
+
+    it('should build the message like an ApiError', function() {
+      var apiError = util.ApiError({
+        code: 404,
+        errors: [{ message: 'Not found.' }],
+        message: 'Error.'
+      });
+
+      assert.strictEqual(apiError.message, 'Error. - Not found.');
+    });
+  });
+
+  describe('CancellationError', function() {
+    it('should build correct CancellationError', function() {
+      var cancellationError = util.CancellationError();
+
+      assert(cancellationError instanceof Error);
+      assert.strictEqual(cancellationError.name, 'CancellationError');
+      assert.strictEqual(cancellationError.code, 'ECANCELED');
+      assert.strictEqual(
+        cancellationError.message,
+        'The request was cancelled.'
+      );
+    });
+  });
+
+  describe('TimeoutError', function() {
+    it('should build correct TimeoutError', function() {
+      var timeoutError = util.TimeoutError(1000);
+
+      assert(timeoutError instanceof Error);
+      assert.strictEqual(timeoutError.name, 'TimeoutError');
+      assert.strictEqual(timeoutError.code, 'ETIMEDOUT');
+      assert.strictEqual(timeoutError.timeout, 1000);
+      assert.strictEqual(
+        timeoutError.message,
+        'The request did not complete within 1000ms.'
+      );
+    });
+  });
+
+  describe('QueueFullError', function() {
+    it('should build correct QueueFullError', function() {
+      var queueFullError = util.QueueFullError();
+
+      assert(queueFullError instanceof Error);
+      assert.strictEqual(queueFullError.name, 'QueueFullError');
+      assert.strictEqual(queueFullError.code, 'EQUEUEFULL');
+      assert.strictEqual(
+        queueFullError.message,
+        'The queue of requests waiting for the rate limit is full.'
+      );
+    });
+  });
+
   describe('extendGlobalConfig', function() {
     it('should favor `keyFilename` when `credentials` is global', function() {
       var globalConfig = { credentials: {} };
@@ -256,6 +361,23 @@ describe('common/util', function() {
       assert.strictEqual(options.projectId, newProjectId);
     });
 
+    it('should honor the environment variables of the service', function() {
+      var cachedHost = process.env.PUBSUB_HOST;
+      process.env.PUBSUB_HOST = 'localhost:8900';
+
+      var options = util.extendGlobalConfig({}, {}, 'pubsub');
+      var otherOptions = util.extendGlobalConfig({}, {});
+
+      if (cachedHost) {
+        process.env.PUBSUB_HOST = cachedHost;
+      } else {
+        delete process.env.PUBSUB_HOST;
+      }
+
+      assert.strictEqual(options.apiEndpoint, 'localhost:8900');
+      assert.strictEqual(otherOptions.apiEndpoint, undefined);
+    });
+
     it('should not modify original object', function() {
       var globalConfig = { keyFilename: 'key.json' };
       util.extendGlobalConfig(globalConfig, { credentials: {} });
@@ -270,6 +392,18 @@ describe('common/util', function() {
     });
   });
 
+  describe('errors', function() {
+    it('should export the error classes', function() {
+      var errors = util.errors;
+
+      assert(util.ApiError({}) instanceof errors.ApiError);
+      assert(util.CancellationError() instanceof errors.CancellationError);
+      assert(util.TimeoutError(1) instanceof errors.TimeoutError);
+      assert(util.QueueFullError() instanceof errors.QueueFullError);
+      assert(errors.NotFoundError.prototype instanceof errors.ApiError);
+    });
+  });
+
   describe('handleResp', function() {
     it('should handle errors', function(done) {
       var error = new Error('Error.');
@@ -339,6 +473,27 @@ describe('common/util', function() {
       });
     });
 
+    it('should add the request details to body errors', function(done) {
+      var resp = {
+        statusCode: 200,
+        request: {
+          method: 'POST',
+          uri: { href: 'http://fake/uri' }
+        }
+      };
+
+      var body = {
+        error: { code: 409 }
+      };
+
+      util.handleResp(null, resp, body, function(err) {
+        assert(err instanceof util.errors.ConflictError);
+        assert.strictEqual(err.method, 'POST');
+        assert.strictEqual(err.uri, 'http://fake/uri');
+        done();
+      });
+    });
+
     it('should not parse undefined response', function(done) {
       utilOverrides.parseHttpRespMessage = function() {
         done(); // Will throw.
@@ -371,6 +526,22 @@ describe('common/util', function() {
       util.parseHttpRespMessage(httpRespMessage);
     });
 
+    it('should add the request details', function() {
+      var httpRespMessage = {
+        statusCode: 404,
+        request: {
+          method: 'GET',
+          uri: { href: 'http://fake/uri' }
+        }
+      };
+
+      var err = util.parseHttpRespMessage(httpRespMessage).err;
+
+      assert(err instanceof util.errors.NotFoundError);
+      assert.strictEqual(err.method, 'GET');
+      assert.strictEqual(err.uri, 'http://fake/uri');
+    });
+
     it('should return the original response message', function() {
       var httpRespMessage = {};
       var parsedHttpRespMessage = util.parseHttpRespMessage(httpRespMessage);
@@ -397,6 +568,15 @@ describe('common/util', function() {
       assert.deepEqual(parsedHttpRespBody.err.message, expectedErrorMessage);
     });
 
+    it('should build a typed error', function() {
+      var parsedHttpRespBody = util.parseHttpRespBody({
+        error: { code: 412 }
+      });
+
+      var err = parsedHttpRespBody.err;
+      assert(err instanceof util.errors.PreconditionFailedError);
+    });
+
     it('should try to parse JSON if body is string', function() {
       var httpRespBody = '{ "foo": "bar" }';
       var parsedHttpRespBody = util.parseHttpRespBody(httpRespBody);
@@ -588,6 +768,50 @@ describe('common/util', function() {
         fakeStream.emit('complete', {});
       });
     });
+
+    it('should send the request through the recorder', function(done) {
+      var dup = duplexify();
+      var authenticatedReqOpts = {};
+
+      function makeAuthenticatedRequest(request, opts) {
+        opts.onAuthenticated(null, authenticatedReqOpts);
+      }
+
+      makeAuthenticatedRequest.recorder = {
+        wrap: function() {
+          return function(reqOpts) {
+            assert.strictEqual(reqOpts, authenticatedReqOpts);
+            done();
+          };
+        }
+      };
+
+      util.makeWritableStream(dup, {
+        makeAuthenticatedRequest: makeAuthenticatedRequest
+      });
+    });
+
+    it('should send the request through the transport', function(done) {
+      var dup = duplexify();
+      var authenticatedReqOpts = {};
+
+      function makeAuthenticatedRequest(request, opts) {
+        opts.onAuthenticated(null, authenticatedReqOpts);
+      }
+
+      makeAuthenticatedRequest.transport = {
+        wrap: function() {
+          return function(reqOpts) {
+            assert.strictEqual(reqOpts, authenticatedReqOpts);
+            done();
+          };
+        }
+      };
+
+      util.makeWritableStream(dup, {
+        makeAuthenticatedRequest: makeAuthenticatedRequest
+      });
+    });
   });
 
   describe('makeAuthenticatedRequestFactory', function() {
@@ -628,6 +852,31 @@ describe('common/util', function() {
       makeAuthenticatedRequest.getCredentials();
     });
 
+    it('should return the credential helpers', function(done) {
+      var error = new Error('Error.');
+
+      googleAutoAuthOverride = function() {
+        return {
+          getAuthClient: function(callback) {
+            callback(error);
+          },
+          getCredentials: util.noop
+        };
+      };
+
+      var makeAuthenticatedRequest = util.makeAuthenticatedRequestFactory();
+
+      assert.strictEqual(typeof makeAuthenticatedRequest.getAccessToken,
+        'function');
+      assert.strictEqual(typeof makeAuthenticatedRequest.getIdentity,
+        'function');
+
+      makeAuthenticatedRequest.signBlob('data', function(err) {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+
     it('should return the authClient', function() {
       var authClient = { getCredentials: function() {} };
 
@@ -681,6 +930,215 @@ describe('common/util', function() {
 
         makeAuthenticatedRequest(reqOpts, assert.ifError);
       });
+
+      it('should run the request interceptors', function(done) {
+        var interceptedReqOpts = {};
+        var interceptors = [{ request: util.noop }];
+
+        var reqOpts = {
+          interceptors_: interceptors
+        };
+
+        utilOverrides.execInterceptors = function(phase, ints, rOpts, cb) {
+          assert.strictEqual(phase, 'request');
+          assert.strictEqual(ints, interceptors);
+          assert.strictEqual(rOpts, reqOpts);
+          assert.strictEqual(rOpts.interceptors_, undefined);
+          cb(null, interceptedReqOpts);
+        };
+
+        utilOverrides.makeRequest = function(rOpts, config) {
+          assert.strictEqual(rOpts, interceptedReqOpts);
+          assert.strictEqual(config.interceptors, interceptors);
+          done();
+        };
+
+        makeAuthenticatedRequest(reqOpts, assert.ifError);
+      });
+
+      it('should pass the idempotency of the request', function(done) {
+        var reqOpts = {
+          idempotent: false
+        };
+
+        utilOverrides.makeRequest = function(rOpts, config) {
+          assert.strictEqual(rOpts.idempotent, undefined);
+          assert.strictEqual(config.idempotent, false);
+          done();
+        };
+
+        makeAuthenticatedRequest(reqOpts, assert.ifError);
+      });
+
+      it('should let the request override the timeout', function(done) {
+        makeAuthenticatedRequest = util.makeAuthenticatedRequestFactory({
+          customEndpoint: true,
+          timeout: 60000
+        });
+
+        utilOverrides.makeRequest = function(rOpts, config) {
+          assert.strictEqual(config.timeout, 1000);
+          done();
+        };
+
+        makeAuthenticatedRequest({ timeout: 1000 }, assert.ifError);
+      });
+
+      it('should consider requests idempotent by default', function(done) {
+        utilOverrides.makeRequest = function(rOpts, config) {
+          assert.strictEqual(config.idempotent, true);
+          done();
+        };
+
+        makeAuthenticatedRequest({}, assert.ifError);
+      });
+
+      it('should return an error from the interceptors', function(done) {
+        var error = new Error('Error.');
+
+        utilOverrides.execInterceptors = function(phase, ints, rOpts, cb) {
+          cb(error);
+        };
+
+        makeAuthenticatedRequest({}, function(err) {
+          assert.strictEqual(err, error);
+          done();
+        });
+      });
+    });
+
+    it('should return the transport', function() {
+      var makeAuthenticatedRequest = util.makeAuthenticatedRequestFactory({
+        maxSockets: 10
+      });
+
+      var transport = makeAuthenticatedRequest.transport;
+      assert(transport instanceof Transport);
+      assert.strictEqual(transport.maxSockets, 10);
+    });
+
+    describe('fixtures', function() {
+      it('should return the recorder', function() {
+        var recorder = new Recorder({ mode: 'record', path: 'fixtures.json' });
+
+        var makeAuthenticatedRequest = util.makeAuthenticatedRequestFactory({
+          fixtures: recorder
+        });
+
+        assert.strictEqual(makeAuthenticatedRequest.recorder, recorder);
+      });
+
+      it('should not authenticate replayed requests', function(done) {
+        var reqOpts = {};
+
+        authClient.authorizeRequest = function() {
+          done(new Error('The request should not have been authorized.'));
+        };
+
+        var makeAuthenticatedRequest = util.makeAuthenticatedRequestFactory({
+          fixtures: new Recorder({ mode: 'replay', path: 'fixtures.json' })
+        });
+
+        makeAuthenticatedRequest(reqOpts, {
+          onAuthenticated: function(err, authenticatedReqOpts) {
+            assert.ifError(err);
+            assert.strictEqual(authenticatedReqOpts, reqOpts);
+            done();
+          }
+        });
+      });
+
+      it('should authenticate recorded requests', function(done) {
+        authClient.authorizeRequest = function() {
+          done();
+        };
+
+        var makeAuthenticatedRequest = util.makeAuthenticatedRequestFactory({
+          fixtures: new Recorder({ mode: 'record', path: 'fixtures.json' })
+        });
+
+        makeAuthenticatedRequest({}, assert.ifError);
+      });
+    });
+
+    describe('rateLimit', function() {
+      var rateLimiter;
+      var makeAuthenticatedRequest;
+
+      beforeEach(function() {
+        rateLimiter = new RateLimiter({ requestsPerSecond: 1 });
+
+        makeAuthenticatedRequest = util.makeAuthenticatedRequestFactory({
+          customEndpoint: true,
+          rateLimit: rateLimiter
+        });
+      });
+
+      it('should return the rate limiter', function() {
+        assert.strictEqual(makeAuthenticatedRequest.rateLimiter, rateLimiter);
+      });
+
+      it('should wait for the rate limit', function(done) {
+        var reqOpts = {};
+        var onAcquired;
+
+        rateLimiter.acquire = function(reqOpts_, callback) {
+          assert.strictEqual(reqOpts_, reqOpts);
+          onAcquired = callback;
+          return { cancel: util.noop };
+        };
+
+        utilOverrides.makeRequest = function(rOpts) {
+          assert.strictEqual(rOpts, reqOpts);
+          done();
+        };
+
+        makeAuthenticatedRequest(reqOpts, assert.ifError);
+        onAcquired();
+      });
+
+      it('should return an error if the queue is full', function(done) {
+        rateLimiter.acquire = function() {
+          return null;
+        };
+
+        makeAuthenticatedRequest({}, function(err) {
+          assert(err instanceof util.errors.QueueFullError);
+          done();
+        });
+      });
+
+      it('should destroy the stream if the queue is full', function(done) {
+        rateLimiter.acquire = function() {
+          return null;
+        };
+
+        makeAuthenticatedRequest({})
+          .on('error', function(err) {
+            assert(err instanceof util.errors.QueueFullError);
+            done();
+          });
+      });
+
+      it('should leave the queue when aborted', function(done) {
+        var isCancelled = false;
+
+        rateLimiter.acquire = function() {
+          return {
+            cancel: function() {
+              isCancelled = true;
+            }
+          };
+        };
+
+        var request = makeAuthenticatedRequest({}, function(err) {
+          assert.strictEqual(err.name, 'CancellationError');
+          assert.strictEqual(isCancelled, true);
+          done();
+        });
+
+        request.abort();
+      });
     });
 
     describe('needs authentication', function() {
@@ -696,6 +1154,52 @@ describe('common/util', function() {
         makeAuthenticatedRequest(reqOpts, {});
       });
 
+      it('should return a handle to abort the request', function(done) {
+        authClient.authorizeRequest = function(rOpts, callback) {
+          callback(null, rOpts);
+        };
+
+        utilOverrides.makeRequest = function() {
+          return { abort: done };
+        };
+
+        var makeAuthenticatedRequest = util.makeAuthenticatedRequestFactory();
+        makeAuthenticatedRequest({}, assert.ifError).abort();
+      });
+
+      it('should cancel a request before it is authorized', function(done) {
+        var authorize;
+
+        authClient.authorizeRequest = function(rOpts, callback) {
+          authorize = callback;
+        };
+
+        utilOverrides.makeRequest = function() {
+          done(new Error('A request should not have been made.'));
+        };
+
+        var makeAuthenticatedRequest = util.makeAuthenticatedRequestFactory();
+        var handle = makeAuthenticatedRequest({}, function(err) {
+          assert.strictEqual(err.name, 'CancellationError');
+
+          authorize(null, {});
+          done();
+        });
+
+        handle.abort();
+      });
+
+      it('should not return a handle with onAuthenticated', function() {
+        authClient.authorizeRequest = function() {};
+
+        var makeAuthenticatedRequest = util.makeAuthenticatedRequestFactory();
+        var returnValue = makeAuthenticatedRequest({}, {
+          onAuthenticated: assert.ifError
+        });
+
+        assert.strictEqual(returnValue, undefined);
+      });
+
       it('should return a stream if callback is missing', function() {
         authClient.authorizeRequest = function() {};
 
@@ -780,7 +1284,10 @@ describe('common/util', function() {
 
           utilOverrides.makeRequest = function(authenticatedReqOpts, cfg, cb) {
             assert.strictEqual(authenticatedReqOpts, reqOpts);
-            assert.deepEqual(cfg, config);
+            assert.deepEqual(cfg, extend({
+              idempotent: true,
+              interceptors: []
+            }, config));
             cb();
           };
 
@@ -861,60 +1368,555 @@ describe('common/util', function() {
     });
   });
 
-  describe('makeRequest', function() {
-    var reqOpts = {
-      method: 'GET'
-    };
-
-    function testDefaultRetryRequestConfig(done) {
-      return function(reqOpts_, config) {
-        assert.strictEqual(reqOpts_, reqOpts);
-        assert.equal(config.retries, 3);
-        assert.strictEqual(config.request, fakeRequest);
+  describe('makeRetriableRequest', function() {
+    var reqOpts = { uri: 'http://fake' };
+    var retryResponse = { statusCode: 503 };
+    var successResponse = { statusCode: 200 };
 
-        var error = new Error('Error.');
-        utilOverrides.parseHttpRespMessage = function() {
-          return { err: error };
-        };
-        utilOverrides.shouldRetryRequest = function(err) {
-          assert.strictEqual(err, error);
-          done();
-        };
+    var options;
 
-        config.shouldRetryFn();
+    beforeEach(function() {
+      options = {
+        idempotent: true,
+        retryPolicy: new RetryPolicy({
+          initialDelay: 0,
+          jitter: 0
+        })
       };
-    }
+    });
+
+    describe('callback mode', function() {
+      it('should return the response', function(done) {
+        var body = {};
+
+        requestOverride = function(reqOpts_, callback) {
+          assert.strictEqual(reqOpts_, reqOpts);
+          callback(null, successResponse, body);
+        };
+
+        util.makeRetriableRequest(reqOpts, options, function(err, resp, body_) {
+          assert.ifError(err);
+          assert.strictEqual(resp, successResponse);
+          assert.strictEqual(body_, body);
+          done();
+        });
+      });
+
+      it('should not retry connection errors', function(done) {
+        var error = new Error('Error.');
+        var numAttempts = 0;
+
+        requestOverride = function(reqOpts, callback) {
+          numAttempts++;
+          callback(error);
+        };
+
+        util.makeRetriableRequest(reqOpts, options, function(err) {
+          assert.strictEqual(err, error);
+          assert.strictEqual(numAttempts, 1);
+          done();
+        });
+      });
+
+      it('should retry until the policy gives up', function(done) {
+        var numAttempts = 0;
+
+        requestOverride = function(reqOpts, callback) {
+          numAttempts++;
+          callback(null, retryResponse, {});
+        };
+
+        util.makeRetriableRequest(reqOpts, options, function(err, resp) {
+          assert.ifError(err);
+          assert.strictEqual(resp, retryResponse);
+          assert.strictEqual(numAttempts, 4);
+          done();
+        });
+      });
+
+      it('should count the retries', function(done) {
+        var responses = [retryResponse, retryResponse, successResponse];
+
+        requestOverride = function(reqOpts, callback) {
+          callback(null, responses.shift(), {});
+        };
+
+        var retriableRequest =
+          util.makeRetriableRequest(reqOpts, options, function(err) {
+            assert.ifError(err);
+            assert.strictEqual(retriableRequest.retries, 2);
+            done();
+          });
+      });
+
+      it('should tell the policy about each retry', function(done) {
+        var retries = [];
+        var responses = [retryResponse, retryResponse, successResponse];
+
+        requestOverride = function(reqOpts, callback) {
+          callback(null, responses.shift(), {});
+        };
+
+        options.retryPolicy.onRetry = function(retry) {
+          assert.strictEqual(retry.err.code, 503);
+          assert.strictEqual(retry.idempotent, true);
+          assert.strictEqual(retry.reqOpts, reqOpts);
+          assert.strictEqual(typeof retry.elapsed, 'number');
+          assert.strictEqual(typeof retry.delay, 'number');
+          retries.push(retry.attempt);
+        };
+
+        util.makeRetriableRequest(reqOpts, options, function(err, resp) {
+          assert.ifError(err);
+          assert.strictEqual(resp, successResponse);
+          assert.deepEqual(retries, [1, 2]);
+          done();
+        });
+      });
+
+      it('should retry the reasons in the response body', function(done) {
+        var responses = [{ statusCode: 403 }, successResponse];
+        var bodies = [{
+          error: {
+            code: 403,
+            errors: [{ reason: 'userRateLimitExceeded' }],
+            message: 'User Rate Limit Exceeded'
+          }
+        }, {}];
+
+        requestOverride = function(reqOpts, callback) {
+          callback(null, responses.shift(), bodies.shift());
+        };
+
+        options.retryPolicy.onRetry = function(retry) {
+          assert.strictEqual(retry.err.code, 403);
+          assert.strictEqual(retry.err.errors[0].reason,
+            'userRateLimitExceeded');
+        };
+
+        var retriableRequest =
+          util.makeRetriableRequest(reqOpts, options, function(err, resp) {
+            assert.ifError(err);
+            assert.strictEqual(resp, successResponse);
+            assert.strictEqual(retriableRequest.retries, 1);
+            done();
+          });
+      });
+
+      it('should not retry non-idempotent requests', function(done) {
+        var numAttempts = 0;
+
+        requestOverride = function(reqOpts, callback) {
+          numAttempts++;
+          callback(null, retryResponse, {});
+        };
+
+        options.idempotent = false;
+
+        util.makeRetriableRequest(reqOpts, options, function(err, resp) {
+          assert.strictEqual(resp, retryResponse);
+          assert.strictEqual(numAttempts, 1);
+          done();
+        });
+      });
+
+      it('should abort a pending retry', function(done) {
+        var numAttempts = 0;
+
+        requestOverride = function(reqOpts, callback) {
+          numAttempts++;
+          callback(null, retryResponse, {});
+          return { abort: util.noop };
+        };
+
+        util.makeRetriableRequest(reqOpts, options, done).abort();
+
+        setTimeout(function() {
+          assert.strictEqual(numAttempts, 1);
+          done();
+        }, 10);
+      });
+
+      it('should time out', function(done) {
+        var aborted = false;
+
+        requestOverride = function() {
+          return {
+            abort: function() {
+              aborted = true;
+            }
+          };
+        };
+
+        options.timeout = 1;
+
+        util.makeRetriableRequest(reqOpts, options, function(err) {
+          assert.strictEqual(err.name, 'TimeoutError');
+          assert.strictEqual(err.timeout, 1);
+          assert.strictEqual(aborted, true);
+          done();
+        });
+      });
+
+      it('should not retry past the timeout', function(done) {
+        var numAttempts = 0;
+
+        requestOverride = function(reqOpts, callback) {
+          numAttempts++;
+          callback(null, retryResponse, {});
+        };
+
+        options.retryPolicy.initialDelay = 1000;
+        options.timeout = 500;
+
+        util.makeRetriableRequest(reqOpts, options, function(err, resp) {
+          assert.ifError(err);
+          assert.strictEqual(resp, retryResponse);
+          assert.strictEqual(numAttempts, 1);
+          done();
+        });
+      });
+
+      it('should abort the active request', function(done) {
+        requestOverride = function() {
+          return { abort: done };
+        };
+
+        util.makeRetriableRequest(reqOpts, options, util.noop).abort();
+      });
+
+      it('should send requests through the recorder', function(done) {
+        var body = {};
+
+        requestOverride = function() {
+          done(new Error('The request should have been replayed.'));
+        };
+
+        options.recorder = {
+          wrap: function(request) {
+            assert.strictEqual(typeof request, 'function');
+
+            return function(reqOpts_, callback) {
+              assert.strictEqual(reqOpts_, reqOpts);
+              callback(null, successResponse, body);
+            };
+          }
+        };
+
+        util.makeRetriableRequest(reqOpts, options, function(err, resp, b) {
+          assert.ifError(err);
+          assert.strictEqual(resp, successResponse);
+          assert.strictEqual(b, body);
+          done();
+        });
+      });
+
+      it('should record requests sent through the transport', function(done) {
+        function transportRequest(reqOpts_, callback) {
+          assert.strictEqual(reqOpts_, reqOpts);
+          callback(null, successResponse);
+        }
+
+        options.transport = {
+          wrap: function(request) {
+            assert.strictEqual(typeof request, 'function');
+            return transportRequest;
+          }
+        };
+
+        options.recorder = {
+          wrap: function(request) {
+            assert.strictEqual(request, transportRequest);
+            return request;
+          }
+        };
+
+        util.makeRetriableRequest(reqOpts, options, function(err, resp) {
+          assert.ifError(err);
+          assert.strictEqual(resp, successResponse);
+          done();
+        });
+      });
+
+      it('should log each attempt', function(done) {
+        var responses = [retryResponse, successResponse];
+        var logged = [];
+
+        requestOverride = function(reqOpts, callback) {
+          callback(null, responses.shift(), {});
+        };
+
+        options.debugLogger = {
+          logRequest: function(reqOpts_, attempt) {
+            assert.strictEqual(reqOpts_, reqOpts);
+            logged.push('request ' + attempt);
+          },
+          logResponse: function(reqOpts_, resp) {
+            logged.push('response ' + resp.statusCode);
+          },
+          logRetry: function(retry) {
+            assert.strictEqual(retry.reqOpts, reqOpts);
+            logged.push('retry');
+          }
+        };
+
+        util.makeRetriableRequest(reqOpts, options, function(err) {
+          assert.ifError(err);
+          assert.deepEqual(logged, [
+            'request 1',
+            'response 503',
+            'retry',
+            'request 2',
+            'response 200'
+          ]);
+          done();
+        });
+      });
+
+      it('should log errors', function(done) {
+        var error = new Error('Error.');
+
+        requestOverride = function(reqOpts, callback) {
+          callback(error);
+        };
+
+        options.debugLogger = {
+          logRequest: util.noop,
+          logError: function(reqOpts_, err, elapsed) {
+            assert.strictEqual(reqOpts_, reqOpts);
+            assert.strictEqual(err, error);
+            assert.strictEqual(typeof elapsed, 'number');
+            done();
+          }
+        };
+
+        util.makeRetriableRequest(reqOpts, options, util.noop);
+      });
+
+      it('should log timeouts', function(done) {
+        requestOverride = function() {
+          return { abort: util.noop };
+        };
+
+        options.timeout = 1;
+        options.debugLogger = {
+          logRequest: util.noop,
+          logError: function(reqOpts_, err) {
+            assert.strictEqual(err.name, 'TimeoutError');
+            done();
+          }
+        };
+
+        util.makeRetriableRequest(reqOpts, options, util.noop);
+      });
+    });
+
+    describe('stream mode', function() {
+      function createRequestStream(response, data) {
+        var requestStream = through();
+        requestStream.abort = util.noop;
+
+        setImmediate(function() {
+          requestStream.emit('response', response);
+          requestStream.end(data);
+        });
+
+        return requestStream;
+      }
+
+      it('should only pass through the final attempt\'s data', function(done) {
+        var responses = [retryResponse, successResponse];
+        var numAborted = 0;
+
+        requestOverride = function() {
+          var response = responses.shift();
+          var data = String(response.statusCode);
+          var requestStream = createRequestStream(response, data);
+
+          requestStream.abort = function() {
+            numAborted++;
+          };
+
+          return requestStream;
+        };
+
+        util.makeRetriableRequest(reqOpts, options)
+          .on('error', done)
+          .on('response', function(resp) {
+            assert.strictEqual(resp, successResponse);
+          })
+          .pipe(concat(function(data) {
+            assert.strictEqual(data.toString(), '200');
+            assert.strictEqual(numAborted, 1);
+            done();
+          }));
+      });
+
+      it('should count the retries', function(done) {
+        var responses = [retryResponse, retryResponse, successResponse];
+
+        requestOverride = function() {
+          var requestStream = new stream.PassThrough();
+          requestStream.abort = util.noop;
+
+          setImmediate(function() {
+            requestStream.emit('response', responses.shift());
+            requestStream.end();
+          });
+
+          return requestStream;
+        };
+
+        var retryStream = util.makeRetriableRequest(reqOpts, options);
+        assert.strictEqual(retryStream.retries, 0);
+
+        retryStream
+          .on('error', done)
+          .on('response', function() {
+            assert.strictEqual(retryStream.retries, 2);
+            done();
+          });
+      });
+
+      it('should time out before the response', function(done) {
+        requestOverride = function() {
+          var requestStream = through();
+          requestStream.abort = util.noop;
+          return requestStream;
+        };
+
+        options.timeout = 1;
+
+        util.makeRetriableRequest(reqOpts, options)
+          .on('error', function(err) {
+            assert.strictEqual(err.name, 'TimeoutError');
+            done();
+          });
+      });
+
+      it('should emit connection errors', function(done) {
+        var error = new Error('Error.');
+
+        requestOverride = function() {
+          var requestStream = through();
+
+          setImmediate(function() {
+            requestStream.emit('error', error);
+          });
+
+          return requestStream;
+        };
+
+        util.makeRetriableRequest(reqOpts, options)
+          .on('error', function(err) {
+            assert.strictEqual(err, error);
+            done();
+          });
+      });
+    });
+  });
+
+  describe('getRequestFunction', function() {
+    it('should default to request', function(done) {
+      requestOverride = function(reqOpts, callback) {
+        callback();
+      };
+
+      util.getRequestFunction({})({}, done);
+    });
+
+    it('should wrap the request function', function() {
+      var order = [];
+
+      function request() {}
+
+      var sendRequest = util.getRequestFunction({
+        request: request,
+        transport: {
+          wrap: function(request_) {
+            assert.strictEqual(request_, request);
+            order.push('transport');
+            return 'transport';
+          }
+        },
+        recorder: {
+          wrap: function(request_) {
+            assert.strictEqual(request_, 'transport');
+            order.push('recorder');
+            return 'recorder';
+          }
+        }
+      });
+
+      assert.strictEqual(sendRequest, 'recorder');
+      assert.deepEqual(order, ['transport', 'recorder']);
+    });
+  });
+
+  describe('makeRequest', function() {
+    var reqOpts = {
+      method: 'GET'
+    };
+
+    function testDefaultRetryConfig(done) {
+      return function(reqOpts_, options) {
+        assert.strictEqual(reqOpts_, reqOpts);
+        assert.strictEqual(options.idempotent, true);
+        assert(options.retryPolicy instanceof RetryPolicy);
+        assert.strictEqual(options.retryPolicy.maxRetries, 3);
+        done();
+      };
+    }
+
+    var noRetryConfig = { autoRetry: false };
+    function testNoRetryConfig(done) {
+      return function(reqOpts, options) {
+        assert.strictEqual(options.retryPolicy.maxRetries, 0);
+        done();
+      };
+    }
+
+    var customRetryConfig = { maxRetries: 10 };
+    function testCustomRetryConfig(done) {
+      return function(reqOpts, options) {
+        assert.strictEqual(
+          options.retryPolicy.maxRetries,
+          customRetryConfig.maxRetries
+        );
+        done();
+      };
+    }
 
-    var noRetryRequestConfig = { autoRetry: false };
-    function testNoRetryRequestConfig(done) {
-      return function(reqOpts, config) {
-        assert.strictEqual(config.retries, 0);
+    var retryPolicyConfig = { retryPolicy: { codes: [404] } };
+    function testRetryPolicyConfig(done) {
+      return function(reqOpts, options) {
+        assert.deepEqual(options.retryPolicy.codes, [404]);
         done();
       };
     }
 
-    var customRetryRequestConfig = { maxRetries: 10 };
-    function testCustomRetryRequestConfig(done) {
-      return function(reqOpts, config) {
-        assert.strictEqual(config.retries, customRetryRequestConfig.maxRetries);
+    var nonIdempotentConfig = { idempotent: false };
+    function testNonIdempotentConfig(done) {
+      return function(reqOpts, options) {
+        assert.strictEqual(options.idempotent, false);
         done();
       };
     }
 
     describe('callback mode', function() {
-      it('should pass the default options to retryRequest', function(done) {
-        retryRequestOverride = testDefaultRetryRequestConfig(done);
+      it('should pass the default options', function(done) {
+        utilOverrides.makeRetriableRequest = testDefaultRetryConfig(done);
         util.makeRequest(reqOpts, {});
       });
 
-      it('should allow turning off retries to retryRequest', function(done) {
-        retryRequestOverride = testNoRetryRequestConfig(done);
-        util.makeRequest(reqOpts, noRetryRequestConfig);
+      it('should allow turning off retries', function(done) {
+        utilOverrides.makeRetriableRequest = testNoRetryConfig(done);
+        util.makeRequest(reqOpts, noRetryConfig);
       });
 
-      it('should override number of retries to retryRequest', function(done) {
-        retryRequestOverride = testCustomRetryRequestConfig(done);
-        util.makeRequest(reqOpts, customRetryRequestConfig);
+      it('should override number of retries', function(done) {
+        utilOverrides.makeRetriableRequest = testCustomRetryConfig(done);
+        util.makeRequest(reqOpts, customRetryConfig);
       });
     });
 
@@ -941,7 +1943,7 @@ describe('common/util', function() {
             done();
           });
 
-        retryRequestOverride = function() {
+        utilOverrides.makeRetriableRequest = function() {
           setImmediate(function() {
             requestStream.emit('error', error);
           });
@@ -953,10 +1955,10 @@ describe('common/util', function() {
       });
 
       describe('GET requests', function() {
-        it('should use retryRequest', function(done) {
+        it('should use makeRetriableRequest', function(done) {
           var userStream = duplexify();
 
-          retryRequestOverride = function(reqOpts_) {
+          utilOverrides.makeRetriableRequest = function(reqOpts_) {
             assert.strictEqual(reqOpts_, reqOpts);
             setImmediate(done);
             return new stream.Stream();
@@ -967,24 +1969,24 @@ describe('common/util', function() {
 
         it('should set the readable stream', function(done) {
           var userStream = duplexify();
-          var retryRequestStream = new stream.Stream();
+          var retriableRequestStream = new stream.Stream();
 
-          retryRequestOverride = function() {
-            return retryRequestStream;
+          utilOverrides.makeRetriableRequest = function() {
+            return retriableRequestStream;
           };
 
           userStream.setReadable = function(stream) {
-            assert.strictEqual(stream, retryRequestStream);
+            assert.strictEqual(stream, retriableRequestStream);
             done();
           };
 
           util.makeRequest(reqOpts, { stream: userStream });
         });
 
-        it('should expose the abort method from retryRequest', function(done) {
+        it('should expose the abort method', function(done) {
           var userStream = duplexify();
 
-          retryRequestOverride = function() {
+          utilOverrides.makeRetriableRequest = function() {
             var requestStream = new stream.Stream();
             requestStream.abort = done;
             return requestStream;
@@ -996,13 +1998,13 @@ describe('common/util', function() {
       });
 
       describe('non-GET requests', function() {
-        it('should not use retryRequest', function(done) {
+        it('should not use makeRetriableRequest', function(done) {
           var userStream = duplexify();
           var reqOpts = {
             method: 'POST'
           };
 
-          retryRequestOverride = done; // will throw.
+          utilOverrides.makeRetriableRequest = done; // will throw.
           requestOverride = function(reqOpts_) {
             assert.strictEqual(reqOpts_, reqOpts);
             setImmediate(done);
@@ -1045,23 +2047,33 @@ describe('common/util', function() {
 
     describe('callback mode', function() {
       it('should optionally accept config', function(done) {
-        retryRequestOverride = testDefaultRetryRequestConfig(done);
+        utilOverrides.makeRetriableRequest = testDefaultRetryConfig(done);
         util.makeRequest(reqOpts, assert.ifError);
       });
 
-      it('should pass the default options to retryRequest', function(done) {
-        retryRequestOverride = testDefaultRetryRequestConfig(done);
+      it('should pass the default options', function(done) {
+        utilOverrides.makeRetriableRequest = testDefaultRetryConfig(done);
         util.makeRequest(reqOpts, {}, assert.ifError);
       });
 
-      it('should allow turning off retries to retryRequest', function(done) {
-        retryRequestOverride = testNoRetryRequestConfig(done);
-        util.makeRequest(reqOpts, noRetryRequestConfig, assert.ifError);
+      it('should allow turning off retries', function(done) {
+        utilOverrides.makeRetriableRequest = testNoRetryConfig(done);
+        util.makeRequest(reqOpts, noRetryConfig, assert.ifError);
+      });
+
+      it('should override number of retries', function(done) {
+        utilOverrides.makeRetriableRequest = testCustomRetryConfig(done);
+        util.makeRequest(reqOpts, customRetryConfig, assert.ifError);
       });
 
-      it('should override number of retries to retryRequest', function(done) {
-        retryRequestOverride = testCustomRetryRequestConfig(done);
-        util.makeRequest(reqOpts, customRetryRequestConfig, assert.ifError);
+      it('should pass the retry policy', function(done) {
+        utilOverrides.makeRetriableRequest = testRetryPolicyConfig(done);
+        util.makeRequest(reqOpts, retryPolicyConfig, assert.ifError);
+      });
+
+      it('should pass the idempotency of the request', function(done) {
+        utilOverrides.makeRetriableRequest = testNonIdempotentConfig(done);
+        util.makeRequest(reqOpts, nonIdempotentConfig, assert.ifError);
       });
 
       it('should let handleResp handle the response', function(done) {
@@ -1082,20 +2094,609 @@ describe('common/util', function() {
 
         util.makeRequest({}, {}, assert.ifError);
       });
-    });
-  });
-
-  describe('decorateRequest', function() {
-    it('should add the user agent', function() {
-      var PKG = require('../../package.json');
-      var USER_AGENT = 'gcloud-node/' + PKG.version;
 
-      var reqOpts = { a: 'b', c: 'd' };
+      it('should pass the timeout', function(done) {
+        utilOverrides.makeRetriableRequest = function(reqOpts, options) {
+          assert.strictEqual(options.timeout, 1000);
+          done();
+        };
 
-      var expectedReqOpts = extend({}, reqOpts, {
-        headers: {
-          'User-Agent': USER_AGENT
-        }
+        util.makeRequest(reqOpts, { timeout: 1000 }, assert.ifError);
+      });
+
+      it('should get a recorder', function(done) {
+        var recorder = new Recorder({ mode: 'replay', path: 'fixtures.json' });
+
+        utilOverrides.makeRetriableRequest = function(reqOpts, options) {
+          assert.strictEqual(options.recorder, recorder);
+          done();
+        };
+
+        util.makeRequest(reqOpts, { fixtures: recorder }, assert.ifError);
+      });
+
+      it('should get a transport', function(done) {
+        utilOverrides.makeRetriableRequest = function(reqOpts, options) {
+          assert(options.transport instanceof Transport);
+          assert.strictEqual(options.transport.proxy, 'http://proxy:3128');
+          done();
+        };
+
+        util.makeRequest(reqOpts, {
+          proxy: 'http://proxy:3128'
+        }, assert.ifError);
+      });
+
+      it('should create a debug logger', function(done) {
+        utilOverrides.makeRetriableRequest = function(reqOpts, options) {
+          assert(options.debugLogger instanceof DebugLogger);
+          assert.strictEqual(options.debugLogger.bodies, true);
+          done();
+        };
+
+        util.makeRequest(reqOpts, {
+          debug: { bodies: true }
+        }, assert.ifError);
+      });
+
+      it('should return a handle to abort the request', function(done) {
+        var aborted = false;
+
+        utilOverrides.makeRetriableRequest = function() {
+          return {
+            abort: function() {
+              aborted = true;
+            }
+          };
+        };
+
+        var handle = util.makeRequest(reqOpts, {}, function(err) {
+          assert.strictEqual(err.name, 'CancellationError');
+          assert.strictEqual(aborted, true);
+          done();
+        });
+
+        handle.abort();
+      });
+
+      it('should add the number of retries to API errors', function(done) {
+        utilOverrides.makeRetriableRequest = function(reqOpts, opts, cb) {
+          setImmediate(function() {
+            cb(null, { statusCode: 404 }, {});
+          });
+
+          return { retries: 3 };
+        };
+
+        util.makeRequest(reqOpts, {}, function(err) {
+          assert(err instanceof util.errors.NotFoundError);
+          assert.strictEqual(err.retries, 3);
+          done();
+        });
+      });
+
+      it('should not cancel a completed request', function(done) {
+        utilOverrides.makeRetriableRequest = function(reqOpts, opts, cb) {
+          cb(null, { statusCode: 200 }, {});
+          return { abort: util.noop };
+        };
+
+        var handle = util.makeRequest(reqOpts, {}, function(err) {
+          assert.ifError(err);
+          setImmediate(done);
+        });
+
+        handle.abort();
+      });
+    });
+
+    describe('telemetry', function() {
+      var telemetry;
+
+      beforeEach(function() {
+        telemetry = new Telemetry();
+      });
+
+      it('should add trace headers', function(done) {
+        utilOverrides.makeRetriableRequest = function(reqOpts_) {
+          assert.notStrictEqual(reqOpts_, reqOpts);
+          assert.deepEqual(reqOpts_.headers, {
+            traceparent: '00-trace-span-00'
+          });
+          done();
+        };
+
+        util.makeRequest(reqOpts, {
+          tracing: {
+            getContext: function() {
+              return { traceId: 'trace', spanId: 'span' };
+            }
+          }
+        }, assert.ifError);
+      });
+
+      it('should emit the request and its metrics', function(done) {
+        var events = [];
+
+        telemetry
+          .on('request', function(event) {
+            events.push(event);
+          })
+          .on('response', function(event) {
+            assert.strictEqual(events.length, 1);
+            assert.strictEqual(event.id, events[0].id);
+            assert.strictEqual(event.method, 'GET');
+            assert.strictEqual(event.statusCode, 200);
+            assert.strictEqual(event.bytesReceived, 12);
+            assert.strictEqual(event.retries, 2);
+            assert.strictEqual(event.err, null);
+          });
+
+        utilOverrides.makeRetriableRequest = function(reqOpts, opts, cb) {
+          setImmediate(function() {
+            cb(null, { statusCode: 200 }, '{"a":"body"}');
+          });
+
+          return { retries: 2 };
+        };
+
+        util.makeRequest(reqOpts, { telemetry: telemetry }, done);
+      });
+
+      it('should emit the error of a request', function(done) {
+        telemetry.on('response', function(event) {
+          assert.strictEqual(event.err.name, 'NotFoundError');
+          assert.strictEqual(event.statusCode, 404);
+          done();
+        });
+
+        utilOverrides.makeRetriableRequest = function(reqOpts, opts, cb) {
+          cb(null, { statusCode: 404 }, {});
+          return {};
+        };
+
+        util.makeRequest(reqOpts, { telemetry: telemetry }, util.noop);
+      });
+
+      it('should emit a cancelled request', function(done) {
+        telemetry.on('response', function(event) {
+          assert.strictEqual(event.err.name, 'CancellationError');
+          done();
+        });
+
+        utilOverrides.makeRetriableRequest = function() {
+          return { abort: util.noop };
+        };
+
+        util.makeRequest(reqOpts, { telemetry: telemetry }, util.noop).abort();
+      });
+
+      it('should count the bytes of a streamed response', function(done) {
+        var requestStream = new stream.PassThrough();
+        var userStream = duplexify();
+
+        requestStream.retries = 1;
+
+        telemetry.on('response', function(event) {
+          assert.strictEqual(event.statusCode, 200);
+          assert.strictEqual(event.bytesReceived, 8);
+          assert.strictEqual(event.retries, 1);
+          done();
+        });
+
+        utilOverrides.makeRetriableRequest = function() {
+          return requestStream;
+        };
+
+        util.makeRequest(reqOpts, {
+          stream: userStream,
+          telemetry: telemetry
+        });
+
+        userStream.resume();
+        requestStream.emit('response', { statusCode: 200 });
+        requestStream.end('response');
+      });
+
+      it('should count the bytes of a streamed request', function(done) {
+        var requestStream = new stream.PassThrough();
+        var userStream = duplexify();
+
+        telemetry.on('response', function(event) {
+          assert.strictEqual(event.method, 'POST');
+          assert.strictEqual(event.bytesSent, 4);
+          assert.strictEqual(event.bytesReceived, 2);
+          done();
+        });
+
+        requestOverride = function() {
+          return requestStream;
+        };
+
+        util.makeRequest({ method: 'POST' }, {
+          stream: userStream,
+          telemetry: telemetry
+        });
+
+        requestStream.on('finish', function() {
+          requestStream.emit('complete', { statusCode: 200 }, '{}');
+        });
+
+        userStream.end('data');
+      });
+
+      it('should emit the error of a stream', function(done) {
+        var error = new Error('Error.');
+        var requestStream = new stream.PassThrough();
+        var userStream = duplexify();
+
+        telemetry.on('response', function(event) {
+          assert.strictEqual(event.err, error);
+          done();
+        });
+
+        utilOverrides.makeRetriableRequest = function() {
+          return requestStream;
+        };
+
+        util.makeRequest(reqOpts, {
+          stream: userStream,
+          telemetry: telemetry
+        });
+
+        userStream.on('error', util.noop);
+        requestStream.emit('error', error);
+      });
+    });
+
+    describe('interceptors', function() {
+      var response;
+      var body;
+
+      beforeEach(function() {
+        response = { statusCode: 200 };
+        body = { a: 'b' };
+      });
+
+      describe('callback mode', function() {
+        beforeEach(function() {
+          utilOverrides.makeRetriableRequest = function(reqOpts, opts, cb) {
+            cb(null, response, body);
+          };
+        });
+
+        it('should pass the response to the interceptors', function(done) {
+          var interceptors = [{
+            response: function(resp) {
+              assert.strictEqual(resp, response);
+              assert.strictEqual(resp.body, body);
+              return resp;
+            }
+          }];
+
+          util.makeRequest(reqOpts, {
+            interceptors: interceptors
+          }, function(err, body_, resp) {
+            assert.ifError(err);
+            assert.deepEqual(body_, body);
+            assert.deepEqual(resp, response);
+            done();
+          });
+        });
+
+        it('should allow an interceptor to replace the body', function(done) {
+          var newBody = { c: 'd' };
+
+          var interceptors = [{
+            response: function(resp, next) {
+              resp.body = newBody;
+              setImmediate(next, null, resp);
+            }
+          }];
+
+          util.makeRequest(reqOpts, {
+            interceptors: interceptors
+          }, function(err, body_) {
+            assert.ifError(err);
+            assert.deepEqual(body_, newBody);
+            done();
+          });
+        });
+
+        it('should return an error from response interceptors', function(done) {
+          var error = new Error('Error.');
+
+          var interceptors = [{
+            response: function() {
+              throw error;
+            }
+          }];
+
+          util.makeRequest(reqOpts, {
+            interceptors: interceptors
+          }, function(err) {
+            assert.strictEqual(err, error);
+            done();
+          });
+        });
+
+        it('should pass errors to the error interceptors', function(done) {
+          var error = new Error('Error.');
+          var replacementError = new Error('Replacement error.');
+
+          utilOverrides.makeRetriableRequest = function(reqOpts, opts, cb) {
+            cb(error);
+          };
+
+          var interceptors = [{
+            error: function(err) {
+              assert.strictEqual(err, error);
+              return Promise.resolve(replacementError);
+            }
+          }];
+
+          util.makeRequest(reqOpts, {
+            interceptors: interceptors
+          }, function(err) {
+            assert.strictEqual(err, replacementError);
+            done();
+          });
+        });
+
+        it('should keep the response if an interceptor returns nothing',
+          function(done) {
+            var interceptors = [{
+              response: util.noop
+            }];
+
+            util.makeRequest(reqOpts, {
+              interceptors: interceptors
+            }, function(err, body_, resp) {
+              assert.ifError(err);
+              assert.deepEqual(body_, body);
+              assert.deepEqual(resp, response);
+              done();
+            });
+          });
+
+        it('should keep the error if an interceptor returns nothing',
+          function(done) {
+            var error = new Error('Error.');
+
+            utilOverrides.makeRetriableRequest = function(reqOpts, opts, cb) {
+              cb(error);
+            };
+
+            var interceptors = [{
+              error: function(err) {
+                assert.strictEqual(err, error);
+              }
+            }];
+
+            util.makeRequest(reqOpts, {
+              interceptors: interceptors
+            }, function(err) {
+              assert.strictEqual(err, error);
+              done();
+            });
+          });
+      });
+
+      describe('stream mode', function() {
+        var requestStream;
+        var userStream;
+
+        beforeEach(function() {
+          requestStream = duplexify();
+          userStream = duplexify();
+
+          utilOverrides.makeRetriableRequest = function() {
+            return requestStream;
+          };
+        });
+
+        it('should intercept the response event', function(done) {
+          var interceptedResponse = {};
+
+          var interceptors = [{
+            response: function(resp) {
+              assert.strictEqual(resp, response);
+              return interceptedResponse;
+            }
+          }];
+
+          userStream.on('response', function(resp) {
+            assert.strictEqual(resp, interceptedResponse);
+            done();
+          });
+
+          util.makeRequest(reqOpts, {
+            interceptors: interceptors,
+            stream: userStream
+          });
+
+          requestStream.emit('response', response);
+        });
+
+        it('should destroy the stream if a response interceptor errors',
+          function(done) {
+            var error = new Error('Error.');
+
+            var interceptors = [{
+              response: function(resp, next) {
+                next(error);
+              }
+            }];
+
+            userStream.on('error', function(err) {
+              assert.strictEqual(err, error);
+              done();
+            });
+
+            util.makeRequest(reqOpts, {
+              interceptors: interceptors,
+              stream: userStream
+            });
+
+            requestStream.emit('response', response);
+          });
+
+        it('should intercept the error event', function(done) {
+          var error = new Error('Error.');
+          var replacementError = new Error('Replacement error.');
+
+          var interceptors = [{
+            error: function(err) {
+              assert.strictEqual(err, error);
+              return replacementError;
+            }
+          }];
+
+          userStream.on('error', function(err) {
+            assert.strictEqual(err, replacementError);
+            done();
+          });
+
+          util.makeRequest(reqOpts, {
+            interceptors: interceptors,
+            stream: userStream
+          });
+
+          requestStream.emit('error', error);
+        });
+      });
+    });
+  });
+
+  describe('execInterceptors', function() {
+    it('should run the interceptors in order', function(done) {
+      var interceptors = [
+        {
+          request: function(value) {
+            return value + '1';
+          }
+        },
+        {
+          request: function(value) {
+            return Promise.resolve(value + '2');
+          }
+        },
+        {
+          request: function(value, next) {
+            setImmediate(next, null, value + '3');
+          }
+        }
+      ];
+
+      util.execInterceptors('request', interceptors, '0', function(err, val) {
+        assert.ifError(err);
+        assert.strictEqual(val, '0123');
+        done();
+      });
+    });
+
+    it('should skip interceptors without the phase', function(done) {
+      var interceptors = [
+        {
+          response: function() {
+            throw new Error('Should not be called.');
+          }
+        },
+        undefined,
+        {
+          request: function(value) {
+            return value + '1';
+          }
+        }
+      ];
+
+      util.execInterceptors('request', interceptors, '0', function(err, val) {
+        assert.ifError(err);
+        assert.strictEqual(val, '01');
+        done();
+      });
+    });
+
+    it('should run synchronously if every interceptor does', function() {
+      var value;
+
+      util.execInterceptors('request', [], 'value', function(err, val) {
+        value = val;
+      });
+
+      assert.strictEqual(value, 'value');
+    });
+
+    it('should stop at the first error', function(done) {
+      var error = new Error('Error.');
+
+      var interceptors = [
+        {
+          request: function() {
+            return Promise.reject(error);
+          }
+        },
+        {
+          request: function() {
+            throw new Error('Should not be called.');
+          }
+        }
+      ];
+
+      util.execInterceptors('request', interceptors, {}, function(err) {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+
+    it('should keep the value if an interceptor returns nothing',
+      function(done) {
+        var interceptors = [
+          {
+            error: util.noop
+          },
+          {
+            error: function(value, next) {
+              next();
+            }
+          },
+          {
+            error: function() {
+              return Promise.resolve();
+            }
+          }
+        ];
+
+        util.execInterceptors('error', interceptors, 'value', function(err, v) {
+          assert.ifError(err);
+          assert.strictEqual(v, 'value');
+          done();
+        });
+      });
+
+    it('should call interceptors with the interceptor context', function(done) {
+      var interceptor = {
+        request: function(value) {
+          assert.strictEqual(this, interceptor);
+          return value;
+        }
+      };
+
+      util.execInterceptors('request', [interceptor], {}, done);
+    });
+  });
+
+  describe('decorateRequest', function() {
+    it('should add the user agent', function() {
+      var PKG = require('../../package.json');
+      var USER_AGENT = 'gcloud-node/' + PKG.version;
+
+      var reqOpts = { a: 'b', c: 'd' };
+
+      var expectedReqOpts = extend({}, reqOpts, {
+        headers: {
+          'User-Agent': USER_AGENT
+        }
       });
 
       var decoratedReqOpts = util.decorateRequest(reqOpts);
@@ -1143,6 +2744,82 @@ describe('common/util', function() {
     });
   });
 
+  describe('normalizeApiEndpoint', function() {
+    it('should default to HTTP', function() {
+      var apiEndpoint = util.normalizeApiEndpoint('localhost:8080');
+      assert.strictEqual(apiEndpoint, 'http://localhost:8080');
+    });
+
+    it('should keep the protocol', function() {
+      var apiEndpoint = util.normalizeApiEndpoint('https://example.com');
+      assert.strictEqual(apiEndpoint, 'https://example.com');
+    });
+
+    it('should remove trailing slashes', function() {
+      var apiEndpoint = util.normalizeApiEndpoint('http://localhost:8080//');
+      assert.strictEqual(apiEndpoint, 'http://localhost:8080');
+    });
+  });
+
+  describe('applyApiEndpoint', function() {
+    var URI = 'https://www.googleapis.com/storage/v1';
+
+    it('should return the URL without an endpoint', function() {
+      assert.strictEqual(util.applyApiEndpoint(URI), URI);
+      assert.strictEqual(util.applyApiEndpoint(URI, null), URI);
+    });
+
+    it('should keep the path of the URL', function() {
+      var uri = util.applyApiEndpoint(URI, 'localhost:8080');
+      assert.strictEqual(uri, 'http://localhost:8080/storage/v1');
+    });
+
+    it('should keep the path of the endpoint', function() {
+      var uri = util.applyApiEndpoint(URI, 'http://localhost:8080/emulator/');
+      assert.strictEqual(uri, 'http://localhost:8080/emulator/storage/v1');
+    });
+
+    it('should not add a slash to a URL without a path', function() {
+      var uri = 'https://storage.googleapis.com';
+      var localUri = util.applyApiEndpoint(uri, 'localhost:8080');
+
+      assert.strictEqual(localUri, 'http://localhost:8080');
+    });
+  });
+
+  describe('makeDirectory', function() {
+    var directory;
+
+    beforeEach(function(done) {
+      tmp.setGracefulCleanup();
+      tmp.dir({ unsafeCleanup: true }, function(err, path) {
+        directory = path;
+        done(err);
+      });
+    });
+
+    it('should create a directory and its parents', function(done) {
+      util.makeDirectory(directory + '/a/b/c', function(err) {
+        assert.ifError(err);
+        assert(fs.statSync(directory + '/a/b/c').isDirectory());
+        done();
+      });
+    });
+
+    it('should allow a directory that exists', function(done) {
+      util.makeDirectory(directory, done);
+    });
+
+    it('should execute callback with an error', function(done) {
+      fs.writeFileSync(directory + '/file', 'file');
+
+      util.makeDirectory(directory + '/file/a', function(err) {
+        assert.strictEqual(err.code, 'ENOTDIR');
+        done();
+      });
+    });
+  });
+
   describe('normalizeArguments', function() {
     var fakeContext = {
       config_: {
@@ -1164,6 +2841,16 @@ describe('common/util', function() {
       assert.strictEqual(config, fakeContext.config_);
     });
 
+    it('should extend the configuration of the service', function(done) {
+      utilOverrides.extendGlobalConfig = function(config, local, service) {
+        assert.strictEqual(service, 'pubsub');
+        done();
+        return fakeContext.config_;
+      };
+
+      util.normalizeArguments(fakeContext, {}, { service: 'pubsub' });
+    });
+
     describe('projectIdRequired', function() {
       var fakeContextWithoutProjectId = {
         config_: {}
@@ -1188,4 +2875,169 @@ describe('common/util', function() {
       });
     });
   });
+
+  describe('promisify', function() {
+    var fakeContext = {};
+    var func;
+    var fakeArgs = [null, 1, 2, 3];
+
+    beforeEach(function() {
+      func = util.promisify(function(callback) {
+        callback.apply(this, fakeArgs);
+      });
+    });
+
+    it('should not re-promisify the function', function() {
+      var original = func;
+
+      func = util.promisify(func);
+
+      assert.strictEqual(original, func);
+    });
+
+    it('should not return a promise in callback mode', function(done) {
+      var returnVal = func.call(fakeContext, function() {
+        var args = [].slice.call(arguments);
+
+        assert.deepEqual(args, fakeArgs);
+        assert.strictEqual(this, fakeContext);
+        assert(!returnVal);
+        done();
+      });
+    });
+
+    it('should return a promise when the callback is omitted', function() {
+      assert(func() instanceof Promise);
+    });
+
+    it('should resolve the callback arguments as an array', function() {
+      return func().then(function(args) {
+        assert.deepEqual(args, fakeArgs.slice(1));
+      });
+    });
+
+    it('should reject the promise on a failed request', function() {
+      var error = new Error('err');
+
+      func = util.promisify(function(callback) {
+        callback(error);
+      });
+
+      return func().then(function() {
+        throw new Error('Promise should have been rejected.');
+      }, function(err) {
+        assert.strictEqual(err, error);
+      });
+    });
+
+    it('should pass the callback after omitted arguments', function() {
+      func = util.promisify(function(a, b, callback) {
+        assert.strictEqual(a, 'a');
+        assert.strictEqual(b, undefined);
+        callback(null, 'done');
+      });
+
+      return func('a').then(function(args) {
+        assert.deepEqual(args, ['done']);
+      });
+    });
+
+    it('should leave a rejection to the caller to handle', function(done) {
+      var promise;
+
+      function onUnhandledRejection(reason, rejectedPromise) {
+        process.removeListener('unhandledRejection', onUnhandledRejection);
+        assert.strictEqual(reason.message, 'err');
+        assert.strictEqual(rejectedPromise, promise);
+        done();
+      }
+
+      process.on('unhandledRejection', onUnhandledRejection);
+
+      func = util.promisify(function(callback) {
+        callback(new Error('err'));
+      });
+
+      promise = func();
+    });
+
+    it('should preserve the context of the original method', function() {
+      func = util.promisify(function(callback) {
+        assert.strictEqual(this, fakeContext);
+        callback(null);
+      });
+
+      return func.call(fakeContext);
+    });
+
+    it('should not catch errors thrown synchronously', function() {
+      var error = new Error('err');
+
+      func = util.promisify(function() {
+        throw error;
+      });
+
+      assert.throws(func, function(err) {
+        return err === error;
+      });
+    });
+
+    it('should expose the abort method on the promise', function(done) {
+      func = util.promisify(function() {
+        return { abort: done };
+      });
+
+      func().abort();
+    });
+  });
+
+  describe('promisifyAll', function() {
+    function FakeClass() {}
+
+    FakeClass.prototype.methodName = function() {};
+    FakeClass.prototype.methodSync = function() {};
+    FakeClass.prototype.methodPrivate_ = function() {};
+    FakeClass.prototype.createReadStream = function() {};
+    FakeClass.prototype.request = function() {};
+
+    var original = extend({}, FakeClass.prototype);
+
+    beforeEach(function() {
+      utilOverrides.promisify = function(originalMethod) {
+        return function() {
+          return originalMethod;
+        };
+      };
+
+      util.promisifyAll(FakeClass, {
+        exclude: ['methodSync']
+      });
+    });
+
+    afterEach(function() {
+      extend(FakeClass.prototype, original);
+    });
+
+    it('should promisify the public methods', function() {
+      var instance = new FakeClass();
+
+      assert.strictEqual(instance.methodName(), original.methodName);
+    });
+
+    it('should skip excluded, private, stream & request methods', function() {
+      assert.strictEqual(FakeClass.prototype.methodSync, original.methodSync);
+
+      assert.strictEqual(
+        FakeClass.prototype.methodPrivate_,
+        original.methodPrivate_
+      );
+
+      assert.strictEqual(
+        FakeClass.prototype.createReadStream,
+        original.createReadStream
+      );
+
+      assert.strictEqual(FakeClass.prototype.request, original.request);
+    });
+  });
 });
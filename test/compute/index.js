@@ -162,6 +162,9 @@ describe('Compute', function() {
 
       var baseUrl = 'https://www.googleapis.com/compute/v1';
       assert.strictEqual(calledWith.baseUrl, baseUrl);
+
+      var batchUrl = 'https://www.googleapis.com/batch/compute/v1';
+      assert.strictEqual(calledWith.batchUrl, batchUrl);
       assert.deepEqual(calledWith.scopes, [
         'https://www.googleapis.com/auth/compute'
       ]);
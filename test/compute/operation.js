@@ -21,11 +21,19 @@ var extend = require('extend');
 var mockery = require('mockery');
 var nodeutil = require('util');
 
+var LongRunningOperation =
+  require('../../lib/common/long-running-operation.js');
 var ServiceObject = require('../../lib/common/service-object.js');
 var util = require('../../lib/common/util.js');
 
-function FakeServiceObject() {
+function FakeLongRunningOperation() {
   this.calledWith_ = arguments;
+  LongRunningOperation.apply(this, arguments);
+}
+
+nodeutil.inherits(FakeLongRunningOperation, LongRunningOperation);
+
+function FakeServiceObject() {
   ServiceObject.apply(this, arguments);
 }
 
@@ -50,6 +58,10 @@ describe('Operation', function() {
   var OPERATION_NAME = 'operation-name';
 
   before(function() {
+    mockery.registerMock(
+      '../common/long-running-operation.js',
+      FakeLongRunningOperation
+    );
     mockery.registerMock('../common/service-object.js', FakeServiceObject);
     mockery.registerMock('../common/util.js', fakeUtil);
     mockery.enable({
@@ -79,8 +91,8 @@ describe('Operation', function() {
       assert.strictEqual(operation.name, OPERATION_NAME);
     });
 
-    it('should inherit from ServiceObject', function() {
-      assert(operation instanceof ServiceObject);
+    it('should inherit from LongRunningOperation', function() {
+      assert(operation instanceof LongRunningOperation);
 
       var calledWith = operation.calledWith_[0];
 
@@ -104,11 +116,6 @@ describe('Operation', function() {
       var calledWith = operation.calledWith_[0];
       assert.strictEqual(calledWith.baseUrl, '/global/operations');
     });
-
-    it('should correctly initialize variables', function() {
-      assert.strictEqual(operation.completeListeners, 0);
-      assert.strictEqual(operation.hasActiveListeners, false);
-    });
   });
 
   describe('getMetadata', function() {
@@ -201,94 +208,13 @@ describe('Operation', function() {
     });
   });
 
-  describe('listenForEvents_', function() {
-    beforeEach(function() {
-      operation.startPolling_ = util.noop;
-    });
-
-    it('should start polling when complete listener is bound', function(done) {
-      operation.startPolling_ = function() {
-        done();
-      };
-
-      operation.on('complete', util.noop);
-    });
-
-    it('should track the number of listeners', function() {
-      assert.strictEqual(operation.completeListeners, 0);
-
-      operation.on('complete', util.noop);
-      assert.strictEqual(operation.completeListeners, 1);
-
-      operation.removeListener('complete', util.noop);
-      assert.strictEqual(operation.completeListeners, 0);
-    });
-
-    it('should only run a single pulling loop', function() {
-      var startPollingCallCount = 0;
-
-      operation.startPolling_ = function() {
-        startPollingCallCount++;
-      };
-
-      operation.on('complete', util.noop);
-      operation.on('complete', util.noop);
-
-      assert.strictEqual(startPollingCallCount, 1);
-    });
-
-    it('should close when no more message listeners are bound', function() {
-      operation.on('complete', util.noop);
-      operation.on('complete', util.noop);
-      assert.strictEqual(operation.hasActiveListeners, true);
-
-      operation.removeListener('complete', util.noop);
-      assert.strictEqual(operation.hasActiveListeners, true);
-
-      operation.removeListener('complete', util.noop);
-      assert.strictEqual(operation.hasActiveListeners, false);
-    });
-  });
-
-  describe('startPolling_', function() {
-    var listenForEvents_;
-    var operation;
-
-    before(function() {
-      listenForEvents_ = Operation.prototype.listenForEvents_;
-    });
-
-    after(function() {
-      Operation.prototype.listenForEvents_ = listenForEvents_;
-    });
-
-    beforeEach(function() {
-      Operation.prototype.listenForEvents_ = util.noop;
-      operation = new Operation(SCOPE, OPERATION_NAME);
-      operation.hasActiveListeners = true;
-    });
-
-    afterEach(function() {
-      operation.hasActiveListeners = false;
-    });
-
-    it('should not call getMetadata if no listeners', function(done) {
-      operation.hasActiveListeners = false;
-
-      operation.getMetadata = done; // if called, test will fail.
-
-      operation.startPolling_();
-      done();
-    });
-
-    it('should call getMetadata if listeners are registered', function(done) {
-      operation.hasActiveListeners = true;
-
+  describe('poll_', function() {
+    it('should call getMetadata', function(done) {
       operation.getMetadata = function() {
         done();
       };
 
-      operation.startPolling_();
+      operation.poll_(assert.ifError);
     });
 
     describe('API error', function() {
@@ -300,13 +226,11 @@ describe('Operation', function() {
         };
       });
 
-      it('should emit the error', function(done) {
-        operation.on('error', function(err) {
+      it('should execute callback with the error', function(done) {
+        operation.poll_(function(err) {
           assert.strictEqual(err, error);
           done();
         });
-
-        operation.startPolling_();
       });
     });
 
@@ -327,10 +251,10 @@ describe('Operation', function() {
           return {};
         };
 
-        operation.startPolling_();
+        operation.poll_(util.noop);
       });
 
-      it('should detect and emit the error', function(done) {
+      it('should detect the error', function(done) {
         parseHttpRespBodyOverride = function(body) {
           assert.strictEqual(body, apiResponse);
 
@@ -339,18 +263,15 @@ describe('Operation', function() {
           };
         };
 
-        operation.on('error', function(err) {
+        operation.poll_(function(err) {
           assert.strictEqual(err, error);
           done();
         });
-
-        operation.startPolling_();
       });
     });
 
     describe('operation pending', function() {
       var apiResponse = { status: 'PENDING' };
-      var setTimeoutCached = global.setTimeout;
 
       beforeEach(function() {
         operation.getMetadata = function(callback) {
@@ -358,33 +279,13 @@ describe('Operation', function() {
         };
       });
 
-      after(function() {
-        global.setTimeout = setTimeoutCached;
-      });
-
-      it('should call startPolling_ after 500 ms', function(done) {
-        var startPolling_ = operation.startPolling_;
-        var startPollingCalled = false;
-
-        global.setTimeout = function(fn, timeoutMs) {
-          fn(); // should call startPolling_
-          assert.strictEqual(timeoutMs, 500);
-        };
-
-        operation.startPolling_ = function() {
-          if (!startPollingCalled) {
-            // Call #1.
-            startPollingCalled = true;
-            startPolling_.apply(this, arguments);
-            return;
-          }
-
-          // This is from the setTimeout call.
-          assert.strictEqual(this, operation);
+      it('should execute callback with the metadata', function(done) {
+        operation.poll_(function(err, metadata, isDone) {
+          assert.ifError(err);
+          assert.strictEqual(metadata, apiResponse);
+          assert.strictEqual(isDone, false);
           done();
-        };
-
-        operation.startPolling_();
+        });
       });
     });
 
@@ -397,13 +298,13 @@ describe('Operation', function() {
         };
       });
 
-      it('should emit complete with metadata', function(done) {
-        operation.on('complete', function(metadata) {
+      it('should execute callback with the metadata', function(done) {
+        operation.poll_(function(err, metadata, isDone) {
+          assert.ifError(err);
           assert.strictEqual(metadata, apiResponse);
+          assert.strictEqual(isDone, true);
           done();
         });
-
-        operation.startPolling_();
       });
     });
   });
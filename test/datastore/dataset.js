@@ -36,6 +36,7 @@ function FakeTransaction() {
 }
 
 describe('Dataset', function() {
+  var DebugLogger;
   var Dataset;
   var dataset;
 
@@ -45,7 +46,10 @@ describe('Dataset', function() {
     credentials: {},
     keyFilename: 'key/file',
     email: 'email',
-    namespace: 'namespace'
+    namespace: 'namespace',
+    timeout: 1000,
+    debug: { bodies: true },
+    fixtures: { mode: 'record', path: 'fixtures.json' }
   };
 
   before(function() {
@@ -57,6 +61,7 @@ describe('Dataset', function() {
       warnOnUnregistered: false
     });
 
+    DebugLogger = require('../../lib/common/debug-logger.js');
     Dataset = require('../../lib/datastore/dataset');
   });
 
@@ -66,7 +71,6 @@ describe('Dataset', function() {
   });
 
   beforeEach(function() {
-    delete process.env.DATASTORE_DATASET;
     makeAuthenticatedRequestFactoryOverride = null;
     dataset = new Dataset(OPTIONS);
   });
@@ -76,16 +80,6 @@ describe('Dataset', function() {
       assert.strictEqual(dataset.datasetId, OPTIONS.projectId);
     });
 
-    it('should detect the dataset ID', function() {
-      var datasetId = 'dataset-id';
-      process.env.DATASTORE_DATASET = datasetId;
-
-      var ds = new Dataset();
-      assert.strictEqual(ds.datasetId, datasetId);
-
-      delete process.env.DATASTORE_DATASET;
-    });
-
     it('should throw if a projectId is not specified', function() {
       assert.throws(function() {
         new Dataset();
@@ -109,6 +103,15 @@ describe('Dataset', function() {
       assert.strictEqual(dataset.namespace, OPTIONS.namespace);
     });
 
+    it('should localize the timeout', function() {
+      assert.strictEqual(dataset.timeout, OPTIONS.timeout);
+    });
+
+    it('should create a debug logger', function() {
+      assert(dataset.debugLogger instanceof DebugLogger);
+      assert.strictEqual(dataset.debugLogger.bodies, true);
+    });
+
     it('should create an authenticated request factory', function() {
       var authenticatedRequest = {};
       var customEndpoint = 'custom-endpoint';
@@ -124,6 +127,7 @@ describe('Dataset', function() {
         assert.strictEqual(config.credentials, OPTIONS.credentials);
         assert.strictEqual(config.keyFile, OPTIONS.keyFilename);
         assert.strictEqual(config.email, OPTIONS.email);
+        assert.strictEqual(config.fixtures, OPTIONS.fixtures);
 
         assert.deepEqual(config.scopes, [
           'https://www.googleapis.com/auth/datastore',
@@ -136,6 +140,29 @@ describe('Dataset', function() {
       var ds = new Dataset(OPTIONS);
       assert.strictEqual(ds.makeAuthenticatedRequest_, authenticatedRequest);
     });
+
+    it('should authenticate requests if asked to', function() {
+      makeAuthenticatedRequestFactoryOverride = function(config) {
+        assert.strictEqual(config.customEndpoint, false);
+      };
+
+      new Dataset({
+        projectId: 'project-id',
+        apiEndpoint: 'http://localhost:8080',
+        authenticate: true
+      });
+    });
+
+    it('should not authenticate requests if asked not to', function() {
+      makeAuthenticatedRequestFactoryOverride = function(config) {
+        assert.strictEqual(config.customEndpoint, true);
+      };
+
+      new Dataset({
+        projectId: 'project-id',
+        authenticate: false
+      });
+    });
   });
 
   describe('key', function() {
@@ -325,33 +352,6 @@ describe('Dataset', function() {
       assert.strictEqual(dataset.customEndpoint, undefined);
     });
 
-    describe('with DATASTORE_HOST environment variable', function() {
-      var DATASTORE_HOST = 'http://localhost:9090';
-
-      before(function() {
-        process.env.DATASTORE_HOST = DATASTORE_HOST;
-      });
-
-      after(function() {
-        delete process.env.DATASTORE_HOST;
-      });
-
-      it('should use the DATASTORE_HOST env var', function() {
-        dataset.determineApiEndpoint_();
-        assert.strictEqual(dataset.apiEndpoint, DATASTORE_HOST);
-      });
-
-      it('should favor an explicit apiEndpoint option', function() {
-        var explicitApiEndpoint = 'http://apiendpointoverride';
-        dataset.determineApiEndpoint_(explicitApiEndpoint);
-        assert.strictEqual(dataset.apiEndpoint, explicitApiEndpoint);
-      });
-
-      it('should set customEndpoint', function() {
-        dataset.determineApiEndpoint_();
-        assert.strictEqual(dataset.customEndpoint, true);
-      });
-    });
   });
 
   describe('createTransaction_', function() {
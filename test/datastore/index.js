@@ -51,6 +51,57 @@ describe('Datastore', function() {
     assert.equal(typeof datastore.dataset, 'function');
   });
 
+  describe('dataset', function() {
+    var ENV_VARS = ['DATASTORE_DATASET', 'DATASTORE_HOST', 'GCLOUD_PROJECT'];
+    var cachedEnv = {};
+
+    beforeEach(function() {
+      ENV_VARS.forEach(function(name) {
+        cachedEnv[name] = process.env[name];
+        delete process.env[name];
+      });
+
+      process.env.DATASTORE_DATASET = 'env-dataset';
+      process.env.DATASTORE_HOST = 'localhost:8080';
+    });
+
+    afterEach(function() {
+      ENV_VARS.forEach(function(name) {
+        if (typeof cachedEnv[name] === 'string') {
+          process.env[name] = cachedEnv[name];
+        } else {
+          delete process.env[name];
+        }
+      });
+    });
+
+    it('should read the environment variables of the gcloud SDK', function() {
+      var dataset = datastore.dataset();
+
+      assert.strictEqual(dataset.datasetId, 'env-dataset');
+      assert.strictEqual(dataset.apiEndpoint, 'http://localhost:8080');
+      assert.strictEqual(dataset.customEndpoint, true);
+    });
+
+    it('should read them for a configured Datastore', function() {
+      var Datastore = datastore;
+      var dataset = new Datastore({ projectId: 'project-id' }).dataset();
+
+      assert.strictEqual(dataset.datasetId, 'project-id');
+      assert.strictEqual(dataset.apiEndpoint, 'http://localhost:8080');
+    });
+
+    it('should prefer the options given', function() {
+      var dataset = datastore.dataset({
+        projectId: 'project-id',
+        apiEndpoint: 'localhost:9090'
+      });
+
+      assert.strictEqual(dataset.datasetId, 'project-id');
+      assert.strictEqual(dataset.apiEndpoint, 'http://localhost:9090');
+    });
+  });
+
   it('should expose Int builder', function() {
     var anInt = 7;
     datastore.int(anInt);
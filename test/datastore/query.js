@@ -49,6 +49,16 @@ describe('Query', function() {
       assert.strictEqual(query.autoPaginateVal, true);
     });
 
+    it('should not read ahead by default', function() {
+      var query = new Query(['kind1']);
+      assert.strictEqual(query.prefetchPagesVal, 0);
+    });
+
+    it('should not set a timeout by default', function() {
+      var query = new Query(['kind1']);
+      assert.strictEqual(query.timeoutVal, null);
+    });
+
   });
 
   describe('autoPaginate', function() {
@@ -80,6 +90,40 @@ describe('Query', function() {
 
   });
 
+  describe('prefetchPages', function() {
+
+    it('should set the number of pages to read ahead', function() {
+      var query = new Query(['kind1']).prefetchPages(2);
+
+      assert.strictEqual(query.prefetchPagesVal, 2);
+    });
+
+    it('should return the query instance', function() {
+      var query = new Query(['kind1']);
+      var nextQuery = query.prefetchPages(2);
+
+      assert.strictEqual(query, nextQuery);
+    });
+
+  });
+
+  describe('timeout', function() {
+
+    it('should set the timeout', function() {
+      var query = new Query(['kind1']).timeout(1000);
+
+      assert.strictEqual(query.timeoutVal, 1000);
+    });
+
+    it('should return the query instance', function() {
+      var query = new Query(['kind1']);
+      var nextQuery = query.timeout(1000);
+
+      assert.strictEqual(query, nextQuery);
+    });
+
+  });
+
   describe('filter', function() {
 
     it('should support filtering', function() {
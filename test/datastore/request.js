@@ -29,6 +29,7 @@ var pb = require('../../lib/datastore/pb.js');
 var Query = require('../../lib/datastore/query.js');
 var requestModule = require('request');
 var stream = require('stream');
+var Transport = require('../../lib/common/transport.js');
 var util = require('../../lib/common/util.js');
 
 var REQUEST_DEFAULT_CONF;
@@ -670,10 +671,19 @@ describe('Request', function() {
       query = new Query('namespace', ['Kind']);
     });
 
+    it('should pass the timeout of the query', function(done) {
+      request.makeReq_ = function(method, req, options) {
+        assert.strictEqual(options.timeout, 1000);
+        done();
+      };
+
+      request.runQuery(query.timeout(1000), assert.ifError);
+    });
+
     describe('errors', function() {
       it('should handle upstream errors', function() {
         var error = new Error('Error.');
-        request.makeReq_ = function(method, req, callback) {
+        request.makeReq_ = function(method, req, options, callback) {
           assert.equal(method, 'runQuery');
           callback(error);
         };
@@ -685,7 +695,7 @@ describe('Request', function() {
     });
 
     it('should execute callback with results', function() {
-      request.makeReq_ = function(method, req, callback) {
+      request.makeReq_ = function(method, req, options, callback) {
         assert.equal(method, 'runQuery');
         callback(null, mockResponse.withResults);
       };
@@ -702,7 +712,7 @@ describe('Request', function() {
     });
 
     it('should execute callback with apiResponse', function(done) {
-      request.makeReq_ = function(method, req, callback) {
+      request.makeReq_ = function(method, req, options, callback) {
         callback(null, mockResponse.withResults);
       };
 
@@ -714,7 +724,7 @@ describe('Request', function() {
     });
 
     it('should return null nextQuery if no end cursor exists', function(done) {
-      request.makeReq_ = function(method, req, callback) {
+      request.makeReq_ = function(method, req, options, callback) {
         callback(null, mockResponse.withResults);
       };
 
@@ -728,7 +738,7 @@ describe('Request', function() {
     it('should return a nextQuery', function(done) {
       var response = mockResponse.withResultsAndEndCursor;
 
-      request.makeReq_ = function(method, req, callback) {
+      request.makeReq_ = function(method, req, options, callback) {
         callback(null, response);
       };
 
@@ -908,6 +918,153 @@ describe('Request', function() {
       });
     });
 
+    it('should pass the timeout', function(done) {
+      request.timeout = 1000;
+      request.makeAuthenticatedRequest_ = function(opts) {
+        assert.strictEqual(opts.timeout, 1000);
+        done();
+      };
+      request.makeReq_('commit', {}, util.noop);
+    });
+
+    it('should let the request override the timeout', function(done) {
+      request.timeout = 1000;
+      request.makeAuthenticatedRequest_ = function(opts) {
+        assert.strictEqual(opts.timeout, 500);
+        done();
+      };
+      request.makeReq_('commit', {}, { timeout: 500 }, util.noop);
+    });
+
+    it('should send the request through the recorder', function(done) {
+      var authenticatedReqOpts = {};
+
+      request.makeAuthenticatedRequest_ = function(opts, callback) {
+        callback.onAuthenticated(null, authenticatedReqOpts);
+      };
+      request.makeAuthenticatedRequest_.recorder = {
+        wrap: function() {
+          return function(reqOpts) {
+            assert.strictEqual(reqOpts, authenticatedReqOpts);
+            done();
+          };
+        }
+      };
+
+      request.makeReq_('commit', {}, util.noop);
+    });
+
+    it('should send the request through the transport', function(done) {
+      request.makeAuthenticatedRequest_ = function(opts, callback) {
+        callback.onAuthenticated(null, { uri: 'http://fake/commit' });
+      };
+      request.makeAuthenticatedRequest_.transport = new Transport({
+        keepAlive: true,
+        proxy: 'http://proxy:8080'
+      });
+
+      requestOverride = function(reqOpts) {
+        assert.strictEqual(reqOpts.uri, 'http://fake/commit');
+        assert.strictEqual(reqOpts.forever, true);
+        assert.strictEqual(reqOpts.proxy, 'http://proxy:8080');
+        done();
+      };
+
+      request.makeReq_('commit', {}, util.noop);
+    });
+
+    it('should log the request and response', function(done) {
+      var authenticatedReqOpts = {};
+      var response = {};
+      var logged = [];
+
+      requestOverride = function(reqOpts, callback) {
+        callback(null, response, new Buffer(''));
+      };
+      request.makeAuthenticatedRequest_ = function(opts, callback) {
+        callback.onAuthenticated(null, authenticatedReqOpts);
+      };
+      request.debugLogger = {
+        logRequest: function(reqOpts, attempt) {
+          assert.strictEqual(reqOpts, authenticatedReqOpts);
+          assert.strictEqual(attempt, 1);
+          logged.push('request');
+        },
+        logResponse: function(reqOpts, resp) {
+          assert.strictEqual(reqOpts, authenticatedReqOpts);
+          assert.strictEqual(resp, response);
+          logged.push('response');
+
+          assert.deepEqual(logged, ['request', 'response']);
+          done();
+        }
+      };
+
+      request.makeReq_('commit', {}, util.noop);
+    });
+
+    it('should log errors', function(done) {
+      var error = new Error('Error.');
+
+      requestOverride = function(reqOpts, callback) {
+        callback(error);
+      };
+      request.makeAuthenticatedRequest_ = function(opts, callback) {
+        callback.onAuthenticated(null, {});
+      };
+      request.debugLogger = {
+        logRequest: util.noop,
+        logError: function(reqOpts, err) {
+          assert.strictEqual(err, error);
+          done();
+        }
+      };
+
+      request.makeReq_('commit', {}, util.noop);
+    });
+
+    it('should return a handle to abort the request', function(done) {
+      var aborted = false;
+
+      requestOverride = function() {
+        return {
+          abort: function() {
+            aborted = true;
+          }
+        };
+      };
+      request.makeAuthenticatedRequest_ = function(opts, callback) {
+        callback.onAuthenticated(null, {});
+      };
+
+      var handle = request.makeReq_('commit', {}, function(err) {
+        assert.strictEqual(err.name, 'CancellationError');
+        assert.strictEqual(aborted, true);
+        done();
+      });
+
+      handle.abort();
+    });
+
+    it('should not make a request after it is aborted', function(done) {
+      var onAuthenticated;
+
+      requestOverride = function() {
+        done(new Error('A request should not have been made.'));
+      };
+      request.makeAuthenticatedRequest_ = function(opts, callback) {
+        onAuthenticated = callback.onAuthenticated;
+      };
+
+      var handle = request.makeReq_('commit', {}, function(err) {
+        assert.strictEqual(err.name, 'CancellationError');
+        onAuthenticated(null, {});
+        done();
+      });
+
+      handle.abort();
+    });
+
     it('should send protobuf request', function(done) {
       var requestOptions = { mode: 'NON_TRANSACTIONAL' };
       var decoded = new pb.CommitRequest(requestOptions).toBuffer();
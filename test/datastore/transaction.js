@@ -82,7 +82,9 @@ describe('Transaction', function() {
       var datasetId = 'abc';
       var fakeDataset = {
         apiEndpoint: 'http://localhost:8080',
-        makeAuthenticatedRequest_: function fakeMakeAuthenticatedRequest_() {}
+        makeAuthenticatedRequest_: function fakeMakeAuthenticatedRequest_() {},
+        timeout: 1000,
+        debugLogger: {}
       };
 
       var transaction = new Transaction(fakeDataset, datasetId);
@@ -94,6 +96,8 @@ describe('Transaction', function() {
         fakeDataset.makeAuthenticatedRequest_
       );
       assert.equal(transaction.datasetId, datasetId);
+      assert.strictEqual(transaction.timeout, fakeDataset.timeout);
+      assert.strictEqual(transaction.debugLogger, fakeDataset.debugLogger);
     });
   });
 
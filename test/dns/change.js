@@ -20,15 +20,16 @@ var assert = require('assert');
 var mockery = require('mockery');
 var nodeutil = require('util');
 
-var ServiceObject = require('../../lib/common/service-object.js');
+var LongRunningOperation =
+  require('../../lib/common/long-running-operation.js');
 var util = require('../../lib/common/util.js');
 
-function FakeServiceObject() {
+function FakeLongRunningOperation() {
   this.calledWith_ = arguments;
-  ServiceObject.apply(this, arguments);
+  LongRunningOperation.apply(this, arguments);
 }
 
-nodeutil.inherits(FakeServiceObject, ServiceObject);
+nodeutil.inherits(FakeLongRunningOperation, LongRunningOperation);
 
 describe('Change', function() {
   var Change;
@@ -42,7 +43,10 @@ describe('Change', function() {
   var CHANGE_ID = 'change-id';
 
   before(function() {
-    mockery.registerMock('../common/service-object.js', FakeServiceObject);
+    mockery.registerMock(
+      '../common/long-running-operation.js',
+      FakeLongRunningOperation
+    );
 
     mockery.enable({
       useCleanCache: true,
@@ -62,8 +66,8 @@ describe('Change', function() {
   });
 
   describe('instantiation', function() {
-    it('should inherit from ServiceObject', function() {
-      assert(change instanceof ServiceObject);
+    it('should inherit from LongRunningOperation', function() {
+      assert(change instanceof LongRunningOperation);
 
       var calledWith = change.calledWith_[0];
 
@@ -147,4 +151,57 @@ describe('Change', function() {
       });
     });
   });
+
+  describe('poll_', function() {
+    it('should call getMetadata', function(done) {
+      change.getMetadata = function() {
+        done();
+      };
+
+      change.poll_(assert.ifError);
+    });
+
+    it('should execute callback with an error', function(done) {
+      var error = new Error('Error.');
+
+      change.getMetadata = function(callback) {
+        callback(error);
+      };
+
+      change.poll_(function(err) {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+
+    it('should not be done while the change is pending', function(done) {
+      var metadata = { status: 'pending' };
+
+      change.getMetadata = function(callback) {
+        callback(null, metadata);
+      };
+
+      change.poll_(function(err, metadata_, isDone) {
+        assert.ifError(err);
+        assert.strictEqual(metadata_, metadata);
+        assert.strictEqual(isDone, false);
+        done();
+      });
+    });
+
+    it('should be done when the change is done', function(done) {
+      var metadata = { status: 'done' };
+
+      change.getMetadata = function(callback) {
+        callback(null, metadata);
+      };
+
+      change.poll_(function(err, metadata_, isDone) {
+        assert.ifError(err);
+        assert.strictEqual(metadata_, metadata);
+        assert.strictEqual(isDone, true);
+        done();
+      });
+    });
+  });
 });
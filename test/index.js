@@ -20,6 +20,9 @@ var assert = require('assert');
 var extend = require('extend');
 var mockery = require('mockery');
 
+var Telemetry = require('../lib/common/telemetry.js');
+var util = require('../lib/common/util.js');
+
 function createFakeApi() {
   return function FakeApi() {
     if (!(this instanceof FakeApi)) {
@@ -42,7 +45,14 @@ var FakeResource = createFakeApi();
 var FakeSearch = createFakeApi();
 var FakeStorage = createFakeApi();
 
+var fakeConfigResolver = {
+  describe: function() {
+    return fakeConfigResolver.describeOverride.apply(null, arguments);
+  }
+};
+
 describe('gcloud', function() {
+  var Batch;
   var gcloud;
 
   before(function() {
@@ -55,10 +65,14 @@ describe('gcloud', function() {
     mockery.registerMock('./resource', FakeResource);
     mockery.registerMock('./search', FakeSearch);
     mockery.registerMock('./storage', FakeStorage);
+    mockery.registerMock('./common/util.js', util);
+    mockery.registerMock('./common/config.js', fakeConfigResolver);
+    mockery.registerMock('./common/telemetry.js', Telemetry);
     mockery.enable({
       useCleanCache: true,
       warnOnUnregistered: false
     });
+    Batch = require('../lib/common/batch.js');
     gcloud = require('../lib/index.js');
   });
 
@@ -107,17 +121,54 @@ describe('gcloud', function() {
     assert.strictEqual(gcloud.storage, FakeStorage);
   });
 
+  it('should export the error classes', function() {
+    assert.strictEqual(gcloud.errors, util.errors);
+  });
+
+  describe('batch', function() {
+    it('should collect requests to every service', function() {
+      var collected = false;
+
+      gcloud.batch(function() {
+        assert.strictEqual(Batch.getActive().services, null);
+        collected = true;
+      });
+
+      assert.strictEqual(collected, true);
+      assert.strictEqual(Batch.getActive(), null);
+    });
+  });
+
+  describe('describeConfig', function() {
+    it('should describe the configuration', function() {
+      var config = {};
+
+      fakeConfigResolver.describeOverride = function(configs, service) {
+        assert.deepEqual(configs, [config]);
+        assert.strictEqual(configs[0], config);
+        assert.strictEqual(service, 'datastore');
+        return 'description';
+      };
+
+      var description = gcloud.describeConfig(config, 'datastore');
+      assert.strictEqual(description, 'description');
+    });
+  });
+
   describe('localized configuration', function() {
     var localGcloud;
     var config = { a: 'b', c: 'd' };
     var options = { e: 'f', g: 'h' };
 
-    var expectedConfig = extend({}, config, {
-      interceptors_: []
-    });
+    var expectedConfig;
 
     beforeEach(function() {
       localGcloud = gcloud(config);
+
+      expectedConfig = extend({}, config, {
+        interceptors_: [],
+        telemetry_: localGcloud.telemetry
+      });
     });
 
     describe('initialization', function() {
@@ -126,6 +177,26 @@ describe('gcloud', function() {
         assert.deepEqual(localGcloud.config_, expectedConfig);
       });
 
+      it('should expose the error classes', function() {
+        assert.strictEqual(localGcloud.errors, util.errors);
+      });
+
+      it('should expose batch', function() {
+        assert.strictEqual(localGcloud.batch, gcloud.batch);
+      });
+
+      it('should describe the configuration with overrides', function() {
+        fakeConfigResolver.describeOverride = function(configs, service) {
+          assert.strictEqual(configs[0], localGcloud.config_);
+          assert.strictEqual(configs[1], options);
+          assert.strictEqual(service, 'pubsub');
+          return 'description';
+        };
+
+        var description = localGcloud.describeConfig(options, 'pubsub');
+        assert.strictEqual(description, 'description');
+      });
+
       it('should define an empty interceptors array', function() {
         assert.deepEqual(localGcloud.interceptors, []);
       });
@@ -136,6 +207,18 @@ describe('gcloud', function() {
           localGcloud.config_.interceptors_
         );
       });
+
+      it('should create a telemetry for each instance', function() {
+        assert(localGcloud.telemetry instanceof Telemetry);
+        assert.notStrictEqual(gcloud(config).telemetry, localGcloud.telemetry);
+      });
+
+      it('should link telemetry to the persisted config object', function() {
+        assert.strictEqual(
+          localGcloud.telemetry,
+          localGcloud.config_.telemetry_
+        );
+      });
     });
 
     describe('bigquery', function() {
@@ -319,6 +319,7 @@ describe('Log', function() {
       log.parent.request = function(reqOpts) {
         assert.strictEqual(reqOpts.method, 'POST');
         assert.strictEqual(reqOpts.uri, '/entries:write');
+        assert.strictEqual(reqOpts.idempotent, false);
         assert.strictEqual(reqOpts.json.entries[0], formattedEntry);
         assert.strictEqual(reqOpts.json.resource, OPTIONS.resource);
 
@@ -115,10 +115,11 @@ describe('PubSub', function() {
       var fakeOptions = { projectId: PROJECT_ID };
       var fakeContext = {};
 
-      fakeUtil.normalizeArguments = function(context, options) {
+      fakeUtil.normalizeArguments = function(context, options, config) {
         normalizeArgumentsCalled = true;
         assert.strictEqual(context, fakeContext);
         assert.strictEqual(options, fakeOptions);
+        assert.deepEqual(config, { service: 'pubsub' });
         return options;
       };
 
@@ -142,14 +143,18 @@ describe('PubSub', function() {
     });
 
     it('should use the PUBSUB_HOST env var', function() {
-      var pubSubHost = 'pubsub-host';
-      process.env.PUBSUB_HOST = pubSubHost;
+      var cachedHost = process.env.PUBSUB_HOST;
+      process.env.PUBSUB_HOST = 'localhost:8900';
 
-      var pubsub = new PubSub({ projectId: 'project-id' });
-      delete process.env.PUBSUB_HOST;
+      var pubsub = PubSub.call({}, { projectId: 'project-id' });
 
-      var calledWith = pubsub.calledWith_[0];
-      assert.strictEqual(calledWith.baseUrl, pubSubHost);
+      if (cachedHost) {
+        process.env.PUBSUB_HOST = cachedHost;
+      } else {
+        delete process.env.PUBSUB_HOST;
+      }
+
+      assert.strictEqual(pubsub.baseUrl, 'http://localhost:8900/v1');
     });
   });
 
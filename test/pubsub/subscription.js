@@ -825,6 +825,29 @@ describe('Subscription', function() {
       // 0 listeners: sub should be closed.
       assert.strictEqual(subscription.closed, true);
     });
+
+    it('should emit events synchronously', function() {
+      var args;
+
+      subscription.startPulling_ = util.noop;
+      subscription.on('message', function() {
+        args = [].slice.call(arguments);
+      });
+
+      assert.strictEqual(subscription.emit('message', 'a', 'b'), true);
+      assert.deepEqual(args, ['a', 'b']);
+      assert.strictEqual(subscription.listeners('message').length, 1);
+      assert.strictEqual(subscription.setMaxListeners(5), subscription);
+    });
+
+    it('should close when all listeners are removed', function() {
+      subscription.startPulling_ = util.noop;
+      subscription.on('message', util.noop);
+
+      assert.strictEqual(subscription.removeAllListeners(), subscription);
+      assert.strictEqual(subscription.listeners('message').length, 0);
+      assert.strictEqual(subscription.closed, true);
+    });
   });
 
   describe('startPulling_', function() {
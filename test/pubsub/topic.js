@@ -207,6 +207,7 @@ describe('Topic', function() {
       topic.request = function(reqOpts) {
         assert.strictEqual(reqOpts.method, 'POST');
         assert.strictEqual(reqOpts.uri, ':publish');
+        assert.strictEqual(reqOpts.idempotent, false);
         assert.deepEqual(reqOpts.json, {
           messages: [
             { data: new Buffer(JSON.stringify(message)).toString('base64') }
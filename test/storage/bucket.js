@@ -18,14 +18,16 @@
 
 var arrify = require('arrify');
 var assert = require('assert');
-var async = require('async');
+var crypto = require('crypto');
 var extend = require('extend');
+var fs = require('fs');
 var mime = require('mime-types');
 var mockery = require('mockery');
 var nodeutil = require('util');
 var propAssign = require('prop-assign');
 var request = require('request');
 var stream = require('stream');
+var tmp = require('tmp');
 
 var ServiceObject = require('../../lib/common/service-object.js');
 var util = require('../../lib/common/util.js');
@@ -61,13 +63,6 @@ fakeRequest.defaults = function() {
   return fakeRequest;
 };
 
-var eachLimitOverride;
-
-var fakeAsync = extend({}, async);
-fakeAsync.eachLimit = function() {
-  (eachLimitOverride || async.eachLimit).apply(null, arguments);
-};
-
 var extended = false;
 var fakeStreamRouter = {
   extend: function(Class, methods) {
@@ -86,6 +81,12 @@ function FakeAcl() {
   this.calledWith_ = [].slice.call(arguments);
 }
 
+function FakeTransfer() {
+  this.calledWith_ = [].slice.call(arguments);
+}
+
+FakeTransfer.prototype.run_ = util.noop;
+
 function FakeServiceObject() {
   this.calledWith_ = arguments;
   ServiceObject.apply(this, arguments);
@@ -98,17 +99,21 @@ describe('Bucket', function() {
   var bucket;
 
   var STORAGE = {
+    batch: function(collect, callback) {
+      collect();
+      callback(null);
+    },
     createBucket: util.noop
   };
   var BUCKET_NAME = 'test-bucket';
 
   before(function() {
-    mockery.registerMock('async', fakeAsync);
     mockery.registerMock('request', fakeRequest);
     mockery.registerMock('../common/service-object.js', FakeServiceObject);
     mockery.registerMock('../common/stream-router.js', fakeStreamRouter);
     mockery.registerMock('./acl.js', FakeAcl);
     mockery.registerMock('./file.js', FakeFile);
+    mockery.registerMock('./transfer.js', FakeTransfer);
 
     mockery.enable({
       useCleanCache: true,
@@ -125,7 +130,6 @@ describe('Bucket', function() {
 
   beforeEach(function() {
     requestOverride = null;
-    eachLimitOverride = null;
     bucket = new Bucket(STORAGE, BUCKET_NAME);
   });
 
@@ -503,17 +507,21 @@ describe('Bucket', function() {
       bucket.deleteFiles(query, assert.ifError);
     });
 
-    it('should process 10 files at a time', function(done) {
-      eachLimitOverride = function(arr, limit) {
-        assert.equal(limit, 10);
-        done();
-      };
+    it('should delete the files in batches', function(done) {
+      var files = [bucket.file('1')];
 
       bucket.getFiles = function(query, callback) {
-        callback(null, []);
+        callback(null, files);
       };
 
-      bucket.deleteFiles({}, assert.ifError);
+      bucket.batchFiles_ = function(files_, force, processFile) {
+        assert.strictEqual(files_, files);
+        assert.strictEqual(force, true);
+
+        processFile({ delete: done });
+      };
+
+      bucket.deleteFiles({ force: true }, assert.ifError);
     });
 
     it('should delete the files', function(done) {
@@ -593,6 +601,96 @@ describe('Bucket', function() {
     });
   });
 
+  describe('batchFiles_', function() {
+    var storage;
+
+    beforeEach(function() {
+      storage = bucket.storage = extend({}, STORAGE);
+    });
+
+    function createFiles(numFiles, method) {
+      var files = [];
+
+      for (var i = 0; i < numFiles; i++) {
+        files.push(propAssign('process', method)(bucket.file(String(i))));
+      }
+
+      return files;
+    }
+
+    function processFile(file, callback) {
+      file.process(callback);
+    }
+
+    it('should process 100 files per batch', function(done) {
+      var numFilesPerBatch = [];
+      var numFilesInBatch;
+
+      var files = createFiles(250, function(callback) {
+        numFilesInBatch++;
+        callback();
+      });
+
+      storage.batch = function(collect, callback) {
+        numFilesInBatch = 0;
+        collect();
+        numFilesPerBatch.push(numFilesInBatch);
+        callback(null);
+      };
+
+      bucket.batchFiles_(files, false, processFile, function(err, files_) {
+        assert.ifError(err);
+        assert.deepEqual(numFilesPerBatch, [100, 100, 50]);
+        assert.deepEqual(files_, files);
+        done();
+      });
+    });
+
+    it('should stop after a batch with an error', function(done) {
+      var error = new Error('Error.');
+      var numBatches = 0;
+
+      var files = createFiles(150, function(callback) {
+        callback(error);
+      });
+
+      storage.batch = function(collect, callback) {
+        numBatches++;
+        collect();
+        callback(null);
+      };
+
+      bucket.batchFiles_(files, false, processFile, function(err, files) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(numBatches, 1);
+        assert.deepEqual(files, []);
+        done();
+      });
+    });
+
+    it('should process every batch with force', function(done) {
+      var error = new Error('Error.');
+      var numBatches = 0;
+
+      var files = createFiles(150, function(callback) {
+        callback(this.name === '0' ? error : null);
+      });
+
+      storage.batch = function(collect, callback) {
+        numBatches++;
+        collect();
+        callback(null);
+      };
+
+      bucket.batchFiles_(files, true, processFile, function(errs, files_) {
+        assert.deepEqual(errs, [error]);
+        assert.strictEqual(numBatches, 2);
+        assert.deepEqual(files_, files.slice(1));
+        done();
+      });
+    });
+  });
+
   describe('file', function() {
     var FILE_NAME = 'remote-file-name.jpg';
     var file;
@@ -874,6 +972,315 @@ describe('Bucket', function() {
     });
   });
 
+  describe('sync', function() {
+    var directory;
+    var remoteFiles;
+    var uploaded;
+    var downloaded;
+    var deleted;
+
+    function md5(contents) {
+      return crypto.createHash('md5').update(contents).digest('base64');
+    }
+
+    function createRemoteFile(name, contents) {
+      var file = new FakeFile(bucket, name);
+
+      file.metadata = {
+        md5Hash: md5(contents),
+        size: String(contents.length)
+      };
+
+      file.download = function(options, callback) {
+        downloaded.push(name);
+        fs.writeFile(options.destination, contents, callback);
+      };
+
+      file.delete = function(callback) {
+        deleted.push(name);
+        callback();
+      };
+
+      return file;
+    }
+
+    beforeEach(function(done) {
+      uploaded = [];
+      downloaded = [];
+      deleted = [];
+
+      remoteFiles = [
+        createRemoteFile('prefix/a.txt', 'aaa'),
+        createRemoteFile('prefix/dir/b.txt', 'b'),
+        createRemoteFile('prefix/remote.txt', 'remote')
+      ];
+
+      bucket.file = function(name) {
+        return createRemoteFile(name, '');
+      };
+
+      bucket.getFiles = function(query, callback) {
+        assert.deepEqual(query, { prefix: 'prefix/' });
+        callback(null, remoteFiles);
+      };
+
+      bucket.upload = function(localPath, options, callback) {
+        uploaded.push(options.destination.name);
+        callback();
+      };
+
+      tmp.setGracefulCleanup();
+      tmp.dir({ unsafeCleanup: true }, function(err, path) {
+        assert.ifError(err);
+
+        directory = path;
+        fs.writeFileSync(directory + '/a.txt', 'aaa');
+        fs.mkdirSync(directory + '/dir');
+        fs.writeFileSync(directory + '/dir/b.txt', 'bbb');
+        fs.writeFileSync(directory + '/local.tmp', 'local');
+
+        done();
+      });
+    });
+
+    function getNames(actions) {
+      return actions.map(function(action) {
+        return action.action + ' ' + action.name;
+      });
+    }
+
+    it('should upload new and changed files', function(done) {
+      bucket.sync(directory, { prefix: 'prefix' }, function(err, actions) {
+        assert.ifError(err);
+        assert.deepEqual(getNames(actions), [
+          'upload dir/b.txt',
+          'upload local.tmp'
+        ]);
+        assert.deepEqual(uploaded, ['prefix/dir/b.txt', 'prefix/local.tmp']);
+        assert.deepEqual(deleted, []);
+        done();
+      });
+    });
+
+    it('should delete extraneous remote files', function(done) {
+      var options = { prefix: 'prefix/', delete: true };
+
+      bucket.sync(directory, options, function(err, actions) {
+        assert.ifError(err);
+        assert.deepEqual(getNames(actions), [
+          'upload dir/b.txt',
+          'upload local.tmp',
+          'delete remote.txt'
+        ]);
+        assert.deepEqual(deleted, ['prefix/remote.txt']);
+        done();
+      });
+    });
+
+    it('should include and exclude files', function(done) {
+      var options = {
+        prefix: 'prefix/',
+        delete: true,
+        exclude: '*.tmp',
+        include: ['**/*.txt', '*.tmp']
+      };
+
+      bucket.sync(directory, options, function(err, actions) {
+        assert.ifError(err);
+        assert.deepEqual(getNames(actions), [
+          'upload dir/b.txt',
+          'delete remote.txt'
+        ]);
+        done();
+      });
+    });
+
+    it('should skip symbolic links', function(done) {
+      fs.symlinkSync(directory + '/a.txt', directory + '/link.txt');
+      fs.symlinkSync(directory, directory + '/dir/loop');
+
+      bucket.sync(directory, { prefix: 'prefix' }, function(err, actions) {
+        assert.ifError(err);
+        assert.deepEqual(getNames(actions), [
+          'upload dir/b.txt',
+          'upload local.tmp'
+        ]);
+        done();
+      });
+    });
+
+    it('should not read more than `concurrency` entries', function(done) {
+      var lstat = fs.lstat;
+      var readdir = fs.readdir;
+      var reading = 0;
+      var mostReading = 0;
+
+      function track(method) {
+        return function() {
+          var args = [].slice.call(arguments);
+          var callback = args.pop();
+
+          reading++;
+          mostReading = Math.max(mostReading, reading);
+
+          method.apply(fs, args.concat(function() {
+            reading--;
+            callback.apply(null, arguments);
+          }));
+        };
+      }
+
+      fs.writeFileSync(directory + '/dir/c.txt', 'c');
+      fs.mkdirSync(directory + '/dir2');
+      fs.writeFileSync(directory + '/dir2/d.txt', 'd');
+      fs.writeFileSync(directory + '/dir2/e.txt', 'e');
+
+      fs.lstat = track(lstat);
+      fs.readdir = track(readdir);
+
+      var options = { prefix: 'prefix', concurrency: 2, dryRun: true };
+
+      bucket.sync(directory, options, function(err, actions) {
+        fs.lstat = lstat;
+        fs.readdir = readdir;
+
+        assert.ifError(err);
+        assert.deepEqual(getNames(actions), [
+          'upload dir/b.txt',
+          'upload dir/c.txt',
+          'upload dir2/d.txt',
+          'upload dir2/e.txt',
+          'upload local.tmp'
+        ]);
+        assert.strictEqual(mostReading, 2);
+        done();
+      });
+    });
+
+    it('should only report actions for a dry run', function(done) {
+      var options = { prefix: 'prefix/', delete: true, dryRun: true };
+
+      bucket.sync(directory, options, function(err, actions) {
+        assert.ifError(err);
+        assert.strictEqual(actions.length, 3);
+        assert.deepEqual(uploaded, []);
+        assert.deepEqual(deleted, []);
+        done();
+      });
+    });
+
+    it('should download new and changed files', function(done) {
+      var options = { prefix: 'prefix/', download: true };
+
+      bucket.sync(directory, options, function(err, actions) {
+        assert.ifError(err);
+        assert.deepEqual(getNames(actions), [
+          'download dir/b.txt',
+          'download remote.txt'
+        ]);
+        assert.strictEqual(actions[0].localPath, directory + '/dir/b.txt');
+        assert.strictEqual(fs.readFileSync(directory + '/dir/b.txt', 'utf8'),
+          'b');
+        assert(fs.existsSync(directory + '/local.tmp'));
+        done();
+      });
+    });
+
+    it('should create local directories', function(done) {
+      remoteFiles.push(createRemoteFile('prefix/new/dir/c.txt', 'c'));
+
+      var options = { prefix: 'prefix/', download: true };
+
+      bucket.sync(directory + '/new', options, function(err) {
+        assert.ifError(err);
+        assert.strictEqual(
+          fs.readFileSync(directory + '/new/new/dir/c.txt', 'utf8'), 'c');
+        done();
+      });
+    });
+
+    it('should delete extraneous local files', function(done) {
+      var options = { prefix: 'prefix/', delete: true, download: true };
+
+      bucket.sync(directory, options, function(err, actions) {
+        assert.ifError(err);
+        assert.deepEqual(getNames(actions), [
+          'download dir/b.txt',
+          'delete local.tmp',
+          'download remote.txt'
+        ]);
+        assert(!fs.existsSync(directory + '/local.tmp'));
+        done();
+      });
+    });
+
+    it('should not download files outside of the directory', function(done) {
+      remoteFiles.push(createRemoteFile('prefix/../escaped.txt', 'escaped'));
+
+      var options = { prefix: 'prefix/', download: true, dryRun: true };
+
+      bucket.sync(directory, options, function(err, actions) {
+        assert.ifError(err);
+        assert.strictEqual(getNames(actions).indexOf(
+          'download ../escaped.txt'), -1);
+        done();
+      });
+    });
+
+    it('should execute callback with an error', function(done) {
+      var error = new Error('Error.');
+
+      bucket.getFiles = function(query, callback) {
+        callback(error);
+      };
+
+      bucket.sync(directory, { prefix: 'prefix/' }, function(err) {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+  });
+
+  describe('transfer', function() {
+    it('should create and run a Transfer', function(done) {
+      var sources = ['a.txt'];
+      var options = { concurrency: 2 };
+
+      FakeTransfer.prototype.run_ = function(callback) {
+        assert.deepEqual(this.calledWith_, [bucket, sources, options]);
+        callback(); // done()
+      };
+
+      var transfer = bucket.transfer(sources, options, done);
+      assert(transfer instanceof FakeTransfer);
+    });
+
+    it('should accept a single source and no options', function(done) {
+      FakeTransfer.prototype.run_ = function(callback) {
+        assert.deepEqual(this.calledWith_, [bucket, ['a.txt'], {}]);
+        callback(); // done()
+      };
+
+      bucket.transfer('a.txt', done);
+    });
+
+    it('should not require a callback', function(done) {
+      FakeTransfer.prototype.run_ = function(callback) {
+        callback(null, {});
+        done();
+      };
+
+      bucket.transfer('a.txt');
+    });
+
+    it('should not be promisified', function() {
+      FakeTransfer.prototype.run_ = util.noop;
+
+      var transfer = bucket.transfer('a.txt');
+      assert(transfer instanceof FakeTransfer);
+    });
+  });
+
   describe('upload', function() {
     var basename = 'proto_query.json';
     var filepath = 'test/testdata/' + basename;
@@ -1033,6 +1440,34 @@ describe('Bucket', function() {
       bucket.upload(filepath, options, assert.ifError);
     });
 
+    it('should not upload resumably to a custom endpoint', function(done) {
+      var statCached = fs.stat;
+      var fakeFile = new FakeFile(bucket, 'file-name');
+      var options = { destination: fakeFile };
+
+      fs.stat = function(path, callback) {
+        callback(null, { size: 10000000 });
+      };
+
+      bucket.storage = extend({}, STORAGE, {
+        apiEndpoint: 'http://localhost:8080'
+      });
+
+      fakeFile.createWriteStream = function(options) {
+        fs.stat = statCached;
+
+        var ws = new stream.Writable();
+        ws.write = util.noop;
+        setImmediate(function() {
+          assert.strictEqual(options.resumable, false);
+          done();
+        });
+        return ws;
+      };
+
+      bucket.upload(filepath, options, assert.ifError);
+    });
+
     it('should execute callback on error', function(done) {
       var error = new Error('Error.');
       var fakeFile = new FakeFile(bucket, 'file-name');
@@ -1050,6 +1485,331 @@ describe('Bucket', function() {
         done();
       });
     });
+
+    describe('parallel', function() {
+      it('should not allow gzip', function() {
+        assert.throws(function() {
+          bucket.upload(filepath, { gzip: true, parallel: true }, util.noop);
+        }, /A parallel upload cannot be gzipped\./);
+      });
+
+      it('should upload a large file in parallel', function(done) {
+        var fakeFile = new FakeFile(bucket, 'file-name');
+        var options = {
+          destination: fakeFile,
+          metadata: metadata,
+          parallel: { partSize: 100 },
+          validation: 'crc32c'
+        };
+
+        bucket.uploadParallel_ = function(localPath, file, options, callback) {
+          assert.strictEqual(localPath, filepath);
+          assert.strictEqual(file, fakeFile);
+          assert.deepEqual(options, {
+            concurrency: 4,
+            metadata: metadata,
+            partSize: 100,
+            resumable: false,
+            size: fs.statSync(filepath).size,
+            validation: 'crc32c'
+          });
+          callback(); // done()
+        };
+
+        bucket.upload(filepath, options, done);
+      });
+
+      it('should upload the parts of a file resumably', function(done) {
+        var statCached = fs.stat;
+        var fakeFile = new FakeFile(bucket, 'file-name');
+        var options = { destination: fakeFile, parallel: true };
+
+        fs.stat = function(path, callback) {
+          fs.stat = statCached;
+          callback(null, { size: 100000000 });
+        };
+
+        bucket.uploadParallel_ = function(localPath, file, options) {
+          assert.strictEqual(options.partSize, 32 * 1024 * 1024);
+          assert.strictEqual(options.resumable, true);
+          done();
+        };
+
+        bucket.upload(filepath, options, assert.ifError);
+      });
+
+      it('should allow specifying options.resumable', function(done) {
+        var fakeFile = new FakeFile(bucket, 'file-name');
+        var options = {
+          destination: fakeFile,
+          parallel: { partSize: 100 },
+          resumable: true
+        };
+
+        bucket.uploadParallel_ = function(localPath, file, options) {
+          assert.strictEqual(options.resumable, true);
+          done();
+        };
+
+        bucket.upload(filepath, options, assert.ifError);
+      });
+
+      it('should upload a small file normally', function(done) {
+        var fakeFile = new FakeFile(bucket, 'file-name');
+        var options = { destination: fakeFile, parallel: true };
+
+        bucket.uploadParallel_ = function() {
+          throw new Error('Should not upload in parallel.');
+        };
+
+        bucket.upload(filepath, options, function(err, file) {
+          assert.ifError(err);
+          assert.strictEqual(file, fakeFile);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('uploadParallel_', function() {
+    var filepath = 'test/testdata/proto_query.json';
+    var size = fs.statSync(filepath).size;
+    var contents = fs.readFileSync(filepath);
+
+    var destination;
+    var files;
+    var deletedFiles;
+    var options;
+
+    beforeEach(function() {
+      files = [];
+      deletedFiles = [];
+
+      bucket.file = function(name) {
+        var file = new FakeFile(bucket, name);
+
+        file.createWriteStream = function(options) {
+          var ws = new stream.Writable();
+          file.data = new Buffer(0);
+          file.writeOptions = options;
+          ws._write = function(chunk, encoding, callback) {
+            file.data = Buffer.concat([file.data, chunk]);
+            callback();
+          };
+          return ws;
+        };
+
+        file.delete = function(callback) {
+          deletedFiles.push(file);
+          callback();
+        };
+
+        files.push(file);
+        return file;
+      };
+
+      bucket.combine = function(sources, destination, callback) {
+        setImmediate(function() {
+          callback(null, destination, {});
+        });
+      };
+
+      destination = new FakeFile(bucket, 'file-name');
+      destination.setMetadata = function(metadata, callback) {
+        callback();
+      };
+
+      options = {
+        concurrency: 2,
+        metadata: {},
+        partSize: 500,
+        resumable: false,
+        size: size,
+        validation: false
+      };
+    });
+
+    it('should upload each part to a temporary file', function(done) {
+      bucket.uploadParallel_(filepath, destination, options, function(err) {
+        assert.ifError(err);
+        assert.strictEqual(files.length, 3);
+
+        files.forEach(function(file, i) {
+          assert(/^file-name\.[0-9a-f]{16}\.part\d$/.test(file.name));
+          assert.strictEqual(file.name.slice(-1), String(i));
+          assert.deepEqual(file.writeOptions, {
+            metadata: {
+              contentType: 'application/octet-stream'
+            },
+            resumable: false,
+            validation: false
+          });
+        });
+
+        assert.deepEqual(Buffer.concat(files.map(function(file) {
+          return file.data;
+        })), contents);
+
+        done();
+      });
+    });
+
+    it('should combine the parts into the destination', function(done) {
+      bucket.combine = function(sources, destination_, callback) {
+        assert.deepEqual(sources, files);
+        assert.strictEqual(destination_, destination);
+        assert.strictEqual(destination.metadata.contentType,
+          'application/octet-stream');
+        callback(null, destination, {});
+      };
+
+      bucket.uploadParallel_(filepath, destination, options, function(err, f) {
+        assert.ifError(err);
+        assert.strictEqual(f, destination);
+        done();
+      });
+    });
+
+    it('should combine more than 32 parts in stages', function(done) {
+      var combined = [];
+      options.partSize = 10;
+
+      bucket.combine = function(sources, destination, callback) {
+        combined.push(sources.length);
+        callback(null, destination, {});
+      };
+
+      bucket.uploadParallel_(filepath, destination, options, function(err) {
+        assert.ifError(err);
+        assert.deepEqual(combined, [32, 32, 32, 20, 4]);
+        done();
+      });
+    });
+
+    it('should delete the temporary files', function(done) {
+      bucket.uploadParallel_(filepath, destination, options, function(err) {
+        assert.ifError(err);
+        assert.deepEqual(deletedFiles, files);
+        done();
+      });
+    });
+
+    it('should delete the temporary files after an error', function(done) {
+      var error = new Error('Error.');
+
+      bucket.combine = function(sources, destination, callback) {
+        callback(error);
+      };
+
+      bucket.uploadParallel_(filepath, destination, options, function(err) {
+        assert.strictEqual(err, error);
+        assert.deepEqual(deletedFiles, files);
+        done();
+      });
+    });
+
+    it('should wait for the other parts after a part fails', function(done) {
+      var error = new Error('Error.');
+      var finished = [];
+      var createFile = bucket.file;
+
+      bucket.file = function(name) {
+        var file = createFile(name);
+        var createWriteStream = file.createWriteStream;
+        var deleteFile = file.delete;
+
+        file.createWriteStream = function(options) {
+          var writeStream = createWriteStream(options);
+          var write = writeStream._write;
+
+          writeStream._write = function(chunk, encoding, callback) {
+            if (file === files[0]) {
+              callback(error);
+              return;
+            }
+
+            setTimeout(write.bind(writeStream, chunk, encoding, callback), 10);
+          };
+
+          writeStream.on('finish', function() {
+            finished.push(file);
+          });
+
+          return writeStream;
+        };
+
+        file.delete = function(callback) {
+          // The second part was in flight, and the third was never started.
+          assert.deepEqual(finished, [files[1]]);
+          deleteFile(callback);
+        };
+
+        return file;
+      };
+
+      bucket.uploadParallel_(filepath, destination, options, function(err) {
+        assert.strictEqual(err, error);
+        assert.deepEqual(deletedFiles, files);
+        done();
+      });
+    });
+
+    it('should set the content type and metadata', function(done) {
+      options.metadata = {
+        cacheControl: 'no-cache',
+        contentType: 'application/json'
+      };
+
+      bucket.combine = function(sources, destination, callback) {
+        assert.strictEqual(destination.metadata.contentType,
+          'application/json');
+        callback(null, destination, {});
+      };
+
+      destination.setMetadata = function(metadata, callback) {
+        assert.deepEqual(metadata, { cacheControl: 'no-cache' });
+        callback();
+      };
+
+      bucket.uploadParallel_(filepath, destination, options, done);
+    });
+
+    describe('validation', function() {
+      beforeEach(function() {
+        delete options.validation;
+
+        bucket.combine = function(sources, destination, callback) {
+          callback(null, destination, { crc32c: 'AAAAAA==' });
+        };
+      });
+
+      it('should delete the destination if it does not match', function(done) {
+        destination.delete = function(callback) {
+          callback();
+        };
+
+        bucket.uploadParallel_(filepath, destination, options, function(err) {
+          assert.strictEqual(err.code, 'FILE_NO_UPLOAD');
+          assert.deepEqual(deletedFiles, files);
+          done();
+        });
+      });
+
+      it('should return an error if the destination is not deleted',
+        function(done) {
+          var error = new Error('Error.');
+
+          destination.delete = function(callback) {
+            callback(error);
+          };
+
+          bucket.uploadParallel_(filepath, destination, options, function(err) {
+            assert.strictEqual(err.code, 'FILE_NO_UPLOAD_DELETE');
+            assert.deepEqual(err.errors, [error]);
+            done();
+          });
+        });
+    });
   });
 
   describe('makeAllFilesPublicPrivate_', function() {
@@ -1061,17 +1821,20 @@ describe('Bucket', function() {
       bucket.makeAllFilesPublicPrivate_({}, assert.ifError);
     });
 
-    it('should process 10 files at a time', function(done) {
-      eachLimitOverride = function(arr, limit) {
-        assert.equal(limit, 10);
-        done();
-      };
+    it('should change the files in batches', function(done) {
+      var files = [bucket.file('1')];
 
       bucket.getFiles = function(callback) {
-        callback(null, []);
+        callback(null, files);
       };
 
-      bucket.makeAllFilesPublicPrivate_({}, assert.ifError);
+      bucket.batchFiles_ = function(files_, force, processFile, callback) {
+        assert.strictEqual(files_, files);
+        assert.strictEqual(force, true);
+        callback(); // done()
+      };
+
+      bucket.makeAllFilesPublicPrivate_({ force: true }, done);
     });
 
     it('should make files public', function(done) {
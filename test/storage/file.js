@@ -17,6 +17,7 @@
 'use strict';
 
 var assert = require('assert');
+var crypto = require('crypto');
 var duplexify;
 var extend = require('extend');
 var format = require('string-format-obj');
@@ -605,6 +606,22 @@ describe('File', function() {
         file.createReadStream().resume();
       });
 
+      it('should send the request to a custom endpoint', function(done) {
+        file.storage.apiEndpoint = 'http://localhost:8080';
+
+        file.bucket.storage.makeAuthenticatedRequest = function(reqOpts) {
+          assert.strictEqual(
+            reqOpts.uri,
+            'http://localhost:8080/' + file.bucket.name + '/' +
+              encodeURIComponent(file.name)
+          );
+          done();
+          return through();
+        };
+
+        file.createReadStream().resume();
+      });
+
       it('should emit response event from request', function(done) {
         requestOverride = getFakeSuccessfulRequest('body');
 
@@ -913,6 +930,24 @@ describe('File', function() {
 
       file.createResumableUpload(metadata, done);
     });
+
+    it('should return an error with a custom endpoint', function(done) {
+      file.storage.apiEndpoint = 'http://localhost:8080';
+
+      resumableUploadOverride = {
+        createURI: function() {
+          done(new Error('A resumable upload URI should not be created.'));
+        }
+      };
+
+      file.createResumableUpload(function(err) {
+        assert.strictEqual(
+          err.message,
+          'Resumable uploads cannot be made to a custom API endpoint.'
+        );
+        done();
+      });
+    });
   });
 
   describe('createWriteStream', function() {
@@ -982,6 +1017,30 @@ describe('File', function() {
       writable.write('data');
     });
 
+    it('should use a simple upload with a custom endpoint', function(done) {
+      file.storage.apiEndpoint = 'http://localhost:8080';
+
+      var writable = file.createWriteStream({
+        metadata: METADATA
+      });
+
+      file.startSimpleUpload_ = function(stream, metadata) {
+        assert.deepEqual(metadata, METADATA);
+        done();
+      };
+
+      writable.write('data');
+    });
+
+    it('should throw if a resumable upload is forced with a custom endpoint',
+      function() {
+        file.storage.apiEndpoint = 'http://localhost:8080';
+
+        assert.throws(function() {
+          file.createWriteStream({ resumable: true });
+        }, /Resumable uploads cannot be made to a custom API endpoint\./);
+      });
+
     it('should set metadata.contentEncoding with gzip', function(done) {
       var writable = file.createWriteStream({ gzip: true });
 
@@ -1347,6 +1406,393 @@ describe('File', function() {
         });
       });
     });
+
+    describe('resumable', function() {
+      it('should require a destination', function() {
+        assert.throws(function() {
+          file.download({ resumable: true }, util.noop);
+        }, /A resumable download requires a destination\./);
+      });
+
+      it('should not allow file ranges', function() {
+        assert.throws(function() {
+          file.download({
+            destination: 'file.txt',
+            end: 10,
+            resumable: true
+          }, util.noop);
+        }, /Cannot use a resumable download with file ranges\./);
+      });
+
+      it('should download resumably', function(done) {
+        file.downloadResumable_ = function(options, callback) {
+          assert.deepEqual(options, { destination: 'file.txt' });
+          callback(); // done()
+        };
+
+        file.download({ destination: 'file.txt', resumable: true }, done);
+      });
+    });
+
+    describe('parallel', function() {
+      it('should require a destination', function() {
+        assert.throws(function() {
+          file.download({ parallel: true }, util.noop);
+        }, /A parallel download requires a destination\./);
+      });
+
+      it('should not allow file ranges', function() {
+        assert.throws(function() {
+          file.download({
+            destination: 'file.txt',
+            parallel: true,
+            start: 10
+          }, util.noop);
+        }, /Cannot use a parallel download with file ranges\./);
+      });
+
+      it('should download in parallel', function(done) {
+        file.downloadParallel_ = function(parallel, options, callback) {
+          assert.deepEqual(parallel, { slices: 4 });
+          assert.deepEqual(options, {
+            destination: 'file.txt',
+            validation: 'crc32c'
+          });
+          callback(); // done()
+        };
+
+        file.download({
+          destination: 'file.txt',
+          parallel: true,
+          validation: 'crc32c'
+        }, done);
+      });
+
+      it('should not allow a resumable download', function() {
+        assert.throws(function() {
+          file.download({
+            destination: 'file.txt',
+            parallel: true,
+            resumable: true
+          }, util.noop);
+        }, /A resumable download cannot be parallel\./);
+      });
+
+      it('should allow specifying the number of slices', function(done) {
+        file.downloadParallel_ = function(parallel) {
+          assert.deepEqual(parallel, { slices: 8 });
+          done();
+        };
+
+        file.download({
+          destination: 'file.txt',
+          parallel: { slices: 8 }
+        }, assert.ifError);
+      });
+    });
+  });
+
+  describe('downloadResumable_', function() {
+    var fileContents = 'abcdefghijklmnopqrstuvwxyz';
+    var metadata;
+    var readOptions;
+    var tmpFilePath;
+    var statePath;
+
+    beforeEach(function(done) {
+      metadata = {
+        generation: '3',
+        md5Hash: crypto.createHash('md5').update(fileContents).digest('base64'),
+        size: String(fileContents.length)
+      };
+
+      file.getMetadata = function(callback) {
+        callback(null, metadata);
+      };
+
+      BUCKET.file = function(name, options) {
+        assert.strictEqual(name, file.name);
+        assert.deepEqual(options, { generation: '3' });
+
+        return {
+          createReadStream: function(options) {
+            readOptions = options;
+
+            var readStream = new stream.Readable();
+            readStream._read = function() {
+              this.push(fileContents.slice(options.start));
+              this.push(null);
+            };
+            return readStream;
+          }
+        };
+      };
+
+      tmp.setGracefulCleanup();
+      tmp.file(function(err, path) {
+        tmpFilePath = path;
+        statePath = path + '.download-state';
+        done(err);
+      });
+    });
+
+    afterEach(function() {
+      if (fs.existsSync(statePath)) {
+        fs.unlinkSync(statePath);
+      }
+    });
+
+    it('should download and validate the file', function(done) {
+      file.downloadResumable_({ destination: tmpFilePath }, function(err) {
+        assert.ifError(err);
+        assert.deepEqual(readOptions, { start: 0, validation: false });
+        assert.strictEqual(fs.readFileSync(tmpFilePath, 'utf8'), fileContents);
+        assert(!fs.existsSync(statePath));
+        done();
+      });
+    });
+
+    it('should continue from the recorded offset', function(done) {
+      fs.writeFileSync(tmpFilePath, 'abcdefghijXYZ');
+      fs.writeFileSync(statePath, JSON.stringify({
+        generation: '3',
+        bytesWritten: 10
+      }));
+
+      file.downloadResumable_({ destination: tmpFilePath }, function(err) {
+        assert.ifError(err);
+        assert.strictEqual(readOptions.start, 10);
+        assert.strictEqual(fs.readFileSync(tmpFilePath, 'utf8'), fileContents);
+        done();
+      });
+    });
+
+    it('should not continue a different generation', function(done) {
+      fs.writeFileSync(tmpFilePath, 'abcdefghij');
+      fs.writeFileSync(statePath, JSON.stringify({
+        generation: '2',
+        bytesWritten: 10
+      }));
+
+      file.downloadResumable_({ destination: tmpFilePath }, function(err) {
+        assert.strictEqual(err.code, 'DOWNLOAD_GENERATION_MISMATCH');
+        assert.strictEqual(fs.readFileSync(tmpFilePath, 'utf8'), 'abcdefghij');
+        done();
+      });
+    });
+
+    it('should record its progress after an error', function(done) {
+      var error = new Error('Error.');
+
+      BUCKET.file = function() {
+        return {
+          createReadStream: function() {
+            var readStream = new stream.Readable();
+            readStream._read = function() {
+              this.emit('error', error);
+            };
+            return readStream;
+          }
+        };
+      };
+
+      file.downloadResumable_({ destination: tmpFilePath }, function(err) {
+        assert.strictEqual(err, error);
+        assert.deepEqual(JSON.parse(fs.readFileSync(statePath)), {
+          generation: '3',
+          bytesWritten: 0
+        });
+        done();
+      });
+    });
+
+    it('should record what was written before an error', function(done) {
+      var error = new Error('Error.');
+
+      BUCKET.file = function() {
+        return {
+          createReadStream: function() {
+            var readStream = new stream.Readable();
+            readStream._read = function() {
+              this._read = function() {
+                setImmediate(this.emit.bind(this, 'error', error));
+              };
+              this.push('abcde');
+            };
+            return readStream;
+          }
+        };
+      };
+
+      file.downloadResumable_({ destination: tmpFilePath }, function(err) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(fs.readFileSync(tmpFilePath, 'utf8'), 'abcde');
+        assert.deepEqual(JSON.parse(fs.readFileSync(statePath)), {
+          generation: '3',
+          bytesWritten: 5
+        });
+        done();
+      });
+    });
+
+    it('should start over after a mismatch', function(done) {
+      metadata.md5Hash = 'bad-hash';
+
+      file.downloadResumable_({ destination: tmpFilePath }, function(err) {
+        assert.strictEqual(err.code, 'CONTENT_DOWNLOAD_MISMATCH');
+        assert(!fs.existsSync(statePath));
+        done();
+      });
+    });
+
+    it('should download a gzipped file normally', function(done) {
+      var options = { destination: tmpFilePath };
+      metadata.contentEncoding = 'gzip';
+
+      file.download = function(options_, callback) {
+        assert.strictEqual(options_, options);
+        callback(); // done()
+      };
+
+      file.downloadResumable_(options, done);
+    });
+
+    it('should return an error from a gzipped download', function(done) {
+      var error = new Error('Error.');
+      metadata.contentEncoding = 'gzip';
+
+      file.download = function(options, callback) {
+        callback(error);
+      };
+
+      file.downloadResumable_({ destination: tmpFilePath }, function(err) {
+        assert.strictEqual(err, error);
+        assert(!fs.existsSync(statePath));
+        done();
+      });
+    });
+  });
+
+  describe('downloadParallel_', function() {
+    var fileContents = 'abcdefghijklmnopqrstuvwxyz';
+    var metadata;
+    var tmpFilePath;
+
+    beforeEach(function(done) {
+      metadata = {
+        generation: '3',
+        size: String(fileContents.length)
+      };
+
+      file.getMetadata = function(callback) {
+        callback(null, metadata);
+      };
+
+      BUCKET.file = function(name, options) {
+        return {
+          name: name,
+          options: options,
+          createReadStream: function(options) {
+            assert.strictEqual(options.validation, false);
+
+            var readStream = new stream.Readable();
+            readStream._read = function() {
+              this.push(fileContents.slice(options.start, options.end + 1));
+              this.push(null);
+            };
+            return readStream;
+          }
+        };
+      };
+
+      tmp.setGracefulCleanup();
+      tmp.file(function(err, path) {
+        tmpFilePath = path;
+        done(err);
+      });
+    });
+
+    it('should execute callback with a metadata error', function(done) {
+      var error = new Error('Error.');
+
+      file.getMetadata = function(callback) {
+        callback(error);
+      };
+
+      file.downloadParallel_({ slices: 4 }, {
+        destination: tmpFilePath
+      }, function(err) {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+
+    it('should download a gzipped file normally', function(done) {
+      var options = { destination: tmpFilePath };
+      metadata.contentEncoding = 'gzip';
+
+      file.download = function(options_, callback) {
+        assert.strictEqual(options_, options);
+        callback(); // done()
+      };
+
+      file.downloadParallel_({ slices: 4 }, options, done);
+    });
+
+    it('should read ranges of one generation', function(done) {
+      var ranges = [];
+      var createFile = BUCKET.file;
+
+      BUCKET.file = function(name, options) {
+        assert.strictEqual(name, file.name);
+        assert.deepEqual(options, { generation: '3' });
+
+        var remoteFile = createFile(name, options);
+        var createReadStream = remoteFile.createReadStream;
+
+        remoteFile.createReadStream = function(options) {
+          ranges.push([options.start, options.end]);
+          return createReadStream(options);
+        };
+
+        return remoteFile;
+      };
+
+      file.downloadParallel_({ slices: 4 }, {
+        destination: tmpFilePath,
+        validation: false
+      }, function(err) {
+        assert.ifError(err);
+        assert.deepEqual(ranges, [[0, 6], [7, 13], [14, 20], [21, 25]]);
+        done();
+      });
+    });
+
+    it('should write each range to its place', function(done) {
+      file.downloadParallel_({ slices: 4 }, {
+        destination: tmpFilePath,
+        validation: false
+      }, function(err) {
+        assert.ifError(err);
+
+        fs.readFile(tmpFilePath, function(err, tmpFileContents) {
+          assert.ifError(err);
+          assert.strictEqual(tmpFileContents.toString(), fileContents);
+          done();
+        });
+      });
+    });
+
+    it('should return an error if the data does not match', function(done) {
+      metadata.crc32c = 'AAAAAA==';
+
+      file.downloadParallel_({ slices: 4 }, {
+        destination: tmpFilePath
+      }, function(err) {
+        assert.strictEqual(err.code, 'CONTENT_DOWNLOAD_MISMATCH');
+        done();
+      });
+    });
   });
 
   describe('getSignedPolicy', function() {
@@ -1354,8 +1800,13 @@ describe('File', function() {
 
     beforeEach(function() {
       var storage = BUCKET.storage;
-      storage.getCredentials = function(callback) {
-        callback(null, credentials);
+      storage.getIdentity = function(callback) {
+        callback(null, { email: credentials.client_email });
+      };
+      storage.signBlob = function(data, callback) {
+        var sign = crypto.createSign('RSA-SHA256');
+        sign.update(data);
+        callback(null, sign.sign(credentials.private_key, 'base64'));
       };
     });
 
@@ -1385,39 +1836,35 @@ describe('File', function() {
       });
     });
 
-    it('should return an error if getCredentials errors', function(done) {
-      var error = new Error('Error.');
-
+    it('should sign the policy', function(done) {
       var storage = BUCKET.storage;
-      storage.getCredentials = function(callback) {
-        callback(error);
+      storage.signBlob = function(data, callback) {
+        callback(null, 'signature:' + data);
       };
 
       file.getSignedPolicy({
         expires: Date.now() + 5
-      }, function(err) {
-        assert.strictEqual(err.name, 'SigningError');
-        assert.strictEqual(err.message, error.message);
+      }, function(err, signedPolicy) {
+        assert.ifError(err);
+        assert.strictEqual(signedPolicy.signature,
+          'signature:' + signedPolicy.base64);
         done();
       });
     });
 
-    it('should return an error if credentials are not present', function(done) {
+    it('should return an error if signing fails', function(done) {
+      var error = new Error('Error.');
+
       var storage = BUCKET.storage;
-      storage.getCredentials = function(callback) {
-        callback(null, {});
+      storage.signBlob = function(data, callback) {
+        callback(error);
       };
 
       file.getSignedPolicy({
         expires: Date.now() + 5
       }, function(err) {
-        var errorMessage = [
-          'Could not find a `private_key`.',
-          'Please verify you are authorized with this property available.'
-        ].join(' ');
-
         assert.strictEqual(err.name, 'SigningError');
-        assert.strictEqual(err.message, errorMessage);
+        assert.strictEqual(err.message, error.message);
         done();
       });
     });
@@ -1658,8 +2105,13 @@ describe('File', function() {
 
     beforeEach(function() {
       var storage = BUCKET.storage;
-      storage.getCredentials = function(callback) {
-        callback(null, credentials);
+      storage.getIdentity = function(callback) {
+        callback(null, { email: credentials.client_email });
+      };
+      storage.signBlob = function(data, callback) {
+        var sign = crypto.createSign('RSA-SHA256');
+        sign.update(data);
+        callback(null, sign.sign(credentials.private_key, 'base64'));
       };
     });
 
@@ -1689,11 +2141,30 @@ describe('File', function() {
       });
     });
 
-    it('should return an error if getCredentials errors', function(done) {
+    it('should sign as the service account in use', function(done) {
+      var storage = BUCKET.storage;
+      storage.signBlob = function(data, callback) {
+        assert.strictEqual(data.indexOf('GET\n'), 0);
+        callback(null, 'signature');
+      };
+
+      file.getSignedUrl({
+        action: 'read',
+        expires: Date.now() + 5
+      }, function(err, signedUrl) {
+        assert.ifError(err);
+        assert(signedUrl.indexOf(
+          '?GoogleAccessId=' + credentials.client_email) > -1);
+        assert(signedUrl.indexOf('&Signature=signature') > -1);
+        done();
+      });
+    });
+
+    it('should return an error if getIdentity errors', function(done) {
       var error = new Error('Error.');
 
       var storage = BUCKET.storage;
-      storage.getCredentials = function(callback) {
+      storage.getIdentity = function(callback) {
         callback(error);
       };
 
@@ -1707,23 +2178,20 @@ describe('File', function() {
       });
     });
 
-    it('should return an error if credentials are not present', function(done) {
+    it('should return an error if signing fails', function(done) {
+      var error = new Error('Error.');
+
       var storage = BUCKET.storage;
-      storage.getCredentials = function(callback) {
-        callback(null, {});
+      storage.signBlob = function(data, callback) {
+        callback(error);
       };
 
       file.getSignedUrl({
         action: 'read',
         expires: Date.now() + 5
       }, function(err) {
-        var errorMessage = [
-          'Could not find a `private_key` or `client_email`.',
-          'Please verify you are authorized with these credentials available.'
-        ].join(' ');
-
         assert.strictEqual(err.name, 'SigningError');
-        assert.strictEqual(err.message, errorMessage);
+        assert.strictEqual(err.message, error.message);
         done();
       });
     });
@@ -2149,6 +2617,20 @@ describe('File', function() {
       file.startSimpleUpload_(duplexify(), metadata);
     });
 
+    it('should upload to a custom endpoint', function(done) {
+      file.storage.apiEndpoint = 'http://localhost:8080';
+
+      makeWritableStreamOverride = function(stream, options) {
+        assert.strictEqual(
+          options.request.uri,
+          'http://localhost:8080/upload/storage/v1/b/' + file.bucket.name + '/o'
+        );
+        done();
+      };
+
+      file.startSimpleUpload_(duplexify(), {});
+    });
+
     it('should send query.ifGenerationMatch if File has one', function(done) {
       var versionedFile = new File(BUCKET, 'new-file.txt', { generation: 1 });
 
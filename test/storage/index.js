@@ -108,6 +108,9 @@ describe('Storage', function() {
 
       var baseUrl = 'https://www.googleapis.com/storage/v1';
       assert.strictEqual(calledWith.baseUrl, baseUrl);
+
+      var batchUrl = 'https://www.googleapis.com/batch/storage/v1';
+      assert.strictEqual(calledWith.batchUrl, batchUrl);
       assert.strictEqual(calledWith.projectIdRequired, false);
       assert.deepEqual(calledWith.scopes, [
         'https://www.googleapis.com/auth/devstorage.full_control'
@@ -254,6 +257,17 @@ describe('Storage', function() {
       storage.getBuckets({ maxResults: 5, pageToken: token }, util.noop);
     });
 
+    it('should get the buckets of another project', function(done) {
+      var handle = storage.project('other-project');
+
+      handle.request = function(reqOpts) {
+        assert.deepEqual(reqOpts.qs, { project: 'other-project' });
+        done();
+      };
+
+      handle.getBuckets(util.noop);
+    });
+
     it('should return nextQuery if more results exist', function() {
       var token = 'next-page-token';
       storage.request = function(reqOpts, callback) {
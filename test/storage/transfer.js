@@ -0,0 +1,338 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var tmp = require('tmp');
+
+var Bucket = require('../../lib/storage/bucket.js');
+var RetryPolicy = require('../../lib/common/retry-policy.js');
+var Transfer = require('../../lib/storage/transfer.js');
+var util = require('../../lib/common/util.js');
+
+describe('Transfer', function() {
+  var STORAGE = {
+    createBucket: util.noop
+  };
+  var NO_DELAY = {
+    initialDelay: 0,
+    jitter: 0
+  };
+
+  var bucket;
+  var directory;
+  var uploaded;
+
+  beforeEach(function(done) {
+    uploaded = [];
+
+    bucket = new Bucket(STORAGE, 'bucket-name');
+    bucket.upload = function(localPath, options, callback) {
+      uploaded.push(options.destination.name);
+      callback(null, options.destination);
+    };
+
+    tmp.setGracefulCleanup();
+    tmp.dir({ unsafeCleanup: true }, function(err, path) {
+      directory = path;
+      fs.writeFileSync(directory + '/a.txt', 'aaa');
+      fs.writeFileSync(directory + '/b.txt', 'bb');
+      done(err);
+    });
+  });
+
+  function createDownload(name, contents) {
+    var file = bucket.file(name);
+
+    file.download = function(options, callback) {
+      fs.writeFile(options.destination, contents, callback);
+    };
+
+    return file;
+  }
+
+  describe('instantiation', function() {
+    it('should throw if a source is not a path or a File', function() {
+      assert.throws(function() {
+        new Transfer(bucket, [{}]);
+      }, /A source must be a local path or a File\./);
+    });
+
+    it('should use the default retry codes', function() {
+      var transfer = new Transfer(bucket, []);
+
+      assert.notStrictEqual(transfer.retryPolicy.codes.indexOf(503), -1);
+      assert.notStrictEqual(
+        transfer.retryPolicy.codes.indexOf('ECONNRESET'), -1);
+    });
+
+    it('should accept a RetryPolicy', function() {
+      var retryPolicy = new RetryPolicy();
+      var transfer = new Transfer(bucket, [], { retryPolicy: retryPolicy });
+
+      assert.strictEqual(transfer.retryPolicy, retryPolicy);
+    });
+
+    it('should name uploads relative to the directory', function() {
+      var transfer = new Transfer(bucket, [
+        path.join(directory, 'photos', 'cat.png'),
+        '/elsewhere/dog.png'
+      ], {
+        directory: directory,
+        prefix: 'backup/'
+      });
+
+      assert.deepEqual(transfer.items.map(function(item) {
+        return item.result.file.name;
+      }), ['backup/photos/cat.png', 'backup/dog.png']);
+    });
+
+    it('should save downloads in the directory', function() {
+      var transfer = new Transfer(bucket, [
+        bucket.file('backup/photos/cat.png'),
+        bucket.file('dog.png')
+      ], {
+        directory: directory,
+        prefix: 'backup/'
+      });
+
+      assert.deepEqual(transfer.items.map(function(item) {
+        return item.result.localPath;
+      }), [
+        path.join(directory, 'photos', 'cat.png'),
+        path.join(directory, 'dog.png')
+      ]);
+    });
+  });
+
+  describe('run_', function() {
+    it('should upload and download files', function(done) {
+      var transfer = new Transfer(bucket, [
+        path.join(directory, 'a.txt'),
+        createDownload('dir/c.txt', 'cccc')
+      ], {
+        directory: directory
+      });
+
+      transfer.run_(function(err, report) {
+        assert.ifError(err);
+        assert.deepEqual(uploaded, ['a.txt']);
+        assert.strictEqual(
+          fs.readFileSync(path.join(directory, 'dir', 'c.txt'), 'utf8'),
+          'cccc');
+        assert.strictEqual(report.succeeded.length, 2);
+        assert.deepEqual(report.failed, []);
+        assert.deepEqual(report.skipped, []);
+        done();
+      });
+    });
+
+    it('should emit progress', function(done) {
+      var events = [];
+
+      var transfer = new Transfer(bucket, [
+        path.join(directory, 'a.txt'),
+        path.join(directory, 'b.txt')
+      ], {
+        concurrency: 1,
+        directory: directory
+      });
+
+      transfer.on('progress', function(progress, result) {
+        events.push([progress, result.file.name]);
+      });
+
+      transfer.run_(function(err) {
+        assert.ifError(err);
+        assert.deepEqual(events, [
+          [{
+            total: 2,
+            succeeded: 1,
+            failed: 0,
+            skipped: 0,
+            bytesTransferred: 3
+          }, 'a.txt'],
+          [{
+            total: 2,
+            succeeded: 2,
+            failed: 0,
+            skipped: 0,
+            bytesTransferred: 5
+          }, 'b.txt']
+        ]);
+        done();
+      });
+    });
+
+    it('should emit the report when every file is done', function(done) {
+      var transfer = new Transfer(bucket, [path.join(directory, 'a.txt')], {
+        directory: directory
+      });
+
+      var emittedReport;
+
+      transfer.on('complete', function(report) {
+        emittedReport = report;
+      });
+
+      transfer.run_(function(err, report) {
+        assert.ifError(err);
+        assert.strictEqual(emittedReport, report);
+        done();
+      });
+    });
+
+    it('should retry a file after a dropped connection', function(done) {
+      var error = new Error('Error.');
+      error.code = 'ECONNRESET';
+
+      bucket.upload = function(localPath, options, callback) {
+        bucket.upload = function(localPath, options, callback) {
+          callback(null, options.destination);
+        };
+
+        callback(error);
+      };
+
+      var transfer = new Transfer(bucket, [path.join(directory, 'a.txt')], {
+        retryPolicy: NO_DELAY
+      });
+
+      transfer.run_(function(err, report) {
+        assert.ifError(err);
+        assert.strictEqual(report.succeeded[0].attempts, 2);
+        done();
+      });
+    });
+
+    it('should report a file that cannot be transferred', function(done) {
+      var error = new Error('Error.');
+      error.code = 403;
+
+      bucket.upload = function(localPath, options, callback) {
+        callback(error);
+      };
+
+      var transfer = new Transfer(bucket, [
+        path.join(directory, 'a.txt'),
+        createDownload('c.txt', 'cccc')
+      ], {
+        directory: directory,
+        retryPolicy: NO_DELAY
+      });
+
+      transfer.run_(function(err, report) {
+        assert.ifError(err);
+        assert.strictEqual(report.succeeded.length, 1);
+        assert.strictEqual(report.failed[0].attempts, 1);
+        assert.strictEqual(report.failed[0].error, error);
+        done();
+      });
+    });
+
+    it('should not download a file outside of the directory', function(done) {
+      var file = createDownload('../escaped.txt', 'escaped');
+      var transfer = new Transfer(bucket, [file], { directory: directory });
+
+      transfer.run_(function(err, report) {
+        assert.ifError(err);
+        assert.strictEqual(report.failed[0].attempts, 0);
+        assert(/would be saved outside/.test(report.failed[0].error.message));
+        assert(!fs.existsSync(path.join(directory, '..', 'escaped.txt')));
+        done();
+      });
+    });
+
+    describe('stateFile', function() {
+      var stateFile;
+      var sources;
+
+      beforeEach(function() {
+        stateFile = path.join(directory, 'transfer.state');
+        sources = [
+          path.join(directory, 'a.txt'),
+          path.join(directory, 'b.txt')
+        ];
+      });
+
+      it('should skip files transferred by an earlier run', function(done) {
+        var transfer = new Transfer(bucket, sources, {
+          directory: directory,
+          stateFile: stateFile
+        });
+
+        fs.writeFileSync(stateFile, transfer.items[0].key + '\n{"incomplete');
+
+        transfer.run_(function(err, report) {
+          assert.ifError(err);
+          assert.deepEqual(uploaded, ['b.txt']);
+          assert.strictEqual(report.skipped[0].file.name, 'a.txt');
+          assert.strictEqual(transfer.progress.skipped, 1);
+          done();
+        });
+      });
+
+      it('should delete the state file when every file is done',
+        function(done) {
+          var transfer = new Transfer(bucket, sources, {
+            directory: directory,
+            stateFile: stateFile
+          });
+
+          transfer.run_(function(err) {
+            assert.ifError(err);
+            assert(!fs.existsSync(stateFile));
+            done();
+          });
+        });
+
+      it('should record the files that were transferred', function(done) {
+        var error = new Error('Error.');
+
+        bucket.upload = function(localPath, options, callback) {
+          callback(path.basename(localPath) === 'b.txt' ? error : null);
+        };
+
+        var transfer = new Transfer(bucket, sources, {
+          directory: directory,
+          stateFile: stateFile
+        });
+
+        transfer.run_(function(err) {
+          assert.ifError(err);
+          assert.strictEqual(fs.readFileSync(stateFile, 'utf8'),
+            transfer.items[0].key + '\n');
+          done();
+        });
+      });
+
+      it('should execute callback with a state file error', function(done) {
+        var transfer = new Transfer(bucket, sources, {
+          stateFile: directory
+        });
+
+        transfer.run_(function(err) {
+          assert.strictEqual(err.code, 'EISDIR');
+          assert.deepEqual(uploaded, []);
+          done();
+        });
+      });
+    });
+  });
+});
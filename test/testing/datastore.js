@@ -0,0 +1,199 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+
+var testing = require('../../lib/testing');
+
+describe('FakeDatastoreServer', function() {
+  var dataset;
+  var companyKey;
+
+  beforeEach(function(done) {
+    dataset = testing.datastore({ projectId: 'project-id' });
+    companyKey = dataset.key(['Company', 'google']);
+
+    dataset.save([
+      {
+        key: companyKey,
+        data: { name: 'Google', size: 50000 }
+      },
+      {
+        key: dataset.key(['Company', 'google', 'Employee', 'larry']),
+        data: { name: 'Larry', age: 43 }
+      },
+      {
+        key: dataset.key(['Company', 'google', 'Employee', 'sergey']),
+        data: { name: 'Sergey', age: 42 }
+      },
+      {
+        key: dataset.key(['Company', 'acme', 'Employee', 'wile']),
+        data: { name: 'Wile', age: 75 }
+      }
+    ], done);
+  });
+
+  function getNames(entities) {
+    return entities.map(function(entity) {
+      return entity.data.name;
+    });
+  }
+
+  it('should save and get entities', function(done) {
+    dataset.get(companyKey, function(err, entity) {
+      assert.ifError(err);
+      assert.deepEqual(entity.data, { name: 'Google', size: 50000 });
+      done();
+    });
+  });
+
+  it('should give incomplete keys an ID', function(done) {
+    var key = dataset.key('Company');
+
+    dataset.save({ key: key, data: {} }, function(err) {
+      assert.ifError(err);
+      assert.strictEqual(typeof key.path[1], 'number');
+
+      dataset.get(key, function(err, entity) {
+        assert.ifError(err);
+        assert.deepEqual(entity.key.path, key.path);
+        done();
+      });
+    });
+  });
+
+  it('should not insert an entity that exists', function(done) {
+    dataset.insert({ key: companyKey, data: {} }, function(err) {
+      assert.strictEqual(err.code, 409);
+      done();
+    });
+  });
+
+  it('should not update an entity that does not exist', function(done) {
+    var key = dataset.key(['Company', 'missing']);
+
+    dataset.update({ key: key, data: {} }, function(err) {
+      assert.strictEqual(err.code, 404);
+      done();
+    });
+  });
+
+  it('should delete an entity', function(done) {
+    dataset.delete(companyKey, function(err) {
+      assert.ifError(err);
+
+      dataset.get(companyKey, function(err, entity) {
+        assert.ifError(err);
+        assert.strictEqual(entity, undefined);
+        done();
+      });
+    });
+  });
+
+  it('should filter and order the results of a query', function(done) {
+    var query = dataset.createQuery('Employee')
+      .filter('age', '<', 50)
+      .order('age');
+
+    dataset.runQuery(query, function(err, entities) {
+      assert.ifError(err);
+      assert.deepEqual(getNames(entities), ['Sergey', 'Larry']);
+      done();
+    });
+  });
+
+  it('should query by ancestor', function(done) {
+    var query = dataset.createQuery('Employee')
+      .hasAncestor(companyKey)
+      .order('name', { descending: true });
+
+    dataset.runQuery(query, function(err, entities) {
+      assert.ifError(err);
+      assert.deepEqual(getNames(entities), ['Sergey', 'Larry']);
+      done();
+    });
+  });
+
+  it('should continue a query from its cursor', function(done) {
+    var query = dataset.createQuery('Employee')
+      .order('age')
+      .limit(2)
+      .autoPaginate(false);
+
+    dataset.runQuery(query, function(err, entities, nextQuery) {
+      assert.ifError(err);
+      assert.deepEqual(getNames(entities), ['Sergey', 'Larry']);
+
+      dataset.runQuery(nextQuery, function(err, entities) {
+        assert.ifError(err);
+        assert.deepEqual(getNames(entities), ['Wile']);
+        done();
+      });
+    });
+  });
+
+  it('should project the results of a query', function(done) {
+    var query = dataset.createQuery('Employee')
+      .select('__key__');
+
+    dataset.runQuery(query, function(err, entities) {
+      assert.ifError(err);
+      assert.strictEqual(entities.length, 3);
+      assert.deepEqual(entities[0].data, {});
+      done();
+    });
+  });
+
+  it('should commit a transaction', function(done) {
+    dataset.runInTransaction(function(transaction, commit) {
+      transaction.get(companyKey, function(err, entity) {
+        assert.ifError(err);
+
+        entity.data.size++;
+        transaction.save(entity);
+        commit();
+      });
+    }, function(err) {
+      assert.ifError(err);
+
+      dataset.get(companyKey, function(err, entity) {
+        assert.ifError(err);
+        assert.strictEqual(entity.data.size, 50001);
+        done();
+      });
+    });
+  });
+
+  it('should not commit a transaction after a conflict', function(done) {
+    dataset.runInTransaction(function(transaction, commit) {
+      transaction.get(companyKey, function(err, entity) {
+        assert.ifError(err);
+
+        dataset.save({ key: companyKey, data: {} }, function(err) {
+          assert.ifError(err);
+
+          transaction.save(entity);
+          commit();
+        });
+      });
+    }, function(err) {
+      assert.strictEqual(err.code, 409);
+      done();
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+
+var testing = require('../../lib/testing');
+
+describe('FakeDNSServer', function() {
+  var dns;
+  var zone;
+  var record;
+
+  beforeEach(function(done) {
+    dns = testing.dns({ projectId: 'project-id' });
+
+    dns.createZone('zone-name', {
+      dnsName: 'example.com.'
+    }, function(err, zone_) {
+      assert.ifError(err);
+      zone = zone_;
+
+      record = zone.record('a', {
+        name: 'www.example.com.',
+        ttl: 86400,
+        data: '1.2.3.4'
+      });
+
+      done();
+    });
+  });
+
+  function getTypes(records) {
+    return records.map(function(record) {
+      return record.type;
+    });
+  }
+
+  it('should create a zone with NS and SOA records', function(done) {
+    zone.getRecords(function(err, records) {
+      assert.ifError(err);
+      assert.deepEqual(getTypes(records), ['NS', 'SOA']);
+      assert.strictEqual(records[0].name, 'example.com.');
+      done();
+    });
+  });
+
+  it('should require a fully qualified DNS name', function(done) {
+    dns.createZone('other-zone', { dnsName: 'example.com' }, function(err) {
+      assert.strictEqual(err.code, 400);
+      done();
+    });
+  });
+
+  it('should add and delete records', function(done) {
+    zone.addRecords(record, function(err, change) {
+      assert.ifError(err);
+      assert.strictEqual(change.metadata.status, 'done');
+
+      zone.getRecords('a', function(err, records) {
+        assert.ifError(err);
+        assert.deepEqual(records[0].data, ['1.2.3.4']);
+
+        zone.deleteRecords(records, function(err) {
+          assert.ifError(err);
+
+          zone.getRecords('a', function(err, records) {
+            assert.ifError(err);
+            assert.strictEqual(records.length, 0);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should not add a record that exists', function(done) {
+    zone.addRecords(record, function(err) {
+      assert.ifError(err);
+
+      zone.addRecords(record, function(err) {
+        assert.strictEqual(err.code, 409);
+        done();
+      });
+    });
+  });
+
+  it('should not add a record outside of the zone', function(done) {
+    zone.addRecords(zone.record('a', {
+      name: 'www.example.org.',
+      ttl: 86400,
+      data: '1.2.3.4'
+    }), function(err) {
+      assert.strictEqual(err.code, 400);
+      done();
+    });
+  });
+
+  it('should list changes', function(done) {
+    zone.addRecords(record, function(err) {
+      assert.ifError(err);
+
+      zone.getChanges({ sort: 'desc' }, function(err, changes) {
+        assert.ifError(err);
+        assert.deepEqual(changes.map(function(change) {
+          return change.id;
+        }), ['1', '0']);
+        done();
+      });
+    });
+  });
+
+  it('should delete a zone once it is empty', function(done) {
+    zone.addRecords(record, function(err) {
+      assert.ifError(err);
+
+      zone.delete(function(err) {
+        assert.strictEqual(err.code, 400);
+
+        zone.delete({ force: true }, function(err) {
+          assert.ifError(err);
+
+          dns.getZones(function(err, zones) {
+            assert.ifError(err);
+            assert.strictEqual(zones.length, 0);
+            done();
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+
+var Dataset = require('../../lib/datastore/dataset.js');
+var DNS = require('../../lib/dns');
+var PubSub = require('../../lib/pubsub');
+var Storage = require('../../lib/storage');
+var testing = require('../../lib/testing');
+
+describe('testing', function() {
+  it('should be exported from the package root', function() {
+    assert.strictEqual(require('../../testing.js'), testing);
+  });
+
+  it('should create the services', function() {
+    assert(testing.datastore() instanceof Dataset);
+    assert(testing.dns() instanceof DNS);
+    assert(testing.pubsub() instanceof PubSub);
+    assert(testing.storage() instanceof Storage);
+  });
+
+  it('should use a default project ID', function() {
+    assert.strictEqual(testing.pubsub().projectId, 'fake-project-id');
+    assert.strictEqual(testing.datastore().datasetId, 'fake-project-id');
+  });
+
+  it('should use the project ID given', function() {
+    var pubsub = testing.pubsub({ projectId: 'project-id' });
+    assert.strictEqual(pubsub.projectId, 'project-id');
+  });
+
+  it('should use a new fake API for each service', function() {
+    var recorder = testing.storage().makeAuthenticatedRequest.recorder;
+
+    assert(recorder instanceof testing.FakeStorageServer);
+    assert.notStrictEqual(
+      testing.storage().makeAuthenticatedRequest.recorder, recorder);
+  });
+
+  it('should share a fake API', function(done) {
+    var fakeApi = new testing.FakeStorageServer('project-id');
+    var storage = testing.storage({ fixtures: fakeApi });
+    var otherStorage = testing.storage({ fixtures: fakeApi });
+
+    storage.createBucket('bucket-name', function(err) {
+      assert.ifError(err);
+
+      otherStorage.bucket('bucket-name').getMetadata(function(err, metadata) {
+        assert.ifError(err);
+        assert.strictEqual(metadata.name, 'bucket-name');
+        done();
+      });
+    });
+  });
+
+  it('should not authenticate requests', function(done) {
+    testing.pubsub().getTopics(function(err, topics) {
+      assert.ifError(err);
+      assert.deepEqual(topics, []);
+      done();
+    });
+  });
+});
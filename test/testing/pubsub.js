@@ -0,0 +1,161 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+
+var testing = require('../../lib/testing');
+
+describe('FakePubSubServer', function() {
+  var pubsub;
+  var topic;
+  var subscription;
+
+  beforeEach(function(done) {
+    pubsub = testing.pubsub({ projectId: 'project-id' });
+
+    pubsub.createTopic('topic-name', function(err, topic_) {
+      assert.ifError(err);
+      topic = topic_;
+
+      topic.subscribe('subscription-name', function(err, subscription_) {
+        assert.ifError(err);
+        subscription = subscription_;
+        done();
+      });
+    });
+  });
+
+  function pull(callback) {
+    subscription.pull({ returnImmediately: true }, callback);
+  }
+
+  it('should not create a topic twice', function(done) {
+    pubsub.createTopic('topic-name', function(err) {
+      assert.strictEqual(err.code, 409);
+      done();
+    });
+  });
+
+  it('should list topics and their subscriptions', function(done) {
+    pubsub.getTopics(function(err, topics) {
+      assert.ifError(err);
+      assert.strictEqual(topics.length, 1);
+      assert.strictEqual(topics[0].name,
+        'projects/project-id/topics/topic-name');
+
+      topic.getSubscriptions(function(err, subscriptions) {
+        assert.ifError(err);
+        assert.strictEqual(subscriptions.length, 1);
+        assert.strictEqual(subscriptions[0].name,
+          'projects/project-id/subscriptions/subscription-name');
+        done();
+      });
+    });
+  });
+
+  it('should deliver a published message once acked', function(done) {
+    topic.publish({
+      data: 'hello',
+      attributes: { key: 'value' }
+    }, function(err) {
+      assert.ifError(err);
+
+      pull(function(err, messages) {
+        assert.ifError(err);
+        assert.strictEqual(messages.length, 1);
+        assert.strictEqual(messages[0].data, 'hello');
+        assert.deepEqual(messages[0].attributes, { key: 'value' });
+
+        subscription.ack(messages[0].ackId, function(err) {
+          assert.ifError(err);
+
+          subscription.setAckDeadline({
+            ackIds: messages[0].ackId,
+            seconds: 0
+          }, function() {
+            pull(function(err, messages) {
+              assert.ifError(err);
+              assert.strictEqual(messages.length, 0);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should redeliver a message after its deadline', function(done) {
+    topic.publish({ data: 'hello' }, function(err) {
+      assert.ifError(err);
+
+      pull(function(err, messages) {
+        assert.ifError(err);
+
+        pull(function(err, redelivered) {
+          assert.ifError(err);
+          assert.strictEqual(redelivered.length, 0);
+
+          subscription.setAckDeadline({
+            ackIds: messages[0].ackId,
+            seconds: 0
+          }, function(err) {
+            assert.ifError(err);
+
+            pull(function(err, redelivered) {
+              assert.ifError(err);
+              assert.strictEqual(redelivered[0].id, messages[0].id);
+              assert.notStrictEqual(redelivered[0].ackId, messages[0].ackId);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should return an error for a missing subscription', function(done) {
+    pubsub.subscription('missing').pull(function(err) {
+      assert.strictEqual(err.code, 404);
+      done();
+    });
+  });
+
+  it('should set an IAM policy', function(done) {
+    topic.iam.getPolicy(function(err, policy) {
+      assert.ifError(err);
+
+      policy.bindings = [
+        {
+          role: 'roles/pubsub.subscriber',
+          members: ['user:user@example.com']
+        }
+      ];
+
+      topic.iam.setPolicy(policy, function(err, newPolicy) {
+        assert.ifError(err);
+        assert.deepEqual(newPolicy.bindings, policy.bindings);
+        assert.notStrictEqual(newPolicy.etag, policy.etag);
+
+        topic.iam.setPolicy(policy, function(err) {
+          assert.strictEqual(err.code, 409);
+          done();
+        });
+      });
+    });
+  });
+});
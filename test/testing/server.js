@@ -0,0 +1,207 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var concat = require('concat-stream');
+var through = require('through2');
+
+var FakeServer = require('../../lib/testing/server.js');
+var Recorder = require('../../lib/common/recorder.js');
+
+describe('FakeServer', function() {
+  var server;
+
+  function fakeRequest() {
+    throw new Error('A request should not have been made.');
+  }
+
+  beforeEach(function() {
+    server = new FakeServer();
+  });
+
+  it('should be a Recorder in replay mode', function() {
+    assert(server instanceof Recorder);
+    assert.strictEqual(server.mode, 'replay');
+  });
+
+  describe('paginate', function() {
+    it('should return a page and the next page token', function() {
+      assert.deepEqual(FakeServer.paginate([1, 2, 3], undefined, 2), {
+        items: [1, 2],
+        nextPageToken: '2'
+      });
+
+      assert.deepEqual(FakeServer.paginate([1, 2, 3], '2', '2'), {
+        items: [3],
+        nextPageToken: undefined
+      });
+    });
+
+    it('should return every item without a page size', function() {
+      assert.deepEqual(FakeServer.paginate([1, 2, 3]).items, [1, 2, 3]);
+    });
+  });
+
+  describe('routes', function() {
+    it('should call the handler of the matching route', function(done) {
+      server.route('GET', /\/widgets$/, function() {
+        throw new Error('The wrong route was used.');
+      });
+
+      server.route('POST', /\/widgets$/, function(req) {
+        assert.strictEqual(this, server);
+        assert.strictEqual(req.method, 'POST');
+        assert.strictEqual(req.path, '/v1/widgets');
+        assert.deepEqual(req.query, { a: 'b', c: '1' });
+        assert.strictEqual(req.headers['x-header'], 'value');
+        assert.deepEqual(req.json, { name: 'widget' });
+        return { id: 1 };
+      });
+
+      server.wrap(fakeRequest)({
+        method: 'POST',
+        uri: 'http://localhost/v1/widgets?a=b',
+        qs: { c: 1 },
+        headers: { 'X-Header': 'value' },
+        json: { name: 'widget' }
+      }, function(err, resp, body) {
+        assert.ifError(err);
+        assert.strictEqual(resp.statusCode, 200);
+        assert.deepEqual(body, { id: 1 });
+        done();
+      });
+    });
+
+    it('should pass the decoded groups of the pattern', function(done) {
+      server.route('GET', /\/widgets\/([^/]+)$/, function(req, name) {
+        assert.strictEqual(name, 'a/b');
+      });
+
+      server.wrap(fakeRequest)({
+        uri: 'http://localhost/widgets/a%2Fb'
+      }, function(err, resp) {
+        assert.ifError(err);
+        assert.strictEqual(resp.statusCode, 204);
+        done();
+      });
+    });
+
+    it('should send a copy of the response body', function(done) {
+      var widget = { id: 1 };
+
+      server.route('GET', /\/widget$/, function() {
+        return widget;
+      });
+
+      server.wrap(fakeRequest)({
+        uri: 'http://localhost/widget'
+      }, function(err, resp, body) {
+        assert.ifError(err);
+        assert.deepEqual(body, widget);
+        assert.notStrictEqual(body, widget);
+        done();
+      });
+    });
+
+    it('should send a response with a status and headers', function(done) {
+      server.route('GET', /\/widget$/, function() {
+        return FakeServer.response(206, { 'x-header': 'value' }, 'data');
+      });
+
+      server.wrap(fakeRequest)({
+        uri: 'http://localhost/widget'
+      }, function(err, resp, body) {
+        assert.ifError(err);
+        assert.strictEqual(resp.statusCode, 206);
+        assert.strictEqual(resp.headers['x-header'], 'value');
+        assert.strictEqual(body, 'data');
+        done();
+      });
+    });
+
+    it('should send the error a route throws', function(done) {
+      server.route('GET', /\/widget$/, function() {
+        throw FakeServer.error(404, 'Not found.');
+      });
+
+      server.wrap(fakeRequest)({
+        uri: 'http://localhost/widget'
+      }, function(err, resp, body) {
+        assert.ifError(err);
+        assert.strictEqual(resp.statusCode, 404);
+        assert.deepEqual(body.error, {
+          code: 404,
+          message: 'Not found.',
+          errors: [
+            {
+              domain: 'global',
+              reason: 'notFound',
+              message: 'Not found.'
+            }
+          ]
+        });
+        done();
+      });
+    });
+
+    it('should return an error without a route', function(done) {
+      server.wrap(fakeRequest)({
+        method: 'DELETE',
+        uri: 'http://localhost/widget'
+      }, function(err) {
+        assert.strictEqual(err.message,
+          'The fake does not support DELETE /widget.');
+        done();
+      });
+    });
+
+    it('should read streamed multipart bodies', function(done) {
+      var bodyStream = through();
+
+      server.route('POST', /\/upload$/, function(req) {
+        assert.strictEqual(req.multipart[0].contentType, 'application/json');
+        assert.strictEqual(req.multipart[0].body.toString(), '{}');
+        assert.strictEqual(req.multipart[1].body.toString(), 'data');
+      });
+
+      server.wrap(fakeRequest)({
+        method: 'POST',
+        uri: 'http://localhost/upload',
+        multipart: [
+          { 'Content-Type': 'application/json', body: '{}' },
+          { 'Content-Type': 'text/plain', body: bodyStream }
+        ]
+      }, done);
+
+      bodyStream.end('data');
+    });
+
+    it('should stream the response', function(done) {
+      server.route('GET', /\/widget$/, function() {
+        return FakeServer.response(200, {}, 'data');
+      });
+
+      server.wrap(fakeRequest)({ uri: 'http://localhost/widget' })
+        .on('error', done)
+        .pipe(concat(function(data) {
+          assert.strictEqual(data.toString(), 'data');
+          done();
+        }));
+    });
+  });
+});
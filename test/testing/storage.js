@@ -0,0 +1,337 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var async = require('async');
+var concat = require('concat-stream');
+var fs = require('fs');
+var tmp = require('tmp');
+
+var testing = require('../../lib/testing');
+
+describe('FakeStorageServer', function() {
+  var storage;
+  var bucket;
+
+  function upload(file, data, callback) {
+    file.createWriteStream()
+      .on('error', callback)
+      .on('finish', callback)
+      .end(data);
+  }
+
+  beforeEach(function(done) {
+    storage = testing.storage({ projectId: 'project-id' });
+    bucket = storage.bucket('bucket-name');
+    bucket.create(done);
+  });
+
+  describe('buckets', function() {
+    it('should create and get a bucket', function(done) {
+      bucket.getMetadata(function(err, metadata) {
+        assert.ifError(err);
+        assert.strictEqual(metadata.name, 'bucket-name');
+        assert.strictEqual(metadata.metageneration, '1');
+        done();
+      });
+    });
+
+    it('should not create a bucket twice', function(done) {
+      bucket.create(function(err) {
+        assert.strictEqual(err.code, 409);
+        done();
+      });
+    });
+
+    it('should list buckets', function(done) {
+      storage.createBucket('other-bucket', function(err) {
+        assert.ifError(err);
+
+        storage.getBuckets(function(err, buckets) {
+          assert.ifError(err);
+          assert.deepEqual(buckets.map(function(bucket) {
+            return bucket.name;
+          }), ['bucket-name', 'other-bucket']);
+          done();
+        });
+      });
+    });
+
+    it('should not delete a bucket with files', function(done) {
+      upload(bucket.file('file-name'), 'data', function(err) {
+        assert.ifError(err);
+
+        bucket.delete(function(err) {
+          assert.strictEqual(err.code, 409);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('files', function() {
+    var file;
+
+    beforeEach(function(done) {
+      file = bucket.file('dir/file-name');
+      upload(file, 'hello world', done);
+    });
+
+    it('should upload and download a file', function(done) {
+      file.download(function(err, contents) {
+        assert.ifError(err);
+        assert.strictEqual(contents.toString(), 'hello world');
+
+        file.getMetadata(function(err, metadata) {
+          assert.ifError(err);
+          assert.strictEqual(metadata.size, '11');
+          assert.strictEqual(metadata.md5Hash, 'XrY7u+Ae7tCTyyK7j1rNww==');
+          assert.strictEqual(metadata.crc32c, 'yZRlqg==');
+          done();
+        });
+      });
+    });
+
+    it('should download a range of a file', function(done) {
+      file.createReadStream({ start: 6, end: 10 })
+        .on('error', done)
+        .pipe(concat(function(contents) {
+          assert.strictEqual(contents.toString(), 'world');
+          done();
+        }));
+    });
+
+    it('should return an error for a missing file', function(done) {
+      bucket.file('missing').download(function(err) {
+        assert.strictEqual(err.code, 404);
+        done();
+      });
+    });
+
+    it('should list files with a prefix and delimiter', function(done) {
+      upload(bucket.file('other-file'), 'data', function(err) {
+        assert.ifError(err);
+
+        var query = { delimiter: '/', autoPaginate: false };
+
+        bucket.getFiles(query, function(err, files, nextQuery, resp) {
+          assert.ifError(err);
+          assert.deepEqual(files.map(function(file) {
+            return file.name;
+          }), ['other-file']);
+          assert.deepEqual(resp.prefixes, ['dir/']);
+
+          bucket.getFiles({ prefix: 'dir/' }, function(err, files) {
+            assert.ifError(err);
+            assert.strictEqual(files[0].name, 'dir/file-name');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should merge custom metadata', function(done) {
+      async.series([
+        file.setMetadata.bind(file, { metadata: { a: 'a', b: 'b' } }),
+        file.setMetadata.bind(file, { metadata: { b: null } })
+      ], function(err) {
+        assert.ifError(err);
+
+        file.getMetadata(function(err, metadata) {
+          assert.ifError(err);
+          assert.deepEqual(metadata.metadata, { a: 'a' });
+          assert.strictEqual(metadata.metageneration, '3');
+          done();
+        });
+      });
+    });
+
+    it('should copy and combine files', function(done) {
+      var copy = bucket.file('copy');
+      var combined = bucket.file('combined.txt');
+
+      async.series([
+        file.copy.bind(file, copy),
+        bucket.combine.bind(bucket, [file, copy], combined)
+      ], function(err) {
+        assert.ifError(err);
+
+        combined.download(function(err, contents) {
+          assert.ifError(err);
+          assert.strictEqual(contents.toString(), 'hello worldhello world');
+          done();
+        });
+      });
+    });
+
+    it('should upload a file in parallel', function(done) {
+      var localPath = 'test/testdata/proto_query.json';
+      var options = {
+        destination: 'parallel.json',
+        parallel: { partSize: 10 }
+      };
+
+      bucket.upload(localPath, options, function(err, file) {
+        assert.ifError(err);
+
+        file.download(function(err, contents) {
+          assert.ifError(err);
+          assert.deepEqual(contents, fs.readFileSync(localPath));
+
+          bucket.getFiles(function(err, files) {
+            assert.ifError(err);
+            assert.deepEqual(files.map(function(file) {
+              return file.name;
+            }), ['dir/file-name', 'parallel.json']);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should download a file in parallel', function(done) {
+      tmp.setGracefulCleanup();
+      tmp.file(function(err, tmpFilePath) {
+        assert.ifError(err);
+
+        var options = {
+          destination: tmpFilePath,
+          parallel: { slices: 3 }
+        };
+
+        file.download(options, function(err) {
+          assert.ifError(err);
+          assert.strictEqual(fs.readFileSync(tmpFilePath, 'utf8'),
+            'hello world');
+          done();
+        });
+      });
+    });
+
+    it('should continue an interrupted download', function(done) {
+      tmp.setGracefulCleanup();
+      tmp.file(function(err, tmpFilePath) {
+        assert.ifError(err);
+
+        file.getMetadata(function(err, metadata) {
+          assert.ifError(err);
+
+          fs.writeFileSync(tmpFilePath, 'hello');
+          fs.writeFileSync(tmpFilePath + '.download-state', JSON.stringify({
+            generation: metadata.generation,
+            bytesWritten: 5
+          }));
+
+          var options = {
+            destination: tmpFilePath,
+            resumable: true
+          };
+
+          file.download(options, function(err) {
+            assert.ifError(err);
+            assert.strictEqual(fs.readFileSync(tmpFilePath, 'utf8'),
+              'hello world');
+            assert(!fs.existsSync(tmpFilePath + '.download-state'));
+            done();
+          });
+        });
+      });
+    });
+
+    it('should sync a directory both ways', function(done) {
+      tmp.setGracefulCleanup();
+      async.times(2, function(i, next) {
+        tmp.dir({ unsafeCleanup: true }, next);
+      }, function(err, directories) {
+        assert.ifError(err);
+
+        fs.mkdirSync(directories[0] + '/photos');
+        fs.writeFileSync(directories[0] + '/photos/cat.png', 'cat');
+        fs.writeFileSync(directories[0] + '/index.html', 'index');
+
+        var options = { prefix: 'backup' };
+
+        async.series([
+          bucket.sync.bind(bucket, directories[0], options),
+          bucket.sync.bind(bucket, directories[0], options),
+          bucket.sync.bind(bucket, directories[1], {
+            prefix: 'backup',
+            download: true
+          })
+        ], function(err, results) {
+          assert.ifError(err);
+          assert.strictEqual(results[0].length, 2);
+          assert.deepEqual(results[1], []);
+          assert.strictEqual(
+            fs.readFileSync(directories[1] + '/photos/cat.png', 'utf8'), 'cat');
+          assert.strictEqual(
+            fs.readFileSync(directories[1] + '/index.html', 'utf8'), 'index');
+          done();
+        });
+      });
+    });
+
+    it('should transfer many files', function(done) {
+      tmp.setGracefulCleanup();
+      tmp.dir({ unsafeCleanup: true }, function(err, directory) {
+        assert.ifError(err);
+
+        fs.writeFileSync(directory + '/upload.txt', 'upload');
+
+        bucket.transfer([directory + '/upload.txt', file], {
+          directory: directory
+        }, function(err, report) {
+          assert.ifError(err);
+          assert.strictEqual(report.succeeded.length, 2);
+          assert.strictEqual(
+            fs.readFileSync(directory + '/dir/file-name', 'utf8'),
+            'hello world');
+
+          bucket.file('upload.txt').download(function(err, contents) {
+            assert.ifError(err);
+            assert.strictEqual(contents.toString(), 'upload');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should make a file public', function(done) {
+      file.makePublic(function(err) {
+        assert.ifError(err);
+
+        file.acl.get({ entity: 'allUsers' }, function(err, aclObject) {
+          assert.ifError(err);
+          assert.strictEqual(aclObject.role, 'READER');
+          done();
+        });
+      });
+    });
+
+    it('should delete a file', function(done) {
+      file.delete(function(err) {
+        assert.ifError(err);
+
+        file.getMetadata(function(err) {
+          assert.strictEqual(err.code, 404);
+          done();
+        });
+      });
+    });
+  });
+});
@@ -100,6 +100,11 @@ describe('Resource', function() {
     it('should localize the api key', function() {
       assert.equal(translate.key, API_KEY);
     });
+
+    it('should not require an API key with an API endpoint', function() {
+      var translate = new Translate({ apiEndpoint: 'localhost:8080' });
+      assert.strictEqual(translate.apiEndpoint, 'http://localhost:8080');
+    });
   });
 
   describe('detect', function() {
@@ -394,5 +399,20 @@ describe('Resource', function() {
 
       translate.request(reqOpts, done);
     });
+
+    it('should make the request to a custom endpoint', function(done) {
+      var translate = new Translate({ apiEndpoint: 'localhost:8080' });
+
+      makeRequestOverride = function(reqOpts) {
+        assert.strictEqual(
+          reqOpts.uri,
+          'http://localhost:8080/language/translate/v2/test'
+        );
+        assert.strictEqual(reqOpts.qs, undefined);
+        done();
+      };
+
+      translate.request({ uri: '/test' }, assert.ifError);
+    });
   });
 });